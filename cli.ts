@@ -7,6 +7,10 @@
  *
  * Usage:
  *   jsonapi-validator <url> [options]
+ *   jsonapi-validator [server-url] --openapi <file> [options]
+ *   jsonapi-validator <collection-url> --crud --body <json> [options]
+ *   jsonapi-validator <resource-url> --partial-update [options]
+ *   jsonapi-validator [base-url] --scenario <file> [options]
  *
  * Options:
  *   --method <method>     HTTP method (default: GET)
@@ -16,13 +20,53 @@
  *   --username <user>     Basic auth username
  *   --password <pass>     Basic auth password
  *   --body <json>         Request body (JSON string)
+ *   --probe-negotiation   Send extra requests checking 415/406 content negotiation
+ *   --probe-cursor-pagination Send the Cursor Pagination profile's error cases (expects 400)
+ *   --probe-client-id     POST the --body resource again with a client-generated ID (expects 201/204 or 403)
+ *   --probe-conflicts     Resend the --body resource with its type or id changed (expects 409)
+ *   --crawl               Follow pagination links and validate the whole collection
+ *   --max-pages <n>       Page cap for --crawl (default: 20)
+ *   --crawl-prev          Also follow "prev" links when crawling
+ *   --plugin <module>     Register extension/profile definitions from a module (repeatable)
+ *   --spec <version>      JSON:API version to validate against: 1.0 or 1.1 (default: response's jsonapi.version)
+ *   --config <file>       Rule configuration file (default: .jsonapi-validator.json when present)
+ *   --schema <file>       Resource schemas to check attributes and relationships against
+ *   --filter-check <list> Verify returned resources match filters, e.g. title:contains,author
+ *   --naming-policy <list> Enforce naming conventions, e.g. camelCase,types=kebab-case
+ *   --openapi <file>      Validate the operations of an OpenAPI 3.x document (JSON only)
+ *   --methods <list>      Methods of OpenAPI operations to validate (default: GET)
+ *   --infer-schema <file> Write a JSON Schema inferred from the returned resources
+ *   --crud                Create the --body resource, then read, update and delete it
+ *   --partial-update      Fetch the resource, PATCH one attribute, fetch it again and report other changes
+ *   --update-body <json>  Update document sent by --crud or --partial-update (default: changes a string attribute)
+ *   --scenario <file>     Run the steps of a scenario file, validating every response
  *   --json                Output results as JSON
  *   --verbose             Show detailed output
  *   --help                Show this help message
  */
 
+import { existsSync } from 'node:fs';
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
 import { runValidation } from './src/utils/ValidationService.js';
-import type { ValidationReport } from './src/types/validation.js';
+import { registerDefinition } from './src/validators/ExtensionRegistry.js';
+import { parseRuleConfig } from './src/utils/RuleConfig.js';
+import { parseResourceSchemas } from './src/utils/ResourceSchemas.js';
+import { parseFilterChecks } from './src/validators/QueryParameterValidator.js';
+import { parseNamingPolicy } from './src/validators/MemberNames.js';
+import { parseOpenApiDocument } from './src/utils/OpenApiImporter.js';
+import { createSchemaObservations, inferResourceSchemas, exportJsonSchema } from './src/utils/SchemaInference.js';
+import { runCrudWorkflow, runPartialUpdateWorkflow } from './src/utils/CrudWorkflow.js';
+import { parseScenario, runScenario } from './src/utils/ScenarioRunner.js';
+import type { RuleSettings } from './src/utils/RuleConfig.js';
+import type { ExtensionDefinition } from './src/validators/ExtensionRegistry.js';
+import type { FilterChecks } from './src/validators/QueryParameterValidator.js';
+import type { OpenApiEndpoint, OpenApiImport } from './src/utils/OpenApiImporter.js';
+import type { SchemaObservations } from './src/utils/SchemaInference.js';
+import type { WorkflowReport } from './src/utils/CrudWorkflow.js';
+import type { Scenario } from './src/utils/ScenarioRunner.js';
+import type { ValidationReport, SpecVersion, ResourceSchemas, NamingPolicy } from './src/types/validation.js';
 
 /**
  * CLI configuration for API validation
@@ -39,14 +83,53 @@ interface CliConfig {
   };
   customHeaders: Record<string, string>;
   requestBody: string;
+  negotiationProbes: boolean;
+  cursorPaginationProbes: boolean;
+  clientIdProbes: boolean;
+  conflictProbes: boolean;
+  crawlPagination: boolean;
+  maxCrawlPages?: number;
+  crawlPrev: boolean;
+  specVersion?: SpecVersion;
+  rules?: RuleSettings;
+  schemas?: ResourceSchemas;
+  filterChecks?: FilterChecks;
+  namingPolicy?: NamingPolicy;
+  observations?: SchemaObservations;
+  updateBody?: string;
 }
 
+/**
+ * Rule configuration file read when --config is not given
+ */
+const DEFAULT_CONFIG_FILE = '.jsonapi-validator.json';
+
 /**
  * CLI output options
  */
 interface CliOptions {
   json: boolean;
   verbose: boolean;
+  plugins: string[];
+  configFile?: string;
+  schemaFile?: string;
+  openApiFile?: string;
+  methods: string[];
+  inferSchemaFile?: string;
+  crud: boolean;
+  partialUpdate: boolean;
+  scenarioFile?: string;
+}
+
+/**
+ * Validation report of one OpenAPI operation
+ */
+interface EndpointReport {
+  method: string;
+  path: string;
+  url: string;
+  skipped?: string;
+  report?: ValidationReport;
 }
 
 /**
@@ -68,6 +151,10 @@ JSON:API Validator CLI
 
 Usage:
   jsonapi-validator <url> [options]
+  jsonapi-validator [server-url] --openapi <file> [options]
+  jsonapi-validator <collection-url> --crud --body <json> [options]
+  jsonapi-validator <resource-url> --partial-update [options]
+  jsonapi-validator [base-url] --scenario <file> [options]
 
 Options:
   --method <method>     HTTP method (default: GET)
@@ -77,6 +164,60 @@ Options:
   --username <user>     Username for basic authentication
   --password <pass>     Password for basic authentication
   --body <json>         Request body as JSON string
+  --probe-negotiation   Send extra requests with invalid Content-Type/Accept headers
+                        and check the server answers 415/406
+  --probe-cursor-pagination
+                        For collections applying the Cursor Pagination profile, send
+                        an oversized and an invalid page[size] and a range request,
+                        and check the server answers 400 with the profile's errors
+  --probe-client-id     POST the --body resource again with a random UUID as its id
+                        and check the server creates it with that id (201/204) or
+                        answers 403 Forbidden; a created resource is deleted again,
+                        and reported if that fails
+  --probe-conflicts     Resend the POST/PATCH --body resource with a type (and, for
+                        PATCH, an id) the endpoint does not serve and check the
+                        server answers 409 Conflict; a resource a POST probe
+                        creates is deleted again, and reported if that fails
+  --crawl               Follow "next" links and check duplicates, first/last links,
+                        totals and sort order across all pages
+  --max-pages <n>       Page cap for --crawl (default: 20)
+  --crawl-prev          Also follow "prev" links when crawling
+  --plugin <module>     Register extension/profile definitions exported by a module
+                        (default export: one definition or an array); repeatable
+  --spec <version>      JSON:API version to validate against: 1.0 or 1.1
+                        (default: the response's jsonapi.version, else 1.1)
+  --config <file>       Rule configuration turning rules off or overriding their
+                        severity (default: ${DEFAULT_CONFIG_FILE} when present)
+  --schema <file>       Resource schemas (JSON, keyed by resource type) that primary
+                        and included resources' attributes and relationships must match
+  --filter-check <list> Check every returned primary resource matches the request's
+                        filter[field] values; comma-separated fields, each with an
+                        optional :equals (default), :contains or :prefix; repeatable
+  --naming-policy <list> Naming conventions (camelCase, PascalCase, kebab-case,
+                        snake_case) that names must follow: a bare convention applies
+                        to all names, target=convention to types, attributes,
+                        relationships, meta or queryParameters only; repeatable
+  --openapi <file>      Validate every operation of an OpenAPI 3.x document and check
+                        resources against the schemas of its responses; <url>, if
+                        given, replaces the document's server URL. Only JSON documents
+                        are read: convert a YAML document to JSON first
+  --methods <list>      Comma-separated methods of OpenAPI operations to validate
+                        (default: GET)
+  --infer-schema <file> Infer per-type schemas from the primary and included resources
+                        returned (all pages with --crawl, all operations with --openapi)
+                        and write them as JSON Schema, usable with --schema
+  --crud                Run a workflow against the collection: POST the --body
+                        resource, GET it, PATCH it, GET it, DELETE it and GET it
+                        again expecting 404, validating every response
+  --partial-update      Check that PATCH leaves the members it does not send untouched:
+                        GET the resource, PATCH one attribute, GET it again and
+                        report any other attribute or relationship that changed
+  --update-body <json>  Update document sent by --crud or --partial-update; the
+                        resource's type and id are filled in (default: appends
+                        " (updated)" to the first string attribute of the resource)
+  --scenario <file>     Run the requests of a scenario file (JSON) in order; steps can
+                        use values of earlier responses, e.g. {{steps.create.data.id}};
+                        <url>, if given, replaces the scenario's base URL
   --json                Output results as JSON
   --verbose             Show detailed validation output
   --help                Show this help message
@@ -91,6 +232,40 @@ Examples:
   # Validate a POST request with body
   jsonapi-validator https://api.example.com/articles --method POST --body '{"data":{"type":"articles"}}'
 
+  # Validate a legacy JSON:API 1.0 service
+  jsonapi-validator https://api.example.com/articles --spec 1.0
+
+  # Check the rules of an in-house profile
+  jsonapi-validator https://api.example.com/articles --plugin ./profiles/soft-delete.js
+
+  # Apply rule overrides, e.g. {"rules": {"url/plural-resource-types": "off"}}
+  jsonapi-validator https://api.example.com/articles --config ./jsonapi-rules.json
+
+  # Check resources against domain schemas
+  jsonapi-validator https://api.example.com/articles?include=author --schema ./schemas.json
+
+  # Catch a server that ignores filters
+  jsonapi-validator "https://api.example.com/articles?filter[status]=published&filter[title]=json" --filter-check status,title:contains
+
+  # Enforce camelCase member names and kebab-case resource types
+  jsonapi-validator https://api.example.com/articles --naming-policy camelCase,types=kebab-case
+
+  # Validate the GET operations of a service's OpenAPI document against a local server
+  jsonapi-validator http://localhost:3001/api --openapi ./openapi.json
+
+  # Draft a schema for an API without one, then use it as the contract
+  jsonapi-validator https://api.example.com/articles?include=author --crawl --infer-schema ./schemas.json
+  jsonapi-validator https://api.example.com/articles?include=author --schema ./schemas.json
+
+  # Create, read, update and delete an article
+  jsonapi-validator http://localhost:3001/api/articles --crud --body '{"data":{"type":"articles","attributes":{"title":"Draft","body":"Text"}}}'
+
+  # Check that updating one attribute leaves the others untouched
+  jsonapi-validator http://localhost:3001/api/articles/1 --partial-update
+
+  # Run a scenario against a local server
+  jsonapi-validator http://localhost:3001/api --scenario ./mock-server/scenarios/article-with-author.json
+
   # Get JSON output for scripting
   jsonapi-validator https://api.example.com/articles --json
 `);
@@ -106,21 +281,33 @@ function parseArgs(): ParsedArgs {
     process.exit(0);
   }
 
+  // The URL is optional with --openapi, which reads the endpoints from the document
+  const url = args[0] && !args[0].startsWith('--') ? args[0] : '';
   const config: CliConfig = {
-    apiUrl: args[0] || '',
+    apiUrl: url,
     httpMethod: 'GET',
     authType: 'none',
     authCredentials: {},
     customHeaders: {},
-    requestBody: ''
+    requestBody: '',
+    negotiationProbes: false,
+    cursorPaginationProbes: false,
+    clientIdProbes: false,
+    conflictProbes: false,
+    crawlPagination: false,
+    crawlPrev: false
   };
 
   const options: CliOptions = {
     json: false,
-    verbose: false
+    verbose: false,
+    plugins: [],
+    methods: ['GET'],
+    crud: false,
+    partialUpdate: false
   };
 
-  for (let i = 1; i < args.length; i++) {
+  for (let i = url ? 1 : 0; i < args.length; i++) {
     switch (args[i]) {
       case '--method':
         config.httpMethod = args[++i] || 'GET';
@@ -143,6 +330,89 @@ function parseArgs(): ParsedArgs {
       case '--body':
         config.requestBody = args[++i] || '';
         break;
+      case '--probe-negotiation':
+        config.negotiationProbes = true;
+        break;
+      case '--probe-cursor-pagination':
+        config.cursorPaginationProbes = true;
+        break;
+      case '--probe-client-id':
+        config.clientIdProbes = true;
+        break;
+      case '--probe-conflicts':
+        config.conflictProbes = true;
+        break;
+      case '--crawl':
+        config.crawlPagination = true;
+        break;
+      case '--max-pages': {
+        const value = args[++i] ?? '';
+        const maxPages = Number(value);
+        if (!/^\d+$/.test(value) || maxPages < 1) {
+          console.error(`Invalid --max-pages value: ${value}. Use a whole number of at least 1`);
+          process.exit(1);
+        }
+        config.maxCrawlPages = maxPages;
+        break;
+      }
+      case '--crawl-prev':
+        config.crawlPrev = true;
+        break;
+      case '--spec': {
+        const version = args[++i];
+        if (version !== '1.0' && version !== '1.1') {
+          console.error(`Unsupported --spec version: ${version ?? ''}. Use 1.0 or 1.1`);
+          process.exit(1);
+        }
+        config.specVersion = version;
+        break;
+      }
+      case '--plugin':
+        options.plugins.push(args[++i] || '');
+        break;
+      case '--config':
+        options.configFile = args[++i] || '';
+        break;
+      case '--schema':
+        options.schemaFile = args[++i] || '';
+        break;
+      case '--filter-check':
+        try {
+          config.filterChecks = { ...config.filterChecks, ...parseFilterChecks(args[++i] || '') };
+        } catch (error) {
+          console.error(error instanceof Error ? error.message : String(error));
+          process.exit(1);
+        }
+        break;
+      case '--naming-policy':
+        try {
+          config.namingPolicy = { ...config.namingPolicy, ...parseNamingPolicy(args[++i] || '') };
+        } catch (error) {
+          console.error(error instanceof Error ? error.message : String(error));
+          process.exit(1);
+        }
+        break;
+      case '--openapi':
+        options.openApiFile = args[++i] || '';
+        break;
+      case '--infer-schema':
+        options.inferSchemaFile = args[++i] || '';
+        break;
+      case '--methods':
+        options.methods = (args[++i] || '').split(',').map(method => method.trim().toUpperCase()).filter(Boolean);
+        break;
+      case '--crud':
+        options.crud = true;
+        break;
+      case '--partial-update':
+        options.partialUpdate = true;
+        break;
+      case '--scenario':
+        options.scenarioFile = args[++i] || '';
+        break;
+      case '--update-body':
+        config.updateBody = args[++i] || '';
+        break;
       case '--json':
         options.json = true;
         break;
@@ -155,9 +425,205 @@ function parseArgs(): ParsedArgs {
     }
   }
 
+  if (!config.apiUrl && options.openApiFile === undefined && options.scenarioFile === undefined) {
+    console.error('Missing <url> to validate');
+    process.exit(1);
+  }
+  if (options.crud && !config.requestBody) {
+    console.error('--crud needs the resource to create, given with --body');
+    process.exit(1);
+  }
+
   return { config, options };
 }
 
+/**
+ * Register the extension and profile definitions exported by plugin modules
+ * @param plugins - Module paths, relative to the working directory
+ */
+async function loadPlugins(plugins: string[]): Promise<void> {
+  for (const plugin of plugins) {
+    const module = await import(pathToFileURL(resolve(plugin)).href);
+    const exported = module.default ?? module.definitions;
+    if (!exported) {
+      throw new Error(`Plugin "${plugin}" does not export any extension or profile definitions`);
+    }
+
+    const definitions: ExtensionDefinition[] = Array.isArray(exported) ? exported : [exported];
+    definitions.forEach(definition => registerDefinition(definition));
+  }
+}
+
+/**
+ * Read rule settings from the configuration file, if one is given or present
+ * @param configFile - Path given with --config, relative to the working directory
+ * @returns Rule settings, or undefined without a configuration file
+ */
+async function loadRuleConfig(configFile?: string): Promise<RuleSettings | undefined> {
+  const path = resolve(configFile ?? DEFAULT_CONFIG_FILE);
+  if (configFile === undefined && !existsSync(path)) {
+    return undefined;
+  }
+
+  try {
+    return parseRuleConfig(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid rule configuration ${path}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+/**
+ * Read resource schemas from a file
+ * @param schemaFile - Path given with --schema, relative to the working directory
+ * @returns Resource schemas
+ */
+async function loadResourceSchemas(schemaFile: string): Promise<ResourceSchemas> {
+  const path = resolve(schemaFile);
+  try {
+    return parseResourceSchemas(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid resource schemas ${path}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+}
+
+/**
+ * Read validation targets and resource schemas from an OpenAPI document
+ * @param openApiFile - Path given with --openapi, relative to the working directory
+ * @param serverUrl - URL given on the command line, replacing the document's server URL
+ * @returns Imported endpoints and schemas
+ */
+async function loadOpenApiDocument(openApiFile: string, serverUrl: string): Promise<OpenApiImport> {
+  const path = resolve(openApiFile);
+  let imported: OpenApiImport;
+  try {
+    imported = parseOpenApiDocument(await readFile(path, 'utf8'), serverUrl || undefined);
+  } catch (error) {
+    throw new Error(`Invalid OpenAPI document ${path}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  if (!/^https?:\/\//.test(imported.serverUrl)) {
+    throw new Error(`OpenAPI document ${path} has no absolute server URL; pass the server URL before --openapi`);
+  }
+  return imported;
+}
+
+/**
+ * Read a scenario file
+ * @param scenarioFile - Path given with --scenario, relative to the working directory
+ * @param baseUrl - URL given on the command line, replacing the scenario's base URL
+ * @returns Parsed scenario
+ */
+async function loadScenario(scenarioFile: string, baseUrl: string): Promise<Scenario> {
+  const path = resolve(scenarioFile);
+  let scenario: Scenario;
+  try {
+    scenario = parseScenario(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid scenario ${path}: ${error instanceof Error ? error.message : String(error)}`);
+  }
+  return baseUrl ? { ...scenario, baseUrl } : scenario;
+}
+
+/**
+ * Write the schemas inferred from the observed resources as JSON Schema
+ * @param observations - Resources observed during validation
+ * @param inferSchemaFile - Path given with --infer-schema, relative to the working directory
+ * @param options - CLI options
+ */
+async function writeInferredSchema(observations: SchemaObservations, inferSchemaFile: string, options: CliOptions): Promise<void> {
+  const path = resolve(inferSchemaFile);
+  const schemas = inferResourceSchemas(observations);
+  await writeFile(path, `${JSON.stringify(exportJsonSchema(schemas), null, 2)}\n`);
+
+  if (!options.json) {
+    console.log(`📝 Wrote inferred schema for ${Object.keys(schemas).length} resource types to ${path}\n`);
+  }
+}
+
+/**
+ * Validate OpenAPI operations one after another
+ * @param config - Shared validation configuration
+ * @param endpoints - Operations to validate
+ * @param options - CLI options
+ * @returns One report per operation; operations with unfilled path parameters are skipped
+ */
+async function validateEndpoints(config: CliConfig, endpoints: OpenApiEndpoint[], options: CliOptions): Promise<EndpointReport[]> {
+  const reports: EndpointReport[] = [];
+
+  for (const endpoint of endpoints) {
+    const target = { method: endpoint.method, path: endpoint.path, url: endpoint.url };
+    if (endpoint.unresolvedParameters.length > 0) {
+      reports.push({ ...target, skipped: `no example for path parameter ${endpoint.unresolvedParameters.join(', ')}` });
+      continue;
+    }
+
+    if (!options.json) {
+      console.log(`🔍 ${endpoint.method} ${endpoint.url}`);
+    }
+    const report = await runValidation({
+      ...config,
+      apiUrl: endpoint.url,
+      httpMethod: endpoint.method,
+      requestBody: endpoint.requestBody ?? config.requestBody
+    });
+    reports.push({ ...target, report });
+  }
+
+  return reports;
+}
+
+/**
+ * Format the reports of OpenAPI operations for display
+ * @param reports - Reports per operation
+ * @param options - CLI options
+ * @returns Formatted output string
+ */
+function formatEndpointResults(reports: EndpointReport[], options: CliOptions): string {
+  const validated = reports.filter(entry => entry.report);
+  const failed = validated.filter(entry => entry.report!.summary.failed > 0).length;
+  const skipped = reports.length - validated.length;
+
+  if (options.json) {
+    return JSON.stringify({
+      endpoints: reports,
+      summary: { total: reports.length, passed: validated.length - failed, failed, skipped }
+    }, null, 2);
+  }
+
+  let output = '';
+  for (const entry of reports) {
+    output += `\n${entry.method} ${entry.path}\n`;
+    output += entry.report ? formatResults(entry.report, options) : `  ⏭ Skipped: ${entry.skipped}\n`;
+  }
+
+  output += `\n${failed > 0 ? '❌' : '✅'} ${reports.length} operations: ${validated.length - failed} passed, ${failed} failed, ${skipped} skipped\n`;
+  return output;
+}
+
+/**
+ * Format the reports of the steps of the CRUD workflow, the partial update check or a scenario for display
+ * @param workflow - Workflow report
+ * @param title - Name of the workflow for the summary line
+ * @param options - CLI options
+ * @returns Formatted output string
+ */
+function formatWorkflowResults(workflow: WorkflowReport, title: string, options: CliOptions): string {
+  if (options.json) {
+    return JSON.stringify(workflow, null, 2);
+  }
+
+  let output = '';
+  for (const step of workflow.steps) {
+    output += `\n${step.name}: ${step.method}${step.url ? ` ${step.url}` : ''}\n`;
+    output += step.report ? formatResults(step.report, options) : `  ⏭ Skipped: ${step.skipped}\n`;
+  }
+
+  const { summary } = workflow;
+  const icon = workflow.metadata.status === 'failed' ? '❌' : workflow.metadata.status === 'warning' ? '⚠️' : '✅';
+  output += `\n${icon} ${title} (${workflow.steps.length} steps): ${summary.passed} passed, ${summary.failed} failed, ${summary.warnings} warnings\n`;
+  return output;
+}
+
 /**
  * Format validation results for display
  * @param results - Validation results
@@ -186,7 +652,11 @@ function formatResults(results: ValidationReport, options: CliOptions): string {
   output += `  Passed:   ${summary.passed}\n`;
   output += `  Failed:   ${summary.failed}\n`;
   output += `  Warnings: ${summary.warnings}\n`;
-  output += `  Total:    ${summary.total}\n\n`;
+  output += `  Total:    ${summary.total}\n`;
+  if (results.metadata.specVersion) {
+    output += `  Spec:     JSON:API ${results.metadata.specVersion}\n`;
+  }
+  output += '\n';
 
   // Detailed results if verbose or if there are failures
   if (options.verbose || hasFailures || summary.warnings > 0) {
@@ -203,11 +673,18 @@ function formatResults(results: ValidationReport, options: CliOptions): string {
           for (const test of tests) {
             if (test.status === 'failed' || test.status === 'warning' || options.verbose) {
               const testIcon = test.status === 'failed' ? '✗' : test.status === 'warning' ? '⚠' : '✓';
-              output += `  ${testIcon} ${test.test}\n`;
+              output += `  ${testIcon} ${test.test}${test.rule ? ` [${test.rule.id}]` : ''}\n`;
 
               if (test.message) {
                 output += `     ${test.message}\n`;
               }
+              if (test.location) {
+                const { jsonPointer, line, column, snippet } = test.location;
+                output += `     at ${jsonPointer || '(document root)'}${line ? ` (line ${line}, column ${column})` : ''}\n`;
+                if (snippet) {
+                  output += `${snippet.split('\n').map(frameLine => `     ${frameLine}`).join('\n')}\n`;
+                }
+              }
             }
           }
         }
@@ -222,13 +699,83 @@ function formatResults(results: ValidationReport, options: CliOptions): string {
  * Main CLI execution function
  */
 async function main(): Promise<void> {
-  let options: CliOptions = { verbose: false, json: false };
+  let options: CliOptions = { verbose: false, json: false, plugins: [], methods: ['GET'], crud: false, partialUpdate: false };
 
   try {
     const parsed = parseArgs();
     options = parsed.options;
     const config = parsed.config;
 
+    await loadPlugins(options.plugins);
+    config.rules = await loadRuleConfig(options.configFile);
+    if (options.schemaFile !== undefined) {
+      config.schemas = await loadResourceSchemas(options.schemaFile);
+    }
+    if (options.inferSchemaFile !== undefined) {
+      config.observations = createSchemaObservations();
+    }
+
+    if (options.openApiFile !== undefined) {
+      const imported = await loadOpenApiDocument(options.openApiFile, config.apiUrl);
+      // Schemas from --schema take precedence over those read from the document
+      config.schemas = { ...imported.schemas, ...config.schemas };
+
+      const endpoints = imported.endpoints.filter(endpoint => options.methods.includes(endpoint.method));
+      if (endpoints.length === 0) {
+        throw new Error(`OpenAPI document has no ${options.methods.join('/')} operations`);
+      }
+      if (!options.json) {
+        console.log(`\n📄 Validating ${endpoints.length} operations of ${imported.title ?? options.openApiFile} at ${imported.serverUrl}\n`);
+      }
+
+      const reports = await validateEndpoints(config, endpoints, options);
+      console.log(formatEndpointResults(reports, options));
+      if (config.observations) {
+        await writeInferredSchema(config.observations, options.inferSchemaFile!, options);
+      }
+      process.exit(reports.some(entry => entry.report && entry.report.summary.failed > 0) ? 1 : 0);
+    }
+
+    if (options.scenarioFile !== undefined) {
+      const scenario = await loadScenario(options.scenarioFile, config.apiUrl);
+      if (!options.json) {
+        console.log(`\n🎬 Running scenario "${scenario.name}" (${scenario.steps.length} steps)\n`);
+      }
+
+      const workflow = await runScenario(scenario, config);
+      console.log(formatWorkflowResults(workflow, `Scenario "${scenario.name}"`, options));
+      if (config.observations) {
+        await writeInferredSchema(config.observations, options.inferSchemaFile!, options);
+      }
+      process.exit(workflow.metadata.status === 'failed' ? 1 : 0);
+    }
+
+    if (options.crud) {
+      if (!options.json) {
+        console.log(`\n🔁 Running CRUD workflow against ${config.apiUrl}\n`);
+      }
+
+      const workflow = await runCrudWorkflow(config);
+      console.log(formatWorkflowResults(workflow, 'CRUD workflow', options));
+      if (config.observations) {
+        await writeInferredSchema(config.observations, options.inferSchemaFile!, options);
+      }
+      process.exit(workflow.metadata.status === 'failed' ? 1 : 0);
+    }
+
+    if (options.partialUpdate) {
+      if (!options.json) {
+        console.log(`\n🩹 Checking partial update of ${config.apiUrl}\n`);
+      }
+
+      const workflow = await runPartialUpdateWorkflow(config);
+      console.log(formatWorkflowResults(workflow, 'Partial update', options));
+      if (config.observations) {
+        await writeInferredSchema(config.observations, options.inferSchemaFile!, options);
+      }
+      process.exit(workflow.metadata.status === 'failed' ? 1 : 0);
+    }
+
     if (!options.json) {
       console.log(`\n🔍 Validating JSON:API endpoint: ${config.apiUrl}\n`);
     }
@@ -243,6 +790,9 @@ async function main(): Promise<void> {
     } else {
       console.log(output);
     }
+    if (config.observations) {
+      await writeInferredSchema(config.observations, options.inferSchemaFile!, options);
+    }
 
     // Exit with error code if validation failed
     process.exit(results.summary.failed > 0 ? 1 : 0);
@@ -341,7 +341,7 @@ router.post('/articles', (req, res) => {
     const { data } = req.body;
     
     // Validate request structure
-    if (!data || data.type !== 'articles') {
+    if (!data || typeof data !== 'object') {
       return res.status(422).json({
         jsonapi: { version: '1.1' },
         errors: [{
@@ -352,6 +352,32 @@ router.post('/articles', (req, res) => {
       });
     }
     
+    // Resources of other types do not belong in this collection
+    if (data.type !== 'articles') {
+      return res.status(409).json({
+        jsonapi: { version: '1.1' },
+        errors: [{
+          status: '409',
+          title: 'Type Conflict',
+          detail: `Resources of type '${data.type}' cannot be created in the articles collection`,
+          source: { pointer: '/data/type' }
+        }]
+      });
+    }
+    
+    // Client-generated IDs are not supported
+    if (data.id !== undefined) {
+      return res.status(403).json({
+        jsonapi: { version: '1.1' },
+        errors: [{
+          status: '403',
+          title: 'Client-Generated ID Not Supported',
+          detail: 'Article IDs are assigned by the server',
+          source: { pointer: '/data/id' }
+        }]
+      });
+    }
+
     // Validate required attributes
     if (!data.attributes || !data.attributes.title || !data.attributes.body) {
       return res.status(422).json({
@@ -437,13 +463,27 @@ router.patch('/articles/:id', (req, res) => {
     const { data } = req.body;
     
     // Validate request structure
-    if (!data || data.type !== 'articles' || data.id !== req.params.id) {
+    if (!data || typeof data !== 'object') {
       return res.status(422).json({
         jsonapi: { version: '1.1' },
         errors: [{
           status: '422',
           title: 'Invalid Resource',
-          detail: 'Request data type and id must match the target resource'
+          detail: 'Request must contain data with the type and id of the target resource'
+        }]
+      });
+    }
+    
+    // The resource object must identify the resource at this endpoint
+    const mismatch = data.type !== 'articles' ? 'type' : data.id !== req.params.id ? 'id' : null;
+    if (mismatch) {
+      return res.status(409).json({
+        jsonapi: { version: '1.1' },
+        errors: [{
+          status: '409',
+          title: 'Resource Conflict',
+          detail: `Request data ${mismatch} must match the target resource`,
+          source: { pointer: `/data/${mismatch}` }
         }]
       });
     }
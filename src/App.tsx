@@ -3,8 +3,17 @@ import type { FC } from 'react'
 import ConfigForm from './components/ConfigForm'
 import TestRunner from './components/TestRunner'
 import EnhancedResultsPanel from './components/EnhancedResultsPanel'
+import SchemaInferencePanel from './components/SchemaInferencePanel'
+import ScenarioPanel from './components/ScenarioPanel'
 import { runValidation } from './utils/ValidationService.js'
-import type { ValidationReport, TestConfig as ValidationTestConfig } from './types/validation'
+import { runScenario, type Scenario } from './utils/ScenarioRunner.js'
+import type { WorkflowReport } from './utils/CrudWorkflow.js'
+import type { ValidationReport, TestConfig as ValidationTestConfig, SpecVersion } from './types/validation'
+import type { RuleSettings } from './utils/RuleConfig.js'
+import { parseResourceSchemas } from './utils/ResourceSchemas.js'
+import { createSchemaObservations } from './utils/SchemaInference.js'
+import { parseFilterChecks } from './validators/QueryParameterValidator.js'
+import { parseNamingPolicy } from './validators/MemberNames.js'
 
 interface CustomHeader {
   key: string
@@ -27,6 +36,16 @@ interface AppTestConfig {
   authCredentials: AuthCredentials
   customHeaders: CustomHeader[]
   requestBody: string
+  negotiationProbes: boolean
+  cursorPaginationProbes: boolean
+  clientIdProbes: boolean
+  conflictProbes: boolean
+  crawlPagination: boolean
+  specVersion: SpecVersion | 'auto'
+  rules: RuleSettings
+  resourceSchemas: string
+  filterChecks: string
+  namingPolicy: string
 }
 
 interface ValidationState {
@@ -43,7 +62,17 @@ const App: FC = () => {
     authType: 'none',
     authCredentials: {},
     customHeaders: [{ key: '', value: '' }],
-    requestBody: ''
+    requestBody: '',
+    negotiationProbes: false,
+    cursorPaginationProbes: false,
+    clientIdProbes: false,
+    conflictProbes: false,
+    crawlPagination: false,
+    specVersion: 'auto',
+    rules: {},
+    resourceSchemas: '',
+    filterChecks: '',
+    namingPolicy: ''
   })
 
   const [validationState, setValidationState] = useState<ValidationState>({
@@ -53,10 +82,26 @@ const App: FC = () => {
     timestamp: null
   })
 
+  // Resources returned by every run since the last clear, for schema inference
+  const [observations, setObservations] = useState(createSchemaObservations)
+
+  const [scenarioReport, setScenarioReport] = useState<WorkflowReport | null>(null)
+
   const handleConfigChange = (newConfig: AppTestConfig): void => {
     setTestConfig(newConfig)
   }
 
+  // Validation options of the form, shared by single runs and scenarios
+  const createRunConfig = () => ({
+    ...testConfig,
+    // 'auto' lets the response's jsonapi.version decide
+    specVersion: testConfig.specVersion === 'auto' ? undefined : testConfig.specVersion,
+    schemas: testConfig.resourceSchemas.trim() ? parseResourceSchemas(testConfig.resourceSchemas) : undefined,
+    filterChecks: parseFilterChecks(testConfig.filterChecks),
+    namingPolicy: testConfig.namingPolicy.trim() ? parseNamingPolicy(testConfig.namingPolicy) : undefined,
+    observations
+  })
+
   const handleStartValidation = async (): Promise<void> => {
     setValidationState({
       isRunning: true,
@@ -64,9 +109,10 @@ const App: FC = () => {
       error: null,
       timestamp: null
     })
+    setScenarioReport(null)
 
     try {
-      const results = await runValidation(testConfig)
+      const results = await runValidation(createRunConfig())
 
       if (results.metadata?.status === 'error') {
         // Extract error message from the first failed test
@@ -98,6 +144,38 @@ const App: FC = () => {
     }
   }
 
+  const handleRunScenario = async (scenario: Scenario): Promise<void> => {
+    setValidationState({
+      isRunning: true,
+      results: null,
+      error: null,
+      timestamp: null
+    })
+    setScenarioReport(null)
+
+    try {
+      const report = await runScenario(scenario, createRunConfig())
+      // Start with the first step that failed, else the first that ran
+      const shown = report.steps.find(step => step.report && step.report.summary.failed > 0) ??
+        report.steps.find(step => step.report)
+
+      setScenarioReport(report)
+      setValidationState({
+        isRunning: false,
+        results: shown?.report ?? null,
+        error: shown ? null : 'No step of the scenario could run',
+        timestamp: report.metadata.timestamp
+      })
+    } catch (error) {
+      setValidationState({
+        isRunning: false,
+        results: null,
+        error: error instanceof Error ? error.message : String(error),
+        timestamp: new Date().toISOString()
+      })
+    }
+  }
+
   const handleReset = (): void => {
     setTestConfig({
       apiUrl: '',
@@ -105,7 +183,17 @@ const App: FC = () => {
       authType: 'none',
       authCredentials: {},
       customHeaders: [{ key: '', value: '' }],
-      requestBody: ''
+      requestBody: '',
+      negotiationProbes: false,
+      cursorPaginationProbes: false,
+      clientIdProbes: false,
+      conflictProbes: false,
+      crawlPagination: false,
+      specVersion: 'auto',
+      rules: {},
+      resourceSchemas: '',
+      filterChecks: '',
+      namingPolicy: ''
     })
     setValidationState({
       isRunning: false,
@@ -113,6 +201,7 @@ const App: FC = () => {
       error: null,
       timestamp: null
     })
+    setScenarioReport(null)
   }
 
   // Convert customHeaders array to Record for TestRunner compatibility
@@ -147,6 +236,12 @@ const App: FC = () => {
             onStartValidation={handleStartValidation}
             onReset={handleReset}
           />
+          <ScenarioPanel
+            report={scenarioReport}
+            onRun={handleRunScenario}
+            onSelectStep={step => setValidationState({ ...validationState, results: step.report ?? null, error: null })}
+            disabled={validationState.isRunning}
+          />
         </div>
 
         <div className="card">
@@ -154,6 +249,12 @@ const App: FC = () => {
           <EnhancedResultsPanel
             validationState={validationState}
           />
+          <SchemaInferencePanel
+            observations={observations}
+            onUseSchema={resourceSchemas => setTestConfig({ ...testConfig, resourceSchemas })}
+            onReset={() => setObservations(createSchemaObservations())}
+            disabled={validationState.isRunning}
+          />
         </div>
       </div>
     </div>
@@ -1,8 +1,14 @@
 import React from 'react'
 import type { FC, ChangeEvent, FormEvent } from 'react'
+import { parseRelationshipUrl } from '../validators/UrlStructureValidator.js'
+import type { RuleSettings } from '../utils/RuleConfig.js'
+import RuleSettingsPanel from './RuleSettingsPanel'
+import OpenApiImportPanel from './OpenApiImportPanel'
+import type { OpenApiEndpoint } from '../utils/OpenApiImporter.js'
 
 type HttpMethod = 'GET' | 'POST' | 'PUT' | 'PATCH' | 'DELETE'
 type AuthType = 'none' | 'bearer' | 'apiKey' | 'basic'
+type SpecVersionOption = '1.0' | '1.1' | 'auto'
 
 interface CustomHeader {
   key: string
@@ -24,6 +30,16 @@ interface TestConfig {
   authCredentials: AuthCredentials
   customHeaders: CustomHeader[]
   requestBody: string
+  negotiationProbes: boolean
+  cursorPaginationProbes: boolean
+  clientIdProbes: boolean
+  conflictProbes: boolean
+  crawlPagination: boolean
+  specVersion: SpecVersionOption
+  rules: RuleSettings
+  resourceSchemas: string
+  filterChecks: string
+  namingPolicy: string
 }
 
 interface ConfigFormProps {
@@ -191,10 +207,28 @@ const ConfigForm: FC<ConfigFormProps> = ({ config, onChange, disabled }) => {
     }
   }
 
-  const showRequestBody = ['POST', 'PUT', 'PATCH'].includes(config.httpMethod)
+  // DELETE carries a body only when removing members from a to-many relationship
+  const showRequestBody = ['POST', 'PUT', 'PATCH'].includes(config.httpMethod) ||
+    (config.httpMethod === 'DELETE' && parseRelationshipUrl(config.apiUrl) !== null)
+
+  // The body of a previously selected operation must not be sent with one that takes none
+  const handleSelectEndpoint = (endpoint: OpenApiEndpoint): void => {
+    onChange({
+      ...config,
+      apiUrl: endpoint.url,
+      httpMethod: endpoint.method,
+      requestBody: endpoint.requestBody ?? ''
+    })
+  }
 
   return (
     <form onSubmit={(e: FormEvent<HTMLFormElement>) => e.preventDefault()}>
+      <OpenApiImportPanel
+        onSelectEndpoint={handleSelectEndpoint}
+        onImportSchemas={schemas => onChange({ ...config, resourceSchemas: JSON.stringify(schemas, null, 2) })}
+        disabled={disabled}
+      />
+
       <div className="form-group required">
         <label htmlFor="apiUrl">API Endpoint URL</label>
         <input
@@ -224,6 +258,20 @@ const ConfigForm: FC<ConfigFormProps> = ({ config, onChange, disabled }) => {
         </select>
       </div>
 
+      <div className="form-group">
+        <label htmlFor="specVersion">JSON:API Version</label>
+        <select
+          id="specVersion"
+          value={config.specVersion}
+          onChange={(e: ChangeEvent<HTMLSelectElement>) => handleFieldChange('specVersion', e.target.value)}
+          disabled={disabled}
+        >
+          <option value="auto">Detect from response (jsonapi.version)</option>
+          <option value="1.1">1.1</option>
+          <option value="1.0">1.0</option>
+        </select>
+      </div>
+
       <div className="form-group">
         <label htmlFor="authType">Authentication Type</label>
         <select
@@ -294,6 +342,149 @@ const ConfigForm: FC<ConfigFormProps> = ({ config, onChange, disabled }) => {
           />
         </div>
       )}
+
+      <div className="form-group checkbox-group">
+        <label htmlFor="negotiationProbes">
+          <input
+            id="negotiationProbes"
+            type="checkbox"
+            checked={config.negotiationProbes}
+            onChange={(e: ChangeEvent<HTMLInputElement>) => onChange({ ...config, negotiationProbes: e.target.checked })}
+            disabled={disabled}
+          />
+          Probe content negotiation (415/406)
+        </label>
+        <div className="form-hint">
+          Sends extra requests with unsupported media type parameters and extensions.
+          Content-Type probes repeat the configured method and body.
+        </div>
+      </div>
+
+      {config.httpMethod === 'POST' && (
+        <div className="form-group checkbox-group">
+          <label htmlFor="clientIdProbes">
+            <input
+              id="clientIdProbes"
+              type="checkbox"
+              checked={config.clientIdProbes}
+              onChange={(e: ChangeEvent<HTMLInputElement>) => onChange({ ...config, clientIdProbes: e.target.checked })}
+              disabled={disabled}
+            />
+            Probe client-generated IDs
+          </label>
+          <div className="form-hint">
+            Posts the request body again with a random UUID as id: the server must create the resource with that id or answer 403.
+            A created resource is deleted again; the report says if that fails.
+          </div>
+        </div>
+      )}
+
+      {(config.httpMethod === 'POST' || config.httpMethod === 'PATCH') && (
+        <div className="form-group checkbox-group">
+          <label htmlFor="conflictProbes">
+            <input
+              id="conflictProbes"
+              type="checkbox"
+              checked={config.conflictProbes}
+              onChange={(e: ChangeEvent<HTMLInputElement>) => onChange({ ...config, conflictProbes: e.target.checked })}
+              disabled={disabled}
+            />
+            Probe type/id conflicts (409)
+          </label>
+          <div className="form-hint">
+            Sends the request body again with a type the endpoint does not serve (and, for PATCH, another id): the server must answer 409 Conflict.
+            A resource a POST probe creates is deleted again; the report says if that fails.
+          </div>
+        </div>
+      )}
+
+      {config.httpMethod === 'GET' && (
+        <div className="form-group checkbox-group">
+          <label htmlFor="crawlPagination">
+            <input
+              id="crawlPagination"
+              type="checkbox"
+              checked={config.crawlPagination}
+              onChange={(e: ChangeEvent<HTMLInputElement>) => onChange({ ...config, crawlPagination: e.target.checked })}
+              disabled={disabled}
+            />
+            Crawl all pages
+          </label>
+          <div className="form-hint">
+            Follows &quot;next&quot; links (up to 20 pages) and checks for duplicates, boundary links, totals and sort order across pages.
+          </div>
+        </div>
+      )}
+
+      {config.httpMethod === 'GET' && (
+        <div className="form-group checkbox-group">
+          <label htmlFor="cursorPaginationProbes">
+            <input
+              id="cursorPaginationProbes"
+              type="checkbox"
+              checked={config.cursorPaginationProbes}
+              onChange={(e: ChangeEvent<HTMLInputElement>) => onChange({ ...config, cursorPaginationProbes: e.target.checked })}
+              disabled={disabled}
+            />
+            Probe Cursor Pagination errors (400)
+          </label>
+          <div className="form-hint">
+            For collections applying the Cursor Pagination profile, sends an oversized and an invalid page[size] and a range request.
+          </div>
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="filterChecks">Filter Checks (optional)</label>
+        <input
+          id="filterChecks"
+          type="text"
+          value={config.filterChecks}
+          onChange={(e: ChangeEvent<HTMLInputElement>) => handleFieldChange('filterChecks', e.target.value)}
+          placeholder="status, title:contains, slug:prefix"
+          disabled={disabled}
+        />
+        <div className="form-hint">
+          Filter fields whose results are verified: every returned resource must match the URL&apos;s filter[field] value
+          (comma-separated values match any). Modes: equals (default), contains, prefix.
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="namingPolicy">Naming Policy (optional)</label>
+        <input
+          id="namingPolicy"
+          type="text"
+          value={config.namingPolicy}
+          onChange={(e: ChangeEvent<HTMLInputElement>) => handleFieldChange('namingPolicy', e.target.value)}
+          placeholder="camelCase, types=kebab-case"
+          disabled={disabled}
+        />
+        <div className="form-hint">
+          Conventions names must follow: camelCase, PascalCase, kebab-case or snake_case. A bare convention applies to all names;
+          prefix one with types=, attributes=, relationships=, meta= or queryParameters= to set it for those names only.
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="resourceSchemas">Resource Schemas (JSON, optional)</label>
+        <textarea
+          id="resourceSchemas"
+          value={config.resourceSchemas}
+          onChange={(e: ChangeEvent<HTMLTextAreaElement>) => handleFieldChange('resourceSchemas', e.target.value)}
+          placeholder='{"articles": {"attributes": {"title": {"type": "string", "required": true}}, "relationships": {"author": {"cardinality": "one", "types": ["people"]}}}}'
+          disabled={disabled}
+        />
+        <div className="form-hint">
+          Attribute types and relationship cardinality/targets per resource type, checked for primary and included resources.
+        </div>
+      </div>
+
+      <RuleSettingsPanel
+        rules={config.rules}
+        onChange={(rules: RuleSettings) => onChange({ ...config, rules })}
+        disabled={disabled}
+      />
     </form>
   )
 }
@@ -156,6 +156,7 @@ const EnhancedResultsPanel = ({ validationState }: EnhancedResultsPanelProps) =>
             </h2>
             <p style={{ margin: '5px 0 0 0', color: '#666', fontSize: '14px' }}>
               {metadata.method} {metadata.endpoint} • {metadata.duration}
+              {metadata.specVersion && ` • JSON:API ${metadata.specVersion}`}
             </p>
           </div>
         </div>
@@ -352,6 +353,17 @@ const EnhancedResultsPanel = ({ validationState }: EnhancedResultsPanelProps) =>
                         <span style={{ marginLeft: '12px', fontWeight: '600', color: '#333', fontSize: '14px' }}>
                           {test.test}
                         </span>
+                        {test.rule && (
+                          <a
+                            href={test.rule.specUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            title={`${test.rule.level} — view the specification section`}
+                            style={{ marginLeft: 'auto', color: '#007acc', fontFamily: 'monospace', fontSize: '12px', textDecoration: 'none' }}
+                          >
+                            {test.rule.id} · {test.rule.level}
+                          </a>
+                        )}
                       </div>
 
                       <div style={{ color: '#666', fontSize: '13px', lineHeight: '1.4', marginBottom: '8px' }}>
@@ -371,7 +383,13 @@ const EnhancedResultsPanel = ({ validationState }: EnhancedResultsPanelProps) =>
                           </div>
                           <div style={{ color: '#007acc', fontWeight: 'bold' }}>
                             JSON Pointer: {test.location.jsonPointer}
+                            {test.location.line && ` (line ${test.location.line}, column ${test.location.column})`}
                           </div>
+                          {test.location.snippet && (
+                            <pre style={{ margin: '8px 0 0', overflowX: 'auto', color: '#333' }}>
+                              {test.location.snippet}
+                            </pre>
+                          )}
                         </div>
                       )}
                     </div>
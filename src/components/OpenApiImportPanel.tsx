@@ -0,0 +1,113 @@
+import React from 'react'
+import type { FC, ChangeEvent } from 'react'
+import { parseOpenApiDocument, type OpenApiEndpoint, type OpenApiImport } from '../utils/OpenApiImporter.js'
+import type { ResourceSchemas } from '../types/validation'
+
+interface OpenApiImportPanelProps {
+  onSelectEndpoint: (endpoint: OpenApiEndpoint) => void
+  onImportSchemas: (schemas: ResourceSchemas) => void
+  disabled: boolean
+}
+
+const OpenApiImportPanel: FC<OpenApiImportPanelProps> = ({ onSelectEndpoint, onImportSchemas, disabled }) => {
+  const [source, setSource] = React.useState<string>('')
+  const [serverUrl, setServerUrl] = React.useState<string>('')
+  const [imported, setImported] = React.useState<OpenApiImport | null>(null)
+  const [importError, setImportError] = React.useState<string | null>(null)
+
+  const importDocument = (text: string, baseUrl?: string): void => {
+    try {
+      const result = parseOpenApiDocument(text, baseUrl)
+      setImported(result)
+      setImportError(null)
+      if (baseUrl === undefined) {
+        setServerUrl(result.serverUrl)
+        onImportSchemas(result.schemas)
+      }
+    } catch (error) {
+      setImported(null)
+      setImportError(error instanceof Error ? error.message : String(error))
+    }
+  }
+
+  const handleFileChange = async (e: ChangeEvent<HTMLInputElement>): Promise<void> => {
+    const file = e.target.files?.[0]
+    if (!file) {
+      return
+    }
+    const text = await file.text()
+    setSource(text)
+    importDocument(text)
+  }
+
+  const handleServerUrlChange = (value: string): void => {
+    setServerUrl(value)
+    if (source) {
+      importDocument(source, value)
+    }
+  }
+
+  const handleEndpointChange = (value: string): void => {
+    const endpoint = imported?.endpoints[Number(value)]
+    if (endpoint) {
+      onSelectEndpoint(endpoint)
+    }
+  }
+
+  const schemaCount = imported ? Object.keys(imported.schemas).length : 0
+
+  return (
+    <div className="form-group">
+      <label htmlFor="openApiFile">OpenAPI Document (JSON, optional)</label>
+      <input
+        id="openApiFile"
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        disabled={disabled}
+      />
+      <div className="form-hint">
+        Only JSON documents can be imported; convert a YAML document to JSON first.
+      </div>
+      {importError && <div className="form-error">{importError}</div>}
+
+      {imported && (
+        <div className="conditional-field">
+          <div className="form-group">
+            <label htmlFor="openApiServer">Server URL</label>
+            <input
+              id="openApiServer"
+              type="url"
+              value={serverUrl}
+              onChange={(e: ChangeEvent<HTMLInputElement>) => handleServerUrlChange(e.target.value)}
+              placeholder="https://api.example.com"
+              disabled={disabled}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="openApiEndpoint">Operation</label>
+            <select
+              id="openApiEndpoint"
+              defaultValue=""
+              onChange={(e: ChangeEvent<HTMLSelectElement>) => handleEndpointChange(e.target.value)}
+              disabled={disabled}
+            >
+              <option value="" disabled>Select an operation</option>
+              {imported.endpoints.map((endpoint, index) => (
+                <option key={`${endpoint.method} ${endpoint.path}`} value={index}>
+                  {endpoint.method} {endpoint.path}{endpoint.summary ? ` — ${endpoint.summary}` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-hint">
+            {imported.endpoints.length} operations; resource schemas for {schemaCount} types were loaded below.
+            Replace {'{placeholders}'} in the URL for path parameters without an example.
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default OpenApiImportPanel
@@ -0,0 +1,106 @@
+import React from 'react'
+import type { FC, ChangeEvent } from 'react'
+import { RULE_CATALOG } from '../utils/RuleCatalog.js'
+import { parseRuleConfig, type RuleSettings, type RuleSeverity } from '../utils/RuleConfig.js'
+
+interface RuleSettingsPanelProps {
+  rules: RuleSettings
+  onChange: (rules: RuleSettings) => void
+  disabled: boolean
+}
+
+const SEVERITY_LABELS: Record<RuleSeverity, string> = {
+  off: 'Off',
+  warn: 'Warning',
+  error: 'Failure'
+}
+
+const RuleSettingsPanel: FC<RuleSettingsPanelProps> = ({ rules, onChange, disabled }) => {
+  const [configText, setConfigText] = React.useState<string>('')
+  const [configError, setConfigError] = React.useState<string | null>(null)
+
+  const overrideCount = Object.keys(rules).length
+
+  const categories = RULE_CATALOG.reduce((acc, rule) => {
+    (acc[rule.category] = acc[rule.category] || []).push(rule)
+    return acc
+  }, {} as Record<string, typeof RULE_CATALOG[number][]>)
+
+  const handleRuleChange = (ruleId: string, value: string): void => {
+    const newRules = { ...rules }
+    if (value === 'default') {
+      delete newRules[ruleId]
+    } else {
+      newRules[ruleId] = value as RuleSeverity
+    }
+    onChange(newRules)
+  }
+
+  const handleImport = (): void => {
+    try {
+      onChange(parseRuleConfig(configText))
+      setConfigError(null)
+    } catch (error) {
+      setConfigError(error instanceof Error ? error.message : String(error))
+    }
+  }
+
+  return (
+    <div className="form-group">
+      <details className="rule-settings">
+        <summary>
+          Rule Settings{overrideCount > 0 ? ` (${overrideCount} overridden)` : ''}
+        </summary>
+        <div className="form-hint">
+          Turn rules off, downgrade their failures to warnings or upgrade their warnings to failures.
+          Rules without a setting keep their default severity.
+        </div>
+
+        {Object.entries(categories).map(([category, categoryRules]) => (
+          <div key={category} className="rule-settings-category">
+            <h4>{category}</h4>
+            {categoryRules.map(rule => (
+              <div key={rule.id} className="rule-settings-row">
+                <a href={rule.specUrl} target="_blank" rel="noopener noreferrer" className="rule-id">
+                  {rule.id}
+                </a>
+                <span className="rule-level">{rule.level}</span>
+                <select
+                  aria-label={`Severity of ${rule.id}`}
+                  value={rules[rule.id] === undefined ? 'default' : String(rules[rule.id])}
+                  onChange={(e: ChangeEvent<HTMLSelectElement>) => handleRuleChange(rule.id, e.target.value)}
+                  disabled={disabled}
+                >
+                  <option value="default">Default</option>
+                  {Object.entries(SEVERITY_LABELS).map(([severity, label]) => (
+                    <option key={severity} value={severity}>{label}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        ))}
+
+        <label htmlFor="ruleConfig">Import configuration file</label>
+        <textarea
+          id="ruleConfig"
+          value={configText}
+          onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setConfigText(e.target.value)}
+          placeholder='{"rules": {"url/plural-resource-types": "off", "url/*": "warn"}}'
+          disabled={disabled}
+        />
+        {configError && <div className="form-error">{configError}</div>}
+        <button
+          type="button"
+          className="add-button"
+          onClick={handleImport}
+          disabled={disabled || configText.trim() === ''}
+        >
+          Apply Configuration
+        </button>
+      </details>
+    </div>
+  )
+}
+
+export default RuleSettingsPanel
@@ -0,0 +1,103 @@
+import React from 'react'
+import type { FC, ChangeEvent } from 'react'
+import { parseScenario, type Scenario } from '../utils/ScenarioRunner.js'
+import type { WorkflowReport, WorkflowStep } from '../utils/CrudWorkflow.js'
+
+interface ScenarioPanelProps {
+  report: WorkflowReport | null
+  onRun: (scenario: Scenario) => void
+  onSelectStep: (step: WorkflowStep) => void
+  disabled: boolean
+}
+
+const SCENARIO_PLACEHOLDER = JSON.stringify({
+  name: 'Article with author',
+  baseUrl: 'http://localhost:3001/api',
+  steps: [
+    { name: 'author', url: 'people/1' },
+    { name: 'article', method: 'POST', url: 'articles', body: { data: { type: 'articles', relationships: { author: { data: { type: 'people', id: '{{steps.author.data.id}}' } } } } } }
+  ]
+})
+
+const getStepIcon = (step: WorkflowStep): string => {
+  if (!step.report) {
+    return '⏭'
+  }
+  const { metadata, summary } = step.report
+  if (metadata.status === 'error' || summary.failed > 0) {
+    return '❌'
+  }
+  return summary.warnings > 0 ? '⚠️' : '✅'
+}
+
+const ScenarioPanel: FC<ScenarioPanelProps> = ({ report, onRun, onSelectStep, disabled }) => {
+  const [source, setSource] = React.useState<string>('')
+  const [parseError, setParseError] = React.useState<string | null>(null)
+
+  const handleFileChange = async (e: ChangeEvent<HTMLInputElement>): Promise<void> => {
+    const file = e.target.files?.[0]
+    if (file) {
+      setSource(await file.text())
+      setParseError(null)
+    }
+  }
+
+  const handleRun = (): void => {
+    try {
+      const scenario = parseScenario(source)
+      setParseError(null)
+      onRun(scenario)
+    } catch (error) {
+      setParseError(error instanceof Error ? error.message : String(error))
+    }
+  }
+
+  return (
+    <div className="form-group scenario">
+      <label htmlFor="scenario">Scenario (JSON, optional)</label>
+      <input
+        id="scenarioFile"
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileChange}
+        disabled={disabled}
+      />
+      <textarea
+        id="scenario"
+        value={source}
+        onChange={(e: ChangeEvent<HTMLTextAreaElement>) => setSource(e.target.value)}
+        placeholder={SCENARIO_PLACEHOLDER}
+        disabled={disabled}
+      />
+      <div className="form-hint">
+        Steps run in order with the authentication and headers above; {'{{steps.<step>.<path>}}'} uses a value of an
+        earlier response. Relative URLs resolve against the scenario&apos;s baseUrl, else the API Endpoint URL.
+      </div>
+      {parseError && <div className="form-error">{parseError}</div>}
+
+      <div className="button-group">
+        <button type="button" className="button secondary" onClick={handleRun} disabled={disabled || !source.trim()}>
+          Run Scenario
+        </button>
+      </div>
+
+      {report && (
+        <ul className="scenario-steps">
+          {report.steps.map(step => (
+            <li key={step.name}>
+              <span>{getStepIcon(step)} {step.name}: {step.method} {step.url ?? ''}</span>
+              {step.report && (
+                <button type="button" onClick={() => onSelectStep(step)} disabled={disabled}>
+                  Show Report
+                </button>
+              )}
+              {step.skipped && <span className="scenario-skipped">Skipped: {step.skipped}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ScenarioPanel
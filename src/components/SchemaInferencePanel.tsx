@@ -0,0 +1,54 @@
+import type { FC } from 'react'
+import { inferResourceSchemas, exportJsonSchema, type SchemaObservations } from '../utils/SchemaInference.js'
+
+interface SchemaInferencePanelProps {
+  observations: SchemaObservations
+  onUseSchema: (jsonSchema: string) => void
+  onReset: () => void
+  disabled: boolean
+}
+
+const SchemaInferencePanel: FC<SchemaInferencePanelProps> = ({ observations, onUseSchema, onReset, disabled }) => {
+  const types = Object.entries(observations.types)
+  if (types.length === 0) {
+    return null
+  }
+
+  const resourceCount = types.reduce((sum, [, observed]) => sum + observed.resources, 0)
+  const exportSchema = (): string => JSON.stringify(exportJsonSchema(inferResourceSchemas(observations)), null, 2)
+
+  const handleDownload = (): void => {
+    const blob = new Blob([exportSchema()], { type: 'application/schema+json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `resource-schemas-${Date.now()}.json`
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    URL.revokeObjectURL(url)
+  }
+
+  return (
+    <div className="schema-inference">
+      <h3>Inferred Schema</h3>
+      <p>
+        {resourceCount} resources of {types.length} types observed across runs:{' '}
+        {types.map(([type, observed]) => `${type} (${observed.resources})`).join(', ')}
+      </p>
+      <div className="schema-inference-actions">
+        <button type="button" onClick={handleDownload} disabled={disabled}>
+          Download JSON Schema
+        </button>
+        <button type="button" onClick={() => onUseSchema(exportSchema())} disabled={disabled}>
+          Use as Resource Schemas
+        </button>
+        <button type="button" onClick={onReset} disabled={disabled}>
+          Clear Observations
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default SchemaInferencePanel
@@ -0,0 +1,51 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, vi } from 'vitest'
+import { render, screen, fireEvent } from '@testing-library/react'
+import ConfigForm from '../ConfigForm'
+
+vi.mock('../OpenApiImportPanel', () => ({
+  default: ({ onSelectEndpoint }) => (
+    <button
+      type="button"
+      onClick={() => onSelectEndpoint({ method: 'GET', path: '/articles', url: 'https://api.example.com/articles', unresolvedParameters: [] })}
+    >
+      Select GET /articles
+    </button>
+  )
+}))
+
+const config = {
+  apiUrl: 'https://api.example.com/articles',
+  httpMethod: 'POST',
+  authType: 'none',
+  authCredentials: {},
+  customHeaders: [],
+  requestBody: '{"data":{"type":"articles","attributes":{"title":"Draft"}}}',
+  negotiationProbes: false,
+  cursorPaginationProbes: false,
+  clientIdProbes: false,
+  conflictProbes: false,
+  crawlPagination: false,
+  specVersion: 'auto',
+  rules: {},
+  resourceSchemas: '',
+  filterChecks: '',
+  namingPolicy: ''
+}
+
+describe('ConfigForm', () => {
+  it('should clear the request body when an OpenAPI operation without one is selected', () => {
+    const onChange = vi.fn()
+    render(<ConfigForm config={config} onChange={onChange} disabled={false} />)
+
+    fireEvent.click(screen.getByText('Select GET /articles'))
+
+    expect(onChange).toHaveBeenCalledWith(expect.objectContaining({
+      apiUrl: 'https://api.example.com/articles',
+      httpMethod: 'GET',
+      requestBody: ''
+    }))
+  })
+})
@@ -2,6 +2,19 @@
  * Type definitions for JSON:API validation
  */
 
+// JSON:API specification versions the validator can target
+export type SpecVersion = '1.0' | '1.1'
+
+// Requirement level of a specification rule (RFC 2119 keyword)
+export type RuleLevel = 'MUST' | 'SHOULD' | 'MAY'
+
+// Stable reference to the specification rule a test checks
+export interface RuleReference {
+  id: string
+  level: RuleLevel
+  specUrl: string
+}
+
 // Validation test result
 export interface ValidationTest {
   test: string
@@ -9,8 +22,14 @@ export interface ValidationTest {
   message: string
   location?: {
     jsonPointer: string
-    description: string
+    description?: string
+    /** Position in the raw response text (1-based), when the pointer could be found there */
+    line?: number
+    column?: number
+    /** Code frame quoting the offending part of the response */
+    snippet?: string
   }
+  rule?: RuleReference
 }
 
 // Validation category results
@@ -55,6 +74,7 @@ export interface ValidationReport {
     method: string
     duration?: string
     status: 'passed' | 'failed' | 'warning' | 'error'
+    specVersion?: SpecVersion
   }
   summary: ValidationSummary
   sections: Record<string, {
@@ -88,7 +108,7 @@ export interface TestConfig {
     username?: string
     password?: string
   }
-  customHeaders?: Record<string, string>
+  customHeaders?: Record<string, string> | Array<{ key: string; value: string }>
   requestBody?: string | object
 }
 
@@ -105,6 +125,7 @@ export interface ApiResponse {
 // JSON:API Document structures
 export interface JsonApiResource {
   id?: string
+  lid?: string
   type: string
   attributes?: Record<string, unknown>
   relationships?: Record<string, unknown>
@@ -135,6 +156,54 @@ export interface JsonApiDocument {
   included?: JsonApiResource[]
 }
 
+// Resource schemas: per-type attribute and relationship expectations for domain-aware validation
+export type AttributeType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null'
+
+export interface AttributeSchema {
+  type: AttributeType | AttributeType[]
+  required?: boolean
+}
+
+export interface RelationshipSchema {
+  cardinality: 'one' | 'many'
+  types?: string[]
+  required?: boolean
+}
+
+export interface ResourceSchema {
+  attributes?: Record<string, AttributeSchema>
+  relationships?: Record<string, RelationshipSchema>
+  additionalAttributes?: boolean
+  additionalRelationships?: boolean
+}
+
+export type ResourceSchemas = Record<string, ResourceSchema>
+
+// Naming policy: an organisation's naming convention for each kind of name, on top of the member name rules
+export type NamingConvention = 'camelCase' | 'PascalCase' | 'kebab-case' | 'snake_case'
+
+export interface NamingPolicy {
+  types?: NamingConvention
+  attributes?: NamingConvention
+  relationships?: NamingConvention
+  meta?: NamingConvention
+  queryParameters?: NamingConvention
+}
+
+// Pagination crawl: pages visited by following pagination links, in page order
+export interface CrawledPage {
+  url: string
+  document: unknown
+}
+
+export interface PaginationCrawl {
+  pages: CrawledPage[]
+  firstPage?: CrawledPage
+  lastPage?: CrawledPage
+  truncated: boolean
+  errors: string[]
+}
+
 // Validation state for UI
 export interface ValidationState {
   isRunning: boolean
@@ -5,55 +5,69 @@
  */
 
 import type { TestConfig, ApiResponse } from '../types/validation'
+import { parseRelationshipUrl } from '../validators/UrlStructureValidator.js'
+import { parseJson, type JsonIssue } from './JsonParser.js'
 
 /**
- * Makes an HTTP request and returns parsed response with metadata
+ * Builds the headers sent with a request: JSON:API media types, authentication and custom headers
  * @param config - Request configuration
- * @returns Response object with data and metadata
+ * @returns Headers keyed by name
  */
-export async function makeRequest(config: TestConfig): Promise<ApiResponse & { success: boolean; rawResponse: string }> {
-  const { apiUrl, httpMethod, authType, authCredentials, customHeaders, requestBody } = config
+export function buildRequestHeaders(config: TestConfig): Record<string, string> {
+  const { authType, authCredentials, customHeaders } = config
 
-  try {
-    // Build headers
-    const headers: Record<string, string> = {
-      'Content-Type': 'application/vnd.api+json',
-      'Accept': 'application/vnd.api+json'
-    }
+  const headers: Record<string, string> = {
+    'Content-Type': 'application/vnd.api+json',
+    'Accept': 'application/vnd.api+json'
+  }
 
-    // Add authentication headers
-    if (authType === 'bearer' && authCredentials.token) {
-      headers['Authorization'] = `Bearer ${authCredentials.token}`
-    } else if (authType === 'apiKey' && authCredentials.key) {
-      const headerName = (authCredentials as { headerName?: string }).headerName || 'X-API-Key'
-      headers[headerName] = authCredentials.key
-    } else if (authType === 'basic' && authCredentials.username && authCredentials.password) {
-      const encoded = btoa(`${authCredentials.username}:${authCredentials.password}`)
-      headers['Authorization'] = `Basic ${encoded}`
-    }
+  // Add authentication headers
+  if (authType === 'bearer' && authCredentials.token) {
+    headers['Authorization'] = `Bearer ${authCredentials.token}`
+  } else if (authType === 'apiKey' && authCredentials.key) {
+    const headerName = (authCredentials as { headerName?: string }).headerName || 'X-API-Key'
+    headers[headerName] = authCredentials.key
+  } else if (authType === 'basic' && authCredentials.username && authCredentials.password) {
+    const encoded = btoa(`${authCredentials.username}:${authCredentials.password}`)
+    headers['Authorization'] = `Basic ${encoded}`
+  }
 
-    // Add custom headers
-    if (customHeaders) {
-      if (Array.isArray(customHeaders)) {
-        // Handle array format: [{ key: 'name', value: 'value' }]
-        customHeaders.forEach((header) => {
-          if (header && typeof header === 'object' && 'key' in header && 'value' in header) {
-            const key = header.key
-            const value = header.value
-            if (key && value) {
-              headers[key] = value
-            }
-          }
-        })
-      } else if (typeof customHeaders === 'object') {
-        // Handle object format: { 'name': 'value' }
-        Object.entries(customHeaders).forEach(([key, value]) => {
+  // Add custom headers
+  if (customHeaders) {
+    if (Array.isArray(customHeaders)) {
+      // Handle array format: [{ key: 'name', value: 'value' }]
+      customHeaders.forEach((header) => {
+        if (header && typeof header === 'object' && 'key' in header && 'value' in header) {
+          const key = header.key
+          const value = header.value
           if (key && value) {
             headers[key] = value
           }
-        })
-      }
+        }
+      })
+    } else if (typeof customHeaders === 'object') {
+      // Handle object format: { 'name': 'value' }
+      Object.entries(customHeaders).forEach(([key, value]) => {
+        if (key && value) {
+          headers[key] = value
+        }
+      })
     }
+  }
+
+  return headers
+}
+
+/**
+ * Makes an HTTP request and returns parsed response with metadata
+ * @param config - Request configuration
+ * @returns Response object with data and metadata
+ */
+export async function makeRequest(config: TestConfig): Promise<ApiResponse & { success: boolean; rawResponse: string; jsonIssues?: JsonIssue[] }> {
+  const { apiUrl, httpMethod, requestBody } = config
+
+  try {
+    const headers = buildRequestHeaders(config)
 
     // Build request options
     const requestOptions: RequestInit = {
@@ -62,23 +76,32 @@ export async function makeRequest(config: TestConfig): Promise<ApiResponse & { s
       mode: 'cors'
     }
 
-    // Add request body for methods that support it
-    if (['POST', 'PUT', 'PATCH'].includes(httpMethod) && requestBody) {
+    // Add request body for methods that support it (DELETE only to remove relationship members)
+    const sendsBody = ['POST', 'PUT', 'PATCH'].includes(httpMethod) ||
+      (httpMethod === 'DELETE' && parseRelationshipUrl(apiUrl) !== null)
+    if (sendsBody && requestBody) {
       requestOptions.body = typeof requestBody === 'string' ? requestBody : JSON.stringify(requestBody)
     }
 
     // Make the request
     const response = await fetch(apiUrl, requestOptions)
 
-    // Get response data
-    const responseText = await response.text()
+    // Get response data; text() strips a leading byte order mark, so decode the bytes when possible
+    const responseText = typeof response.arrayBuffer === 'function'
+      ? new TextDecoder('utf-8', { ignoreBOM: true }).decode(await response.arrayBuffer())
+      : await response.text()
 
-    // Parse JSON if possible
+    // Parse JSON if possible, noting duplicate keys, imprecise numbers and a byte order mark
     let responseData: unknown = null
     let parseError: string | undefined = undefined
+    let jsonIssues: JsonIssue[] | undefined = undefined
 
     try {
-      responseData = responseText ? JSON.parse(responseText) : null
+      if (responseText) {
+        const parsed = parseJson(responseText)
+        responseData = parsed.value
+        jsonIssues = parsed.issues
+      }
     } catch (error) {
       parseError = `Invalid JSON response: ${error instanceof Error ? error.message : String(error)}`
     }
@@ -91,6 +114,7 @@ export async function makeRequest(config: TestConfig): Promise<ApiResponse & { s
       statusText: response.statusText,
       headers: Object.fromEntries(response.headers.entries()),
       parseError,
+      jsonIssues,
       rawResponse: responseText
     }
 
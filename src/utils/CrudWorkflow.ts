@@ -0,0 +1,400 @@
+/**
+ * CrudWorkflow.ts
+ *
+ * Runs a create → read → update → read → delete → read workflow against a
+ * collection endpoint, and a read → update → read → restore check that a partial
+ * update leaves the members it does not send untouched. Every request is validated with
+ * the full validator suite, plus the workflow's expectations of what each step returns.
+ * Based on specification: https://jsonapi.org/format/1.1/#crud
+ */
+
+import { runValidation } from './ValidationService.js'
+import { getMemberUrl } from './UrlValidator.js'
+import {
+  validateCreateResponse,
+  validateResourceReadBack,
+  validateUpdateResponse,
+  validateUpdateResponseBody,
+  validatePartialUpdate,
+  validateDeleteResponse,
+  validateReadAfterDelete,
+  getCreatedResourceUrl
+} from '../validators/WorkflowValidator.js'
+import type { ExtendedTestConfig, ResponseCheckResult } from './ValidationService.js'
+import type { ExpectedResource } from '../validators/WorkflowValidator.js'
+import type { ApiResponse, ValidationReport, ValidationSummary } from '../types/validation.js'
+
+export interface CrudWorkflowConfig extends ExtendedTestConfig {
+  /**
+   * Document sent with PATCH; the created resource's type and id are filled in. Defaults to
+   * appending " (updated)" to the first string attribute of the sample resource
+   */
+  updateBody?: string | object
+}
+
+/**
+ * Turns off the options that send extra requests, which would repeat a workflow's writes
+ */
+export const NO_EXTRA_REQUESTS: Partial<ExtendedTestConfig> = {
+  negotiationProbes: false,
+  cursorPaginationProbes: false,
+  clientIdProbes: false,
+  conflictProbes: false,
+  crawlPagination: false
+}
+
+/**
+ * One request of a multi-step workflow (the CRUD workflow or a scenario, see ScenarioRunner)
+ */
+export interface WorkflowStep {
+  name: string
+  method: string
+  /** URL requested; unknown for steps skipped before their URL could be built */
+  url?: string
+  report?: ValidationReport
+  /** Why the step was not run */
+  skipped?: string
+}
+
+export interface WorkflowReport {
+  metadata: {
+    timestamp: string
+    /** Collection URL of the CRUD workflow, resource URL of the partial update check, or the scenario name */
+    name: string
+    duration: string
+    status: 'passed' | 'failed' | 'warning'
+  }
+  /** Totals over all steps */
+  summary: ValidationSummary
+  steps: WorkflowStep[]
+}
+
+/**
+ * Creates a resource in a collection, then reads, updates and deletes it, validating each response
+ * @param config - Test configuration; apiUrl is the collection and requestBody the resource to create
+ * @returns One report per step and totals over the workflow
+ * @throws Error if the sample or update body is not a document with a resource object
+ */
+export async function runCrudWorkflow(config: CrudWorkflowConfig): Promise<WorkflowReport> {
+  const startTime = Date.now()
+  const collectionUrl = config.apiUrl
+  const sample = parseResourceDocument(config.requestBody, 'sample resource body')
+  if (typeof sample.data.type !== 'string') {
+    throw new Error('The sample resource body must give the resource "type"')
+  }
+  const update = buildUpdate(config.updateBody, sample.data)
+
+  // Extra requests the other options send would repeat the writes, so they stay off
+  const stepConfig: ExtendedTestConfig = { ...config, ...NO_EXTRA_REQUESTS }
+  const steps: WorkflowStep[] = []
+
+  const sent: ExpectedResource = {
+    type: sample.data.type,
+    ...(typeof sample.data.id === 'string' ? { id: sample.data.id } : {}),
+    attributes: getAttributes(sample.data)
+  }
+  const create = await runWorkflowStep(stepConfig, 'Create', 'POST', collectionUrl, sample.document,
+    response => validateCreateResponse(response, sent, collectionUrl))
+  steps.push(create.step)
+
+  // The rest of the workflow needs to know where the created resource lives
+  const createdData = getPrimaryData(create.response?.data)
+  const id = typeof createdData?.id === 'string' ? createdData.id : sent.id
+  const resourceUrl = create.response && id !== undefined
+    ? getCreatedResourceUrl(create.response, collectionUrl) ?? getMemberUrl(collectionUrl, id)
+    : undefined
+
+  if (id === undefined || resourceUrl === undefined) {
+    const reason = create.response
+      ? 'the create response did not identify the created resource'
+      : 'the create request failed'
+    const remaining: Array<[string, string]> = [
+      ['Read after create', 'GET'], ['Update', 'PATCH'], ['Read after update', 'GET'], ['Delete', 'DELETE'], ['Read after delete', 'GET']
+    ]
+    remaining.forEach(([name, method]) => steps.push({ name, method, skipped: reason }))
+    return createWorkflowReport(collectionUrl, steps, startTime)
+  }
+
+  const created: ExpectedResource = { ...sent, id }
+  const updated: ExpectedResource = { type: sent.type, id, attributes: update.attributes }
+  const updateDocument = { ...update.document, data: { ...update.data, type: sent.type, id } }
+
+  steps.push((await runWorkflowStep(stepConfig, 'Read after create', 'GET', resourceUrl, undefined,
+    response => validateResourceReadBack(response, created, 'create'))).step)
+  steps.push((await runWorkflowStep(stepConfig, 'Update', 'PATCH', resourceUrl, updateDocument,
+    response => mergeChecks(validateUpdateResponse(response, updated), validateUpdateResponseBody(response, updated)))).step)
+  steps.push((await runWorkflowStep(stepConfig, 'Read after update', 'GET', resourceUrl, undefined,
+    response => validateResourceReadBack(response, updated, 'update'))).step)
+  steps.push((await runWorkflowStep(stepConfig, 'Delete', 'DELETE', resourceUrl, undefined,
+    response => validateDeleteResponse(response, created))).step)
+  steps.push((await runWorkflowStep(stepConfig, 'Read after delete', 'GET', resourceUrl, undefined,
+    response => validateReadAfterDelete(response, created))).step)
+
+  return createWorkflowReport(collectionUrl, steps, startTime)
+}
+
+/**
+ * Fetches a resource, updates one attribute with PATCH and fetches it again, checking the update
+ * response reflects the change and that no member left out of the request changed. A final PATCH
+ * puts back the values the update replaced
+ * @param config - Test configuration; apiUrl is the resource, updateBody optionally the members to send
+ * @returns One report per step and totals over the workflow
+ * @throws Error if the update body is not a document with a resource object
+ */
+export async function runPartialUpdateWorkflow(config: CrudWorkflowConfig): Promise<WorkflowReport> {
+  const startTime = Date.now()
+  const resourceUrl = config.apiUrl
+  const stepConfig: ExtendedTestConfig = { ...config, ...NO_EXTRA_REQUESTS }
+  const steps: WorkflowStep[] = []
+
+  const read = await runWorkflowStep(stepConfig, 'Read before update', 'GET', resourceUrl, undefined)
+  steps.push(read.step)
+
+  const before = read.response?.status === 200 ? getPrimaryData(read.response.data) : undefined
+  if (!before || typeof before.type !== 'string' || typeof before.id !== 'string') {
+    const reason = read.response
+      ? 'the resource could not be fetched as a single resource object'
+      : 'the request for the resource failed'
+    steps.push({ name: 'Update', method: 'PATCH', skipped: reason }, { name: 'Read after update', method: 'GET', skipped: reason })
+    return createWorkflowReport(resourceUrl, steps, startTime)
+  }
+
+  // Without an update body, a single string attribute changes and everything else is left out
+  const update = buildUpdate(config.updateBody, before)
+  const updated: ExpectedResource = { type: before.type, id: before.id, attributes: update.attributes }
+  const updateDocument = { ...update.document, data: { ...update.data, type: before.type, id: before.id } }
+  const sent = {
+    attributes: Object.keys(update.attributes),
+    relationships: Object.keys(getMembers(update.data, 'relationships'))
+  }
+
+  const patch = await runWorkflowStep(stepConfig, 'Update', 'PATCH', resourceUrl, updateDocument,
+    response => mergeChecks(validateUpdateResponse(response, updated), validateUpdateResponseBody(response, updated)))
+  steps.push(patch.step)
+  steps.push((await runWorkflowStep(stepConfig, 'Read after update', 'GET', resourceUrl, undefined,
+    response => mergeChecks(validateResourceReadBack(response, updated, 'update'), validatePartialUpdate(response, before, sent, patch.response)))).step)
+
+  // An update the server refused changed nothing, so there is nothing to put back
+  const restoreData = buildRestoreData(before, sent)
+  if (patch.response && patch.response.status >= 200 && patch.response.status < 300 && restoreData) {
+    steps.push((await runWorkflowStep(stepConfig, 'Restore', 'PATCH', resourceUrl, { data: restoreData },
+      response => checkRestoreResponse(response, resourceUrl))).step)
+  }
+
+  return createWorkflowReport(resourceUrl, steps, startTime)
+}
+
+/**
+ * Builds the resource object that puts back the values a partial update replaced
+ * @param before - The resource as fetched before the update
+ * @param sent - Names of the attributes and relationships the update sent
+ * @returns Resource object with the original values, or undefined if none of the sent members had one
+ */
+function buildRestoreData(
+  before: Record<string, unknown>,
+  sent: { attributes: string[]; relationships: string[] }
+): Record<string, unknown> | undefined {
+  const attributes = getAttributes(before)
+  const relationships = getMembers(before, 'relationships')
+
+  // A member the resource did not have, or a relationship fetched without linkage, has no value to put back
+  const restoredAttributes = Object.fromEntries(sent.attributes
+    .filter(name => name in attributes)
+    .map(name => [name, attributes[name]]))
+  const restoredRelationships = Object.fromEntries(sent.relationships
+    .map(name => [name, relationships[name]] as const)
+    .filter(([, relationship]) => relationship && typeof relationship === 'object' && 'data' in relationship)
+    .map(([name, relationship]) => [name, { data: (relationship as Record<string, unknown>).data }]))
+
+  if (Object.keys(restoredAttributes).length === 0 && Object.keys(restoredRelationships).length === 0) {
+    return undefined
+  }
+  return {
+    type: before.type,
+    id: before.id,
+    ...(Object.keys(restoredAttributes).length > 0 ? { attributes: restoredAttributes } : {}),
+    ...(Object.keys(restoredRelationships).length > 0 ? { relationships: restoredRelationships } : {})
+  }
+}
+
+/**
+ * Checks that the server accepted the PATCH putting back the original values. A refusal is
+ * a warning: the update under test has already been checked, but the resource keeps its new values
+ * @param response - Response to the restoring PATCH
+ * @param resourceUrl - URL of the resource
+ * @returns Check result
+ */
+function checkRestoreResponse(response: ApiResponse, resourceUrl: string): ResponseCheckResult {
+  if (response.status >= 200 && response.status < 300) {
+    return {
+      valid: true,
+      errors: [],
+      warnings: [],
+      details: [{ test: 'Workflow Restore', status: 'passed', message: 'The resource was restored to its original values' }]
+    }
+  }
+  return {
+    valid: true,
+    errors: [],
+    warnings: [{ test: 'Workflow Restore', message: `The resource at ${resourceUrl} keeps the updated values; restoring the original values failed (server answered ${response.status})` }],
+    details: []
+  }
+}
+
+/**
+ * Sends one request of a workflow and validates its response
+ * @param config - Test configuration shared by the steps
+ * @param name - Step name
+ * @param method - HTTP method
+ * @param url - Request URL
+ * @param body - Request document, if any
+ * @param check - The workflow's expectations of the response, if any
+ * @returns The step and, if the request succeeded, its response
+ */
+export async function runWorkflowStep(
+  config: ExtendedTestConfig,
+  name: string,
+  method: string,
+  url: string,
+  body: string | object | undefined,
+  check?: (response: ApiResponse) => ResponseCheckResult
+): Promise<{ step: WorkflowStep; response?: ApiResponse }> {
+  let received: ApiResponse | undefined
+  const report = await runValidation({
+    ...config,
+    apiUrl: url,
+    httpMethod: method,
+    requestBody: body,
+    responseChecks: response => {
+      received = response
+      return check ? check(response) : { valid: true, errors: [], warnings: [], details: [] }
+    }
+  })
+
+  return { step: { name, method, url, report }, ...(received ? { response: received } : {}) }
+}
+
+/**
+ * Combines the step reports into the workflow report
+ * @param name - Collection URL or scenario name
+ * @param steps - Steps run or skipped
+ * @param startTime - When the workflow started (ms)
+ * @returns Workflow report
+ */
+export function createWorkflowReport(name: string, steps: WorkflowStep[], startTime: number): WorkflowReport {
+  const summary: ValidationSummary = { total: 0, passed: 0, failed: 0, warnings: 0 }
+  steps.forEach(step => {
+    if (step.report) {
+      summary.total += step.report.summary.total
+      summary.passed += step.report.summary.passed
+      summary.failed += step.report.summary.failed
+      summary.warnings += step.report.summary.warnings
+    }
+  })
+
+  // A workflow that could not run every step has not shown the endpoint works
+  const incomplete = steps.some(step => step.skipped)
+  return {
+    metadata: {
+      timestamp: new Date(startTime).toISOString(),
+      name,
+      duration: `${Date.now() - startTime}ms`,
+      status: summary.failed > 0 || incomplete ? 'failed' : summary.warnings > 0 ? 'warning' : 'passed'
+    },
+    summary,
+    steps
+  }
+}
+
+/**
+ * Parses a request document whose primary data is a single resource object
+ * @param body - Document as JSON text or object
+ * @param label - What the document is, for error messages
+ * @returns The document and its primary data
+ * @throws Error if the body is missing, not JSON or has no resource object in "data"
+ */
+function parseResourceDocument(body: string | object | undefined, label: string): { document: Record<string, unknown>; data: Record<string, unknown> } {
+  let document: unknown = body
+  if (typeof body === 'string') {
+    try {
+      document = JSON.parse(body)
+    } catch (error) {
+      throw new Error(`The ${label} is not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+    }
+  }
+
+  const data = getPrimaryData(document)
+  if (!data) {
+    throw new Error(`The ${label} must be a JSON:API document with a resource object in "data"`)
+  }
+  return { document: document as Record<string, unknown>, data }
+}
+
+/**
+ * Builds the update the workflow sends: the given update body, or a change to the first
+ * string attribute of the sample resource
+ * @param updateBody - Update document given by the user, if any
+ * @param sample - Resource object the workflow creates
+ * @returns Update document, its primary data and the attribute values it sets
+ * @throws Error if there is no update body and the sample has no string attribute to change
+ */
+function buildUpdate(
+  updateBody: string | object | undefined,
+  sample: Record<string, unknown>
+): { document: Record<string, unknown>; data: Record<string, unknown>; attributes: Record<string, unknown> } {
+  if (updateBody !== undefined && updateBody !== '') {
+    const update = parseResourceDocument(updateBody, 'update body')
+    return { ...update, attributes: getAttributes(update.data) }
+  }
+
+  const changed = Object.entries(getAttributes(sample)).find(([, value]) => typeof value === 'string')
+  if (!changed) {
+    throw new Error('The sample resource has no string attribute the workflow can change; give an update body')
+  }
+  const attributes = { [changed[0]]: `${changed[1] as string} (updated)` }
+  return { document: {}, data: { attributes }, attributes }
+}
+
+/**
+ * Gets the single resource object of a document
+ * @param document - JSON:API document
+ * @returns Primary data, or undefined if it is not a single resource object
+ */
+function getPrimaryData(document: unknown): Record<string, unknown> | undefined {
+  const data = document && typeof document === 'object' ? (document as Record<string, unknown>).data : undefined
+  return data && typeof data === 'object' && !Array.isArray(data) ? data as Record<string, unknown> : undefined
+}
+
+/**
+ * Gets the attributes of a resource object
+ * @param resource - Resource object
+ * @returns Attributes, or an empty object if the resource has none
+ */
+function getAttributes(resource: Record<string, unknown>): Record<string, unknown> {
+  return getMembers(resource, 'attributes')
+}
+
+/**
+ * Gets the attributes or relationships object of a resource object
+ * @param resource - Resource object
+ * @param kind - Which members to get
+ * @returns The members, or an empty object if the resource has none
+ */
+function getMembers(resource: Record<string, unknown>, kind: 'attributes' | 'relationships'): Record<string, unknown> {
+  const members = resource[kind]
+  return members && typeof members === 'object' && !Array.isArray(members) ? members as Record<string, unknown> : {}
+}
+
+/**
+ * Combines the results of several checks of one response
+ * @param checks - Check results
+ * @returns Combined result
+ */
+function mergeChecks(...checks: ResponseCheckResult[]): ResponseCheckResult {
+  return {
+    valid: checks.every(check => check.valid),
+    errors: checks.flatMap(check => check.errors),
+    warnings: checks.flatMap(check => check.warnings),
+    details: checks.flatMap(check => check.details)
+  }
+}
@@ -0,0 +1,322 @@
+/**
+ * JsonParser.ts
+ *
+ * Position-aware JSON parser for response bodies. It yields the same value as
+ * JSON.parse but also reports what JSON.parse silently accepts or drops:
+ * duplicate object keys, numbers beyond safe integer precision and a leading
+ * byte order mark.
+ * Based on specification: https://www.rfc-editor.org/rfc/rfc8259
+ */
+
+export type JsonIssueKind = 'duplicate-key' | 'unsafe-number' | 'byte-order-mark'
+
+export interface JsonIssue {
+  kind: JsonIssueKind
+  message: string
+  /** 1-based line of the offending token */
+  line: number
+  /** 1-based column of the offending token */
+  column: number
+  /** JSON Pointer of the offending member or value */
+  pointer: string
+}
+
+export interface JsonParseOptions {
+  /** Record where each value starts, keyed by JSON Pointer */
+  positions?: boolean
+}
+
+export interface JsonParseResult {
+  value: unknown
+  issues: JsonIssue[]
+  /** Character offset of each value, or of the member name for object members (with options.positions) */
+  positions?: Map<string, number>
+}
+
+const NUMBER_PATTERN = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y
+const ESCAPES: Record<string, string> = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' }
+
+/**
+ * Parses JSON text, collecting interoperability issues along the way
+ * @param text - JSON text, possibly starting with a byte order mark
+ * @param options - Whether to record the position of every value
+ * @returns Parsed value (last value wins for duplicate keys, as with JSON.parse) and issues
+ * @throws Error with line and column if the text is not valid JSON
+ */
+export function parseJson(text: string, options: JsonParseOptions = {}): JsonParseResult {
+  const parser = new JsonTextParser(text, options.positions ? new Map() : undefined)
+  return parser.parse()
+}
+
+/**
+ * Escapes a member name for use as a JSON Pointer reference token
+ * @param key - Member name
+ * @returns Escaped reference token
+ */
+function escapePointerToken(key: string): string {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1')
+}
+
+/**
+ * Recursive descent parser over a single JSON text
+ */
+class JsonTextParser {
+  private readonly text: string
+  private position = 0
+  private readonly issues: JsonIssue[] = []
+  private readonly positions: Map<string, number> | undefined
+  private lineStarts: number[] | undefined
+
+  constructor(text: string, positions?: Map<string, number>) {
+    this.text = text
+    this.positions = positions
+  }
+
+  parse(): JsonParseResult {
+    if (this.text.startsWith('\uFEFF')) {
+      this.addIssue('byte-order-mark', 0, '', 'Response starts with a byte order mark (U+FEFF); JSON texts must not begin with one and JSON.parse rejects it')
+      this.position = 1
+    }
+
+    this.skipWhitespace()
+    this.positions?.set('', this.position)
+    const value = this.parseValue('')
+    this.skipWhitespace()
+    if (this.position < this.text.length) {
+      this.fail(`Unexpected ${this.describeCharacter()} after the JSON value`)
+    }
+
+    return this.positions ? { value, issues: this.issues, positions: this.positions } : { value, issues: this.issues }
+  }
+
+  private parseValue(pointer: string): unknown {
+    const character = this.text[this.position]
+    switch (character) {
+      case '{':
+        return this.parseObject(pointer)
+      case '[':
+        return this.parseArray(pointer)
+      case '"':
+        return this.parseString()
+      case 't':
+        return this.parseLiteral('true', true)
+      case 'f':
+        return this.parseLiteral('false', false)
+      case 'n':
+        return this.parseLiteral('null', null)
+      default:
+        if (character === '-' || (character !== undefined && character >= '0' && character <= '9')) {
+          return this.parseNumber(pointer)
+        }
+        return this.fail(`Unexpected ${this.describeCharacter()}; expected a JSON value`)
+    }
+  }
+
+  private parseObject(pointer: string): Record<string, unknown> {
+    const result: Record<string, unknown> = {}
+    const firstSeen = new Map<string, number>()
+    this.position++
+    this.skipWhitespace()
+
+    if (this.text[this.position] === '}') {
+      this.position++
+      return result
+    }
+
+    for (;;) {
+      if (this.text[this.position] !== '"') {
+        this.fail(`Unexpected ${this.describeCharacter()}; expected a member name in double quotes`)
+      }
+      const keyStart = this.position
+      const key = this.parseString()
+      const memberPointer = `${pointer}/${escapePointerToken(key)}`
+      this.positions?.set(memberPointer, keyStart)
+
+      const firstStart = firstSeen.get(key)
+      if (firstStart === undefined) {
+        firstSeen.set(key, keyStart)
+      } else {
+        const first = this.positionAt(firstStart)
+        this.addIssue(
+          'duplicate-key',
+          keyStart,
+          memberPointer,
+          `Duplicate member "${key}" in the object at ${pointer || '/'} (first defined at line ${first.line}, column ${first.column}); JSON.parse silently keeps the last value`
+        )
+      }
+
+      this.skipWhitespace()
+      this.expect(':')
+      this.skipWhitespace()
+      // defineProperty keeps "__proto__" an own member, as JSON.parse does
+      Object.defineProperty(result, key, { value: this.parseValue(memberPointer), enumerable: true, writable: true, configurable: true })
+      this.skipWhitespace()
+
+      if (this.text[this.position] === ',') {
+        this.position++
+        this.skipWhitespace()
+      } else if (this.text[this.position] === '}') {
+        this.position++
+        return result
+      } else {
+        this.fail(`Unexpected ${this.describeCharacter()}; expected "," or "}" in object`)
+      }
+    }
+  }
+
+  private parseArray(pointer: string): unknown[] {
+    const result: unknown[] = []
+    this.position++
+    this.skipWhitespace()
+
+    if (this.text[this.position] === ']') {
+      this.position++
+      return result
+    }
+
+    for (;;) {
+      const itemPointer = `${pointer}/${result.length}`
+      this.positions?.set(itemPointer, this.position)
+      result.push(this.parseValue(itemPointer))
+      this.skipWhitespace()
+
+      if (this.text[this.position] === ',') {
+        this.position++
+        this.skipWhitespace()
+      } else if (this.text[this.position] === ']') {
+        this.position++
+        return result
+      } else {
+        this.fail(`Unexpected ${this.describeCharacter()}; expected "," or "]" in array`)
+      }
+    }
+  }
+
+  private parseString(): string {
+    this.position++
+    let result = ''
+    let chunkStart = this.position
+
+    for (;;) {
+      const character = this.text[this.position]
+      if (character === undefined) {
+        this.fail('Unterminated string')
+      } else if (character === '"') {
+        result += this.text.slice(chunkStart, this.position)
+        this.position++
+        return result
+      } else if (character === '\\') {
+        result += this.text.slice(chunkStart, this.position)
+        result += this.parseEscape()
+        chunkStart = this.position
+      } else if (character < ' ') {
+        this.fail('Unescaped control character in string')
+      } else {
+        this.position++
+      }
+    }
+  }
+
+  private parseEscape(): string {
+    const escape = this.text[this.position + 1]
+    if (escape === 'u') {
+      const hex = this.text.slice(this.position + 2, this.position + 6)
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        this.fail('Invalid \\u escape in string')
+      }
+      this.position += 6
+      return String.fromCharCode(parseInt(hex, 16))
+    }
+
+    const replacement = escape === undefined ? undefined : ESCAPES[escape]
+    if (replacement === undefined) {
+      this.fail('Invalid escape in string')
+    }
+    this.position += 2
+    return replacement
+  }
+
+  private parseNumber(pointer: string): number {
+    NUMBER_PATTERN.lastIndex = this.position
+    const match = NUMBER_PATTERN.exec(this.text)
+    if (!match) {
+      return this.fail('Invalid number')
+    }
+
+    const literal = match[0]
+    const value = Number(literal)
+    if (!Number.isFinite(value)) {
+      this.addIssue('unsafe-number', this.position, pointer, `Number ${literal} is too large for a double and is read as ${value}`)
+    } else if (/^-?\d+$/.test(literal) && !Number.isSafeInteger(value)) {
+      this.addIssue('unsafe-number', this.position, pointer, `Integer ${literal} exceeds the safe integer range (±${Number.MAX_SAFE_INTEGER}) and is read as ${BigInt(value)}; send it as a string`)
+    }
+
+    this.position += literal.length
+    return value
+  }
+
+  private parseLiteral<T>(literal: string, value: T): T {
+    if (!this.text.startsWith(literal, this.position)) {
+      this.fail(`Unexpected ${this.describeCharacter()}; expected a JSON value`)
+    }
+    this.position += literal.length
+    return value
+  }
+
+  private skipWhitespace(): void {
+    while (this.position < this.text.length) {
+      const character = this.text[this.position]
+      if (character !== ' ' && character !== '\t' && character !== '\n' && character !== '\r') {
+        return
+      }
+      this.position++
+    }
+  }
+
+  private expect(character: string): void {
+    if (this.text[this.position] !== character) {
+      this.fail(`Unexpected ${this.describeCharacter()}; expected "${character}"`)
+    }
+    this.position++
+  }
+
+  private describeCharacter(): string {
+    const character = this.text[this.position]
+    return character === undefined ? 'end of input' : `character ${JSON.stringify(character)}`
+  }
+
+  private addIssue(kind: JsonIssueKind, index: number, pointer: string, message: string): void {
+    this.issues.push({ kind, message, pointer, ...this.positionAt(index) })
+  }
+
+  private fail(message: string): never {
+    const { line, column } = this.positionAt(this.position)
+    throw new Error(`${message} at line ${line}, column ${column}`)
+  }
+
+  /**
+   * Converts a character index into a 1-based line and column
+   */
+  private positionAt(index: number): { line: number, column: number } {
+    if (!this.lineStarts) {
+      this.lineStarts = [0]
+      for (let i = 0; i < this.text.length; i++) {
+        if (this.text[i] === '\n') {
+          this.lineStarts.push(i + 1)
+        }
+      }
+    }
+
+    let low = 0
+    let high = this.lineStarts.length - 1
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if ((this.lineStarts[middle] ?? 0) <= index) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+    return { line: low + 1, column: index - (this.lineStarts[low] ?? 0) + 1 }
+  }
+}
@@ -0,0 +1,535 @@
+/**
+ * OpenApiImporter.ts
+ *
+ * Imports an OpenAPI 3.x document describing a JSON:API service: its paths and operations
+ * become validation targets, and the resource objects described by its response schemas
+ * become resource schemas for the type-level attribute and relationship checks.
+ */
+
+import type { AttributeSchema, AttributeType, RelationshipSchema, ResourceSchema, ResourceSchemas, TestConfig } from '../types/validation.js'
+
+export type OpenApiMethod = TestConfig['httpMethod']
+
+/**
+ * An operation of the OpenAPI document, resolved to a request the validator can send
+ */
+export interface OpenApiEndpoint {
+  method: OpenApiMethod
+  path: string
+  url: string
+  operationId?: string
+  summary?: string
+  requestBody?: string
+  unresolvedParameters: string[]
+}
+
+/**
+ * Result of importing an OpenAPI document
+ */
+export interface OpenApiImport {
+  title?: string
+  serverUrl: string
+  endpoints: OpenApiEndpoint[]
+  schemas: ResourceSchemas
+}
+
+type SchemaObject = Record<string, unknown>
+
+const OPERATION_METHODS: readonly OpenApiMethod[] = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+
+const ATTRIBUTE_TYPES: readonly AttributeType[] = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+/**
+ * Parses an OpenAPI 3.x document. Only the JSON format is supported; YAML documents must be converted first
+ * @param source - JSON text of the OpenAPI document
+ * @param baseUrl - Server URL to use instead of the document's first server
+ * @returns Validation targets and resource schemas
+ * @throws Error if the text is not JSON or not an OpenAPI 3.x document
+ */
+export function parseOpenApiDocument(source: string, baseUrl?: string): OpenApiImport {
+  let document: unknown
+  try {
+    document = JSON.parse(source)
+  } catch (error) {
+    // A JSON document starts with an object; anything else is most likely the YAML format
+    if (!source.trimStart().startsWith('{')) {
+      throw new Error('OpenAPI document is not JSON: YAML documents are not supported, convert the document to JSON first')
+    }
+    throw new Error(`OpenAPI document is not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+  }
+  return importOpenApiDocument(document, baseUrl)
+}
+
+/**
+ * Imports a parsed OpenAPI 3.x document
+ * @param document - OpenAPI document
+ * @param baseUrl - Server URL to use instead of the document's first server
+ * @returns Validation targets and resource schemas
+ * @throws Error if the document is not an OpenAPI 3.x document
+ */
+export function importOpenApiDocument(document: unknown, baseUrl?: string): OpenApiImport {
+  if (!isPlainObject(document) || typeof (document as SchemaObject).openapi !== 'string' ||
+      !((document as SchemaObject).openapi as string).startsWith('3.')) {
+    throw new Error('Not an OpenAPI 3.x document: missing "openapi": "3.x" member')
+  }
+  const doc = document as SchemaObject
+  const paths = isPlainObject(doc.paths) ? doc.paths as Record<string, unknown> : {}
+  const info = isPlainObject(doc.info) ? doc.info as SchemaObject : {}
+  const serverUrl = (baseUrl ?? getServerUrl(doc)).replace(/\/+$/, '')
+
+  const endpoints: OpenApiEndpoint[] = []
+  const collector = new ResourceSchemaCollector(doc)
+
+  Object.entries(paths).forEach(([path, pathItem]) => {
+    if (!isPlainObject(pathItem)) {
+      return
+    }
+    const item = collector.resolve(pathItem) as SchemaObject
+    const pathParameters = asArray(item.parameters)
+
+    OPERATION_METHODS.forEach(method => {
+      const operation = item[method.toLowerCase()]
+      if (!isPlainObject(operation)) {
+        return
+      }
+      const op = operation as SchemaObject
+      const parameters = [...pathParameters, ...asArray(op.parameters)].map(parameter => collector.resolve(parameter))
+      const { url, unresolved } = buildUrl(serverUrl, path, parameters)
+
+      const endpoint: OpenApiEndpoint = { method, path, url, unresolvedParameters: unresolved }
+      if (typeof op.operationId === 'string') endpoint.operationId = op.operationId
+      if (typeof op.summary === 'string') endpoint.summary = op.summary
+      const example = getRequestExample(collector, op.requestBody)
+      if (example !== undefined) endpoint.requestBody = JSON.stringify(example, null, 2)
+      endpoints.push(endpoint)
+
+      Object.values(isPlainObject(op.responses) ? op.responses as Record<string, unknown> : {}).forEach(response => {
+        getJsonContentSchemas(collector, response).forEach(schema => collector.collectDocument(schema))
+      })
+    })
+  })
+
+  const result: OpenApiImport = { serverUrl, endpoints, schemas: collector.schemas() }
+  if (typeof info.title === 'string') result.title = info.title
+  return result
+}
+
+/**
+ * Reads resource schemas from a JSON Schema whose definitions describe resource objects,
+ * such as the one exported by SchemaInference
+ * @param schema - JSON Schema document
+ * @returns Resource schemas keyed by resource type
+ */
+export function resourceSchemasFromJsonSchema(schema: unknown): ResourceSchemas {
+  if (!isPlainObject(schema)) {
+    return {}
+  }
+  const root = schema as SchemaObject
+  const collector = new ResourceSchemaCollector(root)
+  const definitions = [root.$defs, root.definitions].flatMap(group => isPlainObject(group) ? Object.values(group as SchemaObject) : [])
+
+  collector.collectDocument(root)
+  definitions.forEach(definition => collector.collectDocument(definition))
+  return collector.schemas()
+}
+
+/**
+ * Builds the request URL of an operation, filling path parameters from their examples
+ * @param serverUrl - Server URL without trailing slash
+ * @param path - Path template, e.g. /articles/{id}
+ * @param parameters - Resolved parameter objects of the operation
+ * @returns URL and the names of path parameters without an example
+ */
+function buildUrl(serverUrl: string, path: string, parameters: unknown[]): { url: string, unresolved: string[] } {
+  const unresolved: string[] = []
+  const filledPath = path.replace(/\{([^}]+)\}/g, (placeholder, name: string) => {
+    const parameter = parameters.find(candidate => isPlainObject(candidate) &&
+      (candidate as SchemaObject).in === 'path' && (candidate as SchemaObject).name === name) as SchemaObject | undefined
+    const value = parameter ? getParameterExample(parameter) : undefined
+    if (value === undefined) {
+      unresolved.push(name)
+      return placeholder
+    }
+    return encodeURIComponent(String(value))
+  })
+  return { url: `${serverUrl}${filledPath}`, unresolved }
+}
+
+/**
+ * Finds an example value for a parameter
+ * @param parameter - Parameter object
+ * @returns Example, schema example or default, if any
+ */
+function getParameterExample(parameter: SchemaObject): unknown {
+  if (parameter.example !== undefined) {
+    return parameter.example
+  }
+  const examples = isPlainObject(parameter.examples) ? Object.values(parameter.examples as SchemaObject) : []
+  const named = examples.find(example => isPlainObject(example) && (example as SchemaObject).value !== undefined) as SchemaObject | undefined
+  if (named) {
+    return named.value
+  }
+  const schema = isPlainObject(parameter.schema) ? parameter.schema as SchemaObject : {}
+  return schema.example ?? schema.default ?? (Array.isArray(schema.examples) ? schema.examples[0] : undefined)
+}
+
+/**
+ * Reads the first server URL, substituting server variables with their defaults
+ * @param document - OpenAPI document
+ * @returns Server URL, or an empty string if the document declares none
+ */
+function getServerUrl(document: SchemaObject): string {
+  const server = asArray(document.servers)[0]
+  if (!isPlainObject(server) || typeof (server as SchemaObject).url !== 'string') {
+    return ''
+  }
+  const variables = isPlainObject((server as SchemaObject).variables) ? (server as SchemaObject).variables as SchemaObject : {}
+  return ((server as SchemaObject).url as string).replace(/\{([^}]+)\}/g, (placeholder, name: string) => {
+    const variable = variables[name]
+    return isPlainObject(variable) && (variable as SchemaObject).default !== undefined
+      ? String((variable as SchemaObject).default)
+      : placeholder
+  })
+}
+
+/**
+ * Finds the example request document of an operation
+ * @param collector - Reference resolver
+ * @param requestBody - Request body object of the operation
+ * @returns Example document, if any
+ */
+function getRequestExample(collector: ResourceSchemaCollector, requestBody: unknown): unknown {
+  const media = getJsonMediaType(collector, requestBody)
+  if (!media) {
+    return undefined
+  }
+  if (media.example !== undefined) {
+    return media.example
+  }
+  const named = Object.values(isPlainObject(media.examples) ? media.examples as SchemaObject : {})
+    .map(example => collector.resolve(example))
+    .find(example => isPlainObject(example) && (example as SchemaObject).value !== undefined) as SchemaObject | undefined
+  if (named) {
+    return named.value
+  }
+  const schema = isPlainObject(media.schema) ? collector.resolve(media.schema) as SchemaObject : {}
+  return schema.example
+}
+
+/**
+ * Collects the schemas of JSON content in a response or request body object
+ * @param collector - Reference resolver
+ * @param body - Response or request body object
+ * @returns Schemas of its JSON:API (or JSON) media type
+ */
+function getJsonContentSchemas(collector: ResourceSchemaCollector, body: unknown): SchemaObject[] {
+  const media = getJsonMediaType(collector, body)
+  return media && isPlainObject(media.schema) ? [media.schema as SchemaObject] : []
+}
+
+/**
+ * Picks the JSON:API media type of a body, falling back to any JSON media type
+ * @param collector - Reference resolver
+ * @param body - Response or request body object
+ * @returns Media type object, if any
+ */
+function getJsonMediaType(collector: ResourceSchemaCollector, body: unknown): SchemaObject | undefined {
+  const resolved = collector.resolve(body)
+  if (!isPlainObject(resolved) || !isPlainObject((resolved as SchemaObject).content)) {
+    return undefined
+  }
+  const content = (resolved as SchemaObject).content as Record<string, unknown>
+  const mediaType = Object.keys(content).find(type => type.startsWith('application/vnd.api+json')) ??
+    Object.keys(content).find(type => /^application\/([\w.-]+\+)?json\b/.test(type))
+  const media = mediaType ? content[mediaType] : undefined
+  return isPlainObject(media) ? media as SchemaObject : undefined
+}
+
+/**
+ * Walks response schemas and merges the resource objects they describe into resource schemas.
+ * A type described by several responses keeps the attributes of all of them; an attribute is
+ * required only if every description requires it.
+ */
+class ResourceSchemaCollector {
+  private readonly document: SchemaObject
+  private readonly collected = new Map<string, ResourceSchema[]>()
+  private readonly visited = new Set<SchemaObject>()
+
+  constructor(document: SchemaObject) {
+    this.document = document
+  }
+
+  /**
+   * Follows local $ref pointers
+   * @param value - Object that may be a reference
+   * @returns Referenced object, or the value itself
+   */
+  resolve(value: unknown): unknown {
+    let current = value
+    const seen = new Set<string>()
+    while (isPlainObject(current) && typeof (current as SchemaObject).$ref === 'string') {
+      const ref = (current as SchemaObject).$ref as string
+      if (!ref.startsWith('#/') || seen.has(ref)) {
+        return {}
+      }
+      seen.add(ref)
+      current = ref.slice(2).split('/')
+        .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce<unknown>((node, token) => isPlainObject(node) || Array.isArray(node)
+          ? (node as Record<string, unknown>)[token]
+          : undefined, this.document)
+    }
+    return current
+  }
+
+  /**
+   * Collects the resource objects of a top-level document schema
+   * @param schema - Document schema
+   */
+  collectDocument(schema: unknown): void {
+    const target = this.resolve(schema)
+    if (!isPlainObject(target) || this.visited.has(target as SchemaObject)) {
+      return
+    }
+    this.visited.add(target as SchemaObject)
+
+    const resolved = this.flatten(target)
+    if (this.collectResource(resolved)) {
+      return
+    }
+    const properties = this.properties(resolved)
+    const nested = [properties.data, properties.included, resolved.items]
+    nested.forEach(child => {
+      if (child !== undefined) this.collectDocument(child)
+    })
+    asArray(resolved.oneOf).concat(asArray(resolved.anyOf)).forEach(child => this.collectDocument(child))
+  }
+
+  /**
+   * Merged schemas keyed by resource type
+   */
+  schemas(): ResourceSchemas {
+    const schemas: ResourceSchemas = {}
+    this.collected.forEach((descriptions, type) => {
+      schemas[type] = mergeDescriptions(descriptions)
+    })
+    return schemas
+  }
+
+  /**
+   * Records the schema of a resource object with a fixed type
+   * @param schema - Flattened schema
+   * @returns True if the schema describes a resource object
+   */
+  private collectResource(schema: SchemaObject): boolean {
+    const properties = this.properties(schema)
+    const type = getConstant(this.flatten(properties.type))
+    if (type === undefined || (properties.attributes === undefined && properties.relationships === undefined)) {
+      return false
+    }
+
+    const resource: ResourceSchema = {}
+    if (properties.attributes !== undefined) {
+      const attributesSchema = this.flatten(properties.attributes)
+      const required = asArray(attributesSchema.required)
+      resource.attributes = {}
+      Object.entries(this.properties(attributesSchema)).forEach(([name, attribute]) => {
+        const types = this.attributeTypes(attribute)
+        if (types.length > 0) {
+          resource.attributes![name] = {
+            type: types.length === 1 ? types[0]! : types,
+            ...(required.includes(name) ? { required: true } : {})
+          }
+        }
+      })
+      if (attributesSchema.additionalProperties === false) {
+        resource.additionalAttributes = false
+      }
+    }
+
+    if (properties.relationships !== undefined) {
+      const relationshipsSchema = this.flatten(properties.relationships)
+      const required = asArray(relationshipsSchema.required)
+      resource.relationships = {}
+      Object.entries(this.properties(relationshipsSchema)).forEach(([name, relationship]) => {
+        const described = this.relationship(relationship)
+        if (described) {
+          resource.relationships![name] = { ...described, ...(required.includes(name) ? { required: true } : {}) }
+        }
+      })
+      if (relationshipsSchema.additionalProperties === false) {
+        resource.additionalRelationships = false
+      }
+    }
+
+    const descriptions = this.collected.get(type) ?? []
+    descriptions.push(resource)
+    this.collected.set(type, descriptions)
+    return true
+  }
+
+  /**
+   * Describes a relationship object schema by the shape of its resource linkage
+   * @param schema - Relationship object schema
+   * @returns Cardinality and target types, or undefined if linkage is not described
+   */
+  private relationship(schema: unknown): RelationshipSchema | undefined {
+    const data = this.properties(this.flatten(schema)).data
+    if (data === undefined) {
+      return undefined
+    }
+    const linkage = this.flatten(data)
+    const variants = [linkage, ...asArray(linkage.oneOf), ...asArray(linkage.anyOf)].map(variant => this.flatten(variant))
+    const toMany = variants.find(variant => variant.type === 'array' || variant.items !== undefined)
+    const identifiers = (toMany ? [this.flatten(toMany.items)] : variants)
+      .flatMap(identifier => [identifier, ...asArray(identifier.oneOf), ...asArray(identifier.anyOf)].map(variant => this.flatten(variant)))
+    const types = identifiers
+      .map(identifier => getConstant(this.flatten(this.properties(identifier).type)))
+      .filter((type): type is string => type !== undefined)
+
+    return {
+      cardinality: toMany ? 'many' : 'one',
+      ...(types.length > 0 ? { types: Array.from(new Set(types)) } : {})
+    }
+  }
+
+  /**
+   * Reads the JSON types an attribute schema allows
+   * @param schema - Attribute schema
+   * @returns Allowed attribute types; empty if the schema does not restrict them
+   */
+  private attributeTypes(schema: unknown): AttributeType[] {
+    const flattened = this.flatten(schema)
+    const variants = [...asArray(flattened.oneOf), ...asArray(flattened.anyOf)]
+    const types = variants.length > 0
+      ? variants.flatMap(variant => this.attributeTypes(variant))
+      : asArray(flattened.type).concat(typeof flattened.type === 'string' ? [flattened.type] : [])
+    if (variants.length > 0 && variants.some(variant => this.attributeTypes(variant).length === 0)) {
+      return []
+    }
+    if (flattened.nullable === true) {
+      types.push('null')
+    }
+    return Array.from(new Set(types.filter((type): type is AttributeType => ATTRIBUTE_TYPES.includes(type as AttributeType))))
+  }
+
+  /**
+   * Resolves a schema and merges its allOf members into one object schema
+   * @param schema - Schema or reference
+   * @returns Flattened schema
+   */
+  private flatten(schema: unknown): SchemaObject {
+    const resolved = this.resolve(schema)
+    if (!isPlainObject(resolved)) {
+      return {}
+    }
+    const resolvedObj = resolved as SchemaObject
+    const members = asArray(resolvedObj.allOf)
+    if (members.length === 0) {
+      return resolvedObj
+    }
+
+    const merged: SchemaObject = { ...resolvedObj, properties: { ...this.properties(resolvedObj) } }
+    delete merged.allOf
+    members.map(member => this.flatten(member)).forEach(member => {
+      Object.entries(member).forEach(([key, value]) => {
+        if (key === 'properties') {
+          merged.properties = { ...merged.properties as SchemaObject, ...this.properties(member) }
+        } else if (key === 'required') {
+          merged.required = [...asArray(merged.required), ...asArray(value)]
+        } else if (merged[key] === undefined) {
+          merged[key] = value
+        }
+      })
+    })
+    return merged
+  }
+
+  /**
+   * Reads the properties of an object schema
+   * @param schema - Flattened schema
+   * @returns Property schemas keyed by name
+   */
+  private properties(schema: SchemaObject): Record<string, unknown> {
+    return isPlainObject(schema.properties) ? schema.properties as Record<string, unknown> : {}
+  }
+}
+
+/**
+ * Merges several descriptions of the same resource type
+ * @param descriptions - Resource schemas read from different responses
+ * @returns Combined schema
+ */
+function mergeDescriptions(descriptions: ResourceSchema[]): ResourceSchema {
+  const merged: ResourceSchema = {}
+  const attributeNames = new Set(descriptions.flatMap(description => Object.keys(description.attributes ?? {})))
+  const relationshipNames = new Set(descriptions.flatMap(description => Object.keys(description.relationships ?? {})))
+
+  if (descriptions.some(description => description.attributes)) {
+    merged.attributes = {}
+    attributeNames.forEach(name => {
+      const found = descriptions.map(description => description.attributes?.[name])
+      const present = found.filter((attribute): attribute is AttributeSchema => attribute !== undefined)
+      const types = Array.from(new Set(present.flatMap(attribute => Array.isArray(attribute.type) ? attribute.type : [attribute.type])))
+      merged.attributes![name] = {
+        type: types.length === 1 ? types[0]! : types,
+        ...(found.every(attribute => attribute?.required) ? { required: true } : {})
+      }
+    })
+  }
+
+  if (descriptions.some(description => description.relationships)) {
+    merged.relationships = {}
+    relationshipNames.forEach(name => {
+      const found = descriptions.map(description => description.relationships?.[name])
+      const present = found.filter((relationship): relationship is RelationshipSchema => relationship !== undefined)
+      const types = present.every(relationship => relationship.types)
+        ? Array.from(new Set(present.flatMap(relationship => relationship.types ?? [])))
+        : undefined
+      merged.relationships![name] = {
+        cardinality: present[0]!.cardinality,
+        ...(types ? { types } : {}),
+        ...(found.every(relationship => relationship?.required) ? { required: true } : {})
+      }
+    })
+  }
+
+  if (descriptions.every(description => description.additionalAttributes === false)) {
+    merged.additionalAttributes = false
+  }
+  if (descriptions.every(description => description.additionalRelationships === false)) {
+    merged.additionalRelationships = false
+  }
+  return merged
+}
+
+/**
+ * Reads the single value a schema allows, from "const" or a one-value "enum"
+ * @param schema - Flattened schema
+ * @returns The value, if it is a string
+ */
+function getConstant(schema: SchemaObject): string | undefined {
+  if (typeof schema.const === 'string') {
+    return schema.const
+  }
+  const values = asArray(schema.enum)
+  return values.length === 1 && typeof values[0] === 'string' ? values[0] : undefined
+}
+
+/**
+ * Returns a value if it is an array, otherwise an empty array
+ * @param value - Value to check
+ * @returns The array, or []
+ */
+function asArray(value: unknown): unknown[] {
+  return Array.isArray(value) ? value : []
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if the value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
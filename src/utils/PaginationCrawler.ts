@@ -0,0 +1,125 @@
+/**
+ * PaginationCrawler.ts
+ *
+ * Walks a paginated JSON:API collection by following its pagination links
+ */
+
+import { makeRequest } from './ApiClient.js'
+import { getPaginationLink, normalizeUrl } from './UrlValidator.js'
+import type { TestConfig, CrawledPage, PaginationCrawl } from '../types/validation'
+
+export interface PaginationCrawlOptions {
+  maxPages?: number
+  followPrev?: boolean
+}
+
+/**
+ * Request settings reused for every page; the crawler sets the URL and method itself
+ */
+export type PaginationCrawlConfig = Partial<Pick<TestConfig, 'authType' | 'authCredentials' | 'customHeaders'>>
+
+export const DEFAULT_MAX_CRAWL_PAGES = 20
+
+/**
+ * Follows "next" (and optionally "prev") links from an already fetched page until
+ * the collection is exhausted or the page cap is reached. The "first" and "last"
+ * links of the starting page are fetched as well so they can be compared with the crawl.
+ * @param config - Request configuration (auth and custom headers are reused)
+ * @param startPage - The page the crawl starts from
+ * @param options - Page cap and whether to walk backwards via "prev"
+ * @returns Crawled pages in page order
+ */
+export async function crawlPagination(
+  config: PaginationCrawlConfig,
+  startPage: CrawledPage,
+  options: PaginationCrawlOptions = {}
+): Promise<PaginationCrawl> {
+  const { maxPages = DEFAULT_MAX_CRAWL_PAGES, followPrev = false } = options
+  const crawl: PaginationCrawl = {
+    pages: [startPage],
+    truncated: false,
+    errors: []
+  }
+
+  const visited = new Set<string>([normalizeUrl(startPage.url)])
+  const directions: Array<'next' | 'prev'> = followPrev ? ['next', 'prev'] : ['next']
+
+  for (const direction of directions) {
+    let current = startPage
+    let url = getPaginationLink(current, direction)
+
+    while (url) {
+      if (crawl.pages.length >= maxPages) {
+        crawl.truncated = true
+        break
+      }
+
+      if (visited.has(normalizeUrl(url))) {
+        crawl.errors.push(`"${direction}" link of ${current.url} points back to an already crawled page: ${url}`)
+        break
+      }
+      visited.add(normalizeUrl(url))
+
+      const page = await fetchPage(config, url)
+      if (typeof page === 'string') {
+        crawl.errors.push(`Failed to fetch "${direction}" page ${url}: ${page}`)
+        break
+      }
+
+      if (direction === 'next') {
+        crawl.pages.push(page)
+      } else {
+        crawl.pages.unshift(page)
+      }
+      current = page
+      url = getPaginationLink(current, direction)
+    }
+  }
+
+  for (const boundary of ['first', 'last'] as const) {
+    const url = getPaginationLink(startPage, boundary)
+    if (!url) {
+      continue
+    }
+
+    const crawled = crawl.pages.find(page => normalizeUrl(page.url) === normalizeUrl(url))
+    const page = crawled || await fetchPage(config, url)
+    if (typeof page === 'string') {
+      crawl.errors.push(`Failed to fetch "${boundary}" link ${url}: ${page}`)
+    } else if (boundary === 'first') {
+      crawl.firstPage = page
+    } else {
+      crawl.lastPage = page
+    }
+  }
+
+  return crawl
+}
+
+/**
+ * Fetches a single page with GET
+ * @param config - Request configuration
+ * @param url - Page URL
+ * @returns The crawled page, or an error message
+ */
+async function fetchPage(config: PaginationCrawlConfig, url: string): Promise<CrawledPage | string> {
+  const response = await makeRequest({
+    apiUrl: url,
+    httpMethod: 'GET',
+    authType: config.authType ?? 'none',
+    authCredentials: config.authCredentials ?? {},
+    customHeaders: config.customHeaders
+  })
+
+  if (!response.success) {
+    return response.error || 'Unknown error'
+  }
+  if (response.status < 200 || response.status > 299) {
+    return `HTTP ${response.status}`
+  }
+  if (response.parseError) {
+    return response.parseError
+  }
+
+  return { url, document: response.data }
+}
@@ -0,0 +1,91 @@
+/**
+ * ResourceSchemas.ts
+ *
+ * Loads per-type resource schemas: attribute names with JSON Schema types, and relationship
+ * names with their cardinality and target types. ResourceValidator checks every primary and
+ * included resource of a type against its schema.
+ */
+
+import type { AttributeType, ResourceSchemas } from '../types/validation.js'
+import { resourceSchemasFromJsonSchema } from './OpenApiImporter.js'
+
+const ATTRIBUTE_TYPES: readonly AttributeType[] = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']
+
+/**
+ * Checks the shape of resource schemas
+ * @param schemas - Schemas keyed by resource type
+ * @returns The schemas, typed
+ * @throws Error describing the first invalid entry
+ */
+export function normalizeResourceSchemas(schemas: unknown): ResourceSchemas {
+  if (!isPlainObject(schemas)) {
+    throw new Error('Resource schemas must be an object keyed by resource type')
+  }
+
+  Object.entries(schemas as Record<string, unknown>).forEach(([type, schema]) => {
+    if (!isPlainObject(schema)) {
+      throw new Error(`Schema for "${type}" must be an object`)
+    }
+    const schemaObj = schema as Record<string, unknown>
+
+    if (schemaObj.attributes !== undefined) {
+      if (!isPlainObject(schemaObj.attributes)) {
+        throw new Error(`"${type}.attributes" must be an object`)
+      }
+      Object.entries(schemaObj.attributes as Record<string, unknown>).forEach(([name, attribute]) => {
+        const attributeType = isPlainObject(attribute) ? (attribute as Record<string, unknown>).type : undefined
+        const types = Array.isArray(attributeType) ? attributeType : [attributeType]
+        if (types.length === 0 || !types.every(value => ATTRIBUTE_TYPES.includes(value as AttributeType))) {
+          throw new Error(`"${type}.attributes.${name}.type" must be one or more of: ${ATTRIBUTE_TYPES.join(', ')}`)
+        }
+      })
+    }
+
+    if (schemaObj.relationships !== undefined) {
+      if (!isPlainObject(schemaObj.relationships)) {
+        throw new Error(`"${type}.relationships" must be an object`)
+      }
+      Object.entries(schemaObj.relationships as Record<string, unknown>).forEach(([name, relationship]) => {
+        const relationshipObj = isPlainObject(relationship) ? relationship as Record<string, unknown> : {}
+        if (relationshipObj.cardinality !== 'one' && relationshipObj.cardinality !== 'many') {
+          throw new Error(`"${type}.relationships.${name}.cardinality" must be "one" or "many"`)
+        }
+        if (relationshipObj.types !== undefined &&
+            !(Array.isArray(relationshipObj.types) && relationshipObj.types.every(target => typeof target === 'string'))) {
+          throw new Error(`"${type}.relationships.${name}.types" must be an array of resource types`)
+        }
+      })
+    }
+  })
+
+  return schemas as ResourceSchemas
+}
+
+/**
+ * Parses a resource schemas file
+ * @param source - JSON text keyed by resource type, or a JSON Schema ("$schema") whose
+ *   definitions describe resource objects, as exported by schema inference
+ * @returns Resource schemas
+ * @throws Error if the file is not valid JSON or contains invalid schemas
+ */
+export function parseResourceSchemas(source: string): ResourceSchemas {
+  let schemas: unknown
+  try {
+    schemas = JSON.parse(source)
+  } catch (error) {
+    throw new Error(`Resource schemas are not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+  }
+  if (isPlainObject(schemas) && typeof (schemas as Record<string, unknown>).$schema === 'string') {
+    return normalizeResourceSchemas(resourceSchemasFromJsonSchema(schemas))
+  }
+  return normalizeResourceSchemas(schemas)
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if the value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
@@ -0,0 +1,210 @@
+/**
+ * RuleCatalog.ts
+ *
+ * Catalog of the specification rules the validator checks. Every validation test name maps
+ * to a stable rule ID, its requirement level and the jsonapi.org section that defines it, so
+ * results can be referenced in tickets and suppressions independently of their wording.
+ * Based on specification: https://jsonapi.org/format/1.1/
+ */
+
+import type { RuleLevel, RuleReference } from '../types/validation.js'
+import type { CategoryName } from './ValidationReporter.js'
+
+const SPEC_URL = 'https://jsonapi.org/format/1.1/'
+const URL_RECOMMENDATIONS_URL = 'https://jsonapi.org/recommendations/#urls'
+const NAMING_RECOMMENDATIONS_URL = 'https://jsonapi.org/recommendations/#naming'
+const JSON_RFC_URL = 'https://www.rfc-editor.org/rfc/rfc8259'
+const ATOMIC_EXTENSION_URL = 'https://jsonapi.org/ext/atomic/'
+const CURSOR_PAGINATION_URL = 'https://jsonapi.org/profiles/ethanresnick/cursor-pagination/'
+
+/**
+ * Specification rule and the validation tests that check it
+ */
+export interface RuleDefinition {
+  /** Stable identifier in "area/rule" form, never reused for a different rule */
+  id: string
+  level: RuleLevel
+  /** Link to the section of the specification, extension or profile defining the rule */
+  specUrl: string
+  category: CategoryName
+  /** Names of the validation tests reporting on this rule */
+  tests: string[]
+}
+
+/**
+ * Builds a link to a section of the base specification
+ * @param anchor - Section anchor on jsonapi.org
+ * @returns Section URL
+ */
+function section(anchor: string): string {
+  return `${SPEC_URL}#${anchor}`
+}
+
+/**
+ * All rules known to the validator, grouped by area
+ */
+export const RULE_CATALOG: readonly RuleDefinition[] = [
+  // Document structure
+  { id: 'document/json-parsing', level: 'MUST', specUrl: section('document-structure'), category: 'Document Structure', tests: ['JSON Parsing'] },
+  { id: 'document/json-interoperability', level: 'SHOULD', specUrl: JSON_RFC_URL, category: 'Document Structure', tests: ['JSON Duplicate Keys', 'JSON Number Precision', 'JSON Byte Order Mark'] },
+  { id: 'document/top-level-members', level: 'MUST', specUrl: section('document-top-level'), category: 'Document Structure', tests: ['Required Top-Level Members', 'Additional Top-Level Members'] },
+  { id: 'document/data-errors-exclusive', level: 'MUST', specUrl: section('document-top-level'), category: 'Document Structure', tests: ['Data and Errors Exclusivity'] },
+  { id: 'document/primary-data', level: 'MUST', specUrl: section('document-top-level'), category: 'Document Structure', tests: ['Data Member Structure', 'Resource Collection Structure'] },
+  { id: 'document/compound-documents', level: 'MUST', specUrl: section('document-compound-documents'), category: 'Document Structure', tests: ['Included Member Structure', 'Compound Document Structure', 'Compound Document Validation', 'Included Resource Duplicates', 'Circular References'] },
+  { id: 'document/meta', level: 'MUST', specUrl: section('document-meta'), category: 'Document Structure', tests: ['Top-Level Meta Member'] },
+  { id: 'document/links', level: 'MUST', specUrl: section('document-links'), category: 'Document Structure', tests: ['Links Member Structure', 'Document Link Value', 'Document Link URL Format', 'Link Value', 'Link URL Format'] },
+  { id: 'document/link-objects', level: 'MUST', specUrl: section('document-links-link-object'), category: 'Document Structure', tests: ['Document Link Object Structure', 'Document Link Object URL Format', 'Document Link Object Meta', 'Document Link Object Additional Members', 'Document Link Object Rel', 'Document Link Object Title', 'Document Link Object Type', 'Document Link Object Hreflang', 'Link Object Structure', 'Link Object URL Format', 'Link Object Meta', 'Link Object Additional Members'] },
+  { id: 'document/describedby-link', level: 'MAY', specUrl: section('document-top-level'), category: 'Document Structure', tests: ['Document Link Object Describedby'] },
+  { id: 'document/jsonapi-object', level: 'MUST', specUrl: section('document-jsonapi-object'), category: 'Document Structure', tests: ['JSON:API Object Structure', 'JSON:API Version Member', 'JSON:API Version Value', 'JSON:API Version String Format', 'JSON:API Version Object Structure', 'JSON:API Version Object Additional Members', 'JSON:API Meta Member'] },
+  { id: 'document/jsonapi-ext', level: 'MUST', specUrl: section('document-jsonapi-object'), category: 'Document Structure', tests: ['JSON:API Extensions Member', 'JSON:API Extension Name', 'JSON:API Extension Value', 'JSON:API Extension Validation', 'JSON:API Object Extension Names', 'JSON:API Object Extensions'] },
+  { id: 'document/jsonapi-profile', level: 'MUST', specUrl: section('document-jsonapi-object'), category: 'Document Structure', tests: ['JSON:API Profile Member'] },
+  { id: 'document/spec-version', level: 'MAY', specUrl: section('document-jsonapi-object'), category: 'Document Structure', tests: ['JSON:API Specification Version'] },
+  { id: 'document/member-names', level: 'MUST', specUrl: section('document-member-names'), category: 'Document Structure', tests: ['Member Name Format', 'Member Name Structure', 'Member Name Reserved'] },
+  { id: 'document/member-name-recommendations', level: 'SHOULD', specUrl: NAMING_RECOMMENDATIONS_URL, category: 'Document Structure', tests: ['Member Name Recommendation'] },
+  { id: 'naming/policy', level: 'SHOULD', specUrl: NAMING_RECOMMENDATIONS_URL, category: 'Document Structure', tests: ['Naming Policy'] },
+
+  // Resource objects
+  { id: 'resource/object-structure', level: 'MUST', specUrl: section('document-resource-objects'), category: 'Resource Objects', tests: ['Resource Object Structure'] },
+  { id: 'resource/type', level: 'MUST', specUrl: section('document-resource-object-identification'), category: 'Resource Objects', tests: ['Resource Type Member'] },
+  { id: 'resource/id', level: 'MUST', specUrl: section('document-resource-object-identification'), category: 'Resource Objects', tests: ['Resource ID Member'] },
+  { id: 'resource/local-id', level: 'MUST', specUrl: section('document-resource-object-identification'), category: 'Resource Objects', tests: ['Resource Local ID Member', 'Local Identifier Uniqueness', 'Local Identifier Resolution'] },
+  { id: 'resource/fields', level: 'MUST', specUrl: section('document-resource-object-fields'), category: 'Resource Objects', tests: ['Resource Member Names'] },
+  { id: 'resource/attributes', level: 'MUST', specUrl: section('document-resource-object-attributes'), category: 'Resource Objects', tests: ['Resource Attributes Member', 'Resource Attributes Forbidden Members'] },
+  { id: 'resource/attributes-no-relationships', level: 'SHOULD', specUrl: section('document-resource-object-attributes'), category: 'Resource Objects', tests: ['Resource Attributes Relationship Structure'] },
+  { id: 'resource/links', level: 'MUST', specUrl: section('document-resource-object-links'), category: 'Resource Objects', tests: ['Resource Links Member'] },
+  { id: 'resource/meta', level: 'MUST', specUrl: section('document-meta'), category: 'Resource Objects', tests: ['Resource Meta Member'] },
+  { id: 'resource/identifier-objects', level: 'MUST', specUrl: section('document-resource-identifier-objects'), category: 'Resource Objects', tests: ['Resource Identifier Structure', 'Resource Identifier Type', 'Resource Identifier ID', 'Resource Identifier Local ID'] },
+
+  // Resource schemas supplied by the user
+  { id: 'schema/attributes', level: 'MUST', specUrl: section('document-resource-object-attributes'), category: 'Resource Objects', tests: ['Schema Attributes'] },
+  { id: 'schema/relationships', level: 'MUST', specUrl: section('document-resource-object-relationships'), category: 'Relationships', tests: ['Schema Relationships'] },
+
+  // Relationships
+  { id: 'relationship/object-structure', level: 'MUST', specUrl: section('document-resource-object-relationships'), category: 'Relationships', tests: ['Resource Relationships Member', 'Relationship Object Structure', 'Relationship Links Structure', 'Relationship Links Content', 'Relationship Meta Structure'] },
+  { id: 'relationship/linkage', level: 'MUST', specUrl: section('document-resource-object-linkage'), category: 'Relationships', tests: ['Relationship Data Structure', 'Resource Linkage'] },
+
+  // Errors and status codes
+  { id: 'error/errors-member', level: 'MUST', specUrl: section('error-objects'), category: 'Error Handling', tests: ['Errors Member Structure'] },
+  { id: 'error/object-structure', level: 'MUST', specUrl: section('error-objects'), category: 'Error Handling', tests: ['Error Object Structure', 'Error Object Additional Members', 'Error ID Member', 'Error Status Member', 'Error Code Member', 'Error Title Member', 'Error Detail Member', 'Error Meta Member'] },
+  { id: 'error/links', level: 'MUST', specUrl: section('error-objects'), category: 'Error Handling', tests: ['Error Links Member', 'Error Link Value', 'Error Link URL Format', 'Error Link Object Structure', 'Error Link Object URL Format', 'Error Link Object Meta', 'Error Link Object Additional Members'] },
+  { id: 'error/source', level: 'MUST', specUrl: section('error-objects'), category: 'Error Handling', tests: ['Error Source Member', 'Error Source Structure', 'Error Source Parameter', 'Error Source Header', 'Error Source Additional Members', 'JSON Pointer', 'JSON Pointer Format', 'JSON Pointer Escaping'] },
+  { id: 'error/source-targets', level: 'MUST', specUrl: section('error-objects'), category: 'Error Handling', tests: ['Error Source Pointer Target', 'Error Source Parameter Target', 'Error Source Header Target'] },
+  { id: 'http/status-code', level: 'MUST', specUrl: section('fetching-resources-responses'), category: 'Error Handling', tests: ['HTTP Status Code Format', 'HTTP Status Code Category', 'HTTP Status Code Consistency'] },
+  { id: 'http/status-code-appropriateness', level: 'SHOULD', specUrl: section('errors-processing'), category: 'Error Handling', tests: ['HTTP Status Code Appropriateness'] },
+
+  // Content negotiation
+  { id: 'negotiation/content-type', level: 'MUST', specUrl: section('content-negotiation-servers'), category: 'Content-Type Headers', tests: ['Content-Type Header Presence', 'Content-Type Header Format', 'Content-Type Media Type'] },
+  { id: 'negotiation/media-type-parameters', level: 'MUST', specUrl: section('media-type-parameter-rules'), category: 'Content-Type Headers', tests: ['Media Type Parameters', 'Extension Parameter', 'Profile Parameter'] },
+  { id: 'negotiation/accept', level: 'MUST', specUrl: section('content-negotiation-clients'), category: 'Content-Type Headers', tests: ['Accept Header Presence', 'Accept Header Format', 'Accept Header Compatibility'] },
+  { id: 'negotiation/server-responses', level: 'MUST', specUrl: section('content-negotiation-servers'), category: 'Content-Type Headers', tests: ['Content-Type Negotiation Probe', 'Accept Negotiation Probe'] },
+
+  // Extensions and profiles
+  { id: 'extension/registered', level: 'SHOULD', specUrl: section('extensions'), category: 'Document Structure', tests: ['Extension Registry', 'Registered Extension Rules'] },
+  { id: 'extension/members', level: 'MUST', specUrl: section('extension-rules'), category: 'Document Structure', tests: ['Extension Members', 'Extension Query Parameters'] },
+  { id: 'profile/registered', level: 'MAY', specUrl: section('profiles'), category: 'Document Structure', tests: ['Profile Registry'] },
+
+  // Query parameters
+  { id: 'query/parameter-names', level: 'MUST', specUrl: section('query-parameters'), category: 'Query Parameters', tests: ['Query Parameter Parsing', 'Query Parameters Present', 'Custom Parameter Names', 'Custom Parameters', 'Custom Parameters Summary'] },
+  { id: 'query/include', level: 'MUST', specUrl: section('fetching-includes'), category: 'Query Parameters', tests: ['Include Parameter', 'Include Parameter Format', 'Include Parameter Effect', 'Include Path Completeness', 'Included Resource Reachability'] },
+  { id: 'query/sort', level: 'MUST', specUrl: section('fetching-sorting'), category: 'Query Parameters', tests: ['Sort Parameter', 'Sort Parameter Format', 'Sort Field Existence', 'Sort Response Order', 'Sort Pagination Consistency'] },
+  { id: 'query/filter', level: 'MAY', specUrl: section('fetching-filtering'), category: 'Query Parameters', tests: ['Filter Parameter', 'Filter Parameter Format', 'Filter Parameter Summary'] },
+  { id: 'query/filter-results', level: 'MAY', specUrl: section('fetching-filtering'), category: 'Query Parameters', tests: ['Filter Results'] },
+  { id: 'query/sparse-fieldsets', level: 'MUST', specUrl: section('fetching-sparse-fieldsets'), category: 'Sparse Fieldsets', tests: ['Fields Parameter', 'Fields Parameter Format', 'Fieldset Syntax', 'Fieldset Syntax Validation', 'Sparse Fieldset Parsing', 'Sparse Fieldset Validation', 'Sparse Fieldset Compliance', 'Sparse Fieldset Completeness', 'Sparse Fieldset Required Fields', 'Sparse Fieldset Special Fields', 'Sparse Fieldset Document Validation'] },
+
+  // Pagination
+  { id: 'pagination/page-parameter', level: 'MUST', specUrl: section('fetching-pagination'), category: 'Pagination', tests: ['Page Parameter', 'Page Parameter Format', 'Page Parameter Effect'] },
+  { id: 'pagination/links', level: 'MUST', specUrl: section('fetching-pagination'), category: 'Pagination', tests: ['Pagination Validation', 'Pagination Applicability', 'Pagination Links Presence', 'Pagination Link URL Format', 'Pagination Link Base URL', 'Pagination Boundary Links', 'Pagination Boundaries', 'Pagination Consistency', 'Query Parameter Preservation'] },
+  { id: 'pagination/meta', level: 'MAY', specUrl: section('fetching-pagination'), category: 'Pagination', tests: ['Pagination Meta', 'Pagination Totals'] },
+  { id: 'pagination/collection-integrity', level: 'SHOULD', specUrl: section('fetching-pagination'), category: 'Pagination', tests: ['Pagination Crawl', 'Pagination Duplicate Resources', 'Pagination Sort Order'] },
+  { id: 'cursor-pagination/profile', level: 'MUST', specUrl: CURSOR_PAGINATION_URL, category: 'Pagination', tests: ['Cursor Pagination', 'Cursor Pagination Profile'] },
+  { id: 'cursor-pagination/parameters', level: 'MUST', specUrl: CURSOR_PAGINATION_URL, category: 'Pagination', tests: ['Cursor Pagination Parameters', 'Cursor Pagination Page Size'] },
+  { id: 'cursor-pagination/links', level: 'MUST', specUrl: CURSOR_PAGINATION_URL, category: 'Pagination', tests: ['Cursor Pagination Links'] },
+  { id: 'cursor-pagination/meta', level: 'MAY', specUrl: CURSOR_PAGINATION_URL, category: 'Pagination', tests: ['Cursor Pagination Meta', 'Cursor Pagination Item Cursor'] },
+  { id: 'cursor-pagination/errors', level: 'MUST', specUrl: CURSOR_PAGINATION_URL, category: 'Pagination', tests: ['Cursor Pagination Error Handling'] },
+
+  // Requests
+  { id: 'request/document', level: 'MUST', specUrl: section('crud'), category: 'Request Format', tests: ['Request Body Parsing', 'Request Document Structure', 'Request Data Structure', 'Request Meta Structure'] },
+  { id: 'request/create-resource', level: 'MUST', specUrl: section('crud-creating'), category: 'Request Format', tests: ['Resource Creation Validation'] },
+  { id: 'request/client-generated-id', level: 'MUST', specUrl: section('crud-creating-client-ids'), category: 'Request Format', tests: ['Client-Generated ID'] },
+  { id: 'request/update-resource', level: 'MUST', specUrl: section('crud-updating'), category: 'Request Format', tests: ['Resource Update Validation'] },
+  { id: 'request/endpoint-conflict', level: 'MUST', specUrl: section('crud-updating-responses-409'), category: 'Request Format', tests: ['Endpoint Conflict'] },
+  { id: 'request/update-relationship', level: 'MUST', specUrl: section('crud-updating-relationships'), category: 'Request Format', tests: ['Relationship Request Structure', 'Relationship Request Data', 'Relationship Request Identifier'] },
+  { id: 'atomic/operations-document', level: 'MUST', specUrl: ATOMIC_EXTENSION_URL, category: 'Request Format', tests: ['Atomic Operations Document Structure', 'Atomic Operation Structure', 'Atomic Operation Code'] },
+  { id: 'atomic/operation-target', level: 'MUST', specUrl: ATOMIC_EXTENSION_URL, category: 'Request Format', tests: ['Atomic Operation Ref', 'Atomic Operation Target', 'Atomic Operation Data'] },
+  { id: 'atomic/results-document', level: 'MUST', specUrl: ATOMIC_EXTENSION_URL, category: 'Document Structure', tests: ['Atomic Results Document Structure', 'Atomic Result Object', 'Atomic Results Count'] },
+
+  // CRUD workflow
+  { id: 'workflow/create-response', level: 'MUST', specUrl: section('crud-creating-responses'), category: 'Request Format', tests: ['Workflow Resource Creation'] },
+  { id: 'workflow/location-header', level: 'MUST', specUrl: section('crud-creating-responses-201'), category: 'Request Format', tests: ['Workflow Resource Location'] },
+  { id: 'workflow/update-response', level: 'MUST', specUrl: section('crud-updating-responses'), category: 'Request Format', tests: ['Workflow Resource Update'] },
+  { id: 'workflow/update-response-body', level: 'MUST', specUrl: section('crud-updating-responses-200'), category: 'Request Format', tests: ['Workflow Update Response Body'] },
+  { id: 'workflow/partial-update', level: 'MUST', specUrl: section('crud-updating-resource-attributes'), category: 'Request Format', tests: ['Workflow Partial Update'] },
+  { id: 'workflow/restore', level: 'SHOULD', specUrl: section('crud-updating'), category: 'Request Format', tests: ['Workflow Restore'] },
+  { id: 'workflow/delete-response', level: 'MUST', specUrl: section('crud-deleting-responses'), category: 'Request Format', tests: ['Workflow Resource Deletion'] },
+  { id: 'workflow/read-after-write', level: 'SHOULD', specUrl: section('fetching-resources-responses-200'), category: 'Request Format', tests: ['Workflow Read After Create', 'Workflow Read After Update'] },
+  { id: 'workflow/read-after-delete', level: 'MUST', specUrl: section('fetching-resources-responses-404'), category: 'Request Format', tests: ['Workflow Read After Delete'] },
+
+  // Expectations written in scenario files
+  { id: 'scenario/expected-status', level: 'MUST', specUrl: section('fetching-resources-responses'), category: 'Error Handling', tests: ['Scenario Expected Status'] },
+
+  // URL design recommendations
+  { id: 'url/structure', level: 'SHOULD', specUrl: URL_RECOMMENDATIONS_URL, category: 'Request Format', tests: ['URL Structure', 'URL Path Structure', 'URL Path Encoding', 'URL Query Parameters', 'Resource Collection URL', 'Individual Resource URL', 'Related Resource URL', 'Relationship URL'] },
+  { id: 'url/plural-resource-types', level: 'SHOULD', specUrl: URL_RECOMMENDATIONS_URL, category: 'Request Format', tests: ['Resource Type Plural Form'] },
+
+  // Validator runtime
+  { id: 'validator/http-request', level: 'MUST', specUrl: SPEC_URL, category: 'Request Format', tests: ['HTTP Request'] },
+  { id: 'validator/process', level: 'MUST', specUrl: SPEC_URL, category: 'Request Format', tests: ['Validation Process', 'Rule Configuration'] }
+]
+
+const rulesByTest = new Map<string, RuleDefinition>()
+const rulesById = new Map<string, RuleDefinition>()
+RULE_CATALOG.forEach(rule => {
+  rulesById.set(rule.id, rule)
+  rule.tests.forEach(test => rulesByTest.set(test, rule))
+})
+
+/**
+ * Looks up a rule by its stable ID
+ * @param id - Rule ID, e.g. "document/top-level-members"
+ * @returns The rule definition, if any
+ */
+export function getRuleById(id: string): RuleDefinition | undefined {
+  return rulesById.get(id)
+}
+
+/**
+ * Looks up the rule checked by a validation test
+ * @param testName - Name of the validation test
+ * @returns The rule definition, or undefined for tests outside the catalog
+ */
+export function findRuleForTest(testName: string): RuleDefinition | undefined {
+  return rulesByTest.get(testName)
+}
+
+/**
+ * Resolves the rule reference attached to a result. Tests outside the catalog, such as
+ * those contributed by registered profiles, get a "custom/" ID derived from their name.
+ * @param testName - Name of the validation test
+ * @returns Rule ID, level and specification link
+ */
+export function getRuleReference(testName: string): RuleReference {
+  const rule = findRuleForTest(testName)
+  if (rule) {
+    return { id: rule.id, level: rule.level, specUrl: rule.specUrl }
+  }
+
+  return {
+    id: `custom/${slugify(testName)}`,
+    level: 'MUST',
+    specUrl: section('extensions')
+  }
+}
+
+/**
+ * Converts a test name to a lowercase, dash-separated slug
+ * @param name - Test name
+ * @returns Slug
+ */
+function slugify(name: string): string {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'unnamed'
+}
@@ -0,0 +1,146 @@
+/**
+ * RuleConfig.ts
+ *
+ * ESLint-style rule configuration: turns individual rules off, downgrades their failures to
+ * warnings or upgrades their warnings to failures. Settings are keyed by the rule IDs of the
+ * rule catalog, or by "area/*" to cover every rule of an area.
+ */
+
+import type { ValidationTest } from '../types/validation.js'
+import { RULE_CATALOG, getRuleById, getRuleReference } from './RuleCatalog.js'
+
+export type RuleSeverity = 'off' | 'warn' | 'error'
+
+/** Severity name, or its ESLint numeric form (0 = off, 1 = warn, 2 = error) */
+export type RuleSetting = RuleSeverity | 0 | 1 | 2
+
+export type RuleSettings = Record<string, RuleSetting>
+
+/**
+ * Rule configuration file contents
+ */
+export interface RuleConfigFile {
+  rules?: RuleSettings
+}
+
+/**
+ * Counts of results changed by a rule configuration
+ */
+export interface RuleSettingsOutcome {
+  details: ValidationTest[]
+  disabled: number
+  downgraded: number
+  upgraded: number
+}
+
+const NUMERIC_SEVERITIES: readonly RuleSeverity[] = ['off', 'warn', 'error']
+
+/**
+ * Checks rule settings and converts numeric severities to their names
+ * @param settings - Rule settings keyed by rule ID or "area/*"
+ * @returns Normalized settings
+ * @throws Error if a key names no known rule or a severity is invalid
+ */
+export function normalizeRuleSettings(settings: unknown): Record<string, RuleSeverity> {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw new Error('Rule settings must be an object mapping rule IDs to "off", "warn" or "error"')
+  }
+
+  const normalized: Record<string, RuleSeverity> = {}
+  Object.entries(settings as Record<string, unknown>).forEach(([key, value]) => {
+    if (!isKnownRuleKey(key)) {
+      throw new Error(`Unknown rule "${key}" in rule configuration`)
+    }
+
+    const severity = typeof value === 'number' ? NUMERIC_SEVERITIES[value] : value
+    if (severity !== 'off' && severity !== 'warn' && severity !== 'error') {
+      throw new Error(`Rule "${key}" has invalid severity ${JSON.stringify(value)}; use "off", "warn" or "error"`)
+    }
+    normalized[key] = severity
+  })
+
+  return normalized
+}
+
+/**
+ * Parses the contents of a rule configuration file
+ * @param source - JSON text of the form { "rules": { "<rule-id>": "off" } }
+ * @returns Normalized rule settings
+ * @throws Error if the file is not valid JSON or contains invalid settings
+ */
+export function parseRuleConfig(source: string): Record<string, RuleSeverity> {
+  let config: unknown
+  try {
+    config = JSON.parse(source)
+  } catch (error) {
+    throw new Error(`Rule configuration is not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+  }
+
+  if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+    throw new Error('Rule configuration must be a JSON object with a "rules" member')
+  }
+
+  const rules = (config as RuleConfigFile).rules
+  return rules === undefined ? {} : normalizeRuleSettings(rules)
+}
+
+/**
+ * Finds the severity configured for a rule; an exact rule ID wins over its "area/*" setting
+ * @param ruleId - Rule ID
+ * @param settings - Normalized rule settings
+ * @returns Configured severity, or undefined to keep the validator's own
+ */
+export function resolveRuleSeverity(ruleId: string, settings: Record<string, RuleSeverity>): RuleSeverity | undefined {
+  if (settings[ruleId] !== undefined) {
+    return settings[ruleId]
+  }
+  const area = ruleId.split('/')[0]
+  return settings[`${area}/*`]
+}
+
+/**
+ * Applies rule settings to validation results: results of disabled rules are dropped,
+ * failures of "warn" rules become warnings and warnings of "error" rules become failures
+ * @param details - Validation results
+ * @param settings - Rule settings keyed by rule ID or "area/*"
+ * @returns Resulting details and counts of changed results
+ */
+export function applyRuleSettings(details: ValidationTest[], settings: RuleSettings): RuleSettingsOutcome {
+  const normalized = normalizeRuleSettings(settings)
+  const outcome: RuleSettingsOutcome = { details: [], disabled: 0, downgraded: 0, upgraded: 0 }
+
+  details.forEach(detail => {
+    const rule = detail.rule || getRuleReference(detail.test)
+    const severity = resolveRuleSeverity(rule.id, normalized)
+
+    if (severity === 'off') {
+      outcome.disabled++
+    } else if (severity === 'warn' && detail.status === 'failed') {
+      outcome.details.push({ ...detail, rule, status: 'warning' })
+      outcome.downgraded++
+    } else if (severity === 'error' && detail.status === 'warning') {
+      outcome.details.push({ ...detail, rule, status: 'failed' })
+      outcome.upgraded++
+    } else {
+      outcome.details.push(detail)
+    }
+  })
+
+  return outcome
+}
+
+/**
+ * Checks whether a settings key names a catalog rule, a catalog area or a custom rule
+ * @param key - Rule ID or "area/*"
+ * @returns True if the key is known
+ */
+function isKnownRuleKey(key: string): boolean {
+  if (key.startsWith('custom/') || getRuleById(key)) {
+    return true
+  }
+  if (key.endsWith('/*')) {
+    const area = key.slice(0, -2)
+    return area === 'custom' || RULE_CATALOG.some(rule => rule.id.startsWith(`${area}/`))
+  }
+  return false
+}
@@ -0,0 +1,407 @@
+/**
+ * ScenarioRunner.ts
+ *
+ * Runs user-authored scenarios: a sequence of requests whose URLs, headers and bodies can use
+ * values from the responses of earlier steps, e.g. creating an author and then an article
+ * referencing the author's id. Every response goes through the full validation pipeline.
+ */
+
+import { createWorkflowReport, runWorkflowStep, NO_EXTRA_REQUESTS } from './CrudWorkflow.js'
+import { validateExpectedStatus } from '../validators/WorkflowValidator.js'
+import type { ExtendedTestConfig } from './ValidationService.js'
+import type { WorkflowReport, WorkflowStep } from './CrudWorkflow.js'
+import type { ApiResponse, TestConfig } from '../types/validation.js'
+
+export type ScenarioMethod = TestConfig['httpMethod']
+
+/**
+ * One request of a scenario
+ */
+export interface ScenarioStep {
+  /** Name later steps refer to, e.g. {{steps.createAuthor.data.id}} */
+  name: string
+  method: ScenarioMethod
+  /** Absolute URL, or relative to the scenario's base URL */
+  url: string
+  headers: Record<string, string>
+  /** Request document; a string is sent as it is */
+  body?: string | object
+  /** Status codes the response must have */
+  expectStatus?: number[]
+}
+
+export interface Scenario {
+  name: string
+  /** URL relative step URLs are resolved against */
+  baseUrl?: string
+  steps: ScenarioStep[]
+}
+
+/**
+ * Value of an earlier response a placeholder refers to
+ */
+type Reference =
+  | { step: string; target: 'status' }
+  | { step: string; target: 'header'; name: string }
+  | { step: string; target: 'document'; pointer: string }
+
+const SCENARIO_METHODS: readonly ScenarioMethod[] = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']
+
+const STEP_NAME = /^[A-Za-z_][\w-]*$/
+
+const PLACEHOLDER = /\{\{([^{}]*)\}\}/g
+
+/** steps.<step>.<dotted path> or steps.<step>#<JSON Pointer> */
+const REFERENCE = /^steps\.([A-Za-z_][\w-]*)(?:\.(.+)|#(.*))$/
+
+/**
+ * Parses and checks a scenario file
+ * @param source - Scenario as JSON text
+ * @returns Scenario with defaults filled in
+ * @throws Error if the scenario is not valid JSON, a step is malformed or refers to a step that does not run before it
+ */
+export function parseScenario(source: string): Scenario {
+  let document: unknown
+  try {
+    document = JSON.parse(source)
+  } catch (error) {
+    throw new Error(`Scenario is not valid JSON: ${error instanceof Error ? error.message : String(error)}`)
+  }
+
+  if (!isPlainObject(document) || !Array.isArray(document.steps) || document.steps.length === 0) {
+    throw new Error('Scenario must be an object with a non-empty "steps" array')
+  }
+  if (document.name !== undefined && typeof document.name !== 'string') {
+    throw new Error('Scenario "name" must be a string')
+  }
+  if (document.baseUrl !== undefined && (typeof document.baseUrl !== 'string' || !/^https?:\/\//.test(document.baseUrl))) {
+    throw new Error('Scenario "baseUrl" must be an absolute http(s) URL')
+  }
+
+  const steps: ScenarioStep[] = []
+  document.steps.forEach((definition: unknown, index: number) => {
+    steps.push(parseStep(definition, `Step ${index + 1}`, steps.map(step => step.name)))
+  })
+
+  return {
+    name: document.name ?? 'Scenario',
+    ...(document.baseUrl !== undefined ? { baseUrl: document.baseUrl } : {}),
+    steps
+  }
+}
+
+/**
+ * Runs the steps of a scenario in order, validating every response
+ * @param scenario - Parsed scenario
+ * @param config - Test configuration shared by the steps (authentication, headers, rules...); its
+ *   apiUrl is the base URL when the scenario has none
+ * @returns One report per step and totals over the scenario. Steps whose placeholders cannot be
+ *   filled, because an earlier request failed or its response lacks the value, are skipped
+ */
+export async function runScenario(scenario: Scenario, config: ExtendedTestConfig): Promise<WorkflowReport> {
+  const startTime = Date.now()
+  const baseUrl = scenario.baseUrl ?? config.apiUrl
+  const responses = new Map<string, ApiResponse>()
+  const steps: WorkflowStep[] = []
+
+  for (const step of scenario.steps) {
+    let url: string
+    let headers: Record<string, string>
+    let body: string | object | undefined
+    try {
+      url = resolveStepUrl(fillUrl(step.url, responses), baseUrl)
+      headers = Object.fromEntries(Object.entries(step.headers).map(([name, value]) => [name, fillText(value, responses)]))
+      body = step.body === undefined ? undefined : fillValue(step.body, responses) as string | object
+    } catch (error) {
+      steps.push({ name: step.name, method: step.method, skipped: error instanceof Error ? error.message : String(error) })
+      continue
+    }
+
+    // Extra requests the other options send would repeat the step's writes
+    const writes = step.method !== 'GET'
+    const stepConfig: ExtendedTestConfig = {
+      ...config,
+      customHeaders: mergeHeaders(config.customHeaders, headers),
+      ...(writes ? NO_EXTRA_REQUESTS : {})
+    }
+    const expectStatus = step.expectStatus
+    const result = await runWorkflowStep(stepConfig, step.name, step.method, url, body,
+      expectStatus ? response => validateExpectedStatus(response, expectStatus) : undefined)
+
+    steps.push(result.step)
+    if (result.response) {
+      responses.set(step.name, result.response)
+    }
+  }
+
+  return createWorkflowReport(scenario.name, steps, startTime)
+}
+
+/**
+ * Checks one step definition
+ * @param definition - Step as written in the scenario
+ * @param label - Step position, for error messages
+ * @param earlierSteps - Names of the steps before it
+ * @returns Step with defaults filled in
+ * @throws Error if the step is malformed
+ */
+function parseStep(definition: unknown, label: string, earlierSteps: string[]): ScenarioStep {
+  if (!isPlainObject(definition)) {
+    throw new Error(`${label} must be an object`)
+  }
+  if (typeof definition.name !== 'string' || !STEP_NAME.test(definition.name)) {
+    throw new Error(`${label} needs a "name" of letters, digits, "_" and "-", starting with a letter or "_"`)
+  }
+  const name = definition.name
+  const where = `${label} ("${name}")`
+  if (earlierSteps.includes(name)) {
+    throw new Error(`${where} repeats the name of an earlier step`)
+  }
+
+  const method = typeof definition.method === 'string' ? definition.method.toUpperCase() : definition.method ?? 'GET'
+  if (!SCENARIO_METHODS.includes(method as ScenarioMethod)) {
+    throw new Error(`${where} has unknown method ${JSON.stringify(definition.method)}; use ${SCENARIO_METHODS.join(', ')}`)
+  }
+  if (typeof definition.url !== 'string' || definition.url === '') {
+    throw new Error(`${where} needs a "url"`)
+  }
+
+  const headers = definition.headers ?? {}
+  if (!isPlainObject(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+    throw new Error(`${where} "headers" must be an object of strings`)
+  }
+
+  const body = definition.body
+  if (body !== undefined && typeof body !== 'string' && (body === null || typeof body !== 'object')) {
+    throw new Error(`${where} "body" must be a JSON:API document or a string`)
+  }
+
+  let expectStatus: number[] | undefined
+  if (definition.expect !== undefined) {
+    const status = isPlainObject(definition.expect) ? definition.expect.status : undefined
+    expectStatus = Array.isArray(status) ? status : [status]
+    if (expectStatus.length === 0 || expectStatus.some(code => !Number.isInteger(code) || code < 100 || code > 599)) {
+      throw new Error(`${where} "expect" must be { "status": <code> } or { "status": [<code>, ...] }`)
+    }
+  }
+
+  // Every placeholder must refer to a step that has already run
+  const texts = [definition.url, ...Object.values(headers) as string[], ...collectStrings(definition.body)]
+  texts.forEach(text => {
+    for (const match of text.matchAll(PLACEHOLDER)) {
+      const reference = parseReference(match[1] ?? '')
+      if (!reference) {
+        throw new Error(`${where} has unknown placeholder "${match[0]}"; use {{steps.<step>.<path>}}`)
+      }
+      if (!earlierSteps.includes(reference.step)) {
+        throw new Error(`${where}: "${match[0]}" refers to step "${reference.step}", which does not run before it`)
+      }
+    }
+  })
+
+  return {
+    name,
+    method: method as ScenarioMethod,
+    url: definition.url,
+    headers: headers as Record<string, string>,
+    ...(body !== undefined ? { body } : {}),
+    ...(expectStatus ? { expectStatus } : {})
+  }
+}
+
+/**
+ * Parses the expression of a placeholder. "status" and "headers.<name>" select the response's
+ * status code and headers, which cannot clash with document members; other dotted paths, with
+ * [n] or .n for array items, and "#"-prefixed JSON Pointers select a value of the response document
+ * @param expression - Text between the braces
+ * @returns Reference, or undefined if the expression is not one
+ */
+function parseReference(expression: string): Reference | undefined {
+  const match = REFERENCE.exec(expression.trim())
+  if (!match) {
+    return undefined
+  }
+  const [, step = '', path, pointer] = match
+
+  if (pointer !== undefined) {
+    return pointer === '' || pointer.startsWith('/') ? { step, target: 'document', pointer } : undefined
+  }
+  if (path === 'status') {
+    return { step, target: 'status' }
+  }
+  if (path?.startsWith('headers.')) {
+    return { step, target: 'header', name: path.slice('headers.'.length).toLowerCase() }
+  }
+
+  const segments = (path ?? '').replace(/\[(\d+)\]/g, '.$1').split('.')
+  if (segments.some(segment => segment === '')) {
+    return undefined
+  }
+  return { step, target: 'document', pointer: segments.map(segment => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('') }
+}
+
+/**
+ * Looks up the value a placeholder refers to
+ * @param placeholder - Placeholder as written, for error messages
+ * @param responses - Responses of the steps run so far
+ * @returns Referenced value
+ * @throws Error if the step got no response or the value is not in it
+ */
+function resolveReference(placeholder: string, responses: Map<string, ApiResponse>): unknown {
+  const reference = parseReference(placeholder.slice(2, -2))!
+  const response = responses.get(reference.step)
+  if (!response) {
+    throw new Error(`${placeholder} cannot be filled: step "${reference.step}" did not run or got no response`)
+  }
+
+  let value: unknown
+  if (reference.target === 'status') {
+    value = response.status
+  } else if (reference.target === 'header') {
+    value = Object.entries(response.headers).find(([name]) => name.toLowerCase() === reference.name)?.[1]
+  } else {
+    value = resolvePointer(response.data, reference.pointer)
+  }
+
+  if (value === undefined) {
+    throw new Error(`${placeholder} cannot be filled: the response of step "${reference.step}" has no such value`)
+  }
+  return value
+}
+
+/**
+ * Fills the placeholders of a header value or a string in a request body
+ * @param text - Text with placeholders
+ * @param responses - Responses of the steps run so far
+ * @returns Text with every placeholder replaced by its value; non-string values are written as JSON
+ */
+function fillText(text: string, responses: Map<string, ApiResponse>): string {
+  return text.replace(PLACEHOLDER, placeholder => formatValue(resolveReference(placeholder, responses)))
+}
+
+/**
+ * Fills the placeholders of a step URL. Values are percent-encoded, so that a "/", "?", "#", "&"
+ * or space in an ID or attribute stays part of the path segment or query value it replaces. A
+ * placeholder the URL starts with supplies the URL itself (e.g. a Location header) and is kept as is
+ * @param url - URL with placeholders
+ * @param responses - Responses of the steps run so far
+ * @returns URL with every placeholder replaced by its value
+ */
+function fillUrl(url: string, responses: Map<string, ApiResponse>): string {
+  return url.replace(PLACEHOLDER, (placeholder: string, _reference: string, offset: number) => {
+    const value = formatValue(resolveReference(placeholder, responses))
+    return offset === 0 ? value : encodeURIComponent(value)
+  })
+}
+
+/**
+ * Writes a referenced value as text
+ * @param value - Referenced value
+ * @returns Strings as they are, other values as JSON
+ */
+function formatValue(value: unknown): string {
+  return typeof value === 'string' ? value : JSON.stringify(value)
+}
+
+/**
+ * Fills the placeholders of a request body. A string that is exactly one placeholder takes the
+ * referenced value as it is, so numbers, objects and null keep their JSON type
+ * @param value - Body or part of it
+ * @param responses - Responses of the steps run so far
+ * @returns Value with the placeholders filled
+ */
+function fillValue(value: unknown, responses: Map<string, ApiResponse>): unknown {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{[^{}]*\}\}$/)
+    return whole ? resolveReference(value, responses) : fillText(value, responses)
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => fillValue(item, responses))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, member]) => [key, fillValue(member, responses)]))
+  }
+  return value
+}
+
+/**
+ * Resolves a step URL against the base URL, taken as a directory: "articles" is appended to it,
+ * while "/api/articles" and links returned by the server resolve as they would in a browser
+ * @param url - Step URL with its placeholders filled
+ * @param baseUrl - Scenario base URL, if any
+ * @returns Absolute URL
+ * @throws Error if the URL is relative and there is no base URL
+ */
+function resolveStepUrl(url: string, baseUrl: string | undefined): string {
+  if (/^https?:\/\//.test(url)) {
+    return url
+  }
+  if (!baseUrl) {
+    throw new Error(`URL "${url}" is relative and the scenario has no baseUrl`)
+  }
+  return new URL(url, baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`).toString()
+}
+
+/**
+ * Combines the configured custom headers with the headers of a step, which take precedence (case-insensitive)
+ * @param configured - Custom headers of the test configuration
+ * @param step - Headers of the step
+ * @returns Custom headers record
+ */
+function mergeHeaders(configured: ExtendedTestConfig['customHeaders'], step: Record<string, string>): Record<string, string> {
+  const headers = Array.isArray(configured)
+    ? configured.map(header => [header.key, header.value] as const)
+    : Object.entries(configured || {})
+
+  const overridden = Object.keys(step).map(name => name.toLowerCase())
+  const record: Record<string, string> = {}
+  headers.forEach(([key, value]) => {
+    if (key && !overridden.includes(key.toLowerCase())) {
+      record[key] = value
+    }
+  })
+  return { ...record, ...step }
+}
+
+/**
+ * Gets the value a JSON Pointer refers to
+ * @param document - Response document
+ * @param pointer - JSON Pointer
+ * @returns Value, or undefined if the pointer refers to nothing
+ */
+function resolvePointer(document: unknown, pointer: string): unknown {
+  if (pointer === '') {
+    return document
+  }
+  return pointer.slice(1).split('/').reduce<unknown>((value, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~')
+    if (Array.isArray(value)) {
+      return /^(0|[1-9]\d*)$/.test(key) ? value[Number(key)] : undefined
+    }
+    return isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined
+  }, document)
+}
+
+/**
+ * Collects the strings of a JSON value, where body placeholders can appear
+ * @param value - Body or part of it
+ * @returns All string values
+ */
+function collectStrings(value: unknown): string[] {
+  if (typeof value === 'string') {
+    return [value]
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(collectStrings)
+  }
+  return isPlainObject(value) ? Object.values(value).flatMap(collectStrings) : []
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if the value is a plain object
+ */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
@@ -0,0 +1,274 @@
+/**
+ * SchemaInference.ts
+ *
+ * Infers per-type resource schemas from the resources an API actually returns. Observations
+ * collect every primary and included resource across any number of validation runs; the
+ * inferred schemas can be exported as JSON Schema and fed back in as resource schemas.
+ */
+
+import type { AttributeType, RelationshipSchema, ResourceSchema, ResourceSchemas } from '../types/validation.js'
+
+/**
+ * What was seen of one attribute of a resource type
+ */
+interface ObservedAttribute {
+  types: AttributeType[]
+  /** Resources not restricted by a sparse fieldset that had the attribute */
+  present: number
+}
+
+/**
+ * What was seen of one relationship of a resource type
+ */
+interface ObservedRelationship {
+  cardinality?: RelationshipSchema['cardinality']
+  types: string[]
+  present: number
+}
+
+/**
+ * What was seen of one resource type
+ */
+interface ObservedType {
+  resources: number
+  /** Resources not restricted by a sparse fieldset; only these decide optionality */
+  complete: number
+  attributes: Record<string, ObservedAttribute>
+  relationships: Record<string, ObservedRelationship>
+}
+
+/**
+ * Resources observed so far, keyed by resource type
+ */
+export interface SchemaObservations {
+  types: Record<string, ObservedType>
+}
+
+const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema'
+
+/**
+ * Creates an empty set of observations
+ * @returns Observations to pass to one or more validation runs
+ */
+export function createSchemaObservations(): SchemaObservations {
+  return { types: {} }
+}
+
+/**
+ * Records the primary and included resources of a response document
+ * @param observations - Observations to add to
+ * @param document - Response document
+ * @param sparseFieldsets - Requested fieldsets by type; resources of these types are not used to decide optionality
+ */
+export function observeDocument(
+  observations: SchemaObservations,
+  document: unknown,
+  sparseFieldsets: Record<string, string[]> = {}
+): void {
+  if (!isPlainObject(document)) {
+    return
+  }
+  const doc = document as Record<string, unknown>
+  const primary = Array.isArray(doc.data) ? doc.data : [doc.data]
+  const included = Array.isArray(doc.included) ? doc.included : []
+
+  primary.concat(included).forEach(resource => {
+    if (isPlainObject(resource) && typeof (resource as Record<string, unknown>).type === 'string') {
+      observeResource(observations, resource as Record<string, unknown>, sparseFieldsets)
+    }
+  })
+}
+
+/**
+ * Infers resource schemas from observations: an attribute or relationship is required when every
+ * complete resource of its type had it, and its types are all the JSON types seen
+ * @param observations - Observed resources
+ * @returns Resource schemas keyed by resource type
+ */
+export function inferResourceSchemas(observations: SchemaObservations): ResourceSchemas {
+  const schemas: ResourceSchemas = {}
+
+  Object.entries(observations.types).forEach(([type, observed]) => {
+    const schema: ResourceSchema = { attributes: {}, relationships: {} }
+
+    Object.entries(observed.attributes).forEach(([name, attribute]) => {
+      // Integers satisfy "number", so a mix of both is just "number"
+      const types = attribute.types.includes('number')
+        ? attribute.types.filter(attributeType => attributeType !== 'integer')
+        : attribute.types
+      schema.attributes![name] = {
+        type: types.length === 1 ? types[0]! : types,
+        ...(isRequired(observed, attribute.present) ? { required: true } : {})
+      }
+    })
+
+    Object.entries(observed.relationships).forEach(([name, relationship]) => {
+      // Without resource linkage the cardinality is unknown
+      if (!relationship.cardinality) {
+        return
+      }
+      schema.relationships![name] = {
+        cardinality: relationship.cardinality,
+        ...(relationship.types.length > 0 ? { types: [...relationship.types] } : {}),
+        ...(isRequired(observed, relationship.present) ? { required: true } : {})
+      }
+    })
+
+    schemas[type] = schema
+  })
+
+  return schemas
+}
+
+/**
+ * Exports resource schemas as a JSON Schema with one resource object definition per type
+ * @param schemas - Resource schemas
+ * @param title - Title of the JSON Schema
+ * @returns JSON Schema document; parseResourceSchemas reads it back
+ */
+export function exportJsonSchema(schemas: ResourceSchemas, title = 'JSON:API resource schemas'): Record<string, unknown> {
+  const definitions: Record<string, unknown> = {}
+
+  Object.entries(schemas).forEach(([type, schema]) => {
+    const attributes = Object.entries(schema.attributes ?? {})
+    const relationships = Object.entries(schema.relationships ?? {})
+
+    definitions[type] = {
+      type: 'object',
+      required: ['type', 'id'],
+      properties: {
+        type: { const: type },
+        id: { type: 'string' },
+        attributes: {
+          type: 'object',
+          ...requiredList(attributes),
+          properties: Object.fromEntries(attributes.map(([name, attribute]) => [name, { type: attribute.type }])),
+          ...(schema.additionalAttributes === false ? { additionalProperties: false } : {})
+        },
+        relationships: {
+          type: 'object',
+          ...requiredList(relationships),
+          properties: Object.fromEntries(relationships.map(([name, relationship]) => [name, {
+            type: 'object',
+            properties: { data: linkageSchema(relationship) }
+          }])),
+          ...(schema.additionalRelationships === false ? { additionalProperties: false } : {})
+        }
+      }
+    }
+  })
+
+  return { $schema: JSON_SCHEMA_DIALECT, title, $defs: definitions }
+}
+
+/**
+ * Records one resource object
+ * @param observations - Observations to add to
+ * @param resource - Resource object with a string type
+ * @param sparseFieldsets - Requested fieldsets by type
+ */
+function observeResource(
+  observations: SchemaObservations,
+  resource: Record<string, unknown>,
+  sparseFieldsets: Record<string, string[]>
+): void {
+  const type = resource.type as string
+  const observed = observations.types[type] ??= { resources: 0, complete: 0, attributes: {}, relationships: {} }
+  const complete = sparseFieldsets[type] === undefined
+  observed.resources++
+  if (complete) {
+    observed.complete++
+  }
+
+  const attributes = isPlainObject(resource.attributes) ? resource.attributes as Record<string, unknown> : {}
+  Object.entries(attributes).forEach(([name, value]) => {
+    const attribute = observed.attributes[name] ??= { types: [], present: 0 }
+    const valueType = getValueType(value)
+    if (!attribute.types.includes(valueType)) {
+      attribute.types.push(valueType)
+    }
+    if (complete) {
+      attribute.present++
+    }
+  })
+
+  const relationships = isPlainObject(resource.relationships) ? resource.relationships as Record<string, unknown> : {}
+  Object.entries(relationships).forEach(([name, value]) => {
+    const relationship = observed.relationships[name] ??= { types: [], present: 0 }
+    if (complete) {
+      relationship.present++
+    }
+    if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, 'data')) {
+      return
+    }
+
+    const data = (value as Record<string, unknown>).data
+    relationship.cardinality ??= Array.isArray(data) ? 'many' : 'one'
+    const identifiers: unknown[] = Array.isArray(data) ? data : [data]
+    identifiers.forEach(identifier => {
+      const target = isPlainObject(identifier) ? (identifier as Record<string, unknown>).type : undefined
+      if (typeof target === 'string' && !relationship.types.includes(target)) {
+        relationship.types.push(target)
+      }
+    })
+  })
+}
+
+/**
+ * Checks whether every complete resource of a type had a member
+ * @param observed - Observations of the type
+ * @param present - Complete resources that had the member
+ * @returns True if the member can be required
+ */
+function isRequired(observed: ObservedType, present: number): boolean {
+  return observed.complete > 0 && present === observed.complete
+}
+
+/**
+ * Builds the "required" keyword for the members of an object schema
+ * @param members - Member schemas by name
+ * @returns { required } if any member is required, otherwise an empty object
+ */
+function requiredList(members: Array<[string, { required?: boolean }]>): { required?: string[] } {
+  const required = members.filter(([, member]) => member.required).map(([name]) => name)
+  return required.length > 0 ? { required } : {}
+}
+
+/**
+ * Builds the JSON Schema of a relationship's resource linkage
+ * @param relationship - Relationship schema
+ * @returns Schema of the relationship's "data" member
+ */
+function linkageSchema(relationship: RelationshipSchema): Record<string, unknown> {
+  const identifiers = (relationship.types ?? [undefined]).map(target => ({
+    type: 'object',
+    required: ['type', 'id'],
+    properties: { type: target === undefined ? { type: 'string' } : { const: target }, id: { type: 'string' } }
+  }))
+  const identifier = identifiers.length === 1 ? identifiers[0]! : { oneOf: identifiers }
+
+  return relationship.cardinality === 'many'
+    ? { type: 'array', items: identifier }
+    : { oneOf: [{ type: 'null' }, ...(identifiers.length === 1 ? [identifier] : identifiers)] }
+}
+
+/**
+ * Determines the JSON Schema type of a value
+ * @param value - Attribute value
+ * @returns Its type
+ */
+function getValueType(value: unknown): AttributeType {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number'
+  return typeof value as AttributeType
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if the value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
@@ -0,0 +1,193 @@
+/**
+ * SourceLocations.ts
+ *
+ * Maps JSON Pointers to line and column in the raw response text, and renders
+ * code frames quoting the offending part of the payload
+ */
+
+import { parseJson } from './JsonParser.js'
+
+export interface SourceMap {
+  text: string
+  /** Character offset of each value (member name for object members), keyed by JSON Pointer */
+  positions: Map<string, number>
+  lineStarts: number[]
+}
+
+export interface SourcePosition {
+  /** Pointer actually found: the requested one or its nearest existing ancestor */
+  jsonPointer: string
+  line: number
+  column: number
+}
+
+/**
+ * Top-level members a validator context path may start with
+ */
+const DOCUMENT_MEMBERS = ['data', 'included', 'errors', 'meta', 'links', 'jsonapi', 'atomic:operations', 'atomic:results']
+
+/**
+ * Widest slice of a line shown in a code frame; minified payloads are a single line
+ */
+const FRAME_WIDTH = 100
+
+/**
+ * Builds a source map of a response body
+ * @param text - Raw response text
+ * @returns Source map, or undefined if the text is not valid JSON
+ */
+export function createSourceMap(text: string): SourceMap | undefined {
+  let positions: Map<string, number> | undefined
+  try {
+    positions = parseJson(text, { positions: true }).positions
+  } catch {
+    return undefined
+  }
+  if (!positions) {
+    return undefined
+  }
+
+  const lineStarts = [0]
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1)
+    }
+  }
+  return { text, positions, lineStarts }
+}
+
+/**
+ * Finds the line and column of a JSON Pointer. Pointers to members that do not exist
+ * (e.g. a missing required attribute) resolve to their nearest existing ancestor
+ * @param sourceMap - Source map of the response body
+ * @param pointer - JSON Pointer to locate
+ * @returns Position, or undefined if no part of the pointer exists
+ */
+export function locateJsonPointer(sourceMap: SourceMap, pointer: string): SourcePosition | undefined {
+  let current = pointer
+  for (;;) {
+    const offset = sourceMap.positions.get(current)
+    if (offset !== undefined) {
+      return { jsonPointer: current, ...offsetToPosition(sourceMap, offset) }
+    }
+    if (current === '') {
+      return undefined
+    }
+    current = current.slice(0, current.lastIndexOf('/'))
+  }
+}
+
+/**
+ * Renders the lines around a position with a caret under the column, e.g.
+ *     4 |     "id": "1",
+ *   > 5 |     "type": "posts"
+ *       |     ^
+ * @param sourceMap - Source map of the response body
+ * @param line - 1-based line
+ * @param column - 1-based column
+ * @param contextLines - Lines shown before and after
+ * @returns Code frame
+ */
+export function buildCodeFrame(sourceMap: SourceMap, line: number, column: number, contextLines: number = 1): string {
+  const first = Math.max(1, line - contextLines)
+  const last = Math.min(sourceMap.lineStarts.length, line + contextLines)
+  const gutterWidth = String(last).length
+
+  // Long lines are cut to a window around the column, the same window on every line
+  const windowStart = Math.max(0, column - 1 - Math.floor(FRAME_WIDTH / 3))
+  const clip = (text: string): string => {
+    const clipped = text.slice(windowStart, windowStart + FRAME_WIDTH)
+    return `${windowStart > 0 ? '…' : ''}${clipped}${text.length > windowStart + FRAME_WIDTH ? '…' : ''}`
+  }
+
+  const frame: string[] = []
+  for (let current = first; current <= last; current++) {
+    const marker = current === line ? '>' : ' '
+    frame.push(`${marker} ${String(current).padStart(gutterWidth)} | ${clip(lineText(sourceMap, current))}`.trimEnd())
+    if (current === line) {
+      const caretColumn = column - 1 - windowStart + (windowStart > 0 ? 1 : 0)
+      frame.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(caretColumn)}^`)
+    }
+  }
+  return frame.join('\n')
+}
+
+/**
+ * Converts a validator context path such as "data[0].attributes.title" into a JSON Pointer.
+ * Context paths do not escape member names, so with the document at hand names containing
+ * "." or "[" (e.g. "first.name") are matched against the members actually present
+ * @param context - Context path reported by a validator
+ * @param document - Document the context refers to
+ * @returns JSON Pointer, or undefined if the context is not a path into the document
+ */
+export function contextToJsonPointer(context: string, document?: unknown): string | undefined {
+  const tokens: string[] = []
+  let node = document
+  let rest = context
+
+  while (rest.length > 0) {
+    const index = rest.match(/^\[(\d+)\]/)
+    if (index) {
+      tokens.push(index[1] ?? '')
+      node = Array.isArray(node) ? node[Number(index[1])] : undefined
+      rest = rest.slice(index[0].length)
+      continue
+    }
+
+    if (tokens.length > 0) {
+      if (!rest.startsWith('.')) {
+        return undefined
+      }
+      rest = rest.slice(1)
+    }
+    // Longest member present in the document that the rest of the path starts with,
+    // otherwise the text up to the next separator
+    const present = node && typeof node === 'object' && !Array.isArray(node)
+      ? Object.keys(node).filter(key => key.length > 0 && rest.startsWith(key) && /^(?:$|[.[])/.test(rest.slice(key.length)))
+      : []
+    const name = present.sort((a, b) => b.length - a.length)[0] ?? rest.match(/^[^.[\]]+/)?.[0]
+    if (name === undefined) {
+      return undefined
+    }
+    tokens.push(name)
+    node = present.length > 0 ? (node as Record<string, unknown>)[name] : undefined
+    rest = rest.slice(name.length)
+  }
+
+  if (!DOCUMENT_MEMBERS.includes(tokens[0] ?? '')) {
+    return undefined
+  }
+  return tokens.map(token => `/${token.replace(/~/g, '~0').replace(/\//g, '~1')}`).join('')
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param sourceMap - Source map of the response body
+ * @param offset - Character offset
+ * @returns Line and column
+ */
+function offsetToPosition(sourceMap: SourceMap, offset: number): { line: number, column: number } {
+  let low = 0
+  let high = sourceMap.lineStarts.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if ((sourceMap.lineStarts[middle] ?? 0) <= offset) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return { line: low + 1, column: offset - (sourceMap.lineStarts[low] ?? 0) + 1 }
+}
+
+/**
+ * Gets the text of a line without its line break
+ * @param sourceMap - Source map of the response body
+ * @param line - 1-based line
+ * @returns Line text
+ */
+function lineText(sourceMap: SourceMap, line: number): string {
+  const start = sourceMap.lineStarts[line - 1] ?? 0
+  const end = sourceMap.lineStarts[line] ?? sourceMap.text.length + 1
+  return sourceMap.text.slice(start, end - 1).replace(/\r$/, '')
+}
@@ -1,10 +1,12 @@
 /**
  * UrlValidator.ts
  *
- * Utilities for validating URL formats in JSON:API links.
+ * Utilities for validating URL formats in JSON:API links, and for resolving and comparing them.
  * Based on specification: https://jsonapi.org/format/1.1/#document-links
  */
 
+import type { CrawledPage } from '../types/validation'
+
 /**
  * Validates if a string is a valid URL format
  * @param url - The URL string to validate
@@ -88,3 +90,55 @@ export function getUrlValidationError(url: unknown): string | null {
     return null // Relative URL is valid
   }
 }
+
+/**
+ * Resolves a pagination link of a crawled page to an absolute URL
+ * @param page - The crawled page
+ * @param name - Link name (first, last, prev, next)
+ * @returns Absolute URL or null when the link is absent
+ */
+export function getPaginationLink(page: CrawledPage, name: string): string | null {
+  const document = page.document as { links?: Record<string, unknown> } | null
+  const link = document && typeof document === 'object' ? document.links?.[name] : undefined
+  const href = typeof link === 'object' && link !== null ? (link as { href?: unknown }).href : link
+
+  if (typeof href !== 'string' || href.length === 0) {
+    return null
+  }
+
+  try {
+    return new URL(href, page.url).toString()
+  } catch {
+    return href
+  }
+}
+
+/**
+ * Normalizes a URL for comparison (sorted query parameters, no fragment)
+ * @param url - URL to normalize
+ * @returns Normalized URL string
+ */
+export function normalizeUrl(url: string): string {
+  try {
+    const parsed = new URL(url)
+    parsed.hash = ''
+    parsed.searchParams.sort()
+    return parsed.toString()
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Builds the URL of a collection member following the recommended /{type}/{id} layout,
+ * for servers that give neither a Location header nor links.self
+ * @param collectionUrl - Collection URL
+ * @param id - Resource ID
+ * @returns Member URL without the collection's query string
+ */
+export function getMemberUrl(collectionUrl: string, id: string): string {
+  const url = new URL(collectionUrl)
+  url.search = ''
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeURIComponent(id)}`
+  return url.toString()
+}
@@ -5,7 +5,9 @@
  * Provides structured reports with severity levels, location info, and export capabilities
  */
 
-import type { ValidationTest, ValidationSummary } from '../types/validation.js'
+import type { ValidationTest, ValidationSummary, SpecVersion } from '../types/validation.js'
+import { findRuleForTest, getRuleReference } from './RuleCatalog.js'
+import { createSourceMap, locateJsonPointer, buildCodeFrame, type SourceMap } from './SourceLocations.js'
 
 /**
  * Severity levels for validation issues (as const for literal types)
@@ -93,6 +95,7 @@ interface ReportMetadata {
   method: string
   duration?: string
   status: OverallStatus
+  specVersion?: SpecVersion
 }
 
 /**
@@ -132,8 +135,11 @@ interface RawValidationResults {
   method: string
   duration?: string
   status?: 'completed' | 'error'
+  specVersion?: SpecVersion
   summary?: ValidationSummary
   details?: ValidationTest[]
+  /** Raw response text that locations are mapped onto */
+  responseBody?: string
 }
 
 /**
@@ -144,6 +150,18 @@ const ISSUE_SUGGESTIONS: Record<string, IssueSuggestion> = {
     suggestion: 'Ensure the response body contains valid JSON. Check for trailing commas, unescaped quotes, or malformed objects.',
     severity: SEVERITY.ERROR
   },
+  'JSON Duplicate Keys': {
+    suggestion: 'Emit each member name once per object. Clients disagree on which duplicate wins, so most keep the last one and silently drop the others.',
+    severity: SEVERITY.ERROR
+  },
+  'JSON Number Precision': {
+    suggestion: 'Integers beyond ±2^53 lose precision in JavaScript and many other clients. Send large identifiers and counters as strings.',
+    severity: SEVERITY.ERROR
+  },
+  'JSON Byte Order Mark': {
+    suggestion: 'Remove the byte order mark from the start of the response body; JSON texts exchanged between systems must not include one.',
+    severity: SEVERITY.ERROR
+  },
   'Content-Type Header': {
     suggestion: 'JSON:API requires the "application/vnd.api+json" media type. Update your server to send the correct Content-Type header.',
     severity: SEVERITY.ERROR
@@ -182,6 +200,7 @@ const ISSUE_SUGGESTIONS: Record<string, IssueSuggestion> = {
 export function createComprehensiveReport(rawResults: RawValidationResults): ComprehensiveReport {
   const details = rawResults.details || []
   const summary = rawResults.summary || { total: 0, passed: 0, failed: 0, warnings: 0 }
+  const sourceMap = rawResults.responseBody ? createSourceMap(rawResults.responseBody) : undefined
 
   const report: ComprehensiveReport = {
     metadata: {
@@ -189,13 +208,14 @@ export function createComprehensiveReport(rawResults: RawValidationResults): Com
       endpoint: rawResults.endpoint,
       method: rawResults.method,
       duration: rawResults.duration,
-      status: determineOverallStatus(rawResults)
+      status: determineOverallStatus(rawResults),
+      specVersion: rawResults.specVersion
     },
     summary: {
       ...summary,
       severity: categorizeBySeverity(details)
     },
-    sections: organizeBySections(details),
+    sections: organizeBySections(details, sourceMap),
     suggestions: generateSuggestions(details),
     export: {
       availableFormats: ['json', 'markdown', 'pdf'],
@@ -255,9 +275,10 @@ function mapStatusToSeverity(status: ValidationTest['status']): SeverityLevel {
 /**
  * Organizes validation results into logical sections
  * @param details - Array of validation details
+ * @param sourceMap - Source map of the response body, to place locations in it
  * @returns Results organized by category
  */
-function organizeBySections(details: ValidationTest[]): Record<string, ValidationSection> {
+function organizeBySections(details: ValidationTest[], sourceMap?: SourceMap): Record<string, ValidationSection> {
   const sections: Record<string, ValidationSection> = {}
 
   // Initialize all categories
@@ -270,7 +291,7 @@ function organizeBySections(details: ValidationTest[]): Record<string, Validatio
 
   details.forEach(detail => {
     const category = categorizeTest(detail.test)
-    const enhancedDetail = enhanceDetailWithLocation(detail)
+    const enhancedDetail = enhanceDetailWithLocation(detail, sourceMap)
 
     sections[category]?.tests.push(enhancedDetail)
 
@@ -296,11 +317,17 @@ function organizeBySections(details: ValidationTest[]): Record<string, Validatio
 }
 
 /**
- * Categorizes a test based on its name
+ * Categorizes a test by the rule it checks, falling back to its name for tests
+ * outside the rule catalog
  * @param testName - Name of the validation test
  * @returns Category name
  */
 function categorizeTest(testName: string): CategoryName {
+  const rule = findRuleForTest(testName)
+  if (rule) {
+    return rule.category
+  }
+
   const testLower = testName.toLowerCase()
 
   if (testLower.includes('content-type') || testLower.includes('header')) {
@@ -334,22 +361,31 @@ function categorizeTest(testName: string): CategoryName {
 /**
  * Enhances validation detail with location information
  * @param detail - Validation detail object
+ * @param sourceMap - Source map of the response body, if it could be parsed
  * @returns Enhanced detail with location info
  */
-function enhanceDetailWithLocation(detail: ValidationTest): EnhancedValidationTest {
+function enhanceDetailWithLocation(detail: ValidationTest, sourceMap?: SourceMap): EnhancedValidationTest {
   const enhanced: EnhancedValidationTest = { ...detail }
 
-  // Add JSON Pointer path if context is available
+  // Add JSON Pointer path if context is available, placed in the response text when possible
   if (detail.location) {
+    const { jsonPointer } = detail.location
+    const position = sourceMap && locateJsonPointer(sourceMap, jsonPointer)
     enhanced.location = {
-      jsonPointer: detail.location.jsonPointer,
-      description: generateLocationDescription(detail.location.jsonPointer)
+      jsonPointer,
+      description: generateLocationDescription(jsonPointer),
+      ...(position && sourceMap
+        ? { line: position.line, column: position.column, snippet: buildCodeFrame(sourceMap, position.line, position.column) }
+        : {})
     }
   }
 
   // Add severity level
   enhanced.severity = mapStatusToSeverity(detail.status)
 
+  // Add the rule ID, requirement level and specification link
+  enhanced.rule = detail.rule || getRuleReference(detail.test)
+
   return enhanced
 }
 
@@ -474,6 +510,9 @@ function exportAsMarkdown(report: ComprehensiveReport): string {
   markdown += `- **Endpoint**: ${report.metadata.method} ${report.metadata.endpoint}\n`
   markdown += `- **Timestamp**: ${new Date(report.metadata.timestamp).toLocaleString()}\n`
   markdown += `- **Duration**: ${report.metadata.duration}\n`
+  if (report.metadata.specVersion) {
+    markdown += `- **Specification**: JSON:API ${report.metadata.specVersion}\n`
+  }
   markdown += `- **Status**: ${report.metadata.status.toUpperCase()}\n\n`
 
   // Summary section
@@ -495,10 +534,17 @@ function exportAsMarkdown(report: ComprehensiveReport): string {
         const icon = getStatusIcon(test.status)
         markdown += `### ${icon} ${test.test}\n\n`
         markdown += `**Status**: ${test.status.toUpperCase()}\n\n`
+        if (test.rule) {
+          markdown += `**Rule**: [\`${test.rule.id}\`](${test.rule.specUrl}) (${test.rule.level})\n\n`
+        }
         markdown += `**Message**: ${test.message}\n\n`
 
         if (test.location) {
-          markdown += `**Location**: ${test.location.description} (\`${test.location.jsonPointer}\`)\n\n`
+          const position = test.location.line ? `, line ${test.location.line}, column ${test.location.column}` : ''
+          markdown += `**Location**: ${test.location.description} (\`${test.location.jsonPointer}\`${position})\n\n`
+          if (test.location.snippet) {
+            markdown += `\`\`\`\n${test.location.snippet}\n\`\`\`\n\n`
+          }
         }
       })
     }
@@ -539,6 +585,8 @@ function exportAsPDF(report: ComprehensiveReport): string {
     .failed { border-left-color: #f44336; }
     .warning { border-left-color: #ff9800; }
     .location { font-family: monospace; background: #f9f9f9; padding: 5px; border-radius: 3px; }
+    .rule { font-family: monospace; }
+    .snippet { font-family: monospace; background: #f9f9f9; padding: 8px; border-radius: 3px; overflow-x: auto; }
   </style>
 </head>
 <body>
@@ -547,6 +595,7 @@ function exportAsPDF(report: ComprehensiveReport): string {
     <p><strong>Endpoint:</strong> ${report.metadata.method} ${report.metadata.endpoint}</p>
     <p><strong>Generated:</strong> ${new Date(report.metadata.timestamp).toLocaleString()}</p>
     <p><strong>Duration:</strong> ${report.metadata.duration}</p>
+    ${report.metadata.specVersion ? `<p><strong>Specification:</strong> JSON:API ${report.metadata.specVersion}</p>` : ''}
   </div>
 
   <div class="summary">
@@ -578,8 +627,10 @@ function exportAsPDF(report: ComprehensiveReport): string {
         html += `<div class="test ${test.status}">
           <h3>${test.test}</h3>
           <p><strong>Status:</strong> ${test.status.toUpperCase()}</p>
+          ${test.rule ? `<p><strong>Rule:</strong> <a href="${test.rule.specUrl}"><span class="rule">${test.rule.id}</span></a> (${test.rule.level})</p>` : ''}
           <p><strong>Message:</strong> ${test.message}</p>
-          ${test.location ? `<p><strong>Location:</strong> <span class="location">${test.location.jsonPointer}</span> - ${test.location.description}</p>` : ''}
+          ${test.location ? `<p><strong>Location:</strong> <span class="location">${test.location.jsonPointer}</span> - ${test.location.description}${test.location.line ? ` (line ${test.location.line}, column ${test.location.column})` : ''}</p>` : ''}
+          ${test.location?.snippet ? `<pre class="snippet">${escapeHtml(test.location.snippet)}</pre>` : ''}
         </div>`
       })
 
@@ -604,3 +655,12 @@ function getStatusIcon(status: ValidationTest['status']): string {
     default: return '❓'
   }
 }
+
+/**
+ * Escapes text for use inside HTML
+ * @param text - Text to escape
+ * @returns Escaped text
+ */
+function escapeHtml(text: string): string {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+}
@@ -4,18 +4,42 @@
  * Service that coordinates API requests and validation
  */
 
-import { makeRequest } from '../utils/ApiClient.js'
+import { makeRequest, buildRequestHeaders } from '../utils/ApiClient.js'
 import { validateDocument } from '../validators/DocumentValidator.js'
-import { validateSparseFieldsets, validateFieldsetSyntax } from '../validators/QueryValidator.js'
-import { validateQueryParameters } from '../validators/QueryParameterValidator.js'
-import { validatePagination } from '../validators/PaginationValidator.js'
+import { validateSparseFieldsets, validateFieldsetSyntax, parseSparseFieldsets } from '../validators/QueryValidator.js'
+import { validateQueryParameters, type FilterChecks } from '../validators/QueryParameterValidator.js'
+import { validatePagination, validatePaginationCrawl } from '../validators/PaginationValidator.js'
 import { validateHttpStatus } from '../validators/HttpStatusValidator.js'
-import { validateRequestDocument } from '../validators/RequestValidator.js'
+import { validateRequestDocument, validateRelationshipRequestDocument, getConflictProbes } from '../validators/RequestValidator.js'
 import { validateJsonApiObjectExtended } from '../validators/JsonApiObjectValidator.js'
-import { validateContentNegotiation } from '../validators/ContentNegotiationValidator.js'
-import { validateUrlStructure } from '../validators/UrlStructureValidator.js'
+import {
+  validateContentNegotiation,
+  getNegotiationProbes,
+  validateNegotiationProbeResponse
+} from '../validators/ContentNegotiationValidator.js'
+import { validateUrlStructure, parseRelationshipUrl } from '../validators/UrlStructureValidator.js'
+import {
+  isAtomicOperationsMediaType,
+  validateAtomicOperationsDocument,
+  validateAtomicResultsDocument
+} from '../validators/AtomicOperationsValidator.js'
+import { validateAppliedExtensions } from '../validators/ExtensionRegistry.js'
+import { validateErrorSourceTargets } from '../validators/ErrorValidator.js'
 import { createComprehensiveReport } from '../utils/ValidationReporter.js'
-import type { ValidationTest, ValidationReport, JsonApiDocument } from '../types/validation.js'
+import { crawlPagination } from '../utils/PaginationCrawler.js'
+import { getMemberUrl } from '../utils/UrlValidator.js'
+import { getCreatedResourceUrl } from '../validators/WorkflowValidator.js'
+import { applyRuleSettings, normalizeRuleSettings, type RuleSettings } from '../utils/RuleConfig.js'
+import { observeDocument, type SchemaObservations } from '../utils/SchemaInference.js'
+import { contextToJsonPointer } from './SourceLocations.js'
+import type { JsonIssueKind } from './JsonParser.js'
+import {
+  isCursorPaginationProfileActive,
+  validateCursorPaginationProfile,
+  getCursorPaginationProbes,
+  validateCursorPaginationProbeResponse
+} from '../validators/CursorPaginationValidator.js'
+import type { ValidationTest, ValidationReport, JsonApiDocument, SpecVersion, ResourceSchemas, NamingPolicy, ApiResponse } from '../types/validation.js'
 
 /**
  * Extended test config with optional fields for compatibility
@@ -34,6 +58,53 @@ export interface ExtendedTestConfig {
     username?: string
     password?: string
   }
+  negotiationProbes?: boolean
+  /** Send the Cursor Pagination profile's documented error cases when a collection applies the profile */
+  cursorPaginationProbes?: boolean
+  /** POST the request's resource again with a client-generated ID and check the server honors or rejects it */
+  clientIdProbes?: boolean
+  /** Send the request's resource again with its type or id changed and check the server answers 409 Conflict */
+  conflictProbes?: boolean
+  crawlPagination?: boolean
+  maxCrawlPages?: number
+  crawlPrev?: boolean
+  specVersion?: SpecVersion
+  /** Rule overrides keyed by rule ID or "area/*" (see RuleConfig) */
+  rules?: RuleSettings
+  /** Per-type schemas primary and included resources are checked against */
+  schemas?: ResourceSchemas
+  /** Filters whose results are verified, keyed by filter field (see QueryParameterValidator) */
+  filterChecks?: FilterChecks
+  /** Naming conventions for types, attributes, relationships, meta keys and query parameters (see MemberNames) */
+  namingPolicy?: NamingPolicy
+  /** Receives every primary and included resource returned, for schema inference (see SchemaInference) */
+  observations?: SchemaObservations
+  /** Further checks of the response, merged with the built-in ones (see CrudWorkflow) */
+  responseChecks?: (response: ApiResponse) => ResponseCheckResult
+}
+
+/**
+ * Result of the caller's own checks of a response
+ */
+export interface ResponseCheckResult {
+  valid: boolean
+  errors: LocatedIssue[]
+  warnings: LocatedIssue[]
+  details: ValidationTest[]
+}
+
+/**
+ * Specification version assumed when neither the config nor the response names one
+ */
+const DEFAULT_SPEC_VERSION: SpecVersion = '1.1'
+
+/**
+ * Test reporting each kind of issue found while parsing the response body
+ */
+const JSON_ISSUE_TESTS: Record<JsonIssueKind, string> = {
+  'duplicate-key': 'JSON Duplicate Keys',
+  'unsafe-number': 'JSON Number Precision',
+  'byte-order-mark': 'JSON Byte Order Mark'
 }
 
 /**
@@ -46,7 +117,10 @@ interface InternalValidationResults {
   status: 'completed' | 'error'
   httpStatus?: number
   contentType?: string
+  specVersion?: SpecVersion
   error?: string
+  /** Raw response text, for mapping locations to line and column */
+  responseBody?: string
   summary: {
     total: number
     passed: number
@@ -57,6 +131,16 @@ interface InternalValidationResults {
   duration?: string
 }
 
+/**
+ * Validator error or warning, optionally located in the response document
+ */
+export interface LocatedIssue {
+  test: string
+  message: string
+  context?: string
+  location?: ValidationTest['location']
+}
+
 /**
  * Query parameters from URL
  */
@@ -88,6 +172,11 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
   }
 
   try {
+    // Reject invalid rule settings before any request is sent
+    if (config.rules) {
+      normalizeRuleSettings(config.rules)
+    }
+
     // Extract query parameters from URL for validation
     let queryParams: QueryParams = {}
     try {
@@ -127,18 +216,43 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       }
     })
 
+    // Atomic Operations requests carry the extension in the Content-Type they send
+    const atomicRequest = isAtomicOperationsMediaType(getConfiguredHeader(config, 'content-type'))
+    let atomicOperationCount: number | undefined
+
+    // Relationship endpoints (/articles/1/relationships/tags) take resource linkage, not resources
+    const relationshipEndpoint = parseRelationshipUrl(config.apiUrl)
+    const bodyMethods = relationshipEndpoint ? ['POST', 'PATCH', 'DELETE'] : ['POST', 'PUT', 'PATCH']
+    // Parsed request document, for resolving the source pointers of error responses
+    let requestDocument: unknown
+
     // Step 4: Validate request body if present
-    // Note: Currently only validates for POST/PATCH with request body
+    // Note: Currently only validates for POST/PATCH (and DELETE to relationships) with request body
     // GET requests don't have request bodies to validate
-    if (['POST', 'PUT', 'PATCH'].includes(config.httpMethod) && config.requestBody) {
+    if (bodyMethods.includes(config.httpMethod) && config.requestBody) {
       try {
         const requestBody = typeof config.requestBody === 'string'
           ? JSON.parse(config.requestBody)
           : config.requestBody
+        requestDocument = requestBody
 
-        const requestValidation = validateRequestDocument(requestBody, config.httpMethod, {
-          readOnlyFields: config.readOnlyFields || []
-        })
+        let requestValidation
+        if (atomicRequest) {
+          requestValidation = validateAtomicOperationsDocument(requestBody)
+          if (Array.isArray(requestBody?.['atomic:operations'])) {
+            atomicOperationCount = requestBody['atomic:operations'].length
+          }
+        } else if (relationshipEndpoint) {
+          requestValidation = validateRelationshipRequestDocument(requestBody, config.httpMethod, {
+            relationshipName: relationshipEndpoint.relationshipName,
+            specVersion: config.specVersion ?? DEFAULT_SPEC_VERSION
+          })
+        } else {
+          requestValidation = validateRequestDocument(requestBody, config.httpMethod, {
+            readOnlyFields: config.readOnlyFields || [],
+            specVersion: config.specVersion ?? DEFAULT_SPEC_VERSION
+          })
+        }
 
         // Add request validation results
         results.details.push(...requestValidation.details)
@@ -201,7 +315,20 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
 
     // Update results with response information after successful request
     results.httpStatus = response.status
+    results.responseBody = response.rawResponse
     results.contentType = response.headers['content-type'] || 'unknown'
+    const atomicResponse = atomicRequest || isAtomicOperationsMediaType(response.headers['content-type'])
+
+    // The configured version wins; otherwise follow what the response declares in jsonapi.version
+    const versionResolution = resolveSpecVersion(config.specVersion, response.data)
+    const specVersion = versionResolution.specVersion
+    results.specVersion = specVersion
+    results.details.push(versionResolution.detail)
+    if (versionResolution.detail.status === 'warning') {
+      results.summary.warnings++
+    } else {
+      results.summary.passed++
+    }
 
     // Add query parameter validation results
     results.details.push(...queryValidation.details)
@@ -227,10 +354,11 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       }
     })
 
-    // Step 6: Validate content negotiation
+    // Step 6: Validate content negotiation; a 204 No Content response has no body to describe
     const contentNegotiationValidation = validateContentNegotiation(response.headers, {
-      validateContentType: true,
-      validateAccept: false // We validate the response Content-Type, not request Accept
+      validateContentType: response.status !== 204,
+      validateAccept: false, // We validate the response Content-Type, not request Accept
+      specVersion
     })
 
     // Add content negotiation validation results
@@ -272,10 +400,27 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
         message: 'Response is valid JSON'
       })
       results.summary.passed++
+
+      // JSON.parse would have accepted these silently; they are failures all the same
+      const jsonIssues = response.jsonIssues ?? []
+      jsonIssues.forEach(issue => {
+        results.details.push({
+          test: JSON_ISSUE_TESTS[issue.kind],
+          status: 'failed',
+          message: `${issue.message} (line ${issue.line}, column ${issue.column})`,
+          location: { jsonPointer: issue.pointer }
+        })
+        results.summary.failed++
+      })
     }
 
     // Step 8: Validate HTTP status code
-    const statusValidation = validateHttpStatus(response.status, config.httpMethod, response.data as JsonApiDocument | null)
+    const clientGeneratedId = !atomicRequest && !relationshipEndpoint ? getPrimaryResourceId(requestDocument) : undefined
+    const statusValidation = validateHttpStatus(response.status, config.httpMethod, response.data as JsonApiDocument | null, {
+      atomic: atomicResponse,
+      relationship: relationshipEndpoint !== null,
+      ...(clientGeneratedId !== undefined ? { clientGeneratedId } : {})
+    })
 
     // Add HTTP status validation results
     results.details.push(...statusValidation.details)
@@ -285,7 +430,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       results.details.push({
         test: error.test,
         status: 'failed',
-        message: error.message
+        message: error.message,
+        ...locateIssue(error, response.data)
       })
       results.summary.failed++
     })
@@ -295,7 +441,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       results.details.push({
         test: warning.test,
         status: 'warning',
-        message: warning.message
+        message: warning.message,
+        ...locateIssue(warning, response.data)
       })
       results.summary.warnings++
     })
@@ -308,7 +455,10 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
     })
 
     // Step 9: Validate query parameters
-    const queryParamValidation = validateQueryParameters(config.apiUrl, response.data)
+    const queryParamValidation = validateQueryParameters(config.apiUrl, response.data, {
+      filterChecks: config.filterChecks,
+      namingPolicy: config.namingPolicy
+    })
 
     // Add query parameter validation results
     results.details.push(...queryParamValidation.details)
@@ -318,7 +468,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       results.details.push({
         test: error.test,
         status: 'failed',
-        message: error.message
+        message: error.message,
+        ...locateIssue(error, response.data)
       })
       results.summary.failed++
     })
@@ -328,7 +479,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
       results.details.push({
         test: warning.test,
         status: 'warning',
-        message: warning.message
+        message: warning.message,
+        ...locateIssue(warning, response.data)
       })
       results.summary.warnings++
     })
@@ -342,27 +494,42 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
 
     // Step 10: Validate document structure (if JSON parsed successfully)
     if (!response.parseError && response.data !== null) {
-      const documentValidation = validateDocument(response.data)
+      // Atomic Operations results documents replace "data" with "atomic:results"
+      const hasAtomicResults = atomicResponse && typeof response.data === 'object' &&
+        Object.prototype.hasOwnProperty.call(response.data, 'atomic:results')
+      const documentValidation = hasAtomicResults
+        ? validateAtomicResultsDocument(response.data, { operationCount: atomicOperationCount })
+        : validateDocument(response.data, {
+          specVersion,
+          schemas: config.schemas,
+          sparseFieldsets: parseSparseFieldsets(queryParams),
+          namingPolicy: config.namingPolicy
+        })
+      if (config.observations && !hasAtomicResults) {
+        observeDocument(config.observations, response.data, parseSparseFieldsets(queryParams))
+      }
 
       // Add document validation results
       results.details.push(...documentValidation.details)
 
-      // Add any errors
-      documentValidation.errors.forEach(error => {
+      // Add any errors, keeping their location in the response
+      documentValidation.errors.forEach((error: LocatedIssue) => {
         results.details.push({
           test: error.test,
           status: 'failed',
-          message: error.message
+          message: error.message,
+          ...locateIssue(error, response.data)
         })
         results.summary.failed++
       })
 
       // Add any warnings
-      documentValidation.warnings.forEach(warning => {
+      documentValidation.warnings.forEach((warning: LocatedIssue) => {
         results.details.push({
           test: warning.test,
           status: 'warning',
-          message: warning.message
+          message: warning.message,
+          ...locateIssue(warning, response.data)
         })
         results.summary.warnings++
       })
@@ -374,10 +541,46 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
         }
       })
 
+      // Step 10a: Error sources must refer to the request that was sent
+      const responseErrors = (response.data as JsonApiDocument).errors
+      if (Array.isArray(responseErrors)) {
+        const sourceValidation = validateErrorSourceTargets(responseErrors, {
+          document: requestDocument,
+          hasBody: bodyMethods.includes(config.httpMethod) && Boolean(config.requestBody),
+          queryParameters: Object.keys(queryParams),
+          headers: Object.keys(buildRequestHeaders(config as any))
+        })
+
+        results.details.push(...sourceValidation.details)
+        sourceValidation.errors.forEach(error => {
+          results.details.push({
+            test: error.test,
+            status: 'failed',
+            message: error.message,
+            ...locateIssue(error, response.data)
+          })
+          results.summary.failed++
+        })
+        sourceValidation.warnings.forEach(warning => {
+          results.details.push({
+            test: warning.test,
+            status: 'warning',
+            message: warning.message,
+            ...locateIssue(warning, response.data)
+          })
+          results.summary.warnings++
+        })
+        sourceValidation.details.forEach(detail => {
+          if (detail.status === 'passed') {
+            results.summary.passed++
+          }
+        })
+      }
+
       // Step 10b: Enhanced JSON:API object validation
       if (response.data && typeof response.data === 'object' && response.data !== null && 'jsonapi' in response.data) {
         const jsonApiData = response.data as JsonApiDocument
-        const jsonApiObjectValidation = validateJsonApiObjectExtended(jsonApiData.jsonapi)
+        const jsonApiObjectValidation = validateJsonApiObjectExtended(jsonApiData.jsonapi, { specVersion })
 
         // Add JSON:API object validation results
         results.details.push(...jsonApiObjectValidation.details)
@@ -385,7 +588,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: error.test,
             status: 'failed',
-            message: error.message
+            message: error.message,
+            ...locateIssue(error, response.data)
           })
           results.summary.failed++
         })
@@ -393,7 +597,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: warning.test,
             status: 'warning',
-            message: warning.message
+            message: warning.message,
+            ...locateIssue(warning, response.data)
           })
           results.summary.warnings++
         })
@@ -404,6 +609,38 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
         })
       }
 
+      // Step 10c: Rules contributed by registered extensions and profiles the response applies
+      const extensionValidation = validateAppliedExtensions(response.data, {
+        requestUrl: config.apiUrl,
+        method: config.httpMethod,
+        contentType: response.headers['content-type']
+      })
+
+      results.details.push(...extensionValidation.details)
+      extensionValidation.errors.forEach(error => {
+        results.details.push({
+          test: error.test,
+          status: 'failed',
+          message: error.message,
+          ...locateIssue(error, response.data)
+        })
+        results.summary.failed++
+      })
+      extensionValidation.warnings.forEach(warning => {
+        results.details.push({
+          test: warning.test,
+          status: 'warning',
+          message: warning.message,
+          ...locateIssue(warning, response.data)
+        })
+        results.summary.warnings++
+      })
+      extensionValidation.details.forEach(detail => {
+        if (detail.status === 'passed') {
+          results.summary.passed++
+        }
+      })
+
       // Step 11: Validate sparse fieldsets (if response has data and query parameters exist)
       if (response.data && Object.keys(queryParams).length > 0) {
         const fieldsetValidation = validateSparseFieldsets(response.data, queryParams)
@@ -416,7 +653,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: error.test,
             status: 'failed',
-            message: error.message
+            message: error.message,
+            ...locateIssue(error, response.data)
           })
           results.summary.failed++
         })
@@ -426,7 +664,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: warning.test,
             status: 'warning',
-            message: warning.message
+            message: warning.message,
+            ...locateIssue(warning, response.data)
           })
           results.summary.warnings++
         })
@@ -452,7 +691,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: error.test,
             status: 'failed',
-            message: error.message
+            message: error.message,
+            ...locateIssue(error, response.data)
           })
           results.summary.failed++
         })
@@ -462,7 +702,8 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           results.details.push({
             test: warning.test,
             status: 'warning',
-            message: warning.message
+            message: warning.message,
+            ...locateIssue(warning, response.data)
           })
           results.summary.warnings++
         })
@@ -474,6 +715,245 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
           }
         })
       }
+
+      // Step 12b: Crawl every page of the collection (opt-in, sends additional requests)
+      const primaryData = (response.data as JsonApiDocument).data
+      if (config.crawlPagination && config.httpMethod === 'GET' && Array.isArray(primaryData)) {
+        const startPage = { url: config.apiUrl, document: response.data }
+        const crawl = await crawlPagination(config, startPage, {
+          maxPages: config.maxCrawlPages,
+          followPrev: config.crawlPrev
+        })
+        const crawlValidation = validatePaginationCrawl(crawl, config.apiUrl)
+        if (config.observations) {
+          // The start page was observed with the response itself; with crawlPrev, earlier pages come before it
+          crawl.pages
+            .filter(page => page !== startPage)
+            .forEach(page => observeDocument(config.observations!, page.document, parseSparseFieldsets(queryParams)))
+        }
+
+        results.details.push(...crawlValidation.details.filter(detail => detail.status !== 'skipped') as ValidationTest[])
+        crawlValidation.errors.forEach(error => {
+          results.details.push({
+            test: error.test,
+            status: 'failed',
+            message: error.message
+          })
+          results.summary.failed++
+        })
+        crawlValidation.warnings.forEach(warning => {
+          results.details.push({
+            test: warning.test,
+            status: 'warning',
+            message: warning.message
+          })
+          results.summary.warnings++
+        })
+        crawlValidation.details.forEach(detail => {
+          if (detail.status === 'passed') {
+            results.summary.passed++
+          }
+        })
+      }
+
+      // Step 12c: Cursor Pagination profile rules, plus probes of its error cases for GET collections (opt-in)
+      if (isCursorPaginationProfileActive(response.data, response.headers['content-type']) && Array.isArray(primaryData)) {
+        const cursorValidation = validateCursorPaginationProfile(response.data, config.apiUrl)
+
+        results.details.push(...cursorValidation.details)
+        cursorValidation.errors.forEach(error => {
+          results.details.push({
+            test: error.test,
+            status: 'failed',
+            message: error.message,
+            ...locateIssue(error, response.data)
+          })
+          results.summary.failed++
+        })
+        cursorValidation.warnings.forEach(warning => {
+          results.details.push({
+            test: warning.test,
+            status: 'warning',
+            message: warning.message,
+            ...locateIssue(warning, response.data)
+          })
+          results.summary.warnings++
+        })
+        cursorValidation.details.forEach(detail => {
+          if (detail.status === 'passed') {
+            results.summary.passed++
+          }
+        })
+
+        // Probe findings describe the probes' own responses, so they are not located in this one
+        if (config.cursorPaginationProbes && config.httpMethod === 'GET') {
+          const probeValidation = await runCursorPaginationProbes(config, response.data)
+
+          results.details.push(...probeValidation.details)
+          probeValidation.errors.forEach(error => {
+            results.details.push({
+              test: error.test,
+              status: 'failed',
+              message: error.message
+            })
+            results.summary.failed++
+          })
+          probeValidation.warnings.forEach(warning => {
+            results.details.push({
+              test: warning.test,
+              status: 'warning',
+              message: warning.message
+            })
+            results.summary.warnings++
+          })
+          probeValidation.details.forEach(detail => {
+            if (detail.status === 'passed') {
+              results.summary.passed++
+            }
+          })
+        }
+      }
+    }
+
+    // Step 13: Probe content negotiation enforcement (opt-in, sends additional requests)
+    if (config.negotiationProbes) {
+      const probeValidation = await runNegotiationProbes(config)
+
+      results.details.push(...probeValidation.details)
+      probeValidation.errors.forEach(error => {
+        results.details.push({
+          test: error.test,
+          status: 'failed',
+          message: error.message
+        })
+        results.summary.failed++
+      })
+      probeValidation.warnings.forEach(warning => {
+        results.details.push({
+          test: warning.test,
+          status: 'warning',
+          message: warning.message
+        })
+        results.summary.warnings++
+      })
+      probeValidation.details.forEach(detail => {
+        if (detail.status === 'passed') {
+          results.summary.passed++
+        }
+      })
+    }
+
+    // Step 13b: Probe client-generated ID support (opt-in, creates a resource if the server supports them)
+    if (config.clientIdProbes) {
+      const probeValidation = config.httpMethod === 'POST' && !atomicRequest && !relationshipEndpoint
+        ? await runClientIdProbe(config, requestDocument)
+        : undefined
+
+      if (!probeValidation) {
+        results.details.push({
+          test: 'Client-Generated ID',
+          status: 'warning',
+          message: 'Client-generated ID probe skipped: it needs a POST request creating a resource'
+        })
+        results.summary.warnings++
+      } else {
+        results.details.push(...probeValidation.details)
+        probeValidation.errors.forEach(error => {
+          results.details.push({
+            test: error.test,
+            status: 'failed',
+            message: error.message
+          })
+          results.summary.failed++
+        })
+        probeValidation.warnings.forEach(warning => {
+          results.details.push({
+            test: warning.test,
+            status: 'warning',
+            message: warning.message
+          })
+          results.summary.warnings++
+        })
+        probeValidation.details.forEach(detail => {
+          if (detail.status === 'passed') {
+            results.summary.passed++
+          }
+        })
+      }
+    }
+
+    // Step 13c: Probe 409 Conflict for resource objects not matching the endpoint (opt-in, sends additional requests)
+    if (config.conflictProbes) {
+      const probes = !atomicRequest && !relationshipEndpoint ? getConflictProbes(requestDocument, config.httpMethod) : []
+
+      if (probes.length === 0) {
+        results.details.push({
+          test: 'Endpoint Conflict',
+          status: 'warning',
+          message: 'Conflict probes skipped: they need a valid POST or PATCH request with a single resource object'
+        })
+        results.summary.warnings++
+      } else {
+        const probeValidation = await runConflictProbes(config, probes)
+
+        results.details.push(...probeValidation.details)
+        probeValidation.errors.forEach(error => {
+          results.details.push({
+            test: error.test,
+            status: 'failed',
+            message: error.message
+          })
+          results.summary.failed++
+        })
+        probeValidation.warnings.forEach(warning => {
+          results.details.push({
+            test: warning.test,
+            status: 'warning',
+            message: warning.message
+          })
+          results.summary.warnings++
+        })
+        probeValidation.details.forEach(detail => {
+          if (detail.status === 'passed') {
+            results.summary.passed++
+          }
+        })
+      }
+    }
+
+    // Step 14: Checks supplied by the caller, e.g. the CRUD workflow's expectations of each step
+    if (config.responseChecks) {
+      const responseCheck = config.responseChecks(response)
+
+      results.details.push(...responseCheck.details)
+      responseCheck.errors.forEach(error => {
+        results.details.push({
+          test: error.test,
+          status: 'failed',
+          message: error.message,
+          ...locateIssue(error, response.data)
+        })
+        results.summary.failed++
+      })
+      responseCheck.warnings.forEach(warning => {
+        results.details.push({
+          test: warning.test,
+          status: 'warning',
+          message: warning.message,
+          ...locateIssue(warning, response.data)
+        })
+        results.summary.warnings++
+      })
+      responseCheck.details.forEach(detail => {
+        if (detail.status === 'passed') {
+          results.summary.passed++
+        }
+      })
+    }
+
+    // Apply rule overrides uniformly to every merged result, then recount
+    if (config.rules && Object.keys(config.rules).length > 0) {
+      applyRuleConfiguration(results, config.rules)
     }
 
     // Calculate totals
@@ -513,3 +993,373 @@ export async function runValidation(config: ExtendedTestConfig): Promise<Validat
     return createComprehensiveReport(errorResults) as ValidationReport
   }
 }
+
+/**
+ * Locates a validator's finding in the response document: the JSON pointer it set,
+ * or one derived from its context path (e.g. "data[0].attributes.title")
+ * @param issue - Validator error or warning
+ * @param document - Response document the context path refers to
+ * @returns Object with a location to spread into a result, or an empty object
+ */
+function locateIssue(issue: LocatedIssue, document: unknown): Pick<ValidationTest, 'location'> {
+  if (issue.location) {
+    return { location: issue.location }
+  }
+  const jsonPointer = issue.context === undefined ? undefined : contextToJsonPointer(issue.context, document)
+  return jsonPointer === undefined ? {} : { location: { jsonPointer } }
+}
+
+/**
+ * Applies rule settings to the collected results and recounts the summary
+ * @param results - Validation results collected so far
+ * @param rules - Rule settings keyed by rule ID or "area/*"
+ */
+function applyRuleConfiguration(results: InternalValidationResults, rules: RuleSettings): void {
+  const outcome = applyRuleSettings(results.details, rules)
+  const changes = [
+    outcome.disabled > 0 ? `${outcome.disabled} result(s) of disabled rules omitted` : null,
+    outcome.downgraded > 0 ? `${outcome.downgraded} failure(s) downgraded to warnings` : null,
+    outcome.upgraded > 0 ? `${outcome.upgraded} warning(s) upgraded to failures` : null
+  ].filter((change): change is string => change !== null)
+
+  results.details = outcome.details
+  results.details.push({
+    test: 'Rule Configuration',
+    status: 'passed',
+    message: `Applied ${Object.keys(rules).length} rule setting(s)${changes.length > 0 ? `: ${changes.join(', ')}` : ''}`
+  })
+
+  results.summary.passed = results.details.filter(detail => detail.status === 'passed').length
+  results.summary.failed = results.details.filter(detail => detail.status === 'failed').length
+  results.summary.warnings = results.details.filter(detail => detail.status === 'warning').length
+}
+
+/**
+ * Decides which JSON:API version to validate against: the configured one, else the
+ * response's jsonapi.version, else the default
+ * @param configured - Version chosen by the user, if any
+ * @param document - Response document
+ * @returns The version to apply and a report entry explaining the choice
+ */
+function resolveSpecVersion(configured: SpecVersion | undefined, document: unknown): { specVersion: SpecVersion; detail: ValidationTest } {
+  const jsonapi = document && typeof document === 'object' ? (document as JsonApiDocument).jsonapi : undefined
+  const declared = jsonapi && typeof jsonapi === 'object' ? (jsonapi as { version?: unknown }).version : undefined
+  const declaredVersion = declared === '1.0' || declared === '1.1' ? declared : undefined
+
+  if (configured) {
+    if (declaredVersion && declaredVersion !== configured) {
+      return {
+        specVersion: configured,
+        detail: {
+          test: 'JSON:API Specification Version',
+          status: 'warning',
+          message: `Validating against JSON:API ${configured} as configured, but the response declares jsonapi.version "${declaredVersion}"`
+        }
+      }
+    }
+    return {
+      specVersion: configured,
+      detail: { test: 'JSON:API Specification Version', status: 'passed', message: `Validating against JSON:API ${configured} (configured)` }
+    }
+  }
+
+  if (declaredVersion) {
+    return {
+      specVersion: declaredVersion,
+      detail: { test: 'JSON:API Specification Version', status: 'passed', message: `Validating against JSON:API ${declaredVersion} (declared by the response's jsonapi.version)` }
+    }
+  }
+
+  return {
+    specVersion: DEFAULT_SPEC_VERSION,
+    detail: {
+      test: 'JSON:API Specification Version',
+      status: 'passed',
+      message: `Validating against JSON:API ${DEFAULT_SPEC_VERSION} (the response does not declare jsonapi.version)`
+    }
+  }
+}
+
+/**
+ * Sends deliberately invalid Content-Type/Accept headers and checks the server rejects them.
+ * Accept probes are sent as GET; Content-Type probes reuse the configured method and body.
+ * @param config - Test configuration
+ * @returns Combined validation result of all probes
+ */
+async function runNegotiationProbes(config: ExtendedTestConfig): Promise<ReturnType<typeof validateNegotiationProbeResponse>> {
+  const results: ReturnType<typeof validateNegotiationProbeResponse> = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const sendsBody = ['POST', 'PUT', 'PATCH'].includes(config.httpMethod) && Boolean(config.requestBody)
+  const probes = getNegotiationProbes({ includeContentType: sendsBody })
+
+  for (const probe of probes) {
+    const probeConfig = {
+      ...config,
+      httpMethod: probe.header === 'Accept' ? 'GET' : config.httpMethod,
+      requestBody: probe.header === 'Accept' ? undefined : config.requestBody,
+      customHeaders: withConfiguredHeader(config, probe.header, probe.value)
+    }
+
+    const response = await makeRequest(probeConfig as any)
+    if (!response.success) {
+      results.valid = false
+      results.errors.push({
+        test: `${probe.header} Negotiation Probe`,
+        message: `${probe.name}: request failed - ${response.error || 'Unknown error'}`
+      })
+      continue
+    }
+
+    const probeValidation = validateNegotiationProbeResponse(probe, response.status, response.data)
+    if (!probeValidation.valid) {
+      results.valid = false
+    }
+    results.errors.push(...probeValidation.errors)
+    results.warnings.push(...probeValidation.warnings)
+    results.details.push(...probeValidation.details)
+  }
+
+  return results
+}
+
+/**
+ * Posts the request's resource again with a fresh UUID as client-generated ID and checks the
+ * server creates it with that ID (201/204) or rejects it with 403 Forbidden and an error document.
+ * A resource the probe creates is deleted again
+ * @param config - Test configuration
+ * @param requestDocument - Parsed request document
+ * @returns Client-generated ID findings about the probe's response
+ */
+async function runClientIdProbe(config: ExtendedTestConfig, requestDocument: unknown): Promise<ReturnType<typeof validateHttpStatus>> {
+  const results: ReturnType<typeof validateHttpStatus> = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const document = requestDocument as { data?: unknown } | undefined
+  if (!document?.data || typeof document.data !== 'object' || Array.isArray(document.data)) {
+    results.warnings.push({
+      test: 'Client-Generated ID',
+      message: 'Client-generated ID probe skipped: the request body has no resource object to create'
+    })
+    return results
+  }
+
+  const clientGeneratedId = globalThis.crypto.randomUUID()
+  const response = await makeRequest({
+    ...config,
+    requestBody: { ...document, data: { ...document.data, id: clientGeneratedId } }
+  } as any)
+  if (!response.success) {
+    results.valid = false
+    results.errors.push({
+      test: 'Client-Generated ID',
+      message: `Client-generated ID probe: request failed - ${response.error || 'Unknown error'}`
+    })
+    return results
+  }
+
+  // Only the client-generated ID rules concern the probe; the rest describe its response, not the request under test
+  const probeValidation = validateHttpStatus(response.status, 'POST', response.data as JsonApiDocument | null, { clientGeneratedId })
+  const probeFindings = <T extends { test: string; message: string }>(findings: T[]): T[] => findings
+    .filter(finding => finding.test === 'Client-Generated ID')
+    .map(finding => ({ ...finding, message: `Client-generated ID probe: ${finding.message}` }))
+
+  results.errors.push(...probeFindings(probeValidation.errors))
+  results.warnings.push(...probeFindings(probeValidation.warnings))
+  results.details.push(...probeFindings(probeValidation.details))
+  if (results.errors.length + results.warnings.length + results.details.length === 0) {
+    results.errors.push({
+      test: 'Client-Generated ID',
+      message: `Client-generated ID probe: server answered ${response.status}; expected 201 Created or 204 No Content with the ID, or 403 Forbidden`
+    })
+  }
+
+  if (response.status >= 200 && response.status < 300) {
+    const createdId = getPrimaryResourceId(response.data) ?? clientGeneratedId
+    const cleanup = await deleteProbeResource(config, response, createdId, 'Client-generated ID probe')
+    if (cleanup) {
+      results.warnings.push({ test: 'Client-Generated ID', message: cleanup })
+    }
+  }
+  results.valid = results.errors.length === 0
+  return results
+}
+
+/**
+ * Sends the Cursor Pagination profile's documented error cases (oversized and invalid
+ * page[size], range pagination) and checks how the server answers them
+ * @param config - Test configuration
+ * @param document - The paginated response document
+ * @returns Combined validation result of all probes
+ */
+async function runCursorPaginationProbes(
+  config: ExtendedTestConfig,
+  document: unknown
+): Promise<ReturnType<typeof validateCursorPaginationProbeResponse>> {
+  const results: ReturnType<typeof validateCursorPaginationProbeResponse> = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  for (const probe of getCursorPaginationProbes(document, config.apiUrl)) {
+    const response = await makeRequest({ ...config, apiUrl: probe.url, httpMethod: 'GET', requestBody: undefined } as any)
+    if (!response.success) {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Error Handling',
+        message: `${probe.name}: request failed - ${response.error || 'Unknown error'}`
+      })
+      continue
+    }
+
+    const probeValidation = validateCursorPaginationProbeResponse(probe, response.status, response.data)
+    if (!probeValidation.valid) {
+      results.valid = false
+    }
+    results.errors.push(...probeValidation.errors)
+    results.warnings.push(...probeValidation.warnings)
+    results.details.push(...probeValidation.details)
+  }
+
+  return results
+}
+
+/**
+ * Sends the request's resource with its type or id changed and checks the server answers 409 Conflict.
+ * A resource a POST probe creates is deleted again
+ * @param config - Test configuration
+ * @param probes - Mismatched request documents derived from the configured body
+ * @returns Endpoint conflict findings about the probes' responses
+ */
+async function runConflictProbes(
+  config: ExtendedTestConfig,
+  probes: ReturnType<typeof getConflictProbes>
+): Promise<ReturnType<typeof validateHttpStatus>> {
+  const results: ReturnType<typeof validateHttpStatus> = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  for (const probe of probes) {
+    const response = await makeRequest({ ...config, requestBody: probe.document } as any)
+    if (!response.success) {
+      results.valid = false
+      results.errors.push({
+        test: 'Endpoint Conflict',
+        message: `${probe.name}: request failed - ${response.error || 'Unknown error'}`
+      })
+      continue
+    }
+
+    // Only the conflict rule concerns the probe; the rest describe its response, not the request under test
+    const probeValidation = validateHttpStatus(response.status, config.httpMethod, response.data as JsonApiDocument | null, {
+      conflict: probe.mismatch
+    })
+    const probeFindings = <T extends { test: string; message: string }>(findings: T[]): T[] => findings
+      .filter(finding => finding.test === 'Endpoint Conflict')
+      .map(finding => ({ ...finding, message: `${probe.name}: ${finding.message}` }))
+
+    results.errors.push(...probeFindings(probeValidation.errors))
+    results.warnings.push(...probeFindings(probeValidation.warnings))
+    results.details.push(...probeFindings(probeValidation.details))
+
+    // A POST the server accepted instead of answering 409 created a resource of the probe's type
+    if (config.httpMethod === 'POST' && response.status >= 200 && response.status < 300) {
+      const createdId = getPrimaryResourceId(response.data) ?? getPrimaryResourceId(probe.document)
+      const cleanup = await deleteProbeResource(config, response, createdId, probe.name)
+      if (cleanup) {
+        results.warnings.push({ test: 'Endpoint Conflict', message: cleanup })
+      }
+    }
+  }
+
+  results.valid = results.errors.length === 0
+  return results
+}
+
+/**
+ * Deletes a resource created by a probe, so that probing leaves no data behind on the server
+ * @param config - Test configuration; apiUrl is the collection the probe posted to
+ * @param response - Response to the probe that created the resource
+ * @param id - ID of the created resource, if known
+ * @param label - Name of the probe, prefixed to the message
+ * @returns Message saying the resource was left behind, or undefined once it is deleted
+ */
+async function deleteProbeResource(
+  config: ExtendedTestConfig,
+  response: ApiResponse,
+  id: string | undefined,
+  label: string
+): Promise<string | undefined> {
+  const resourceUrl = getCreatedResourceUrl(response, config.apiUrl) ?? (id !== undefined ? getMemberUrl(config.apiUrl, id) : undefined)
+  if (!resourceUrl) {
+    return `${label}: the created resource was left behind; the response did not say where it lives`
+  }
+
+  const deletion = await makeRequest({ ...config, apiUrl: resourceUrl, httpMethod: 'DELETE', requestBody: undefined } as any)
+  if (!deletion.success || deletion.status < 200 || deletion.status >= 300) {
+    const outcome = deletion.success ? `server answered ${deletion.status}` : `request failed - ${deletion.error || 'Unknown error'}`
+    return `${label}: the created resource at ${resourceUrl} was left behind; deleting it failed (${outcome})`
+  }
+  return undefined
+}
+
+/**
+ * Gets the ID of the single resource object a document holds, e.g. the client-generated ID of a request
+ * @param document - Parsed request or response document
+ * @returns Resource ID, or undefined if the primary data is not a resource object with an ID
+ */
+function getPrimaryResourceId(document: unknown): string | undefined {
+  const data = document && typeof document === 'object' ? (document as { data?: unknown }).data : undefined
+  const id = data && typeof data === 'object' && !Array.isArray(data) ? (data as { id?: unknown }).id : undefined
+  return typeof id === 'string' ? id : undefined
+}
+
+/**
+ * Returns the configured custom headers as a record with one header replaced (case-insensitive)
+ * @param config - Test configuration
+ * @param name - Header name
+ * @param value - Header value
+ * @returns Custom headers record
+ */
+function withConfiguredHeader(config: ExtendedTestConfig, name: string, value: string): Record<string, string> {
+  const headers = Array.isArray(config.customHeaders)
+    ? config.customHeaders.map(header => [header.key, header.value] as const)
+    : Object.entries(config.customHeaders || {})
+
+  const record: Record<string, string> = {}
+  headers.forEach(([key, headerValue]) => {
+    if (key && key.toLowerCase() !== name.toLowerCase()) {
+      record[key] = headerValue
+    }
+  })
+  record[name] = value
+  return record
+}
+
+/**
+ * Looks up a header from the configured custom headers (case-insensitive)
+ * @param config - Test configuration
+ * @param name - Header name
+ * @returns Header value or undefined if not configured
+ */
+function getConfiguredHeader(config: ExtendedTestConfig, name: string): string | undefined {
+  const headers = Array.isArray(config.customHeaders)
+    ? config.customHeaders.map(header => [header.key, header.value] as const)
+    : Object.entries(config.customHeaders || {})
+
+  const match = headers.find(([key]) => key && key.toLowerCase() === name.toLowerCase())
+  return match ? match[1] : undefined
+}
@@ -276,6 +276,22 @@ describe('ApiClient', () => {
       expect(result.parseError).toContain('Invalid JSON')
     })
 
+    it('should keep a byte order mark and report duplicate keys', async () => {
+      const body = new TextEncoder().encode('\uFEFF{"data":{"type":"articles","id":"1","id":"2"}}')
+      fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: new Map([['content-type', 'application/vnd.api+json']]),
+        arrayBuffer: vi.fn().mockResolvedValue(body.buffer)
+      })
+
+      const result = await makeRequest({ apiUrl: 'https://api.example.com/articles/1', httpMethod: 'GET', authType: 'none' })
+
+      expect(result.parseError).toBeUndefined()
+      expect(result.data).toEqual({ data: { type: 'articles', id: '2' } })
+      expect(result.jsonIssues.map(issue => issue.kind)).toEqual(['byte-order-mark', 'duplicate-key'])
+    })
+
     it('should capture response headers', async () => {
       const mockHeaders = new Map([
         ['content-type', 'application/vnd.api+json'],
@@ -0,0 +1,172 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { runCrudWorkflow, runPartialUpdateWorkflow } from '../CrudWorkflow.js'
+import * as ApiClient from '../ApiClient.js'
+
+vi.mock('../ApiClient.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  makeRequest: vi.fn()
+}))
+
+const HEADERS = { 'content-type': 'application/vnd.api+json' }
+
+const respond = (status, data) => ({
+  success: true,
+  status,
+  headers: status === 204 ? {} : HEADERS,
+  data,
+  rawResponse: data ? JSON.stringify(data) : ''
+})
+
+const article = (title) => ({
+  data: { type: 'articles', id: '7', attributes: { title }, links: { self: 'https://api.example.com/v1/articles/7' } }
+})
+
+const testsOf = (step) => Object.values(step.report.sections).flatMap(section => section.tests)
+
+const config = {
+  apiUrl: 'https://api.example.com/articles',
+  httpMethod: 'GET',
+  authType: 'none',
+  requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: 'Draft' } } })
+}
+
+describe('CrudWorkflow', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should run every step against the URL given by links.self', async () => {
+    ApiClient.makeRequest
+      .mockResolvedValueOnce(respond(201, article('Draft')))
+      .mockResolvedValueOnce(respond(200, article('Draft')))
+      .mockResolvedValueOnce(respond(204, null))
+      .mockResolvedValueOnce(respond(200, article('Draft (updated)')))
+      .mockResolvedValueOnce(respond(204, null))
+      .mockResolvedValueOnce(respond(404, { errors: [{ status: '404', title: 'Not Found' }] }))
+
+    const workflow = await runCrudWorkflow(config)
+
+    const requests = ApiClient.makeRequest.mock.calls.map(([request]) => `${request.httpMethod} ${request.apiUrl}`)
+    expect(requests).toEqual([
+      'POST https://api.example.com/articles',
+      'GET https://api.example.com/v1/articles/7',
+      'PATCH https://api.example.com/v1/articles/7',
+      'GET https://api.example.com/v1/articles/7',
+      'DELETE https://api.example.com/v1/articles/7',
+      'GET https://api.example.com/v1/articles/7'
+    ])
+    expect(ApiClient.makeRequest.mock.calls[2][0].requestBody).toEqual({
+      data: { type: 'articles', id: '7', attributes: { title: 'Draft (updated)' } }
+    })
+
+    expect(workflow.steps.map(step => step.name)).toEqual([
+      'Create', 'Read after create', 'Update', 'Read after update', 'Delete', 'Read after delete'
+    ])
+    const failed = workflow.steps.flatMap(step => testsOf(step).filter(test => test.status === 'failed'))
+    expect(failed).toEqual([])
+    expect(workflow.summary.total).toBe(workflow.steps.reduce((total, step) => total + step.report.summary.total, 0))
+  })
+
+  it('should report an update that was not applied', async () => {
+    ApiClient.makeRequest
+      .mockResolvedValueOnce(respond(201, article('Draft')))
+      .mockResolvedValueOnce(respond(200, article('Draft')))
+      .mockResolvedValueOnce(respond(204, null))
+      .mockResolvedValueOnce(respond(200, article('Draft')))
+      .mockResolvedValueOnce(respond(204, null))
+      .mockResolvedValueOnce(respond(404, { errors: [{ status: '404' }] }))
+
+    const workflow = await runCrudWorkflow(config)
+
+    expect(workflow.metadata.status).toBe('failed')
+    const readBack = testsOf(workflow.steps[3]).find(test => test.test === 'Workflow Read After Update')
+    expect(readBack.status).toBe('failed')
+  })
+
+  it('should skip the remaining steps when the created resource cannot be located', async () => {
+    ApiClient.makeRequest.mockResolvedValueOnce(respond(422, { errors: [{ status: '422', title: 'Invalid' }] }))
+
+    const workflow = await runCrudWorkflow(config)
+
+    expect(ApiClient.makeRequest).toHaveBeenCalledTimes(1)
+    expect(workflow.metadata.status).toBe('failed')
+    expect(workflow.steps.slice(1).every(step => step.skipped && !step.report)).toBe(true)
+  })
+
+  it('should reject a sample body without a resource object', async () => {
+    await expect(runCrudWorkflow({ ...config, requestBody: '{"data":[]}' })).rejects.toThrow('resource object in "data"')
+  })
+
+  describe('runPartialUpdateWorkflow', () => {
+    const resourceConfig = { apiUrl: 'https://api.example.com/v1/articles/7', httpMethod: 'GET', authType: 'none' }
+    const stored = (attributes) => ({ data: { type: 'articles', id: '7', attributes: { title: 'Draft', body: 'Text', ...attributes } } })
+
+    it('should PATCH one attribute and report members the update cleared', async () => {
+      ApiClient.makeRequest
+        .mockResolvedValueOnce(respond(200, stored({})))
+        .mockResolvedValueOnce(respond(204, null))
+        // The server treated the missing body attribute as null
+        .mockResolvedValueOnce(respond(200, stored({ title: 'Draft (updated)', body: null })))
+        .mockResolvedValueOnce(respond(204, null))
+
+      const workflow = await runPartialUpdateWorkflow(resourceConfig)
+
+      const requests = ApiClient.makeRequest.mock.calls.map(([request]) => `${request.httpMethod} ${request.apiUrl}`)
+      expect(requests).toEqual(['GET', 'PATCH', 'GET', 'PATCH'].map(method => `${method} ${resourceConfig.apiUrl}`))
+      expect(ApiClient.makeRequest.mock.calls[1][0].requestBody).toEqual({
+        data: { type: 'articles', id: '7', attributes: { title: 'Draft (updated)' } }
+      })
+
+      expect(workflow.metadata.status).toBe('failed')
+      const partial = testsOf(workflow.steps[2]).find(test => test.test === 'Workflow Partial Update')
+      expect(partial.status).toBe('failed')
+      expect(partial.message).toContain('attribute "body"')
+    })
+
+    it('should put back the original value and warn when the server refuses', async () => {
+      ApiClient.makeRequest
+        .mockResolvedValueOnce(respond(200, stored({})))
+        .mockResolvedValueOnce(respond(204, null))
+        .mockResolvedValueOnce(respond(200, stored({ title: 'Draft (updated)' })))
+        .mockResolvedValueOnce(respond(403, { errors: [{ status: '403', title: 'Forbidden' }] }))
+
+      const workflow = await runPartialUpdateWorkflow(resourceConfig)
+
+      expect(ApiClient.makeRequest.mock.calls[3][0].requestBody).toEqual({
+        data: { type: 'articles', id: '7', attributes: { title: 'Draft' } }
+      })
+      expect(workflow.steps.map(step => step.name)).toEqual(['Read before update', 'Update', 'Read after update', 'Restore'])
+      expect(workflow.metadata.status).toBe('warning')
+      const restore = testsOf(workflow.steps[3]).find(test => test.test === 'Workflow Restore')
+      expect(restore.status).toBe('warning')
+      expect(restore.message).toContain('server answered 403')
+    })
+
+    it('should not restore after an update the server refused', async () => {
+      ApiClient.makeRequest
+        .mockResolvedValueOnce(respond(200, stored({})))
+        .mockResolvedValueOnce(respond(403, { errors: [{ status: '403', title: 'Forbidden' }] }))
+        .mockResolvedValueOnce(respond(200, stored({})))
+
+      const workflow = await runPartialUpdateWorkflow(resourceConfig)
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(3)
+      expect(workflow.steps.map(step => step.name)).toEqual(['Read before update', 'Update', 'Read after update'])
+    })
+
+    it('should skip the update when the resource cannot be fetched', async () => {
+      ApiClient.makeRequest.mockResolvedValueOnce(respond(404, { errors: [{ status: '404' }] }))
+
+      const workflow = await runPartialUpdateWorkflow(resourceConfig)
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(1)
+      expect(workflow.steps.slice(1).map(step => step.skipped)).toEqual([
+        'the resource could not be fetched as a single resource object',
+        'the resource could not be fetched as a single resource object'
+      ])
+    })
+  })
+})
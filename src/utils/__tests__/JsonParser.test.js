@@ -0,0 +1,44 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { parseJson } from '../JsonParser.js'
+
+describe('JsonParser', () => {
+  it('should yield the same value as JSON.parse', () => {
+    const text = '{"data":[{"type":"articles","id":"1","attributes":{"title":"caf\\u00e9 \\"quoted\\"\\n","rating":-4.5e2,"tags":[],"draft":false,"body":null}}],"meta":{}}'
+
+    expect(parseJson(text)).toEqual({ value: JSON.parse(text), issues: [] })
+    expect(Object.keys(parseJson('{"__proto__":1}').value)).toEqual(['__proto__'])
+  })
+
+  it('should report duplicate keys with the position of each repeat', () => {
+    const text = '{\n  "data": {\n    "type": "articles",\n    "id": "1",\n    "type": "posts"\n  }\n}'
+
+    const { value, issues } = parseJson(text)
+    expect(value.data.type).toBe('posts')
+    expect(issues).toEqual([{
+      kind: 'duplicate-key',
+      message: 'Duplicate member "type" in the object at /data (first defined at line 3, column 5); JSON.parse silently keeps the last value',
+      line: 5,
+      column: 5,
+      pointer: '/data/type'
+    }])
+  })
+
+  it('should report integers beyond safe precision and a byte order mark', () => {
+    const { issues } = parseJson('\uFEFF{"meta":{"total":9007199254740993,"ok":9007199254740991,"ratio":1.5}}')
+
+    expect(issues.map(issue => [issue.kind, issue.pointer, issue.column])).toEqual([
+      ['byte-order-mark', '', 1],
+      ['unsafe-number', '/meta/total', 19]
+    ])
+    expect(issues[1].message).toContain('is read as 9007199254740992')
+  })
+
+  it('should locate syntax errors', () => {
+    expect(() => parseJson('{\n  "a": 1,\n}')).toThrow('Unexpected character "}"; expected a member name in double quotes at line 3, column 1')
+    expect(() => parseJson('[1, 2')).toThrow('expected "," or "]" in array at line 1, column 6')
+    expect(() => parseJson('{} x')).toThrow('after the JSON value at line 1, column 4')
+  })
+})
@@ -0,0 +1,161 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { parseOpenApiDocument, importOpenApiDocument } from '../OpenApiImporter.js'
+
+const SPEC = {
+  openapi: '3.0.3',
+  info: { title: 'Blog API', version: '1.0.0' },
+  servers: [{ url: 'https://{host}/api/', variables: { host: { default: 'api.example.com' } } }],
+  paths: {
+    '/articles': {
+      get: {
+        operationId: 'listArticles',
+        responses: {
+          200: {
+            content: {
+              'application/vnd.api+json': {
+                schema: {
+                  type: 'object',
+                  properties: {
+                    data: { type: 'array', items: { $ref: '#/components/schemas/Article' } },
+                    included: { type: 'array', items: { $ref: '#/components/schemas/Person' } }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      post: {
+        requestBody: {
+          content: {
+            'application/vnd.api+json': {
+              example: { data: { type: 'articles', attributes: { title: 'Hello' } } }
+            }
+          }
+        },
+        responses: { 201: { $ref: '#/components/responses/ArticleDocument' } }
+      }
+    },
+    '/articles/{id}': {
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string', example: '1' } }],
+      get: { responses: { 200: { $ref: '#/components/responses/ArticleDocument' } } },
+      head: { responses: { 200: { description: 'ignored' } } }
+    },
+    '/people/{id}/articles': {
+      get: { summary: 'Articles of a person', responses: { 200: { description: 'no schema' } } }
+    }
+  },
+  components: {
+    responses: {
+      ArticleDocument: {
+        content: {
+          'application/vnd.api+json': {
+            schema: { properties: { data: { $ref: '#/components/schemas/Article' } } }
+          }
+        }
+      }
+    },
+    schemas: {
+      Article: {
+        allOf: [
+          { $ref: '#/components/schemas/ResourceIdentity' },
+          {
+            properties: {
+              type: { type: 'string', enum: ['articles'] },
+              attributes: {
+                type: 'object',
+                required: ['title'],
+                additionalProperties: false,
+                properties: {
+                  title: { type: 'string' },
+                  'word-count': { type: 'integer', nullable: true },
+                  tags: { type: 'array', items: { type: 'string' } }
+                }
+              },
+              relationships: {
+                properties: {
+                  author: {
+                    properties: {
+                      data: {
+                        oneOf: [{ $ref: '#/components/schemas/PersonIdentifier' }, { type: 'null' }]
+                      }
+                    }
+                  },
+                  comments: {
+                    properties: {
+                      data: { type: 'array', items: { properties: { type: { const: 'comments' }, id: { type: 'string' } } } }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        ]
+      },
+      Person: {
+        properties: {
+          type: { enum: ['people'] },
+          id: { type: 'string' },
+          attributes: { properties: { name: { type: 'string' } } }
+        }
+      },
+      PersonIdentifier: {
+        properties: { type: { enum: ['people'] }, id: { type: 'string' } }
+      },
+      ResourceIdentity: {
+        required: ['type', 'id'],
+        properties: { id: { type: 'string' } }
+      }
+    }
+  }
+}
+
+describe('OpenApiImporter', () => {
+  it('should enumerate operations as validation targets', () => {
+    const imported = parseOpenApiDocument(JSON.stringify(SPEC))
+
+    expect(imported.title).toBe('Blog API')
+    expect(imported.serverUrl).toBe('https://api.example.com/api')
+    expect(imported.endpoints.map(endpoint => `${endpoint.method} ${endpoint.url}`)).toEqual([
+      'GET https://api.example.com/api/articles',
+      'POST https://api.example.com/api/articles',
+      'GET https://api.example.com/api/articles/1',
+      'GET https://api.example.com/api/people/{id}/articles'
+    ])
+    expect(imported.endpoints[0].operationId).toBe('listArticles')
+    expect(JSON.parse(imported.endpoints[1].requestBody)).toEqual({ data: { type: 'articles', attributes: { title: 'Hello' } } })
+    expect(imported.endpoints[3]).toMatchObject({ summary: 'Articles of a person', unresolvedParameters: ['id'] })
+  })
+
+  it('should extract resource schemas from response documents', () => {
+    const { schemas } = importOpenApiDocument(SPEC)
+
+    expect(schemas).toEqual({
+      articles: {
+        attributes: {
+          title: { type: 'string', required: true },
+          'word-count': { type: ['integer', 'null'] },
+          tags: { type: 'array' }
+        },
+        additionalAttributes: false,
+        relationships: {
+          author: { cardinality: 'one', types: ['people'] },
+          comments: { cardinality: 'many', types: ['comments'] }
+        }
+      },
+      people: {
+        attributes: { name: { type: 'string' } }
+      }
+    })
+  })
+
+  it('should use a given server URL and reject other documents', () => {
+    expect(importOpenApiDocument(SPEC, 'http://localhost:3001/api/').endpoints[0].url).toBe('http://localhost:3001/api/articles')
+    expect(() => importOpenApiDocument({ swagger: '2.0' })).toThrow('Not an OpenAPI 3.x document')
+    expect(() => parseOpenApiDocument('openapi: 3.0.0')).toThrow('YAML documents are not supported')
+    expect(() => parseOpenApiDocument('{ "openapi": "3.0.0",')).toThrow('OpenAPI document is not valid JSON')
+  })
+})
@@ -0,0 +1,89 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { crawlPagination } from '../PaginationCrawler.js'
+import * as ApiClient from '../ApiClient.js'
+
+vi.mock('../ApiClient.js', () => ({
+  makeRequest: vi.fn()
+}))
+
+const BASE = 'https://api.example.com/articles'
+const config = { apiUrl: BASE, httpMethod: 'GET', authType: 'none', authCredentials: {} }
+
+/**
+ * Builds a page document with relative pagination links
+ */
+function pageDocument(number, pageCount, links = {}) {
+  return {
+    data: [{ type: 'articles', id: String(number) }],
+    links: {
+      first: '/articles?page[number]=1',
+      last: `/articles?page[number]=${pageCount}`,
+      ...(number < pageCount ? { next: `/articles?page[number]=${number + 1}` } : {}),
+      ...(number > 1 ? { prev: `/articles?page[number]=${number - 1}` } : {}),
+      ...links
+    }
+  }
+}
+
+/**
+ * Serves page documents keyed by page number from the mocked ApiClient
+ */
+function serve(documents) {
+  ApiClient.makeRequest.mockImplementation(async ({ apiUrl }) => {
+    const number = new URL(apiUrl).searchParams.get('page[number]')
+    const document = documents[number]
+    return document
+      ? { success: true, status: 200, headers: {}, data: document }
+      : { success: true, status: 404, headers: {}, data: null }
+  })
+}
+
+describe('PaginationCrawler', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should follow next links until the collection is exhausted', async () => {
+    serve({ 2: pageDocument(2, 3), 3: pageDocument(3, 3) })
+
+    const crawl = await crawlPagination(config, { url: `${BASE}?page[number]=1`, document: pageDocument(1, 3) })
+
+    expect(crawl.pages.map(page => page.url)).toEqual([
+      `${BASE}?page[number]=1`,
+      `${BASE}?page[number]=2`,
+      `${BASE}?page[number]=3`
+    ])
+    expect(crawl.errors).toHaveLength(0)
+    expect(crawl.firstPage).toBe(crawl.pages[0])
+    expect(crawl.lastPage).toBe(crawl.pages[2])
+  })
+
+  it('should stop at the page cap', async () => {
+    serve({ 2: pageDocument(2, 5), 3: pageDocument(3, 5), 5: pageDocument(5, 5) })
+
+    const crawl = await crawlPagination(config, { url: `${BASE}?page[number]=1`, document: pageDocument(1, 5) }, { maxPages: 2 })
+
+    expect(crawl.pages).toHaveLength(2)
+    expect(crawl.truncated).toBe(true)
+  })
+
+  it('should detect next links that cycle back to a crawled page', async () => {
+    serve({ 2: pageDocument(2, 3, { next: '/articles?page[number]=1' }) })
+
+    const crawl = await crawlPagination(config, { url: `${BASE}?page[number]=1`, document: pageDocument(1, 3) })
+
+    expect(crawl.pages).toHaveLength(2)
+    expect(crawl.errors[0]).toContain('already crawled')
+  })
+
+  it('should walk backwards when following prev links', async () => {
+    serve({ 1: pageDocument(1, 3), 3: pageDocument(3, 3) })
+
+    const crawl = await crawlPagination(config, { url: `${BASE}?page[number]=2`, document: pageDocument(2, 3) }, { followPrev: true })
+
+    expect(crawl.pages.map(page => page.document.data[0].id)).toEqual(['1', '2', '3'])
+  })
+})
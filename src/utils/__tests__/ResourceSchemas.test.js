@@ -0,0 +1,26 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { parseResourceSchemas, normalizeResourceSchemas } from '../ResourceSchemas.js'
+
+describe('ResourceSchemas', () => {
+  it('should parse schemas keyed by resource type', () => {
+    const schemas = parseResourceSchemas(JSON.stringify({
+      articles: {
+        attributes: { title: { type: 'string', required: true }, rating: { type: ['number', 'null'] } },
+        relationships: { author: { cardinality: 'one', types: ['people'] } }
+      }
+    }))
+
+    expect(schemas.articles.relationships.author.cardinality).toBe('one')
+  })
+
+  it('should reject invalid JSON and malformed schemas', () => {
+    expect(() => parseResourceSchemas('{articles:')).toThrow('not valid JSON')
+    expect(() => normalizeResourceSchemas([])).toThrow('keyed by resource type')
+    expect(() => normalizeResourceSchemas({ articles: { attributes: { title: { type: 'text' } } } })).toThrow('articles.attributes.title.type')
+    expect(() => normalizeResourceSchemas({ articles: { relationships: { author: { types: ['people'] } } } })).toThrow('cardinality')
+    expect(() => normalizeResourceSchemas({ articles: { relationships: { tags: { cardinality: 'many', types: 'tags' } } } })).toThrow('array of resource types')
+  })
+})
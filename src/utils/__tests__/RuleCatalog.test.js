@@ -0,0 +1,70 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { readdirSync, readFileSync } from 'node:fs'
+import { join } from 'node:path'
+import { RULE_CATALOG, getRuleById, findRuleForTest, getRuleReference } from '../RuleCatalog.js'
+import { createComprehensiveReport, exportReport } from '../ValidationReporter.js'
+
+const SOURCE_DIRS = [join(import.meta.dirname, '../../validators'), join(import.meta.dirname, '..')]
+
+/**
+ * Collects the literal test names used by the validator and service modules
+ */
+function validatorTestNames() {
+  return SOURCE_DIRS.flatMap(dir => readdirSync(dir)
+    .filter(file => file.endsWith('.ts'))
+    .flatMap(file => Array.from(readFileSync(join(dir, file), 'utf8').matchAll(/test: '([^']+)'/g), match => match[1])))
+}
+
+describe('RuleCatalog', () => {
+  it('should use unique rule IDs and test names', () => {
+    const ids = RULE_CATALOG.map(rule => rule.id)
+    const tests = RULE_CATALOG.flatMap(rule => rule.tests)
+
+    expect(new Set(ids).size).toBe(ids.length)
+    expect(new Set(tests).size).toBe(tests.length)
+    ids.forEach(id => expect(id).toMatch(/^[a-z]+(-[a-z]+)*\/[a-z]+(-[a-z]+)*$/))
+  })
+
+  it('should cover every test reported by the validators', () => {
+    const uncovered = validatorTestNames().filter(name => !findRuleForTest(name))
+
+    expect(uncovered).toEqual([])
+  })
+
+  it('should resolve rules by ID and by test name', () => {
+    expect(getRuleById('document/top-level-members').tests).toContain('Required Top-Level Members')
+    expect(getRuleReference('Resource Type Member')).toEqual({
+      id: 'resource/type',
+      level: 'MUST',
+      specUrl: 'https://jsonapi.org/format/1.1/#document-resource-object-identification'
+    })
+    expect(getRuleReference('Pagination Meta').level).toBe('MAY')
+  })
+
+  it('should derive custom rule IDs for tests outside the catalog', () => {
+    expect(getRuleReference('Soft Delete Timestamp').id).toBe('custom/soft-delete-timestamp')
+  })
+
+  it('should attach rules to every reported test and categorize by rule', () => {
+    const report = createComprehensiveReport({
+      endpoint: 'https://api.example.com/articles',
+      method: 'GET',
+      details: [
+        { test: 'Resource Type Member', status: 'passed', message: 'ok' },
+        { test: 'Media Type Parameters', status: 'failed', message: 'bad' },
+        { test: 'Soft Delete Timestamp', status: 'warning', message: 'custom' }
+      ]
+    })
+
+    const tests = Object.values(report.sections).flatMap(section => section.tests)
+    expect(tests.every(test => test.rule)).toBe(true)
+    expect(report.sections['Content-Type Headers'].tests[0].rule.id).toBe('negotiation/media-type-parameters')
+
+    const markdown = exportReport(report, 'markdown')
+    expect(markdown).toContain('**Rule**: [`resource/type`](https://jsonapi.org/format/1.1/#document-resource-object-identification) (MUST)')
+    expect(exportReport(report, 'pdf')).toContain('<span class="rule">negotiation/media-type-parameters</span>')
+  })
+})
@@ -0,0 +1,69 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { normalizeRuleSettings, parseRuleConfig, resolveRuleSeverity, applyRuleSettings } from '../RuleConfig.js'
+
+const details = [
+  { test: 'Resource Type Plural Form', status: 'warning', message: 'Resource type "staff" may not be plural' },
+  { test: 'Resource Collection URL', status: 'passed', message: 'ok' },
+  { test: 'Additional Top-Level Members', status: 'failed', message: 'unexpected member' },
+  { test: 'Pagination Links Presence', status: 'warning', message: 'no links' }
+]
+
+describe('RuleConfig', () => {
+  describe('normalizeRuleSettings', () => {
+    it('should accept rule IDs, areas and numeric severities', () => {
+      expect(normalizeRuleSettings({ 'url/*': 0, 'pagination/links': 2, 'custom/soft-delete-timestamp': 'warn' })).toEqual({
+        'url/*': 'off',
+        'pagination/links': 'error',
+        'custom/soft-delete-timestamp': 'warn'
+      })
+    })
+
+    it('should reject unknown rules and invalid severities', () => {
+      expect(() => normalizeRuleSettings({ 'url/pluralization': 'off' })).toThrow('Unknown rule "url/pluralization"')
+      expect(() => normalizeRuleSettings({ 'nothing/*': 'off' })).toThrow('Unknown rule')
+      expect(() => normalizeRuleSettings({ 'url/structure': 'silent' })).toThrow('invalid severity')
+      expect(() => normalizeRuleSettings(['url/structure'])).toThrow('must be an object')
+    })
+  })
+
+  describe('parseRuleConfig', () => {
+    it('should read the rules member of a configuration file', () => {
+      expect(parseRuleConfig('{"rules": {"url/plural-resource-types": "off"}}')).toEqual({ 'url/plural-resource-types': 'off' })
+      expect(parseRuleConfig('{}')).toEqual({})
+    })
+
+    it('should report invalid JSON', () => {
+      expect(() => parseRuleConfig('{rules: }')).toThrow('not valid JSON')
+    })
+  })
+
+  describe('applyRuleSettings', () => {
+    it('should prefer an exact rule ID over its area', () => {
+      expect(resolveRuleSeverity('url/structure', { 'url/*': 'off', 'url/structure': 'warn' })).toBe('warn')
+      expect(resolveRuleSeverity('url/plural-resource-types', { 'url/*': 'off' })).toBe('off')
+      expect(resolveRuleSeverity('document/meta', { 'url/*': 'off' })).toBeUndefined()
+    })
+
+    it('should drop, downgrade and upgrade results', () => {
+      const outcome = applyRuleSettings(details, {
+        'url/plural-resource-types': 'off',
+        'document/top-level-members': 'warn',
+        'pagination/links': 'error'
+      })
+
+      expect(outcome.details.map(detail => [detail.test, detail.status])).toEqual([
+        ['Resource Collection URL', 'passed'],
+        ['Additional Top-Level Members', 'warning'],
+        ['Pagination Links Presence', 'failed']
+      ])
+      expect(outcome).toEqual(expect.objectContaining({ disabled: 1, downgraded: 1, upgraded: 1 }))
+    })
+
+    it('should leave results of unconfigured rules untouched', () => {
+      expect(applyRuleSettings(details, {}).details).toEqual(details)
+    })
+  })
+})
@@ -0,0 +1,126 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { parseScenario, runScenario } from '../ScenarioRunner.js'
+import * as ApiClient from '../ApiClient.js'
+
+vi.mock('../ApiClient.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  makeRequest: vi.fn()
+}))
+
+const respond = (status, data, headers = {}) => ({
+  success: true,
+  status,
+  headers: { 'content-type': 'application/vnd.api+json', ...headers },
+  data,
+  rawResponse: JSON.stringify(data)
+})
+
+const config = {
+  apiUrl: 'https://api.example.com/v1',
+  httpMethod: 'GET',
+  authType: 'none',
+  customHeaders: [{ key: 'X-Tenant', value: 'acme' }]
+}
+
+const scenario = (steps, extra = {}) => parseScenario(JSON.stringify({ name: 'Authoring', steps, ...extra }))
+
+describe('ScenarioRunner', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  describe('parseScenario', () => {
+    it('should fill in defaults and normalize expectations', () => {
+      const parsed = scenario([{ name: 'list', url: 'articles', expect: { status: 200 } }, { name: 'remove', method: 'delete', url: 'articles/1' }])
+
+      expect(parsed.steps).toEqual([
+        { name: 'list', method: 'GET', url: 'articles', headers: {}, expectStatus: [200] },
+        { name: 'remove', method: 'DELETE', url: 'articles/1', headers: {} }
+      ])
+    })
+
+    it('should reject malformed steps and references to steps that have not run', () => {
+      expect(() => parseScenario('{"steps": []}')).toThrow('non-empty "steps" array')
+      expect(() => scenario([{ name: 'a b', url: 'x' }])).toThrow('Step 1 needs a "name"')
+      expect(() => scenario([{ name: 'a', url: 'x' }, { name: 'a', url: 'y' }])).toThrow('Step 2 ("a") repeats the name')
+      expect(() => scenario([{ name: 'a', method: 'TRACE', url: 'x' }])).toThrow('unknown method "TRACE"')
+      expect(() => scenario([{ name: 'a', url: 'x', expect: { status: '201' } }])).toThrow('"expect" must be')
+      expect(() => scenario([{ name: 'a', url: 'x/{{steps.b.data.id}}' }, { name: 'b', url: 'y' }])).toThrow('refers to step "b", which does not run before it')
+      expect(() => scenario([{ name: 'a', url: 'x/{{id}}' }])).toThrow('unknown placeholder "{{id}}"')
+    })
+  })
+
+  describe('runScenario', () => {
+    it('should fill placeholders from earlier responses and validate every step', async () => {
+      ApiClient.makeRequest
+        .mockResolvedValueOnce(respond(201, { data: { type: 'people', id: '9', attributes: { 'first.name': 'Dan' } } }, { location: 'https://api.example.com/v1/people/9' }))
+        .mockResolvedValueOnce(respond(201, { data: { type: 'articles', id: '3', attributes: { title: 'By Dan' } } }))
+        .mockResolvedValueOnce(respond(200, { data: { type: 'articles', id: '3', attributes: { title: 'By Dan' } } }))
+
+      const report = await runScenario(scenario([
+        { name: 'createAuthor', method: 'POST', url: 'people', body: { data: { type: 'people', attributes: { 'first.name': 'Dan' } } }, expect: { status: 201 } },
+        {
+          name: 'createArticle',
+          method: 'POST',
+          url: '/v1/articles',
+          headers: { 'X-Author': '{{steps.createAuthor.data.id}}' },
+          body: { data: { type: 'articles', attributes: { title: 'By {{steps.createAuthor#/data/attributes/first.name}}', status: '{{steps.createAuthor.status}}' }, relationships: { author: { data: { type: 'people', id: '{{steps.createAuthor.data.id}}' } } } } }
+        },
+        { name: 'fetchArticle', url: '{{steps.createAuthor.headers.Location}}/articles/{{steps.createArticle.data.id}}?include=author', expect: { status: [200] } }
+      ]), config)
+
+      const requests = ApiClient.makeRequest.mock.calls.map(([request]) => request)
+      expect(requests.map(request => `${request.httpMethod} ${request.apiUrl}`)).toEqual([
+        'POST https://api.example.com/v1/people',
+        'POST https://api.example.com/v1/articles',
+        'GET https://api.example.com/v1/people/9/articles/3?include=author'
+      ])
+      expect(requests[1].customHeaders).toEqual({ 'X-Tenant': 'acme', 'X-Author': '9' })
+      expect(requests[1].requestBody.data.relationships.author.data.id).toBe('9')
+      expect(requests[1].requestBody.data.attributes).toEqual({ title: 'By Dan', status: 201 })
+
+      expect(report.metadata.name).toBe('Authoring')
+      expect(report.steps.map(step => step.name)).toEqual(['createAuthor', 'createArticle', 'fetchArticle'])
+      const expectations = report.steps.flatMap(step => Object.values(step.report.sections).flatMap(section => section.tests))
+        .filter(test => test.test === 'Scenario Expected Status')
+      expect(expectations.map(test => test.status)).toEqual(['passed', 'passed'])
+    })
+
+    it('should encode values filled into step URLs', async () => {
+      ApiClient.makeRequest
+        .mockResolvedValueOnce(respond(201, { data: { type: 'files', id: 'docs/a b?.txt', attributes: { tag: 'x&y' } } }))
+        .mockResolvedValueOnce(respond(200, { data: { type: 'files', id: 'docs/a b?.txt', attributes: { tag: 'x&y' } } }))
+
+      await runScenario(scenario([
+        { name: 'upload', method: 'POST', url: 'files', body: { data: { type: 'files', attributes: { tag: 'x&y' } } } },
+        {
+          name: 'fetch',
+          url: 'files/{{steps.upload.data.id}}?filter[tag]={{steps.upload.data.attributes.tag}}',
+          headers: { 'X-File': '{{steps.upload.data.id}}' }
+        }
+      ]), config)
+
+      const fetch = ApiClient.makeRequest.mock.calls[1][0]
+      expect(fetch.apiUrl).toBe('https://api.example.com/v1/files/docs%2Fa%20b%3F.txt?filter[tag]=x%26y')
+      expect(fetch.customHeaders['X-File']).toBe('docs/a b?.txt')
+    })
+
+    it('should skip steps whose placeholders cannot be filled', async () => {
+      ApiClient.makeRequest.mockResolvedValueOnce(respond(404, { errors: [{ status: '404', title: 'Not Found' }] }))
+
+      const report = await runScenario(scenario([
+        { name: 'fetch', url: 'articles/1', expect: { status: 200 } },
+        { name: 'update', method: 'PATCH', url: 'articles/{{steps.fetch.data.id}}', body: { data: { type: 'articles', id: '{{steps.fetch.data.id}}' } } },
+        { name: 'again', url: 'articles/{{steps.update.data.id}}' }
+      ]), config)
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(1)
+      expect(report.metadata.status).toBe('failed')
+      expect(report.steps[1].skipped).toBe('{{steps.fetch.data.id}} cannot be filled: the response of step "fetch" has no such value')
+      expect(report.steps[2].skipped).toContain('step "update" did not run')
+    })
+  })
+})
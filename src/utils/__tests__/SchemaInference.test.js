@@ -0,0 +1,80 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { createSchemaObservations, observeDocument, inferResourceSchemas, exportJsonSchema } from '../SchemaInference.js'
+import { parseResourceSchemas } from '../ResourceSchemas.js'
+
+const COLLECTION = {
+  data: [
+    {
+      type: 'articles',
+      id: '1',
+      attributes: { title: 'Hello', 'word-count': 120, subtitle: null },
+      relationships: {
+        author: { data: { type: 'people', id: '9' } },
+        comments: { data: [{ type: 'comments', id: '5' }] },
+        tags: { links: { related: '/articles/1/tags' } }
+      }
+    },
+    {
+      type: 'articles',
+      id: '2',
+      attributes: { title: 'World', 'word-count': 80.5 },
+      relationships: { author: { data: null }, comments: { data: [] } }
+    }
+  ],
+  included: [{ type: 'people', id: '9', attributes: { name: 'Dan', tags: ['admin'] } }]
+}
+
+describe('SchemaInference', () => {
+  it('should infer types, optionality and cardinality from observed resources', () => {
+    const observations = createSchemaObservations()
+    observeDocument(observations, COLLECTION)
+
+    expect(inferResourceSchemas(observations)).toEqual({
+      articles: {
+        attributes: {
+          title: { type: 'string', required: true },
+          'word-count': { type: 'number', required: true },
+          subtitle: { type: 'null' }
+        },
+        relationships: {
+          author: { cardinality: 'one', types: ['people'], required: true },
+          comments: { cardinality: 'many', types: ['comments'], required: true }
+        }
+      },
+      people: {
+        attributes: { name: { type: 'string', required: true }, tags: { type: 'array', required: true } },
+        relationships: {}
+      }
+    })
+  })
+
+  it('should aggregate several documents and ignore sparse fieldsets for optionality', () => {
+    const observations = createSchemaObservations()
+    observeDocument(observations, { data: { type: 'people', id: '1', attributes: { name: 'Ann', age: 30 } } })
+    observeDocument(observations, { data: { type: 'people', id: '2', attributes: { name: 'Bob' } } }, { people: ['name'] })
+    observeDocument(observations, { data: { type: 'people', id: '3', attributes: { name: 'Cy', age: null } } })
+
+    expect(observations.types.people.resources).toBe(3)
+    expect(inferResourceSchemas(observations).people.attributes).toEqual({
+      name: { type: 'string', required: true },
+      age: { type: ['integer', 'null'], required: true }
+    })
+  })
+
+  it('should export JSON Schema that reads back as the same resource schemas', () => {
+    const observations = createSchemaObservations()
+    observeDocument(observations, COLLECTION)
+    const schemas = inferResourceSchemas(observations)
+
+    const jsonSchema = exportJsonSchema(schemas)
+    expect(jsonSchema.$schema).toBe('https://json-schema.org/draft/2020-12/schema')
+    expect(jsonSchema.$defs.articles.properties.type).toEqual({ const: 'articles' })
+    expect(jsonSchema.$defs.articles.properties.attributes.required).toEqual(['title', 'word-count'])
+    expect(jsonSchema.$defs.articles.properties.relationships.properties.comments.properties.data.type).toBe('array')
+
+    expect(parseResourceSchemas(JSON.stringify(jsonSchema))).toEqual(schemas)
+  })
+})
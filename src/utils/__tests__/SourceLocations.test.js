@@ -0,0 +1,65 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { createSourceMap, locateJsonPointer, buildCodeFrame, contextToJsonPointer } from '../SourceLocations.js'
+
+const BODY = JSON.stringify({
+  data: [
+    { type: 'articles', id: '1', attributes: { title: 'Hello', 'a/b': 1 } }
+  ]
+}, null, 2)
+
+describe('SourceLocations', () => {
+  describe('contextToJsonPointer', () => {
+    it('should convert context paths into JSON Pointers', () => {
+      expect(contextToJsonPointer('data[0].attributes.title')).toBe('/data/0/attributes/title')
+      expect(contextToJsonPointer('included[2]')).toBe('/included/2')
+      expect(contextToJsonPointer('atomic:results[0].data')).toBe('/atomic:results/0/data')
+      expect(contextToJsonPointer('resource.type')).toBeUndefined()
+      expect(contextToJsonPointer('Primary data (resource 0)')).toBeUndefined()
+    })
+
+    it('should match member names containing separators against the document', () => {
+      const document = { data: { attributes: { 'first.name': 'Dan', 'a/b': 1 } } }
+
+      expect(contextToJsonPointer('data.attributes.first.name', document)).toBe('/data/attributes/first.name')
+      expect(contextToJsonPointer('data.attributes.a/b', document)).toBe('/data/attributes/a~1b')
+      expect(contextToJsonPointer('data.attributes.missing', document)).toBe('/data/attributes/missing')
+    })
+  })
+
+  describe('locateJsonPointer', () => {
+    it('should find members and fall back to their nearest existing ancestor', () => {
+      const sourceMap = createSourceMap(BODY)
+
+      expect(locateJsonPointer(sourceMap, '/data/0/attributes/title')).toEqual({ jsonPointer: '/data/0/attributes/title', line: 7, column: 9 })
+      expect(locateJsonPointer(sourceMap, '/data/0/attributes/a~1b')).toEqual({ jsonPointer: '/data/0/attributes/a~1b', line: 8, column: 9 })
+      expect(locateJsonPointer(sourceMap, '/data/0/attributes/body')).toEqual({ jsonPointer: '/data/0/attributes', line: 6, column: 7 })
+      expect(locateJsonPointer(sourceMap, '')).toEqual({ jsonPointer: '', line: 1, column: 1 })
+      expect(createSourceMap('{"data": ')).toBeUndefined()
+    })
+  })
+
+  describe('buildCodeFrame', () => {
+    it('should quote the lines around a position with a caret under the column', () => {
+      expect(buildCodeFrame(createSourceMap(BODY), 7, 9)).toBe([
+        '  6 |       "attributes": {',
+        '> 7 |         "title": "Hello",',
+        '    |         ^',
+        '  8 |         "a/b": 1'
+      ].join('\n'))
+    })
+
+    it('should cut long lines to a window around the column', () => {
+      const body = JSON.stringify({ meta: { padding: 'x'.repeat(200), total: -1 } })
+      const sourceMap = createSourceMap(body)
+      const { line, column } = locateJsonPointer(sourceMap, '/meta/total')
+      const [text, caret] = buildCodeFrame(sourceMap, line, column).split('\n')
+
+      expect(text).toMatch(/^> 1 \| …x+","total":-1}}$/)
+      expect(text.length).toBeLessThan(120)
+      expect(caret.indexOf('^')).toBe(text.indexOf('"total"'))
+    })
+  })
+})
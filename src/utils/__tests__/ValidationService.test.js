@@ -3,10 +3,12 @@
  */
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { runValidation } from '../ValidationService.js'
+import { createSchemaObservations } from '../SchemaInference.js'
 import * as ApiClient from '../ApiClient.js'
 
 // Mock the ApiClient
-vi.mock('../ApiClient.js', () => ({
+vi.mock('../ApiClient.js', async (importOriginal) => ({
+  ...await importOriginal(),
   makeRequest: vi.fn()
 }))
 
@@ -251,6 +253,557 @@ describe('ValidationService', () => {
       expect(result.metadata.method).toBe('POST')
     })
 
+    it('should validate Atomic Operations documents when the atomic extension is negotiated', async () => {
+      const atomicContentType = 'application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"'
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: {
+          'content-type': atomicContentType
+        },
+        data: {
+          'atomic:results': [
+            { data: { id: '13', type: 'articles', attributes: { title: 'New Article' } } }
+          ]
+        }
+      })
+
+      const config = {
+        apiUrl: 'https://api.example.com/operations',
+        httpMethod: 'POST',
+        authType: 'none',
+        customHeaders: { 'Content-Type': atomicContentType },
+        requestBody: JSON.stringify({
+          'atomic:operations': [{
+            op: 'add',
+            href: '/articles',
+            data: { type: 'articles', attributes: { title: 'New Article' } }
+          }]
+        })
+      }
+
+      const result = await runValidation(config)
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(allDetails.filter(detail => detail.status === 'failed')).toHaveLength(0)
+      expect(allDetails).toContainEqual(expect.objectContaining({
+        test: 'Atomic Operations Document Structure',
+        status: 'passed'
+      }))
+      expect(allDetails).toContainEqual(expect.objectContaining({
+        test: 'Atomic Results Document Structure',
+        status: 'passed'
+      }))
+    })
+
+    it('should validate relationship endpoint bodies as resource linkage', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 204,
+        headers: {
+          'content-type': 'application/vnd.api+json'
+        },
+        data: null
+      })
+
+      const config = {
+        apiUrl: 'https://api.example.com/articles/1/relationships/tags',
+        httpMethod: 'DELETE',
+        authType: 'none',
+        requestBody: JSON.stringify({ data: [{ type: 'tags', id: '2' }] })
+      }
+
+      const result = await runValidation(config)
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(allDetails.filter(detail => detail.status === 'failed')).toHaveLength(0)
+      expect(allDetails).toContainEqual(expect.objectContaining({
+        test: 'Relationship Request Structure',
+        status: 'passed'
+      }))
+    })
+
+    it('should resolve error sources against the request that was sent', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 422,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          errors: [
+            { status: '422', title: 'Invalid Attribute', source: { pointer: '/data/attributes/title' } },
+            { status: '422', title: 'Invalid Attribute', source: { pointer: '/data/attributes/name' } },
+            { status: '400', title: 'Invalid Parameter', source: { parameter: 'sort' } },
+            { status: '400', title: 'Invalid Header', source: { header: 'accept' } }
+          ]
+        }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles?include=author',
+        httpMethod: 'POST',
+        authType: 'none',
+        requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: '' } } })
+      })
+
+      const tests = Object.values(result.sections).flatMap(section => section.tests)
+      const targets = tests.filter(test => test.test.startsWith('Error Source') && test.test.endsWith('Target'))
+      expect(targets.map(test => `${test.test}: ${test.status}`)).toEqual([
+        'Error Source Pointer Target: passed',
+        'Error Source Header Target: passed',
+        'Error Source Pointer Target: failed',
+        'Error Source Parameter Target: failed'
+      ])
+      expect(targets[2].message).toContain('"/data/attributes/name" does not point to a value')
+      expect(targets[2].rule.id).toBe('error/source-targets')
+    })
+
+    it('should probe content negotiation when enabled', async () => {
+      const errorDocument = { errors: [{ status: '415', title: 'Unsupported Media Type' }] }
+      ApiClient.makeRequest.mockImplementation(async (requestConfig) => {
+        const headers = requestConfig.customHeaders || {}
+        if (headers['Content-Type']) {
+          return { success: true, status: 415, headers: {}, data: errorDocument }
+        }
+        if (headers.Accept) {
+          return { success: true, status: 200, headers: {}, data: { data: [] } }
+        }
+        return {
+          success: true,
+          status: 201,
+          headers: { 'content-type': 'application/vnd.api+json' },
+          data: { data: { id: '1', type: 'articles', attributes: { title: 'New' } } }
+        }
+      })
+
+      const config = {
+        apiUrl: 'https://api.example.com/articles',
+        httpMethod: 'POST',
+        authType: 'none',
+        negotiationProbes: true,
+        requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: 'New' } } })
+      }
+
+      const result = await runValidation(config)
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(5)
+      expect(allDetails.filter(detail => detail.test === 'Content-Type Negotiation Probe' && detail.status === 'passed')).toHaveLength(2)
+      expect(allDetails.filter(detail => detail.test === 'Accept Negotiation Probe' && detail.status === 'failed')).toHaveLength(2)
+    })
+
+    it('should probe client-generated ID support when enabled', async () => {
+      // The server ignores the client-generated ID and assigns its own
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 201,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: { data: { id: '42', type: 'articles', attributes: { title: 'New' } } }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles',
+        httpMethod: 'POST',
+        authType: 'none',
+        clientIdProbes: true,
+        requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: 'New' } } })
+      })
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(3)
+      const probeBody = ApiClient.makeRequest.mock.calls[1][0].requestBody
+      expect(probeBody.data).toMatchObject({ type: 'articles', attributes: { title: 'New' } })
+      expect(probeBody.data.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/)
+      expect(ApiClient.makeRequest.mock.calls[2][0]).toMatchObject({ httpMethod: 'DELETE', apiUrl: 'https://api.example.com/articles/42' })
+
+      const probe = Object.values(result.sections).flatMap(section => section.tests)
+        .filter(detail => detail.test === 'Client-Generated ID')
+      expect(probe).toHaveLength(1)
+      expect(probe[0].status).toBe('failed')
+      expect(probe[0].message).toContain(`client-generated ID "${probeBody.data.id}", got "42"`)
+    })
+
+    it('should report a client ID probe resource it could not delete', async () => {
+      ApiClient.makeRequest.mockImplementation(async ({ httpMethod, requestBody }) => {
+        if (httpMethod === 'DELETE') {
+          return { success: true, status: 405, headers: {}, data: null }
+        }
+        const { data } = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody
+        return {
+          success: true,
+          status: 201,
+          headers: { 'content-type': 'application/vnd.api+json', location: `https://api.example.com/articles/${data.id ?? '1'}` },
+          data: { data: { ...data, id: data.id ?? '1' } }
+        }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles',
+        httpMethod: 'POST',
+        authType: 'none',
+        clientIdProbes: true,
+        requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: 'New' } } })
+      })
+
+      const probeId = ApiClient.makeRequest.mock.calls[1][0].requestBody.data.id
+      const probe = Object.values(result.sections).flatMap(section => section.tests)
+        .filter(detail => detail.test === 'Client-Generated ID')
+      expect(probe.map(detail => detail.status)).toEqual(['passed', 'warning'])
+      expect(probe[1].message).toContain(`resource at https://api.example.com/articles/${probeId} was left behind`)
+      expect(probe[1].message).toContain('server answered 405')
+    })
+
+    it('should probe 409 Conflict for a PATCH with a mismatched type or id when enabled', async () => {
+      const resource = { type: 'articles', id: '1', attributes: { title: 'Edited' } }
+      ApiClient.makeRequest.mockImplementation(async ({ requestBody }) => {
+        // The server rejects a foreign type but applies the update despite the foreign id
+        const { data } = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody
+        if (data.type !== 'articles') {
+          return { success: true, status: 409, headers: { 'content-type': 'application/vnd.api+json' }, data: { errors: [{ status: '409', title: 'Conflict' }] } }
+        }
+        return { success: true, status: 200, headers: { 'content-type': 'application/vnd.api+json' }, data: { data: resource } }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles/1',
+        httpMethod: 'PATCH',
+        authType: 'none',
+        conflictProbes: true,
+        requestBody: JSON.stringify({ data: resource })
+      })
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(3)
+      const probes = Object.values(result.sections).flatMap(section => section.tests)
+        .filter(detail => detail.test === 'Endpoint Conflict')
+      expect(probes.map(probe => probe.status)).toEqual(['passed', 'failed'])
+      expect(probes[1].message).toContain('PATCH with an id other than the endpoint\'s')
+      expect(probes[1].message).toContain('got 200')
+    })
+
+    it('should delete the resource a POST conflict probe created', async () => {
+      ApiClient.makeRequest.mockImplementation(async ({ httpMethod, requestBody }) => {
+        if (httpMethod === 'DELETE') {
+          return { success: true, status: 204, headers: {}, data: null }
+        }
+        // The server creates resources of any type
+        const { data } = typeof requestBody === 'string' ? JSON.parse(requestBody) : requestBody
+        return { success: true, status: 201, headers: { 'content-type': 'application/vnd.api+json' }, data: { data: { ...data, id: '7' } } }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles',
+        httpMethod: 'POST',
+        authType: 'none',
+        conflictProbes: true,
+        requestBody: JSON.stringify({ data: { type: 'articles', attributes: { title: 'New' } } })
+      })
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(3)
+      expect(ApiClient.makeRequest.mock.calls[2][0]).toMatchObject({ httpMethod: 'DELETE', apiUrl: 'https://api.example.com/articles/7' })
+      const probes = Object.values(result.sections).flatMap(section => section.tests)
+        .filter(detail => detail.test === 'Endpoint Conflict')
+      expect(probes.map(probe => probe.status)).toEqual(['failed'])
+    })
+
+    it('should apply the Cursor Pagination profile and probe its error cases', async () => {
+      const profile = 'https://jsonapi.org/profiles/ethanresnick/cursor-pagination/'
+      const collection = {
+        jsonapi: { version: '1.1', profile: [profile] },
+        data: [
+          { type: 'articles', id: '1', attributes: { title: 'A' }, meta: { page: { cursor: 'c1' } } },
+          { type: 'articles', id: '2', attributes: { title: 'B' }, meta: { page: { cursor: 'c2' } } }
+        ],
+        links: { prev: null, next: 'https://api.example.com/articles?page[size]=2&page[after]=c2' }
+      }
+      ApiClient.makeRequest.mockImplementation(async ({ apiUrl }) => {
+        const size = new URL(apiUrl).searchParams.get('page[size]')
+        if (size === '1000000') {
+          return { success: true, status: 200, headers: {}, data: collection }
+        }
+        if (size === '-1') {
+          return {
+            success: true,
+            status: 400,
+            headers: {},
+            data: { errors: [{ status: '400', title: 42, source: { parameter: 'page[size]' } }] }
+          }
+        }
+        return { success: true, status: 200, headers: { 'content-type': 'application/vnd.api+json' }, data: collection }
+      })
+
+      const config = {
+        apiUrl: 'https://api.example.com/articles?page[size]=2',
+        httpMethod: 'GET',
+        authType: 'none'
+      }
+
+      const withoutProbes = await runValidation(config)
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(1)
+      expect(Object.values(withoutProbes.sections).flatMap(section => section.tests))
+        .toContainEqual(expect.objectContaining({ test: 'Cursor Pagination Profile', status: 'passed' }))
+
+      ApiClient.makeRequest.mockClear()
+      const result = await runValidation({ ...config, cursorPaginationProbes: true })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(4)
+      expect(allDetails).toContainEqual(expect.objectContaining({ test: 'Cursor Pagination Profile', status: 'passed' }))
+      expect(allDetails.filter(detail => detail.test === 'Cursor Pagination Error Handling').map(detail => detail.status).sort())
+        .toEqual(['passed', 'warning'])
+      // Findings about a probe's error document are not located in the collection response
+      const titleFinding = allDetails.find(detail => detail.status === 'failed' && detail.message.includes('title'))
+      expect(titleFinding).toBeDefined()
+      expect(titleFinding.location).toBeUndefined()
+    })
+
+    it('should follow the jsonapi.version declared by the response', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          jsonapi: { version: '1.0' },
+          data: { type: 'people', id: '1', attributes: { firstName: 'Jane' } }
+        }
+      })
+
+      const result = await runValidation({ apiUrl: 'https://api.example.com/people/1', httpMethod: 'GET', authType: 'none' })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(result.metadata.specVersion).toBe('1.0')
+      expect(allDetails).toContainEqual(expect.objectContaining({ test: 'JSON:API Specification Version', status: 'passed' }))
+      expect(allDetails.some(detail => detail.test === 'Member Name Format' && detail.status === 'failed')).toBe(false)
+    })
+
+    it('should warn when the configured version differs from the declared one', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: { jsonapi: { version: '1.1' }, data: null }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/people/1',
+        httpMethod: 'GET',
+        authType: 'none',
+        specVersion: '1.0'
+      })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(result.metadata.specVersion).toBe('1.0')
+      expect(allDetails).toContainEqual(expect.objectContaining({ test: 'JSON:API Specification Version', status: 'warning' }))
+    })
+
+    it('should apply rule settings to every result', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: { data: { type: 'staff', id: '1' }, unexpected: true }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/staff/1',
+        httpMethod: 'GET',
+        authType: 'none',
+        rules: { 'url/plural-resource-types': 'off', 'document/top-level-members': 'warn' }
+      })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(allDetails.some(detail => detail.test === 'Resource Type Plural Form')).toBe(false)
+      expect(allDetails).toContainEqual(expect.objectContaining({ test: 'Additional Top-Level Members', status: 'warning' }))
+      expect(allDetails).toContainEqual(expect.objectContaining({ test: 'Rule Configuration', status: 'passed' }))
+      expect(result.summary.failed).toBe(allDetails.filter(detail => detail.status === 'failed').length)
+      expect(result.summary.warnings).toBe(allDetails.filter(detail => detail.status === 'warning').length)
+    })
+
+    it('should report schema violations with their location', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: { data: { type: 'articles', id: '1', attributes: { title: 'Hello', 'published-at': 1700000000 } } }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles/1',
+        httpMethod: 'GET',
+        authType: 'none',
+        schemas: { articles: { attributes: { 'published-at': { type: 'string' } } } }
+      })
+
+      const schemaFailure = result.sections['Resource Objects'].tests.find(test => test.test === 'Schema Attributes')
+      expect(schemaFailure.status).toBe('failed')
+      expect(schemaFailure.location).toEqual({
+        jsonPointer: '/data/attributes/published-at',
+        description: '"data" property → "attributes" property → "published-at" property'
+      })
+    })
+
+    it('should locate filter result findings at the first resource they list', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          data: [
+            { type: 'articles', id: '1', attributes: { status: 'published' } },
+            { type: 'articles', id: '2', attributes: { status: 'draft' } },
+            { type: 'articles', id: '3' }
+          ]
+        }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles?filter[status]=published',
+        httpMethod: 'GET',
+        authType: 'none',
+        filterChecks: { status: 'equals' }
+      })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      const filterFindings = allDetails.filter(detail => detail.test === 'Filter Results')
+      expect(filterFindings.map(detail => [detail.status, detail.location?.jsonPointer])).toEqual([
+        ['failed', '/data/1/attributes/status'],
+        ['warning', '/data/2']
+      ])
+    })
+
+    it('should locate include path findings at the relationship or included resource concerned', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          data: [{ type: 'articles', id: '1', relationships: { author: { data: { type: 'people', id: '9' } } } }],
+          included: [{ type: 'comments', id: '5' }]
+        }
+      })
+
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles?include=author',
+        httpMethod: 'GET',
+        authType: 'none'
+      })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(allDetails.find(detail => detail.test === 'Include Path Completeness').location)
+        .toMatchObject({ jsonPointer: '/data/0/relationships/author' })
+      expect(allDetails.find(detail => detail.test === 'Included Resource Reachability').location)
+        .toMatchObject({ jsonPointer: '/included/0' })
+    })
+
+    it('should report what JSON.parse accepts silently as failures', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: { data: { type: 'articles', id: '1' } },
+        jsonIssues: [{ kind: 'duplicate-key', message: 'Duplicate member "id"', line: 1, column: 34, pointer: '/data/id' }]
+      })
+
+      const result = await runValidation({ apiUrl: 'https://api.example.com/articles/1', httpMethod: 'GET', authType: 'none' })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      expect(allDetails.find(detail => detail.test === 'JSON Duplicate Keys')).toMatchObject({
+        status: 'failed',
+        message: 'Duplicate member "id" (line 1, column 34)',
+        location: { jsonPointer: '/data/id' }
+      })
+      expect(result.metadata.status).toBe('failed')
+    })
+
+    it('should place findings at their line and column in the raw response', async () => {
+      const data = { data: { type: 'articles', id: '1', attributes: { title: 'Hello', 'first.name': 'Dan' } } }
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data,
+        rawResponse: JSON.stringify(data, null, 2)
+      })
+
+      const result = await runValidation({ apiUrl: 'https://api.example.com/articles/1', httpMethod: 'GET', authType: 'none' })
+
+      const allDetails = Object.values(result.sections).flatMap(section => section.tests)
+      const memberName = allDetails.find(detail => detail.test === 'Member Name Format' && detail.status === 'failed')
+      expect(memberName.location).toMatchObject({ jsonPointer: '/data/attributes/first.name', line: 7, column: 7 })
+      expect(memberName.location.snippet).toBe([
+        '  6 |       "title": "Hello",',
+        '> 7 |       "first.name": "Dan"',
+        '    |       ^',
+        '  8 |     }'
+      ].join('\n'))
+    })
+
+    it('should collect returned resources into schema observations', async () => {
+      ApiClient.makeRequest.mockResolvedValue({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          data: [{ type: 'articles', id: '1', attributes: { title: 'Hello' } }],
+          included: [{ type: 'people', id: '9', attributes: { name: 'Dan' } }]
+        }
+      })
+      const observations = createSchemaObservations()
+
+      await runValidation({
+        apiUrl: 'https://api.example.com/articles?include=author',
+        httpMethod: 'GET',
+        authType: 'none',
+        observations
+      })
+
+      expect(Object.keys(observations.types)).toEqual(['articles', 'people'])
+      expect(observations.types.articles.resources).toBe(1)
+    })
+
+    it('should observe every crawled page once, including pages before the start page', async () => {
+      const page = (number, links) => ({
+        success: true,
+        status: 200,
+        headers: { 'content-type': 'application/vnd.api+json' },
+        data: {
+          data: [{ type: 'articles', id: String(number), attributes: { title: `Page ${number}`, ...(number === 1 ? { subtitle: 'First' } : {}) } }],
+          links
+        }
+      })
+      const pageUrl = number => `https://api.example.com/articles?page[number]=${number}`
+      ApiClient.makeRequest.mockImplementation(async ({ apiUrl }) => {
+        const number = Number(new URL(apiUrl).searchParams.get('page[number]'))
+        return page(number, {
+          prev: number > 1 ? pageUrl(number - 1) : null,
+          next: number < 3 ? pageUrl(number + 1) : null
+        })
+      })
+      const observations = createSchemaObservations()
+
+      await runValidation({
+        apiUrl: pageUrl(2),
+        httpMethod: 'GET',
+        authType: 'none',
+        crawlPagination: true,
+        crawlPrev: true,
+        observations
+      })
+
+      expect(ApiClient.makeRequest).toHaveBeenCalledTimes(3)
+      expect(observations.types.articles.resources).toBe(3)
+      expect(observations.types.articles.attributes.subtitle?.present).toBe(1)
+    })
+
+    it('should reject unknown rules before sending requests', async () => {
+      const result = await runValidation({
+        apiUrl: 'https://api.example.com/articles',
+        httpMethod: 'GET',
+        authType: 'none',
+        rules: { 'document/no-such-rule': 'off' }
+      })
+
+      expect(result.metadata.status).toBe('error')
+      expect(ApiClient.makeRequest).not.toHaveBeenCalled()
+    })
+
     it('should handle malformed URLs gracefully', async () => {
       const config = {
         apiUrl: 'not-a-valid-url',
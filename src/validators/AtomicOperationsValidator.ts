@@ -0,0 +1,776 @@
+/**
+ * AtomicOperationsValidator.ts
+ *
+ * Validates documents using the JSON:API Atomic Operations extension.
+ * Based on specification: https://jsonapi.org/ext/atomic/
+ */
+
+import { validateResourceObject, validateLocalIdentifiers } from './ResourceValidator.js'
+import { parseMediaType, ATOMIC_EXTENSION_URI } from './MediaTypes.js'
+
+interface ValidationError {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationWarning {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationDetail {
+  test: string
+  status: 'passed' | 'failed' | 'warning'
+  message: string
+  context?: string
+}
+
+interface ValidationResult {
+  valid: boolean
+  errors: ValidationError[]
+  warnings: ValidationWarning[]
+  details: ValidationDetail[]
+}
+
+interface AtomicResultsOptions {
+  operationCount?: number
+}
+
+const OPERATION_CODES = ['add', 'update', 'remove']
+
+/**
+ * Checks whether a media type negotiates the Atomic Operations extension
+ * @param contentType - Content-Type header value
+ * @returns True if the ext parameter includes the atomic extension URI
+ */
+export function isAtomicOperationsMediaType(contentType: string | undefined | null): boolean {
+  if (!contentType) {
+    return false
+  }
+
+  const parsed = parseMediaType(contentType)
+  if (!parsed || parsed.type !== 'application/vnd.api+json' || !parsed.parameters.ext) {
+    return false
+  }
+
+  return parsed.parameters.ext.split(/\s+/).includes(ATOMIC_EXTENSION_URI)
+}
+
+/**
+ * Validates an Atomic Operations request document
+ * @param requestBody - The request body to validate
+ * @returns Validation result with success/failure and details
+ */
+export function validateAtomicOperationsDocument(requestBody: unknown): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (typeof requestBody !== 'object' || requestBody === null || Array.isArray(requestBody)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operations Document Structure',
+      message: 'Atomic Operations request document must be a JSON object'
+    })
+    return results
+  }
+
+  const doc = requestBody as Record<string, unknown>
+
+  if (!Object.prototype.hasOwnProperty.call(doc, 'atomic:operations')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operations Document Structure',
+      message: 'Atomic Operations request document must contain an "atomic:operations" member'
+    })
+    return results
+  }
+
+  if (Object.prototype.hasOwnProperty.call(doc, 'data')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operations Document Structure',
+      message: 'Atomic Operations request document must not contain a top-level "data" member'
+    })
+  }
+
+  const allowedMembers = ['atomic:operations', 'meta', 'jsonapi']
+  const additionalMembers = Object.keys(doc).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.warnings.push({
+      test: 'Atomic Operations Document Structure',
+      message: `Atomic Operations request document contains additional top-level members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  const operations = doc['atomic:operations']
+  if (!Array.isArray(operations)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operations Document Structure',
+      message: '"atomic:operations" must be an array of operation objects'
+    })
+    return results
+  }
+
+  if (operations.length === 0) {
+    results.warnings.push({
+      test: 'Atomic Operations Document Structure',
+      message: '"atomic:operations" is empty - the request performs no operations'
+    })
+  }
+
+  operations.forEach((operation, index) => {
+    const operationValidation = validateOperationObject(operation, `atomic:operations[${index}]`)
+    mergeResults(results, operationValidation)
+  })
+
+  const localIdValidation = validateOperationLocalIdentifiers(operations)
+  mergeResults(results, localIdValidation)
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Atomic Operations Document Structure',
+      status: 'passed',
+      message: `Atomic Operations request document contains ${operations.length} valid operation(s)`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates a single operation object
+ * @param operation - The operation object to validate
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+export function validateOperationObject(operation: unknown, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (typeof operation !== 'object' || operation === null || Array.isArray(operation)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Structure',
+      context,
+      message: 'Operation must be an object'
+    })
+    return results
+  }
+
+  const operationObj = operation as Record<string, unknown>
+
+  // Step 1: Validate required 'op' member
+  const op = operationObj.op
+  if (op === undefined) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Code',
+      context,
+      message: 'Operation must contain an "op" member'
+    })
+    return results
+  }
+
+  if (typeof op !== 'string' || !OPERATION_CODES.includes(op)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Code',
+      context,
+      message: `Operation "op" must be one of: ${OPERATION_CODES.join(', ')}`
+    })
+    return results
+  }
+
+  // Step 2: Validate target ('ref' and 'href' are mutually exclusive)
+  const hasRef = Object.prototype.hasOwnProperty.call(operationObj, 'ref')
+  const hasHref = Object.prototype.hasOwnProperty.call(operationObj, 'href')
+  const hasData = Object.prototype.hasOwnProperty.call(operationObj, 'data')
+
+  if (hasRef && hasHref) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Target',
+      context,
+      message: 'Operation must not contain both "ref" and "href" members'
+    })
+  }
+
+  if (hasHref && (typeof operationObj.href !== 'string' || operationObj.href.length === 0)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Target',
+      context,
+      message: 'Operation "href" must be a non-empty URI-reference string'
+    })
+  }
+
+  let relationship: string | undefined
+  if (hasRef) {
+    const refValidation = validateOperationRef(operationObj.ref, `${context}.ref`)
+    mergeResults(results, refValidation)
+    const ref = operationObj.ref as Record<string, unknown> | null
+    if (ref && typeof ref === 'object' && typeof ref.relationship === 'string') {
+      relationship = ref.relationship
+    }
+  }
+
+  // Step 3: Validate 'data' according to the operation code and target
+  if (relationship !== undefined) {
+    const linkageValidation = validateRelationshipOperationData(op, operationObj.data, hasData, context)
+    mergeResults(results, linkageValidation)
+  } else if (op === 'remove') {
+    if (!hasRef && !hasHref) {
+      results.valid = false
+      results.errors.push({
+        test: 'Atomic Operation Target',
+        context,
+        message: 'A "remove" operation must identify its target with "ref" or "href"'
+      })
+    }
+    if (hasData) {
+      results.valid = false
+      results.errors.push({
+        test: 'Atomic Operation Data',
+        context,
+        message: 'A "remove" operation targeting a resource must not contain "data"'
+      })
+    }
+  } else {
+    if (op === 'add' && hasRef) {
+      results.valid = false
+      results.errors.push({
+        test: 'Atomic Operation Target',
+        context,
+        message: 'An "add" operation creating a resource must not contain "ref" (use "href" or omit the target)'
+      })
+    }
+
+    const resourceValidation = validateOperationResource(op, operationObj.data, hasData, context)
+    mergeResults(results, resourceValidation)
+
+    // The resource in an update must match the ref target when both are given
+    if (op === 'update' && hasRef && isPlainObject(operationObj.ref) && isPlainObject(operationObj.data)) {
+      const ref = operationObj.ref as Record<string, unknown>
+      const data = operationObj.data as Record<string, unknown>
+      const refKey = ref.id !== undefined ? `id "${String(ref.id)}"` : `lid "${String(ref.lid)}"`
+      const mismatched = ref.type !== data.type ||
+        (ref.id !== undefined && ref.id !== data.id) ||
+        (ref.lid !== undefined && ref.lid !== data.lid)
+
+      if (mismatched) {
+        results.valid = false
+        results.errors.push({
+          test: 'Atomic Operation Target',
+          context,
+          message: `Operation "ref" (type "${String(ref.type)}", ${refKey}) does not match the resource in "data"`
+        })
+      }
+    }
+  }
+
+  // Step 4: Validate optional 'meta' member
+  if (Object.prototype.hasOwnProperty.call(operationObj, 'meta') && !isPlainObject(operationObj.meta)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Structure',
+      context,
+      message: 'Operation "meta" must be an object'
+    })
+  }
+
+  const allowedMembers = ['op', 'ref', 'href', 'data', 'meta']
+  const additionalMembers = Object.keys(operationObj).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.warnings.push({
+      test: 'Atomic Operation Structure',
+      context,
+      message: `Operation contains additional members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Atomic Operation Structure',
+      status: 'passed',
+      context,
+      message: `"${op}" operation${relationship !== undefined ? ` on relationship "${relationship}"` : ''} is valid`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates local identifiers across operations: resources added by the request must
+ * use unique lids, and every "lid" in a ref or linkage must name a resource added by
+ * an earlier operation, since operations are processed in order
+ * @param operations - The operation objects
+ * @returns Validation result
+ */
+function validateOperationLocalIdentifiers(operations: unknown[]): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const operationObjs = operations.filter(isPlainObject) as Array<Record<string, unknown>>
+  const targetsRelationship = (operation: Record<string, unknown>): boolean =>
+    isPlainObject(operation.ref) && (operation.ref as Record<string, unknown>).relationship !== undefined
+
+  const createdResources = operationObjs
+    .filter(operation => operation.op === 'add' && !targetsRelationship(operation) && isPlainObject(operation.data))
+    .map(operation => operation.data)
+
+  const localIdValidation = validateLocalIdentifiers(createdResources, 'atomic:operations')
+  mergeResults(results, localIdValidation)
+
+  const definedLids = new Set<string>()
+  operationObjs.forEach((operation, index) => {
+    const references: Array<Record<string, unknown>> = []
+    if (isPlainObject(operation.ref)) {
+      references.push(operation.ref as Record<string, unknown>)
+    }
+    if (targetsRelationship(operation)) {
+      const linkage = Array.isArray(operation.data) ? operation.data : [operation.data]
+      references.push(...(linkage.filter(isPlainObject) as Array<Record<string, unknown>>))
+    }
+
+    references.forEach(reference => {
+      if (reference.id === undefined && typeof reference.lid === 'string' &&
+          !definedLids.has(`${String(reference.type)}:${reference.lid}`)) {
+        results.valid = false
+        results.errors.push({
+          test: 'Local Identifier Resolution',
+          context: `atomic:operations[${index}]`,
+          message: `lid "${reference.lid}" (type "${String(reference.type)}") does not match any resource added by an earlier operation`
+        })
+      }
+    })
+
+    if (createdResources.includes(operation.data)) {
+      const resourceObj = operation.data as Record<string, unknown>
+      if (typeof resourceObj.lid === 'string') {
+        definedLids.add(`${String(resourceObj.type)}:${resourceObj.lid}`)
+      }
+    }
+  })
+
+  return results
+}
+
+/**
+ * Validates the 'ref' member of an operation object
+ * @param ref - The ref value to validate
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateOperationRef(ref: unknown, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!isPlainObject(ref)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: 'Operation "ref" must be an object'
+    })
+    return results
+  }
+
+  const refObj = ref as Record<string, unknown>
+
+  if (typeof refObj.type !== 'string' || refObj.type.length === 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: 'Operation "ref" must contain a non-empty string "type" member'
+    })
+  }
+
+  const hasId = Object.prototype.hasOwnProperty.call(refObj, 'id')
+  const hasLid = Object.prototype.hasOwnProperty.call(refObj, 'lid')
+
+  if (hasId && hasLid) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: 'Operation "ref" must not contain both "id" and "lid"'
+    })
+  } else if (!hasId && !hasLid) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: 'Operation "ref" must contain either "id" or "lid"'
+    })
+  } else {
+    const identifier = hasId ? refObj.id : refObj.lid
+    if (typeof identifier !== 'string' || identifier.length === 0) {
+      results.valid = false
+      results.errors.push({
+        test: 'Atomic Operation Ref',
+        context,
+        message: `Operation "ref" "${hasId ? 'id' : 'lid'}" must be a non-empty string`
+      })
+    }
+  }
+
+  if (Object.prototype.hasOwnProperty.call(refObj, 'relationship') &&
+      (typeof refObj.relationship !== 'string' || refObj.relationship.length === 0)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: 'Operation "ref" "relationship" must be a non-empty string'
+    })
+  }
+
+  const allowedMembers = ['type', 'id', 'lid', 'relationship']
+  const additionalMembers = Object.keys(refObj).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Ref',
+      context,
+      message: `Operation "ref" contains members not allowed: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates the 'data' of an operation that adds or updates a resource
+ * @param op - The operation code
+ * @param data - The data value to validate
+ * @param hasData - Whether the operation contains a data member
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateOperationResource(op: string, data: unknown, hasData: boolean, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!hasData) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: `An "${op}" operation on a resource must contain "data"`
+    })
+    return results
+  }
+
+  if (!isPlainObject(data)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: `An "${op}" operation on a resource must contain a single resource object in "data"`
+    })
+    return results
+  }
+
+  const dataObj = data as Record<string, unknown>
+  const hasLid = Object.prototype.hasOwnProperty.call(dataObj, 'lid')
+
+  // Resources created in the same request may be identified by 'lid' instead of 'id'
+  const resourceValidation = validateResourceObject(data, {
+    allowMissingId: op === 'add' || hasLid,
+    context: `${context}.data`
+  })
+  mergeResults(results, resourceValidation)
+
+  return results
+}
+
+/**
+ * Validates the 'data' of an operation that targets a relationship
+ * @param op - The operation code
+ * @param data - The data value to validate
+ * @param hasData - Whether the operation contains a data member
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateRelationshipOperationData(op: string, data: unknown, hasData: boolean, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!hasData) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: `An "${op}" operation on a relationship must contain "data" with resource linkage`
+    })
+    return results
+  }
+
+  // Adding to or removing from a relationship is only defined for to-many relationships
+  if ((op === 'add' || op === 'remove') && !Array.isArray(data)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: `An "${op}" operation on a relationship must contain an array of resource identifiers in "data"`
+    })
+    return results
+  }
+
+  if (data === null) {
+    return results
+  }
+
+  const identifiers = Array.isArray(data) ? data : [data]
+  identifiers.forEach((identifier, index) => {
+    const identifierContext = Array.isArray(data) ? `${context}.data[${index}]` : `${context}.data`
+    const identifierValidation = validateOperationIdentifier(identifier, identifierContext)
+    mergeResults(results, identifierValidation)
+  })
+
+  return results
+}
+
+/**
+ * Validates a resource identifier used as relationship linkage in an operation
+ * @param identifier - The resource identifier to validate
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateOperationIdentifier(identifier: unknown, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!isPlainObject(identifier)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: 'Relationship linkage must be a resource identifier object'
+    })
+    return results
+  }
+
+  const identifierObj = identifier as Record<string, unknown>
+  const hasIdentity = (typeof identifierObj.id === 'string' && identifierObj.id.length > 0) ||
+    (typeof identifierObj.lid === 'string' && identifierObj.lid.length > 0)
+
+  if (typeof identifierObj.type !== 'string' || identifierObj.type.length === 0 || !hasIdentity) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: 'Resource identifier must contain a non-empty "type" and a non-empty "id" or "lid"'
+    })
+    return results
+  }
+
+  const allowedMembers = ['type', 'id', 'lid', 'meta']
+  const additionalMembers = Object.keys(identifierObj).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Operation Data',
+      context,
+      message: `Relationship linkage must contain only resource identifiers, found members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates an Atomic Operations response document containing results
+ * @param response - The response document to validate
+ * @param options - Validation options (operationCount from the request, if known)
+ * @returns Validation result with success/failure and details
+ */
+export function validateAtomicResultsDocument(response: unknown, options: AtomicResultsOptions = {}): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!isPlainObject(response)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Results Document Structure',
+      message: 'Atomic Operations response document must be a JSON object'
+    })
+    return results
+  }
+
+  const doc = response as Record<string, unknown>
+
+  if (!Object.prototype.hasOwnProperty.call(doc, 'atomic:results')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Results Document Structure',
+      message: 'Atomic Operations response document must contain an "atomic:results" member (use 204 No Content when there are no results)'
+    })
+    return results
+  }
+
+  const forbiddenMembers = ['data', 'included', 'errors'].filter(member => Object.prototype.hasOwnProperty.call(doc, member))
+  if (forbiddenMembers.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Results Document Structure',
+      message: `Atomic Operations response document must not contain "atomic:results" alongside: ${forbiddenMembers.join(', ')}`
+    })
+  }
+
+  const allowedMembers = ['atomic:results', 'meta', 'jsonapi', 'links', ...forbiddenMembers]
+  const additionalMembers = Object.keys(doc).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.warnings.push({
+      test: 'Atomic Results Document Structure',
+      message: `Atomic Operations response document contains additional top-level members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  const atomicResults = doc['atomic:results']
+  if (!Array.isArray(atomicResults)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Results Document Structure',
+      message: '"atomic:results" must be an array of result objects'
+    })
+    return results
+  }
+
+  // Results must correspond one-to-one (and in order) with the submitted operations
+  if (options.operationCount !== undefined && atomicResults.length !== options.operationCount) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Results Count',
+      message: `"atomic:results" contains ${atomicResults.length} result(s) but the request contained ${options.operationCount} operation(s)`
+    })
+  }
+
+  atomicResults.forEach((result, index) => {
+    const resultValidation = validateResultObject(result, `atomic:results[${index}]`)
+    mergeResults(results, resultValidation)
+  })
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Atomic Results Document Structure',
+      status: 'passed',
+      message: `Atomic Operations response document contains ${atomicResults.length} valid result(s)`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates a single result object
+ * @param result - The result object to validate
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateResultObject(result: unknown, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!isPlainObject(result)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Result Object',
+      context,
+      message: 'Result must be an object (use an empty object for operations without results)'
+    })
+    return results
+  }
+
+  const resultObj = result as Record<string, unknown>
+
+  if (Object.prototype.hasOwnProperty.call(resultObj, 'data') && resultObj.data !== null) {
+    const resourceValidation = validateResourceObject(resultObj.data, { context: `${context}.data` })
+    mergeResults(results, resourceValidation)
+  }
+
+  if (Object.prototype.hasOwnProperty.call(resultObj, 'meta') && !isPlainObject(resultObj.meta)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Atomic Result Object',
+      context,
+      message: 'Result "meta" must be an object'
+    })
+  }
+
+  const allowedMembers = ['data', 'meta']
+  const additionalMembers = Object.keys(resultObj).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.warnings.push({
+      test: 'Atomic Result Object',
+      context,
+      message: `Result contains additional members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Merges validation results
+ * @param target - Target results object
+ * @param source - Source results object
+ */
+function mergeResults(target: ValidationResult, source: ValidationResult): void {
+  if (!source.valid) {
+    target.valid = false
+  }
+
+  target.errors.push(...source.errors)
+  target.warnings.push(...source.warnings)
+  target.details.push(...source.details)
+}
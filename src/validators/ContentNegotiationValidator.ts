@@ -6,6 +6,10 @@
  */
 
 import { isValidUrl } from '../utils/UrlValidator.js'
+import { validateErrorsMember } from './ErrorValidator.js'
+import { getRegisteredDefinition } from './ExtensionRegistry.js'
+import { parseMediaType, type ParsedMediaType } from './MediaTypes.js'
+import type { SpecVersion } from '../types/validation'
 
 interface ValidationError {
   test: string
@@ -33,13 +37,48 @@ interface ValidationResult {
 interface ContentNegotiationOptions {
   validateContentType?: boolean
   validateAccept?: boolean
+  specVersion?: SpecVersion
 }
 
-interface ParsedMediaType {
-  type: string
-  parameters: Record<string, string>
+export interface NegotiationProbe {
+  name: string
+  header: 'Content-Type' | 'Accept'
+  value: string
+  expectedStatus: 415 | 406
 }
 
+/**
+ * Extension URI no server is expected to support, used to provoke 415/406 responses
+ */
+export const UNSUPPORTED_EXTENSION_URI = 'https://jsonapi-validator.invalid/ext/unsupported'
+
+const NEGOTIATION_PROBES: NegotiationProbe[] = [
+  {
+    name: 'Content-Type with unsupported media type parameter',
+    header: 'Content-Type',
+    value: 'application/vnd.api+json; charset=utf-8',
+    expectedStatus: 415
+  },
+  {
+    name: 'Content-Type with unknown extension',
+    header: 'Content-Type',
+    value: `application/vnd.api+json; ext="${UNSUPPORTED_EXTENSION_URI}"`,
+    expectedStatus: 415
+  },
+  {
+    name: 'Accept with only parameterized JSON:API media types',
+    header: 'Accept',
+    value: 'application/vnd.api+json; charset=utf-8',
+    expectedStatus: 406
+  },
+  {
+    name: 'Accept with only unknown extensions',
+    header: 'Accept',
+    value: `application/vnd.api+json; ext="${UNSUPPORTED_EXTENSION_URI}"`,
+    expectedStatus: 406
+  }
+]
+
 /**
  * Validates JSON:API content negotiation headers and media types
  * @param headers - Request or response headers
@@ -59,13 +98,13 @@ export function validateContentNegotiation(
 
   // Validate Content-Type header
   if (options.validateContentType !== false) {
-    const contentTypeValidation = validateContentTypeHeader(headers['content-type'] || '')
+    const contentTypeValidation = validateContentTypeHeader(headers['content-type'] || '', options.specVersion)
     mergeResults(results, contentTypeValidation)
   }
 
   // Validate Accept header
   if (options.validateAccept !== false) {
-    const acceptValidation = validateAcceptHeader(headers['accept'] || '')
+    const acceptValidation = validateAcceptHeader(headers['accept'] || '', options.specVersion)
     mergeResults(results, acceptValidation)
   }
 
@@ -75,9 +114,10 @@ export function validateContentNegotiation(
 /**
  * Validates Content-Type header for JSON:API compliance
  * @param contentType - Content-Type header value
+ * @param specVersion - JSON:API version whose media type parameter rules apply
  * @returns Validation result
  */
-export function validateContentTypeHeader(contentType: string): ValidationResult {
+export function validateContentTypeHeader(contentType: string, specVersion: SpecVersion = '1.1'): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -121,7 +161,7 @@ export function validateContentTypeHeader(contentType: string): ValidationResult
   })
 
   // Validate parameters
-  const parameterValidation = validateMediaTypeParameters(parsed.parameters, 'Content-Type')
+  const parameterValidation = validateMediaTypeParameters(parsed.parameters, 'Content-Type', specVersion)
   mergeResults(results, parameterValidation)
 
   return results
@@ -130,9 +170,10 @@ export function validateContentTypeHeader(contentType: string): ValidationResult
 /**
  * Validates Accept header for JSON:API compliance
  * @param accept - Accept header value
+ * @param specVersion - JSON:API version whose media type parameter rules apply
  * @returns Validation result
  */
-export function validateAcceptHeader(accept: string): ValidationResult {
+export function validateAcceptHeader(accept: string, specVersion: SpecVersion = '1.1'): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -186,7 +227,7 @@ export function validateAcceptHeader(accept: string): ValidationResult {
   // Validate parameters for JSON:API specific media types
   jsonApiTypes.forEach((mediaType, index) => {
     if (mediaType.type === 'application/vnd.api+json') {
-      const parameterValidation = validateMediaTypeParameters(mediaType.parameters, `Accept[${index}]`)
+      const parameterValidation = validateMediaTypeParameters(mediaType.parameters, `Accept[${index}]`, specVersion)
       mergeResults(results, parameterValidation)
     }
   })
@@ -198,11 +239,13 @@ export function validateAcceptHeader(accept: string): ValidationResult {
  * Validates media type parameters for JSON:API compliance
  * @param parameters - Parsed media type parameters
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose parameter rules apply
  * @returns Validation result
  */
 function validateMediaTypeParameters(
   parameters: Record<string, string>,
-  context: string
+  context: string,
+  specVersion: SpecVersion
 ): ValidationResult {
   const results: ValidationResult = {
     valid: true,
@@ -220,8 +263,19 @@ function validateMediaTypeParameters(
     return results
   }
 
-  const knownParams = ['ext', 'profile']
   const paramKeys = Object.keys(parameters)
+
+  // JSON:API 1.0 forbids every media type parameter; "ext" and "profile" arrived in 1.1
+  if (specVersion === '1.0') {
+    results.valid = false
+    results.errors.push({
+      test: 'Media Type Parameters',
+      message: `${context} must not contain media type parameters in JSON:API 1.0, found: ${paramKeys.join(', ')}`
+    })
+    return results
+  }
+
+  const knownParams = ['ext', 'profile']
   const unknownParams = paramKeys.filter(key => !knownParams.includes(key))
 
   // Warn about unknown parameters
@@ -310,6 +364,21 @@ function validateExtParameter(ext: string, context: string): ValidationResult {
       status: 'passed',
       message: `${context} ext parameter contains ${extensions.length} valid extension(s)`
     })
+
+    // Servers must support every extension they apply, so rules we cannot check are worth surfacing
+    const unregistered = extensions.filter(extension => !getRegisteredDefinition(extension))
+    if (unregistered.length > 0) {
+      results.warnings.push({
+        test: 'Extension Registry',
+        message: `${context} applies extension(s) with no registered rules: ${unregistered.join(', ')}. Their members and rules are not checked`
+      })
+    } else {
+      results.details.push({
+        test: 'Extension Registry',
+        status: 'passed',
+        message: `${context} applies registered extension(s): ${extensions.map(extension => getRegisteredDefinition(extension)!.name).join(', ')}`
+      })
+    }
   }
 
   return results
@@ -370,50 +439,20 @@ function validateProfileParameter(profile: string, context: string): ValidationR
       status: 'passed',
       message: `${context} profile parameter contains ${profiles.length} valid profile(s)`
     })
-  }
 
-  return results
-}
-
-/**
- * Parses a media type string into type and parameters
- * @param mediaType - Media type string to parse
- * @returns Parsed media type or null if invalid
- */
-function parseMediaType(mediaType: string): ParsedMediaType | null {
-  if (!mediaType || typeof mediaType !== 'string') {
-    return null
-  }
-
-  const parts = mediaType.trim().split(';')
-  const type = parts[0]?.trim()
-
-  if (!type) {
-    return null
-  }
-
-  const parameters: Record<string, string> = {}
-
-  for (let i = 1; i < parts.length; i++) {
-    const param = parts[i]?.trim()
-    if (!param) continue
-
-    const equalIndex = param.indexOf('=')
-
-    if (equalIndex === -1) {
-      continue // Invalid parameter format, skip
-    }
-
-    const key = param.substring(0, equalIndex).trim()
-    const value = param.substring(equalIndex + 1).trim()
-
-    if (key && value) {
-      // Remove quotes if present
-      parameters[key] = value.replace(/^"(.*)"$/, '$1')
-    }
+    // Servers must ignore media type profiles they do not recognize, so an unregistered one is not a failure
+    const registered = profiles.filter(profileUrl => getRegisteredDefinition(profileUrl))
+    const unregistered = profiles.filter(profileUrl => !getRegisteredDefinition(profileUrl))
+    results.details.push({
+      test: 'Profile Registry',
+      status: 'passed',
+      message: unregistered.length > 0
+        ? `${context} profile(s) without registered rules are not checked: ${unregistered.join(', ')}`
+        : `${context} applies registered profile(s): ${registered.map(profileUrl => getRegisteredDefinition(profileUrl)!.name).join(', ')}`
+    })
   }
 
-  return { type, parameters }
+  return results
 }
 
 /**
@@ -432,6 +471,70 @@ function parseAcceptHeader(accept: string): ParsedMediaType[] {
   }).filter((parsed): parsed is ParsedMediaType => parsed !== null)
 }
 
+/**
+ * Lists the deliberately invalid requests used to check that a server enforces content negotiation
+ * @param options - includeContentType: whether the request carries a body (Content-Type probes)
+ * @returns Probe definitions
+ */
+export function getNegotiationProbes(options: { includeContentType?: boolean } = {}): NegotiationProbe[] {
+  return NEGOTIATION_PROBES.filter(probe => probe.header === 'Accept' || options.includeContentType)
+}
+
+/**
+ * Validates the server's answer to a negotiation probe: the expected 415/406 status
+ * and a JSON:API error document describing the problem
+ * @param probe - The probe that was sent
+ * @param statusCode - Response status code
+ * @param response - Parsed response body (null if empty or not JSON)
+ * @returns Validation result
+ */
+export function validateNegotiationProbeResponse(
+  probe: NegotiationProbe,
+  statusCode: number,
+  response: unknown
+): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = `${probe.header} Negotiation Probe`
+
+  if (statusCode !== probe.expectedStatus) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `${probe.name}: expected ${probe.expectedStatus} but server responded with ${statusCode} (${probe.header}: ${probe.value})`
+    })
+    return results
+  }
+
+  const hasErrors = typeof response === 'object' && response !== null &&
+    Object.prototype.hasOwnProperty.call(response, 'errors')
+
+  if (!hasErrors) {
+    results.warnings.push({
+      test,
+      message: `${probe.name}: ${statusCode} response should include a JSON:API error document`
+    })
+  } else {
+    const errorsValidation = validateErrorsMember((response as Record<string, unknown>).errors)
+    mergeResults(results, errorsValidation)
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `${probe.name}: server correctly responded with ${statusCode}`
+    })
+  }
+
+  return results
+}
+
 /**
  * Validates if a string is a valid extension URL
  * @param url - URL to validate
@@ -0,0 +1,589 @@
+/**
+ * CursorPaginationValidator.ts
+ *
+ * Validates conformance to the JSON:API Cursor Pagination profile.
+ * Based on specification: https://jsonapi.org/profiles/ethanresnick/cursor-pagination/
+ */
+
+import { parseMediaType, CURSOR_PAGINATION_PROFILE_URI } from './MediaTypes.js'
+import { validateErrorsMember } from './ErrorValidator.js'
+
+interface ValidationError {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationWarning {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationDetail {
+  test: string
+  status: 'passed' | 'failed' | 'warning'
+  message: string
+  context?: string
+}
+
+interface ValidationResult {
+  valid: boolean
+  errors: ValidationError[]
+  warnings: ValidationWarning[]
+  details: ValidationDetail[]
+}
+
+export interface CursorPaginationProbe {
+  name: string
+  url: string
+  expectation: 'max-size-exceeded' | 'invalid-size' | 'range'
+}
+
+/**
+ * Page size large enough to exceed any sensible server maximum
+ */
+const OVERSIZED_PAGE_SIZE = 1000000
+
+const PROFILE_PAGE_PARAMS = ['page[size]', 'page[before]', 'page[after]']
+
+/**
+ * Checks whether a response opts into the Cursor Pagination profile, either through
+ * jsonapi.profile or the profile parameter of its Content-Type
+ * @param document - Response document
+ * @param contentType - Response Content-Type header
+ * @returns True if the profile is applied
+ */
+export function isCursorPaginationProfileActive(document: unknown, contentType?: string | null): boolean {
+  const declared: string[] = []
+
+  const jsonapi = isPlainObject(document) ? (document as Record<string, unknown>).jsonapi : undefined
+  if (isPlainObject(jsonapi) && Array.isArray((jsonapi as Record<string, unknown>).profile)) {
+    declared.push(...((jsonapi as Record<string, unknown>).profile as unknown[]).filter((uri): uri is string => typeof uri === 'string'))
+  }
+
+  const parsed = contentType ? parseMediaType(contentType) : null
+  if (parsed?.parameters.profile) {
+    declared.push(...parsed.parameters.profile.split(/\s+/))
+  }
+
+  return declared.some(uri => normalizeProfileUri(uri) === normalizeProfileUri(CURSOR_PAGINATION_PROFILE_URI))
+}
+
+/**
+ * Validates a paginated collection response against the Cursor Pagination profile
+ * @param document - Response document
+ * @param requestUrl - The request URL (for the page[...] parameters that were sent)
+ * @returns Validation result with success/failure and details
+ */
+export function validateCursorPaginationProfile(document: unknown, requestUrl: unknown): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const params = getPageParams(requestUrl)
+
+  // Step 1: Validate the page[...] parameters of the request
+  const paramValidation = validateCursorPageParams(params)
+  mergeResults(results, paramValidation)
+
+  const doc = isPlainObject(document) ? document as Record<string, unknown> : {}
+  const data = doc.data
+  if (!Array.isArray(data)) {
+    results.warnings.push({
+      test: 'Cursor Pagination Profile',
+      context: 'data',
+      message: 'Cursor Pagination profile is applied but primary data is not a collection'
+    })
+    return results
+  }
+
+  // Step 2: Validate pagination links
+  const linksValidation = validateCursorPaginationLinks(doc.links)
+  mergeResults(results, linksValidation)
+
+  // Step 3: Every resource in the page must expose its cursor
+  const missingCursors = data.filter(resource => typeof getResourceCursor(resource) !== 'string')
+  if (missingCursors.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Cursor Pagination Item Cursor',
+      context: `data[${data.indexOf(missingCursors[0])}]`,
+      message: `${missingCursors.length} of ${data.length} resource(s) are missing a string "meta.page.cursor"`
+    })
+  } else if (data.length > 0) {
+    results.details.push({
+      test: 'Cursor Pagination Item Cursor',
+      status: 'passed',
+      message: `All ${data.length} resource(s) include "meta.page.cursor"`
+    })
+  }
+
+  // Step 4: The page must respect the requested size
+  const size = Number(params['page[size]'])
+  if (params['page[size]'] !== undefined && Number.isInteger(size) && size > 0) {
+    if (data.length > size) {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Page Size',
+        context: 'data',
+        message: `Response contains ${data.length} resources, more than the requested page[size] of ${size}`
+      })
+    } else {
+      results.details.push({
+        test: 'Cursor Pagination Page Size',
+        status: 'passed',
+        message: `Response contains ${data.length} resources, within the requested page[size] of ${size}`
+      })
+    }
+  }
+
+  // Step 5: Validate pagination meta
+  const metaValidation = validateCursorPaginationMeta(doc.meta, params, data.length)
+  mergeResults(results, metaValidation)
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Cursor Pagination Profile',
+      status: 'passed',
+      message: 'Response conforms to the Cursor Pagination profile'
+    })
+  }
+
+  return results
+}
+
+/**
+ * Builds the requests that exercise the profile's documented error cases
+ * @param document - The paginated response document (its cursors are used for the range probe)
+ * @param requestUrl - The request URL the probes are derived from
+ * @returns Probe definitions (empty if the URL cannot be parsed)
+ */
+export function getCursorPaginationProbes(document: unknown, requestUrl: string): CursorPaginationProbe[] {
+  let baseUrl: URL
+  try {
+    baseUrl = new URL(requestUrl)
+  } catch {
+    return []
+  }
+  PROFILE_PAGE_PARAMS.forEach(param => baseUrl.searchParams.delete(param))
+
+  const withParams = (params: Record<string, string>): string => {
+    const url = new URL(baseUrl.toString())
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value))
+    return url.toString()
+  }
+
+  const probes: CursorPaginationProbe[] = [
+    {
+      name: `page[size]=${OVERSIZED_PAGE_SIZE}`,
+      url: withParams({ 'page[size]': String(OVERSIZED_PAGE_SIZE) }),
+      expectation: 'max-size-exceeded'
+    },
+    {
+      name: 'page[size]=-1',
+      url: withParams({ 'page[size]': '-1' }),
+      expectation: 'invalid-size'
+    }
+  ]
+
+  const data = isPlainObject(document) ? (document as Record<string, unknown>).data : undefined
+  const cursors = Array.isArray(data) ? data.map(getResourceCursor).filter((cursor): cursor is string => typeof cursor === 'string') : []
+  if (cursors.length >= 2) {
+    probes.push({
+      name: 'page[after] combined with page[before]',
+      url: withParams({ 'page[after]': cursors[0]!, 'page[before]': cursors[cursors.length - 1]! }),
+      expectation: 'range'
+    })
+  }
+
+  return probes
+}
+
+/**
+ * Validates the server's answer to a cursor pagination probe
+ * @param probe - The probe that was sent
+ * @param statusCode - Response status code
+ * @param response - Parsed response body
+ * @returns Validation result
+ */
+export function validateCursorPaginationProbeResponse(
+  probe: CursorPaginationProbe,
+  statusCode: number,
+  response: unknown
+): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Cursor Pagination Error Handling'
+  const errors = isPlainObject(response) ? (response as Record<string, unknown>).errors : undefined
+  const errorObjects = Array.isArray(errors) ? errors.filter(isPlainObject) as Array<Record<string, unknown>> : []
+
+  if (probe.expectation === 'range') {
+    if (statusCode >= 200 && statusCode < 300) {
+      results.details.push({
+        test,
+        status: 'passed',
+        message: `${probe.name}: server supports range pagination`
+      })
+    } else if (statusCode === 400 && errorObjects.some(error => getErrorType(error) === `${CURSOR_PAGINATION_PROFILE_URI}range-pagination-not-supported`)) {
+      results.details.push({
+        test,
+        status: 'passed',
+        message: `${probe.name}: server correctly reports range-pagination-not-supported`
+      })
+    } else {
+      results.valid = false
+      results.errors.push({
+        test,
+        message: `${probe.name}: expected a 2xx response or 400 with type "${CURSOR_PAGINATION_PROFILE_URI}range-pagination-not-supported", got ${statusCode}`
+      })
+    }
+    return results
+  }
+
+  if (probe.expectation === 'max-size-exceeded' && statusCode >= 200 && statusCode < 300) {
+    results.warnings.push({
+      test,
+      message: `${probe.name}: server accepted the page size. If it enforces a maximum page size, it must answer 400 with type "${CURSOR_PAGINATION_PROFILE_URI}max-size-exceeded".`
+    })
+    return results
+  }
+
+  if (statusCode !== 400) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `${probe.name}: expected 400 Bad Request, got ${statusCode}`
+    })
+    return results
+  }
+
+  if (errorObjects.length === 0) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `${probe.name}: 400 response must include a JSON:API error document`
+    })
+    return results
+  }
+
+  const errorsValidation = validateErrorsMember(errors)
+  mergeResults(results, errorsValidation)
+
+  const sizeError = errorObjects.find(error => {
+    const source = error.source as Record<string, unknown> | undefined
+    return source?.parameter === 'page[size]'
+  })
+
+  if (!sizeError) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `${probe.name}: error object must identify the offending parameter with source.parameter "page[size]"`
+    })
+  } else if (probe.expectation === 'max-size-exceeded') {
+    const maxSize = ((sizeError.meta as Record<string, unknown> | undefined)?.page as Record<string, unknown> | undefined)?.maxSize
+    if (getErrorType(sizeError) !== `${CURSOR_PAGINATION_PROFILE_URI}max-size-exceeded`) {
+      results.valid = false
+      results.errors.push({
+        test,
+        message: `${probe.name}: error object must have links.type "${CURSOR_PAGINATION_PROFILE_URI}max-size-exceeded"`
+      })
+    }
+    if (!Number.isInteger(maxSize) || (maxSize as number) < 1) {
+      results.valid = false
+      results.errors.push({
+        test,
+        message: `${probe.name}: error object must report the maximum page size as a positive integer in meta.page.maxSize`
+      })
+    }
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `${probe.name}: server correctly rejected the request with 400`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates the page[...] query parameters sent with the request
+ * @param params - page[...] parameters from the request URL
+ * @returns Validation result
+ */
+function validateCursorPageParams(params: Record<string, string>): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const unknownParams = Object.keys(params).filter(param => !PROFILE_PAGE_PARAMS.includes(param))
+  if (unknownParams.length > 0) {
+    results.warnings.push({
+      test: 'Cursor Pagination Parameters',
+      message: `Pagination parameters not defined by the Cursor Pagination profile: ${unknownParams.join(', ')}`
+    })
+  }
+
+  const size = params['page[size]']
+  if (size !== undefined && !/^[1-9]\d*$/.test(size)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Cursor Pagination Parameters',
+      message: `page[size]=${size} is not a positive integer - the server must reject it with 400 Bad Request`
+    })
+  }
+
+  for (const param of ['page[before]', 'page[after]']) {
+    if (params[param] === '') {
+      results.warnings.push({
+        test: 'Cursor Pagination Parameters',
+        message: `${param} is empty - cursors are opaque non-empty strings`
+      })
+    }
+  }
+
+  if (results.valid && Object.keys(params).length > 0) {
+    results.details.push({
+      test: 'Cursor Pagination Parameters',
+      status: 'passed',
+      message: `Request uses Cursor Pagination parameters: ${Object.keys(params).join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates the prev/next links required by the profile
+ * @param links - Top-level links object
+ * @returns Validation result
+ */
+function validateCursorPaginationLinks(links: unknown): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const linksObj = isPlainObject(links) ? links as Record<string, unknown> : {}
+
+  const expectations: Array<['prev' | 'next', string]> = [['prev', 'page[before]'], ['next', 'page[after]']]
+  expectations.forEach(([name, cursorParam]) => {
+    if (!Object.prototype.hasOwnProperty.call(linksObj, name)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Links',
+        context: 'links',
+        message: `Paginated responses must include a "${name}" link (null when there is no ${name === 'prev' ? 'previous' : 'next'} page)`
+      })
+      return
+    }
+
+    const link = linksObj[name]
+    const href = isPlainObject(link) ? (link as Record<string, unknown>).href : link
+    if (href === null) {
+      return
+    }
+    if (typeof href !== 'string') {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Links',
+        context: `links.${name}`,
+        message: `"${name}" link must be a URI string, a link object or null`
+      })
+      return
+    }
+
+    try {
+      if (!new URL(href, 'http://example.com').searchParams.has(cursorParam)) {
+        results.warnings.push({
+          test: 'Cursor Pagination Links',
+          context: `links.${name}`,
+          message: `"${name}" link does not use ${cursorParam}: ${href}`
+        })
+      }
+    } catch {
+      // Link URL format is validated by the document validator
+    }
+  })
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Cursor Pagination Links',
+      status: 'passed',
+      message: 'Response includes "prev" and "next" links'
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates meta.page members defined by the profile
+ * @param meta - Top-level meta object
+ * @param params - page[...] parameters from the request URL
+ * @param itemCount - Number of resources in the page
+ * @returns Validation result
+ */
+function validateCursorPaginationMeta(meta: unknown, params: Record<string, string>, itemCount: number): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const page = isPlainObject(meta) ? (meta as Record<string, unknown>).page : undefined
+  const pageMeta = isPlainObject(page) ? page as Record<string, unknown> : {}
+  const isRange = params['page[before]'] !== undefined && params['page[after]'] !== undefined
+
+  if (pageMeta.rangeTruncated !== undefined) {
+    if (typeof pageMeta.rangeTruncated !== 'boolean') {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Meta',
+        context: 'meta.page.rangeTruncated',
+        message: 'meta.page.rangeTruncated must be a boolean'
+      })
+    } else if (!isRange) {
+      results.warnings.push({
+        test: 'Cursor Pagination Meta',
+        context: 'meta.page.rangeTruncated',
+        message: 'meta.page.rangeTruncated is only meaningful when both page[before] and page[after] are used'
+      })
+    }
+  } else if (isRange && params['page[size]'] !== undefined && itemCount === Number(params['page[size]'])) {
+    results.warnings.push({
+      test: 'Cursor Pagination Meta',
+      context: 'meta',
+      message: 'Range request returned a full page but no meta.page.rangeTruncated - servers must set it to true when they truncate the range'
+    })
+  }
+
+  if (pageMeta.total !== undefined && !(Number.isInteger(pageMeta.total) && (pageMeta.total as number) >= 0)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Cursor Pagination Meta',
+      context: 'meta.page.total',
+      message: 'meta.page.total must be a non-negative integer'
+    })
+  }
+
+  if (pageMeta.estimatedTotal !== undefined) {
+    const estimate = pageMeta.estimatedTotal
+    if (!isPlainObject(estimate) || typeof (estimate as Record<string, unknown>).bestGuess !== 'number') {
+      results.valid = false
+      results.errors.push({
+        test: 'Cursor Pagination Meta',
+        context: 'meta.page.estimatedTotal',
+        message: 'meta.page.estimatedTotal must be an object with a numeric "bestGuess"'
+      })
+    }
+  }
+
+  if (results.valid && Object.keys(pageMeta).length > 0) {
+    results.details.push({
+      test: 'Cursor Pagination Meta',
+      status: 'passed',
+      message: `meta.page members are valid: ${Object.keys(pageMeta).join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Extracts page[...] parameters from a URL
+ * @param url - Request URL
+ * @returns page[...] parameters
+ */
+function getPageParams(url: unknown): Record<string, string> {
+  const params: Record<string, string> = {}
+  if (typeof url !== 'string') {
+    return params
+  }
+
+  try {
+    new URL(url).searchParams.forEach((value, key) => {
+      if (key.startsWith('page[')) {
+        params[key] = value
+      }
+    })
+  } catch {
+    // Invalid URLs are reported by the URL structure validator
+  }
+
+  return params
+}
+
+/**
+ * Reads meta.page.cursor from a resource object
+ * @param resource - Resource object
+ * @returns The cursor, or undefined
+ */
+function getResourceCursor(resource: unknown): unknown {
+  const meta = isPlainObject(resource) ? (resource as Record<string, unknown>).meta : undefined
+  const page = isPlainObject(meta) ? (meta as Record<string, unknown>).page : undefined
+  const cursor = isPlainObject(page) ? (page as Record<string, unknown>).cursor : undefined
+  return typeof cursor === 'string' && cursor.length > 0 ? cursor : undefined
+}
+
+/**
+ * Reads the type link of an error object
+ * @param error - Error object
+ * @returns The type URI, or undefined
+ */
+function getErrorType(error: Record<string, unknown>): string | undefined {
+  const links = isPlainObject(error.links) ? error.links as Record<string, unknown> : {}
+  const type = isPlainObject(links.type) ? (links.type as Record<string, unknown>).href : links.type
+  return typeof type === 'string' ? type : undefined
+}
+
+/**
+ * Normalizes a profile URI for comparison (trailing slash is optional)
+ * @param uri - Profile URI
+ * @returns Normalized URI
+ */
+function normalizeProfileUri(uri: string): string {
+  return uri.replace(/\/+$/, '')
+}
+
+/**
+ * Checks for a non-array object
+ * @param value - Value to check
+ * @returns True if value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Merges validation results
+ * @param target - Target results object
+ * @param source - Source results object
+ */
+function mergeResults(target: ValidationResult, source: ValidationResult): void {
+  if (!source.valid) {
+    target.valid = false
+  }
+
+  target.errors.push(...source.errors)
+  target.warnings.push(...source.warnings)
+  target.details.push(...source.details)
+}
@@ -5,21 +5,25 @@
  * Based on specification: https://jsonapi.org/format/1.1/
  */
 
-import { validateResourceObject, validateResourceCollection, validateMemberName } from './ResourceValidator.js'
+import { validateResourceObject, validateResourceCollection, validateMemberName, validateLocalIdentifiers } from './ResourceValidator.js'
 import { validateErrorsMember } from './ErrorValidator.js'
+import { isRegisteredExtensionMember } from './ExtensionRegistry.js'
 import { isValidUrl, getUrlValidationError } from '../utils/UrlValidator.js'
-import type { JsonApiDocument, JsonApiResource } from '../types/validation'
+import { matchesNamingConvention } from './MemberNames.js'
+import type { JsonApiDocument, JsonApiResource, SpecVersion, ResourceSchemas, NamingPolicy } from '../types/validation'
 
 interface ValidationError {
   test: string
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationWarning {
   test: string
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationDetail {
@@ -27,6 +31,7 @@ interface ValidationDetail {
   status: 'passed' | 'failed' | 'warning'
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationResult {
@@ -48,12 +53,29 @@ interface LinkObject {
 
 type Link = string | LinkObject | null
 
+/**
+ * Schemas and naming policy primary and included resources are checked against
+ */
+interface SchemaOptions {
+  schemas?: ResourceSchemas
+  /** Requested sparse fieldsets, by resource type */
+  sparseFieldsets?: Record<string, string[]>
+  /** Naming conventions for resource types, attributes, relationships and meta keys */
+  namingPolicy?: NamingPolicy
+}
+
+interface DocumentValidationOptions extends SchemaOptions {
+  specVersion?: SpecVersion
+}
+
 /**
  * Validates a JSON:API document's top-level structure
  * @param response - The response object to validate
+ * @param options - Validation options (specVersion defaults to 1.1)
  * @returns Validation result with success/failure and details
  */
-export function validateDocument(response: unknown): ValidationResult {
+export function validateDocument(response: unknown, options: DocumentValidationOptions = {}): ValidationResult {
+  const { specVersion = '1.1', schemas, sparseFieldsets, namingPolicy } = options
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -66,6 +88,7 @@ export function validateDocument(response: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON Parsing',
+      location: { jsonPointer: '' },
       message: 'Response is null or undefined'
     })
     return results
@@ -75,6 +98,7 @@ export function validateDocument(response: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON Parsing',
+      location: { jsonPointer: '' },
       message: 'Response must be a JSON object'
     })
     return results
@@ -97,6 +121,7 @@ export function validateDocument(response: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'Required Top-Level Members',
+      location: { jsonPointer: '' },
       message: 'Document must contain at least one of: "data", "errors", or "meta"'
     })
   } else {
@@ -112,6 +137,7 @@ export function validateDocument(response: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'Data and Errors Exclusivity',
+      location: { jsonPointer: '' },
       message: 'Document must not contain both "data" and "errors" at the top level'
     })
   } else {
@@ -124,7 +150,7 @@ export function validateDocument(response: unknown): ValidationResult {
 
   // Step 4: Validate data structure if present
   if (hasData) {
-    const dataValidation = validateDataMember(doc.data)
+    const dataValidation = validateDataMember(doc.data, specVersion, { schemas, sparseFieldsets, namingPolicy })
     results.details.push(...dataValidation.details)
     if (!dataValidation.valid) {
       results.valid = false
@@ -135,9 +161,21 @@ export function validateDocument(response: unknown): ValidationResult {
     }
   }
 
+  // Step 4a: Validate local identifiers (lid, JSON:API 1.1) across primary data and included resources
+  if (specVersion === '1.1' && hasData && doc.data !== null && typeof doc.data === 'object') {
+    const primaryResources = Array.isArray(doc.data) ? doc.data : [doc.data]
+    const includedResources = Array.isArray(doc.included) ? doc.included : []
+    const localIdValidation = validateLocalIdentifiers([...primaryResources, ...includedResources])
+    results.details.push(...localIdValidation.details)
+    if (!localIdValidation.valid) {
+      results.valid = false
+      results.errors.push(...localIdValidation.errors)
+    }
+  }
+
   // Step 4b: Validate errors structure if present
   if (hasErrors) {
-    const errorsValidation = validateErrorsMember(doc.errors) as any
+    const errorsValidation = validateErrorsMember(doc.errors, specVersion) as any
     results.details.push(...errorsValidation.details)
     if (!errorsValidation.valid) {
       results.valid = false
@@ -157,6 +195,7 @@ export function validateDocument(response: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'Compound Document Structure',
+        context: 'included',
         message: 'Included member must not be present without data member'
       })
     } else {
@@ -168,7 +207,7 @@ export function validateDocument(response: unknown): ValidationResult {
     }
 
     // Validate the included member structure
-    const includedValidation = validateIncludedMember(doc.included)
+    const includedValidation = validateIncludedMember(doc.included, specVersion, { schemas, sparseFieldsets, namingPolicy })
     results.details.push(...includedValidation.details)
     if (!includedValidation.valid) {
       results.valid = false
@@ -194,17 +233,18 @@ export function validateDocument(response: unknown): ValidationResult {
 
   // Step 6: Validate optional links object
   if (Object.prototype.hasOwnProperty.call(doc, 'links')) {
-    const linksValidation = validateLinksMember(doc.links!)
+    const linksValidation = validateLinksMember(doc.links!, specVersion)
     results.details.push(...linksValidation.details)
     if (!linksValidation.valid) {
       results.valid = false
       results.errors.push(...linksValidation.errors)
     }
+    results.warnings.push(...linksValidation.warnings)
   }
 
   // Step 7: Validate optional jsonapi object
   if (Object.prototype.hasOwnProperty.call(doc, 'jsonapi')) {
-    const jsonApiValidation = validateJsonApiMember(doc.jsonapi!)
+    const jsonApiValidation = validateJsonApiMember(doc.jsonapi!, specVersion)
     results.details.push(...jsonApiValidation.details)
     if (!jsonApiValidation.valid) {
       results.valid = false
@@ -214,7 +254,7 @@ export function validateDocument(response: unknown): ValidationResult {
 
   // Step 7b: Validate optional top-level meta object
   if (Object.prototype.hasOwnProperty.call(doc, 'meta')) {
-    const metaValidation = validateTopLevelMetaMember(doc.meta!)
+    const metaValidation = validateTopLevelMetaMember(doc.meta!, namingPolicy)
     results.details.push(...metaValidation.details)
     if (!metaValidation.valid) {
       results.valid = false
@@ -225,13 +265,25 @@ export function validateDocument(response: unknown): ValidationResult {
   // Step 8: Check for additional top-level members beyond allowed ones
   const allowedMembers = ['data', 'errors', 'meta', 'links', 'included', 'jsonapi']
   const presentMembers = Object.keys(doc)
-  const additionalMembers = presentMembers.filter(member => !allowedMembers.includes(member))
+  const extensionMembers = presentMembers.filter(member => !allowedMembers.includes(member) && isRegisteredExtensionMember(member))
+  const additionalMembers = presentMembers.filter(member => !allowedMembers.includes(member) && !extensionMembers.includes(member))
+
+  if (extensionMembers.length > 0) {
+    results.details.push({
+      test: 'Extension Members',
+      status: 'passed',
+      message: `Document contains members defined by registered extensions: ${extensionMembers.join(', ')}`
+    })
+  }
 
   if (additionalMembers.length > 0) {
+    const namespaced = additionalMembers.some(member => member.includes(':'))
     results.valid = false
     results.errors.push({
       test: 'Additional Top-Level Members',
-      message: `Document contains additional top-level members not allowed by JSON:API spec: ${additionalMembers.join(', ')}`
+      location: { jsonPointer: '' },
+      message: `Document contains additional top-level members not allowed by JSON:API spec: ${additionalMembers.join(', ')}` +
+        (namespaced ? '. Namespaced members are only allowed for registered extensions' : '')
     })
   } else {
     results.details.push({
@@ -247,9 +299,11 @@ export function validateDocument(response: unknown): ValidationResult {
 /**
  * Validates the data member structure
  * @param data - The data value to validate
+ * @param specVersion - JSON:API version whose rules apply
+ * @param schemaOptions - Resource schemas and requested sparse fieldsets
  * @returns Validation result
  */
-function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | undefined): ValidationResult {
+function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | undefined, specVersion: SpecVersion, schemaOptions: SchemaOptions): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -278,7 +332,7 @@ function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | u
       })
     } else {
       // Validate resource collection using comprehensive ResourceValidator
-      const collectionValidation = validateResourceCollection(data, { context: 'data' } as any) as ValidationResult
+      const collectionValidation = validateResourceCollection(data, { context: 'data', specVersion, pointer: '/data', ...schemaOptions } as any) as ValidationResult
       results.details.push(...collectionValidation.details)
       if (!collectionValidation.valid) {
         results.valid = false
@@ -290,7 +344,7 @@ function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | u
     }
   } else if (typeof data === 'object') {
     // Single resource object - use comprehensive ResourceValidator
-    const resourceValidation = validateResourceObject(data, { context: 'data' } as any) as ValidationResult
+    const resourceValidation = validateResourceObject(data, { context: 'data', specVersion, pointer: '/data', ...schemaOptions } as any) as ValidationResult
     results.details.push(...resourceValidation.details)
     if (!resourceValidation.valid) {
       results.valid = false
@@ -303,6 +357,7 @@ function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | u
     results.valid = false
     results.errors.push({
       test: 'Data Member Structure',
+      context: 'data',
       message: 'Data must be null, a resource object, or an array of resource objects'
     })
   }
@@ -313,9 +368,11 @@ function validateDataMember(data: JsonApiResource | JsonApiResource[] | null | u
 /**
  * Validates the included member
  * @param included - The included value to validate
+ * @param specVersion - JSON:API version whose rules apply
+ * @param schemaOptions - Resource schemas and requested sparse fieldsets
  * @returns Validation result
  */
-function validateIncludedMember(included: unknown): ValidationResult {
+function validateIncludedMember(included: unknown, specVersion: SpecVersion, schemaOptions: SchemaOptions): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -327,6 +384,7 @@ function validateIncludedMember(included: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'Included Member Structure',
+      context: 'included',
       message: 'Included member must be an array'
     })
     return results
@@ -335,12 +393,13 @@ function validateIncludedMember(included: unknown): ValidationResult {
   if (included.length === 0) {
     results.warnings.push({
       test: 'Included Member Structure',
+      context: 'included',
       message: 'Included array is empty - consider omitting if no included resources'
     })
   }
 
   // Validate each resource in included array using comprehensive ResourceValidator
-  const collectionValidation = validateResourceCollection(included as JsonApiResource[], { context: 'included' } as any) as ValidationResult
+  const collectionValidation = validateResourceCollection(included as JsonApiResource[], { context: 'included', specVersion, pointer: '/included', ...schemaOptions } as any) as ValidationResult
   results.details.push(...collectionValidation.details)
   if (!collectionValidation.valid) {
     results.valid = false
@@ -376,6 +435,7 @@ function validateCompoundDocument(
       results.valid = false
       results.errors.push({
         test: 'Resource Linkage',
+        context: 'included',
         message: `All ${included.length} included resources are orphaned when data is null`
       })
     } else {
@@ -431,9 +491,10 @@ function validateCompoundDocument(
 /**
  * Validates the links member
  * @param links - The links value to validate
+ * @param specVersion - JSON:API version whose link rules apply
  * @returns Validation result
  */
-function validateLinksMember(links: unknown): ValidationResult {
+function validateLinksMember(links: unknown, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -445,6 +506,7 @@ function validateLinksMember(links: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'Links Member Structure',
+      context: 'links',
       message: 'Links member must be an object'
     })
     return results
@@ -462,7 +524,7 @@ function validateLinksMember(links: unknown): ValidationResult {
     const context = `links.${linkName}`
 
     // Validate the link value (string, link object, or null)
-    const linkValidation = validateDocumentLinkValue(linkValue, context, linkName)
+    const linkValidation = validateDocumentLinkValue(linkValue, context, linkName, specVersion)
     results.details.push(...linkValidation.details)
     if (!linkValidation.valid) {
       allLinksValid = false
@@ -470,6 +532,15 @@ function validateLinksMember(links: unknown): ValidationResult {
     }
   }
 
+  // The "describedby" link was introduced in JSON:API 1.1
+  if (specVersion === '1.0' && linkKeys.includes('describedby')) {
+    results.warnings.push({
+      test: 'Links Member Structure',
+      context: 'links.describedby',
+      message: 'Top-level "describedby" link is defined by JSON:API 1.1 and has no meaning in JSON:API 1.0'
+    })
+  }
+
   if (allLinksValid) {
     const knownLinks = linkKeys.filter(key => paginationLinks.includes(key))
     const customLinks = linkKeys.filter(key => !paginationLinks.includes(key))
@@ -499,9 +570,10 @@ function validateLinksMember(links: unknown): ValidationResult {
  * @param link - The link value to validate
  * @param context - Context for error messages
  * @param linkName - Name of the link being validated
+ * @param specVersion - JSON:API version whose link object members apply
  * @returns Validation result
  */
-function validateDocumentLinkValue(link: Link, context: string, linkName: string): ValidationResult {
+function validateDocumentLinkValue(link: Link, context: string, linkName: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -614,8 +686,10 @@ function validateDocumentLinkValue(link: Link, context: string, linkName: string
       }
     }
 
-    // Validate optional JSON:API v1.1 link object members
-    const validLinkMembers = ['href', 'rel', 'describedby', 'title', 'type', 'hreflang', 'meta']
+    // Validate optional JSON:API v1.1 link object members (JSON:API 1.0 link objects only have href and meta)
+    const validLinkMembers = specVersion === '1.1'
+      ? ['href', 'rel', 'describedby', 'title', 'type', 'hreflang', 'meta']
+      : ['href', 'meta']
 
     // Validate 'rel' member if present
     if (Object.prototype.hasOwnProperty.call(linkObj, 'rel')) {
@@ -786,9 +860,10 @@ function validateDocumentLinkValue(link: Link, context: string, linkName: string
 /**
  * Validates the jsonapi member
  * @param jsonapi - The jsonapi value to validate
+ * @param specVersion - JSON:API version whose jsonapi object members apply
  * @returns Validation result
  */
-function validateJsonApiMember(jsonapi: unknown): ValidationResult {
+function validateJsonApiMember(jsonapi: unknown, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -800,6 +875,7 @@ function validateJsonApiMember(jsonapi: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Version Object Structure',
+      context: 'jsonapi',
       message: 'JSON:API member must be an object'
     })
     return results
@@ -808,7 +884,8 @@ function validateJsonApiMember(jsonapi: unknown): ValidationResult {
   const jsonApiObj = jsonapi as { version?: string; meta?: Record<string, unknown> }
 
   // Check for additional members beyond allowed ones
-  const allowedMembers = ['version', 'meta']
+  // "ext" and "profile" were introduced in JSON:API 1.1
+  const allowedMembers = specVersion === '1.1' ? ['version', 'ext', 'profile', 'meta'] : ['version', 'meta']
   const presentMembers = Object.keys(jsonApiObj)
   const additionalMembers = presentMembers.filter(member => !allowedMembers.includes(member))
 
@@ -816,7 +893,8 @@ function validateJsonApiMember(jsonapi: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Version Object Additional Members',
-      message: `JSON:API object contains additional members not allowed by spec: ${additionalMembers.join(', ')}. Only "version" and "meta" are allowed`
+      context: 'jsonapi',
+      message: `JSON:API object contains additional members not allowed by JSON:API ${specVersion}: ${additionalMembers.join(', ')}. Only ${allowedMembers.map(member => `"${member}"`).join(', ')} are allowed`
     })
   } else {
     results.details.push({
@@ -832,6 +910,7 @@ function validateJsonApiMember(jsonapi: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'JSON:API Version String Format',
+        context: 'jsonapi.version',
         message: 'JSON:API version must be a string'
       })
     } else {
@@ -841,6 +920,7 @@ function validateJsonApiMember(jsonapi: unknown): ValidationResult {
         results.valid = false
         results.errors.push({
           test: 'JSON:API Version Value',
+          context: 'jsonapi.version',
           message: `JSON:API version "${jsonApiObj.version}" is not supported. Supported versions: ${supportedVersions.join(', ')}`
         })
       } else {
@@ -889,6 +969,7 @@ function validateJsonApiMetaMember(meta: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Meta Member',
+      context: 'jsonapi.meta',
       message: 'JSON:API "meta" must be an object'
     })
     return results
@@ -919,9 +1000,10 @@ function validateJsonApiMetaMember(meta: unknown): ValidationResult {
 /**
  * Validates the top-level meta member
  * @param meta - The meta value to validate
+ * @param namingPolicy - Naming conventions to enforce, if any
  * @returns Validation result
  */
-function validateTopLevelMetaMember(meta: unknown): ValidationResult {
+function validateTopLevelMetaMember(meta: unknown, namingPolicy?: NamingPolicy): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -933,6 +1015,7 @@ function validateTopLevelMetaMember(meta: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'Top-Level Meta Member',
+      context: 'meta',
       message: 'Top-level "meta" must be an object'
     })
     return results
@@ -951,6 +1034,20 @@ function validateTopLevelMetaMember(meta: unknown): ValidationResult {
     }
   }
 
+  // Check meta keys against the naming policy
+  const metaConvention = namingPolicy?.meta
+  if (metaConvention) {
+    metaKeys.filter(metaName => !matchesNamingConvention(metaName, metaConvention)).forEach(metaName => {
+      results.valid = false
+      results.errors.push({
+        test: 'Naming Policy',
+        context: `meta.${metaName}`,
+        message: `Meta key "${metaName}" does not follow the ${metaConvention} naming policy`,
+        location: { jsonPointer: `/meta/${metaName.replace(/~/g, '~0').replace(/\//g, '~1')}` }
+      })
+    })
+  }
+
   results.details.push({
     test: 'Top-Level Meta Member',
     status: 'passed',
@@ -993,6 +1090,7 @@ function validateNoDuplicatesInIncluded(included: JsonApiResource[]): Validation
     duplicates.forEach(dup => {
       results.errors.push({
         test: 'Included Resource Duplicates',
+        context: `included[${dup.index}]`,
         message: `Duplicate resource found in included array: ${dup.type}:${dup.id} at index ${dup.index}`
       })
     })
@@ -1027,43 +1125,37 @@ function validateResourceLinkage(
   // Get all resource identifiers referenced from primary data
   const referencedResources = extractReferencedResources(data)
 
-  // Create set of included resource identifiers
-  const includedResources = new Set<string>()
-  included.forEach(resource => {
-    if (resource && typeof resource === 'object' && resource.type && resource.id) {
-      includedResources.add(`${resource.type}:${resource.id}`)
+  // Collect the keys each included resource can be referenced by ("id" and/or "lid")
+  const includedKeys = new Set<string>()
+  const orphanedResources: Array<{ resource: string; index: number }> = []
+  included.forEach((resource, index) => {
+    const keys = getResourceKeys(resource)
+    if (keys.length === 0) {
+      return
     }
-  })
-
-  // Find orphaned resources (included but not referenced)
-  const orphanedResources: Array<{ type: string; id: string }> = []
-  includedResources.forEach(resourceKey => {
-    if (!referencedResources.has(resourceKey)) {
-      const parts = resourceKey.split(':')
-      const type = parts[0] || ''
-      const id = parts.slice(1).join(':') || ''
-      orphanedResources.push({ type, id })
+    keys.forEach(key => includedKeys.add(key))
+    if (!keys.some(key => referencedResources.has(key))) {
+      orphanedResources.push({ resource: describeResourceKey(keys[0]!), index })
     }
   })
 
-  // Find missing resources (referenced but not included)
-  const missingResources: Array<{ type: string; id: string }> = []
+  // Find missing resources (referenced but not included). References by "lid" are
+  // resolved against the whole document by the local identifier check instead.
+  const missingResources: string[] = []
   referencedResources.forEach(resourceKey => {
-    if (!includedResources.has(resourceKey)) {
-      const parts = resourceKey.split(':')
-      const type = parts[0] || ''
-      const id = parts.slice(1).join(':') || ''
-      missingResources.push({ type, id })
+    if (!includedKeys.has(resourceKey) && !resourceKey.startsWith('lid:')) {
+      missingResources.push(describeResourceKey(resourceKey))
     }
   })
 
   // Report orphaned resources as errors
   if (orphanedResources.length > 0) {
     results.valid = false
-    orphanedResources.forEach(resource => {
+    orphanedResources.forEach(({ resource, index }) => {
       results.errors.push({
         test: 'Resource Linkage',
-        message: `Orphaned included resource: ${resource.type}:${resource.id} is not referenced from primary data`
+        context: `included[${index}]`,
+        message: `Orphaned included resource: ${resource} is not referenced from primary data`
       })
     })
   }
@@ -1073,7 +1165,7 @@ function validateResourceLinkage(
     missingResources.forEach(resource => {
       results.warnings.push({
         test: 'Resource Linkage',
-        message: `Referenced resource ${resource.type}:${resource.id} is not included in compound document`
+        message: `Referenced resource ${resource} is not included in compound document`
       })
     })
   }
@@ -1098,7 +1190,7 @@ function validateResourceLinkage(
 /**
  * Extracts all resource identifiers referenced from relationships in primary data
  * @param data - The primary data (resource object, array, or null)
- * @returns Set of resource identifiers in format "type:id"
+ * @returns Set of resource keys (see getResourceKeys)
  */
 function extractReferencedResources(data: JsonApiResource | JsonApiResource[] | null | undefined): Set<string> {
   const references = new Set<string>()
@@ -1115,8 +1207,10 @@ function extractReferencedResources(data: JsonApiResource | JsonApiResource[] |
         if (relationship && relationship.data) {
           const relData = Array.isArray(relationship.data) ? relationship.data : [relationship.data]
           relData.forEach((rel: any) => {
-            if (rel && rel.type && rel.id) {
-              references.add(`${rel.type}:${rel.id}`)
+            // An identifier is matched by "id" when present, otherwise by its local identifier
+            const key = getResourceKeys(rel)[0]
+            if (key) {
+              references.add(key)
             }
           })
         }
@@ -1127,6 +1221,42 @@ function extractReferencedResources(data: JsonApiResource | JsonApiResource[] |
   return references
 }
 
+/**
+ * Gets the keys a resource object or identifier can be matched by
+ * @param resource - Resource object or resource identifier
+ * @returns Keys in format "id:type:id" and/or "lid:type:lid" ("id" key first)
+ */
+function getResourceKeys(resource: unknown): string[] {
+  if (!resource || typeof resource !== 'object') {
+    return []
+  }
+
+  const { type, id, lid } = resource as { type?: unknown; id?: unknown; lid?: unknown }
+  if (typeof type !== 'string' || !type) {
+    return []
+  }
+
+  const keys: string[] = []
+  if (typeof id === 'string' && id) {
+    keys.push(`id:${type}:${id}`)
+  }
+  if (typeof lid === 'string' && lid) {
+    keys.push(`lid:${type}:${lid}`)
+  }
+  return keys
+}
+
+/**
+ * Formats a resource key for error messages
+ * @param key - Resource key from getResourceKeys
+ * @returns Human-readable "type:id" or "type (lid: ...)" description
+ */
+function describeResourceKey(key: string): string {
+  const [kind, type, ...rest] = key.split(':')
+  const value = rest.join(':')
+  return kind === 'lid' ? `${type} (lid: ${value})` : `${type}:${value}`
+}
+
 /**
  * Validates that there are no circular references in compound documents
  * Note: In JSON:API, bidirectional relationships are normal and allowed.
@@ -7,6 +7,7 @@
 
 import { isValidUrl, getUrlValidationError } from '../utils/UrlValidator.js'
 import { validateMemberName } from './ResourceValidator.js'
+import type { SpecVersion } from '../types/validation'
 
 interface ValidationError {
   test: string
@@ -37,9 +38,10 @@ interface ValidationResult {
 /**
  * Validates the errors member structure
  * @param errors - The errors value to validate
+ * @param specVersion - JSON:API version whose rules apply (source.header exists only in 1.1)
  * @returns Validation result with success/failure and details
  */
-export function validateErrorsMember(errors: unknown): ValidationResult {
+export function validateErrorsMember(errors: unknown, specVersion: SpecVersion = '1.1'): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -76,7 +78,7 @@ export function validateErrorsMember(errors: unknown): ValidationResult {
   // Step 3: Validate each error object in the array
   let allErrorsValid = true
   errors.forEach((errorObj: unknown, index: number) => {
-    const errorValidation = validateErrorObject(errorObj, `errors[${index}]`)
+    const errorValidation = validateErrorObject(errorObj, `errors[${index}]`, specVersion)
     results.details.push(...errorValidation.details)
     if (!errorValidation.valid) {
       allErrorsValid = false
@@ -98,9 +100,10 @@ export function validateErrorsMember(errors: unknown): ValidationResult {
  * Validates a single error object for JSON:API compliance
  * @param errorObj - The error object to validate
  * @param context - Context for error messages (e.g., "errors[0]")
+ * @param specVersion - JSON:API version whose rules apply
  * @returns Validation result with success/failure and details
  */
-export function validateErrorObject(errorObj: unknown, context: string = 'error'): ValidationResult {
+export function validateErrorObject(errorObj: unknown, context: string = 'error', specVersion: SpecVersion = '1.1'): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -223,7 +226,7 @@ export function validateErrorObject(errorObj: unknown, context: string = 'error'
 
   // Validate 'source' member
   if (Object.prototype.hasOwnProperty.call(errorObject, 'source')) {
-    const sourceValidation = validateErrorSourceMember(errorObject.source, context)
+    const sourceValidation = validateErrorSourceMember(errorObject.source, context, specVersion)
     results.details.push(...sourceValidation.details)
     if (!sourceValidation.valid) {
       results.valid = false
@@ -244,6 +247,162 @@ export function validateErrorObject(errorObj: unknown, context: string = 'error'
   return results
 }
 
+/**
+ * The request an error response answers
+ */
+export interface ErrorRequestContext {
+  /** Request document that was sent, if the request had a body that parsed as JSON */
+  document?: unknown
+  /** Whether the request had a body, even one that is not valid JSON */
+  hasBody?: boolean
+  /** Names of the query parameters in the request URL */
+  queryParameters: string[]
+  /** Names of the request headers the validator set (the HTTP client adds CLIENT_ADDED_HEADERS itself) */
+  headers: string[]
+}
+
+/**
+ * Request headers the HTTP client or browser adds to every request on its own; browsers also add
+ * the Sec-Fetch-* family
+ */
+const CLIENT_ADDED_HEADERS = ['host', 'user-agent', 'content-length', 'accept-encoding', 'accept-language', 'connection', 'origin', 'referer', 'cookie']
+
+/**
+ * Checks that error sources refer to the request: "pointer" to a value that exists in the
+ * request document, "parameter" to a query parameter of the request URL and "header" to a
+ * header that was sent
+ * @param errors - The errors member of a response document
+ * @param request - The request the response answers
+ * @returns Validation result
+ */
+export function validateErrorSourceTargets(errors: unknown, request: ErrorRequestContext): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (!Array.isArray(errors)) {
+    return results
+  }
+
+  errors.forEach((errorObj: unknown, index: number) => {
+    const source = typeof errorObj === 'object' && errorObj !== null ? (errorObj as Record<string, unknown>).source : undefined
+    if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+      return
+    }
+    const sourceObject = source as Record<string, unknown>
+    const context = `errors[${index}].source`
+
+    // Malformed pointers are already reported by validateErrorObject
+    const pointer = sourceObject.pointer
+    if (typeof pointer === 'string' && (pointer === '' || pointer.startsWith('/')) && !/~[^01]|~$/.test(pointer)) {
+      if (request.document === undefined) {
+        results.warnings.push({
+          test: 'Error Source Pointer Target',
+          context,
+          message: request.hasBody
+            ? `Error source pointer "${pointer}" cannot be checked: the request body is not valid JSON`
+            : `Error source pointer "${pointer}" refers to a request document, but the request had no body`
+        })
+      } else if (resolveJsonPointer(request.document, pointer)) {
+        results.details.push({
+          test: 'Error Source Pointer Target',
+          status: 'passed',
+          context,
+          message: `Error source pointer "${pointer}" resolves in the request document`
+        })
+      } else {
+        results.valid = false
+        results.errors.push({
+          test: 'Error Source Pointer Target',
+          context,
+          message: `Error source pointer "${pointer}" does not point to a value in the request document`
+        })
+      }
+    }
+
+    // "filter" also names the family of "filter[title]"
+    const parameter = sourceObject.parameter
+    if (typeof parameter === 'string' && parameter.length > 0) {
+      const present = request.queryParameters.some(name => name === parameter || name.split('[')[0] === parameter)
+      if (present) {
+        results.details.push({
+          test: 'Error Source Parameter Target',
+          status: 'passed',
+          context,
+          message: `Error source parameter "${parameter}" is present in the request URL`
+        })
+      } else {
+        results.valid = false
+        results.errors.push({
+          test: 'Error Source Parameter Target',
+          context,
+          message: `Error source parameter "${parameter}" is not a query parameter of the request URL` +
+            (request.queryParameters.length > 0 ? ` (sent: ${request.queryParameters.join(', ')})` : '')
+        })
+      }
+    }
+
+    const header = sourceObject.header
+    if (typeof header === 'string' && header.length > 0) {
+      const name = header.toLowerCase()
+      if (request.headers.some(sent => sent.toLowerCase() === name)) {
+        results.details.push({
+          test: 'Error Source Header Target',
+          status: 'passed',
+          context,
+          message: `Error source header "${header}" was sent with the request`
+        })
+      } else if (CLIENT_ADDED_HEADERS.includes(name) || name.startsWith('sec-')) {
+        results.details.push({
+          test: 'Error Source Header Target',
+          status: 'passed',
+          context,
+          message: `Error source header "${header}" is one the HTTP client adds to the request`
+        })
+      } else {
+        results.valid = false
+        results.errors.push({
+          test: 'Error Source Header Target',
+          context,
+          message: `Error source header "${header}" was not sent with the request (sent: ${request.headers.join(', ')})`
+        })
+      }
+    }
+  })
+
+  return results
+}
+
+/**
+ * Checks whether a JSON Pointer resolves to a value in a document
+ * @param document - Document to resolve against
+ * @param pointer - RFC 6901 JSON Pointer with valid escaping
+ * @returns True if the pointer targets an existing value
+ */
+function resolveJsonPointer(document: unknown, pointer: string): boolean {
+  if (pointer === '') {
+    return true
+  }
+
+  let current = document
+  for (const token of pointer.slice(1).split('/').map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))) {
+    if (Array.isArray(current)) {
+      if (!/^(0|[1-9]\d*)$/.test(token) || Number(token) >= current.length) {
+        return false
+      }
+      current = current[Number(token)]
+    } else if (typeof current === 'object' && current !== null && Object.prototype.hasOwnProperty.call(current, token)) {
+      current = (current as Record<string, unknown>)[token]
+    } else {
+      return false
+    }
+  }
+  return true
+}
+
 /**
  * Validates the 'id' member of an error object
  * @param id - The id value to validate
@@ -650,9 +809,10 @@ function validateErrorDetailMember(detail: unknown, context: string): Validation
  * Validates the 'source' member of an error object
  * @param source - The source value to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply ('header' exists only in 1.1)
  * @returns Validation result
  */
-function validateErrorSourceMember(source: unknown, context: string): ValidationResult {
+function validateErrorSourceMember(source: unknown, context: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -672,7 +832,7 @@ function validateErrorSourceMember(source: unknown, context: string): Validation
 
   const sourceObject = source as Record<string, unknown>
   const sourceKeys = Object.keys(sourceObject)
-  const allowedMembers = ['pointer', 'parameter']
+  const allowedMembers = specVersion === '1.0' ? ['pointer', 'parameter'] : ['pointer', 'parameter', 'header']
   const additionalMembers = sourceKeys.filter(key => !allowedMembers.includes(key))
 
   if (additionalMembers.length > 0) {
@@ -680,20 +840,22 @@ function validateErrorSourceMember(source: unknown, context: string): Validation
     results.errors.push({
       test: 'Error Source Additional Members',
       context,
-      message: `Error source contains additional members not allowed: ${additionalMembers.join(', ')}. Only "pointer" and "parameter" are allowed`
+      message: `Error source contains additional members not allowed: ${additionalMembers.join(', ')}. Only ${specVersion === '1.0' ? '"pointer" and "parameter"' : '"pointer", "parameter" and "header"'} are allowed` +
+        (specVersion === '1.0' && additionalMembers.includes('header') ? ' ("header" was added in JSON:API 1.1)' : '')
     })
   }
 
-  // Validate that at least one of pointer or parameter is present
+  // Validate that at least one of the allowed members is present
   const hasPointer = Object.prototype.hasOwnProperty.call(sourceObject, 'pointer')
   const hasParameter = Object.prototype.hasOwnProperty.call(sourceObject, 'parameter')
+  const hasHeader = allowedMembers.includes('header') && Object.prototype.hasOwnProperty.call(sourceObject, 'header')
 
-  if (!hasPointer && !hasParameter) {
+  if (!hasPointer && !hasParameter && !hasHeader) {
     results.valid = false
     results.errors.push({
       test: 'Error Source Structure',
       context,
-      message: 'Error source must contain at least one of "pointer" or "parameter" members'
+      message: `Error source must contain at least one of ${specVersion === '1.0' ? '"pointer" or "parameter"' : '"pointer", "parameter" or "header"'} members`
     })
   }
 
@@ -717,10 +879,21 @@ function validateErrorSourceMember(source: unknown, context: string): Validation
     }
   }
 
+  // Validate 'header' member if present (JSON:API 1.1)
+  if (hasHeader) {
+    const headerValidation = validateErrorSourceHeader(sourceObject.header, `${context}.source.header`)
+    results.details.push(...headerValidation.details)
+    if (!headerValidation.valid) {
+      results.valid = false
+      results.errors.push(...headerValidation.errors)
+    }
+  }
+
   if (results.valid && additionalMembers.length === 0) {
     const membersList: string[] = []
     if (hasPointer) membersList.push('pointer')
     if (hasParameter) membersList.push('parameter')
+    if (hasHeader) membersList.push('header')
 
     results.details.push({
       test: 'Error Source Member',
@@ -831,6 +1004,39 @@ function validateErrorSourceParameter(parameter: unknown, context: string): Vali
   return results
 }
 
+/**
+ * Validates the 'header' member of an error source object
+ * @param header - The header value to validate
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+function validateErrorSourceHeader(header: unknown, context: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (typeof header !== 'string' || header.length === 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Error Source Header',
+      context,
+      message: 'Error source header must be a non-empty string naming a request header'
+    })
+  } else {
+    results.details.push({
+      test: 'Error Source Header',
+      status: 'passed',
+      context,
+      message: `Error source header is valid: "${header}"`
+    })
+  }
+
+  return results
+}
+
 /**
  * Validates the 'meta' member of an error object
  * @param meta - The meta value to validate
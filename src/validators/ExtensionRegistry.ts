@@ -0,0 +1,346 @@
+/**
+ * ExtensionRegistry.ts
+ *
+ * Registry mapping extension and profile URIs to the members, query parameters and
+ * extra rules they contribute.
+ * Based on specification: https://jsonapi.org/format/1.1/#extensions
+ */
+
+import { ATOMIC_EXTENSION_URI, CURSOR_PAGINATION_PROFILE_URI, parseMediaType } from './MediaTypes.js'
+import { isValidUrl } from '../utils/UrlValidator.js'
+
+interface ValidationError {
+  test: string
+  message: string
+}
+
+interface ValidationWarning {
+  test: string
+  message: string
+}
+
+interface ValidationDetail {
+  test: string
+  status: 'passed' | 'failed' | 'warning'
+  message: string
+}
+
+interface ValidationResult {
+  valid: boolean
+  errors: ValidationError[]
+  warnings: ValidationWarning[]
+  details: ValidationDetail[]
+}
+
+export type ExtensionKind = 'extension' | 'profile'
+
+export interface ExtensionRuleContext {
+  requestUrl: string
+  method: string
+  contentType?: string
+}
+
+export interface ExtensionDefinition {
+  uri: string
+  kind: ExtensionKind
+  name: string
+  /** Extensions only: prefix of every member and query parameter the extension defines */
+  namespace?: string
+  /** Namespaced members the extension allows; every member in its namespace when omitted */
+  members?: string[]
+  /** Query parameters the definition adds; names ending in "[" cover a whole family */
+  queryParameters?: string[]
+  /** Extra rules checked against response documents that apply the extension or profile */
+  validate?: (document: unknown, context: ExtensionRuleContext) => ValidationResult
+}
+
+export interface AppliedUris {
+  extensions: string[]
+  profiles: string[]
+}
+
+const registry = new Map<string, ExtensionDefinition>()
+let builtInsRegistered = false
+
+/**
+ * Registers an extension, replacing any definition with the same URI
+ * @param definition - Extension definition (without kind)
+ * @returns The registered definition
+ */
+export function registerExtension(definition: Omit<ExtensionDefinition, 'kind'>): ExtensionDefinition {
+  return registerDefinition({ ...definition, kind: 'extension' })
+}
+
+/**
+ * Registers a profile, replacing any definition with the same URI
+ * @param definition - Profile definition (without kind)
+ * @returns The registered definition
+ */
+export function registerProfile(definition: Omit<ExtensionDefinition, 'kind'>): ExtensionDefinition {
+  return registerDefinition({ ...definition, kind: 'profile' })
+}
+
+/**
+ * Registers an extension or profile definition, replacing any definition with the same URI
+ * @param definition - Extension or profile definition
+ * @returns The registered definition
+ */
+export function registerDefinition(definition: ExtensionDefinition): ExtensionDefinition {
+  ensureBuiltIns()
+
+  if (!definition || typeof definition.uri !== 'string' || !isValidUrl(definition.uri)) {
+    throw new Error('Extension and profile definitions require a valid "uri"')
+  }
+  if (definition.kind !== 'extension' && definition.kind !== 'profile') {
+    throw new Error(`Definition for "${definition.uri}" must have kind "extension" or "profile"`)
+  }
+  if (definition.kind === 'profile' && definition.namespace !== undefined) {
+    throw new Error(`Profile "${definition.uri}" cannot declare a namespace; only extensions define namespaced members`)
+  }
+  if (definition.namespace !== undefined && !/^[a-zA-Z0-9]+$/.test(definition.namespace)) {
+    throw new Error(`Extension namespace "${definition.namespace}" must contain only alphanumeric characters`)
+  }
+
+  const members = definition.members || []
+  if (members.length > 0 && definition.namespace === undefined) {
+    throw new Error(`Definition for "${definition.uri}" declares members but no namespace`)
+  }
+  const foreignMembers = members.filter(member => !member.startsWith(`${definition.namespace}:`))
+  if (foreignMembers.length > 0) {
+    throw new Error(`Members of "${definition.uri}" must be prefixed with its namespace: ${foreignMembers.join(', ')}`)
+  }
+
+  const normalized = { ...definition, name: definition.name || definition.uri }
+  registry.set(normalizeUri(definition.uri), normalized)
+  return normalized
+}
+
+/**
+ * Removes a definition from the registry
+ * @param uri - Extension or profile URI
+ * @returns True if a definition was removed
+ */
+export function unregisterDefinition(uri: string): boolean {
+  ensureBuiltIns()
+  return registry.delete(normalizeUri(uri))
+}
+
+/**
+ * Restores the registry to the built-in definitions only
+ */
+export function resetRegistry(): void {
+  registry.clear()
+  builtInsRegistered = false
+}
+
+/**
+ * Looks up the definition registered for a URI
+ * @param uri - Extension or profile URI
+ * @returns The registered definition, if any
+ */
+export function getRegisteredDefinition(uri: string): ExtensionDefinition | undefined {
+  ensureBuiltIns()
+  return registry.get(normalizeUri(uri))
+}
+
+/**
+ * Lists all registered definitions
+ * @returns Registered definitions
+ */
+export function getRegisteredDefinitions(): ExtensionDefinition[] {
+  ensureBuiltIns()
+  return Array.from(registry.values())
+}
+
+/**
+ * Checks whether a member name belongs to a registered extension
+ * @param memberName - Member name, e.g. "atomic:operations"
+ * @returns True if a registered extension allows the member
+ */
+export function isRegisteredExtensionMember(memberName: string): boolean {
+  const separator = memberName.indexOf(':')
+  if (separator <= 0) {
+    return false
+  }
+
+  const namespace = memberName.slice(0, separator)
+  return getRegisteredDefinitions().some(definition =>
+    definition.namespace === namespace &&
+    (!definition.members || definition.members.includes(memberName))
+  )
+}
+
+/**
+ * Checks whether a query parameter is defined by a registered extension or profile
+ * @param param - Query parameter name
+ * @returns True if a registered definition declares the parameter
+ */
+export function isRegisteredQueryParameter(param: string): boolean {
+  return getRegisteredDefinitions().some(definition => {
+    if (definition.namespace && param.startsWith(`${definition.namespace}:`)) {
+      return true
+    }
+    return (definition.queryParameters || []).some(name =>
+      name.endsWith('[') ? param.startsWith(name) && param.endsWith(']') : param === name
+    )
+  })
+}
+
+/**
+ * Collects the extension and profile URIs a response applies, from its Content-Type
+ * parameters and its jsonapi object
+ * @param document - Response document
+ * @param contentType - Response Content-Type header
+ * @returns Applied extension and profile URIs, without duplicates
+ */
+export function getAppliedUris(document: unknown, contentType?: string | null): AppliedUris {
+  const extensions: string[] = []
+  const profiles: string[] = []
+
+  const parsed = contentType ? parseMediaType(contentType) : null
+  if (parsed?.parameters.ext) {
+    extensions.push(...parsed.parameters.ext.split(/\s+/))
+  }
+  if (parsed?.parameters.profile) {
+    profiles.push(...parsed.parameters.profile.split(/\s+/))
+  }
+
+  const jsonapi = isPlainObject(document) ? (document as Record<string, unknown>).jsonapi : undefined
+  if (isPlainObject(jsonapi)) {
+    const jsonapiObj = jsonapi as Record<string, unknown>
+    if (Array.isArray(jsonapiObj.ext)) {
+      extensions.push(...jsonapiObj.ext.filter((uri): uri is string => typeof uri === 'string'))
+    }
+    if (Array.isArray(jsonapiObj.profile)) {
+      profiles.push(...jsonapiObj.profile.filter((uri): uri is string => typeof uri === 'string'))
+    } else if (typeof jsonapiObj.profile === 'string') {
+      profiles.push(jsonapiObj.profile)
+    }
+  }
+
+  return {
+    extensions: uniqueUris(extensions),
+    profiles: uniqueUris(profiles)
+  }
+}
+
+/**
+ * Runs the rules contributed by every registered extension and profile a response applies
+ * @param document - Response document
+ * @param context - Request context passed to each rule set
+ * @returns Validation result with success/failure and details
+ */
+export function validateAppliedExtensions(document: unknown, context: ExtensionRuleContext): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const applied = getAppliedUris(document, context.contentType)
+  const definitions = [...applied.extensions, ...applied.profiles]
+    .map(uri => getRegisteredDefinition(uri))
+    .filter((definition): definition is ExtensionDefinition => definition !== undefined && typeof definition.validate === 'function')
+
+  definitions.forEach(definition => {
+    const label = `${definition.kind === 'extension' ? 'Extension' : 'Profile'} "${definition.name}"`
+    let ruleValidation: ValidationResult
+    try {
+      ruleValidation = definition.validate!(document, context)
+    } catch (error) {
+      results.valid = false
+      results.errors.push({
+        test: 'Registered Extension Rules',
+        message: `${label} rules failed to run: ${error instanceof Error ? error.message : String(error)}`
+      })
+      return
+    }
+
+    mergeResults(results, ruleValidation)
+    if (ruleValidation.valid) {
+      results.details.push({
+        test: 'Registered Extension Rules',
+        status: 'passed',
+        message: `${label} rules were checked`
+      })
+    }
+  })
+
+  return results
+}
+
+/**
+ * Registers the extensions and profiles this validator implements, on first use
+ */
+function ensureBuiltIns(): void {
+  if (builtInsRegistered) {
+    return
+  }
+  builtInsRegistered = true
+
+  // Their rules run in dedicated validation steps, so only members and parameters are declared here
+  registry.set(normalizeUri(ATOMIC_EXTENSION_URI), {
+    uri: ATOMIC_EXTENSION_URI,
+    kind: 'extension',
+    name: 'Atomic Operations',
+    namespace: 'atomic',
+    members: ['atomic:operations', 'atomic:results']
+  })
+  registry.set(normalizeUri(CURSOR_PAGINATION_PROFILE_URI), {
+    uri: CURSOR_PAGINATION_PROFILE_URI,
+    kind: 'profile',
+    name: 'Cursor Pagination',
+    queryParameters: ['page[size]', 'page[before]', 'page[after]']
+  })
+}
+
+/**
+ * Normalizes a URI for comparison (ignoring a trailing slash)
+ * @param uri - Extension or profile URI
+ * @returns Normalized URI
+ */
+function normalizeUri(uri: string): string {
+  return uri.replace(/\/+$/, '')
+}
+
+/**
+ * Removes duplicate and empty URIs, comparing them normalized
+ * @param uris - URIs to deduplicate
+ * @returns Unique URIs in their original order
+ */
+function uniqueUris(uris: string[]): string[] {
+  const seen = new Set<string>()
+  return uris.filter(uri => {
+    const key = normalizeUri(uri)
+    if (uri.length === 0 || seen.has(key)) {
+      return false
+    }
+    seen.add(key)
+    return true
+  })
+}
+
+/**
+ * Checks whether a value is a non-null, non-array object
+ * @param value - Value to check
+ * @returns True if the value is a plain object
+ */
+function isPlainObject(value: unknown): boolean {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Merges validation results
+ * @param target - Target results object
+ * @param source - Source results object
+ */
+function mergeResults(target: ValidationResult, source: ValidationResult): void {
+  if (!source.valid) {
+    target.valid = false
+  }
+
+  target.errors.push(...source.errors)
+  target.warnings.push(...source.warnings)
+  target.details.push(...source.details)
+}
@@ -10,17 +10,23 @@ import type { JsonApiDocument } from '../types/validation'
 interface ValidationError {
   test: string
   message: string
+  context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationWarning {
   test: string
   message: string
+  context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationDetail {
   test: string
   status: 'passed' | 'failed' | 'warning'
   message: string
+  context?: string
+  location?: { jsonPointer: string }
 }
 
 interface HttpStatusValidationResult {
@@ -30,17 +36,32 @@ interface HttpStatusValidationResult {
   details: ValidationDetail[]
 }
 
+export interface HttpStatusValidationOptions {
+  atomic?: boolean
+  relationship?: boolean
+  /** ID the POST request assigned to the new resource, which the server must honor or reject with 403 */
+  clientGeneratedId?: string
+  /** Member of the request's resource object deliberately not matching the endpoint, which the server must answer with 409 */
+  conflict?: 'type' | 'id'
+}
+
+const RELATIONSHIP_MUTATION_METHODS = ['PATCH', 'POST', 'DELETE']
+
 /**
  * Validates HTTP status codes for JSON:API compliance
  * @param statusCode - The HTTP status code to validate
  * @param method - The HTTP method used
  * @param response - The response body (optional)
+ * @param options - Validation options (atomic: request used the Atomic Operations extension,
+ *   relationship: request targeted a relationship endpoint, clientGeneratedId: ID the request
+ *   assigned to the resource it creates, conflict: resource member not matching the endpoint)
  * @returns Validation result with success/failure and details
  */
 export function validateHttpStatus(
   statusCode: number,
   method: string,
-  response: JsonApiDocument | null = null
+  response: JsonApiDocument | null = null,
+  options: HttpStatusValidationOptions = {}
 ): HttpStatusValidationResult {
   const results: HttpStatusValidationResult = {
     valid: true,
@@ -61,12 +82,21 @@ export function validateHttpStatus(
   // Validate status code appropriateness based on method and response content
   const statusCategory = Math.floor(statusCode / 100)
 
+  // Client errors are checked against the expected 409 in validateClientErrorStatus
+  if (options.conflict && statusCategory !== 4) {
+    results.valid = false
+    results.errors.push({
+      test: 'Endpoint Conflict',
+      message: `A ${method} request whose resource ${options.conflict} does not match the endpoint must be answered with 409 Conflict, got ${statusCode}`
+    })
+  }
+
   switch (statusCategory) {
     case 2: // Success codes
-      validateSuccessStatus(statusCode, method, response, results)
+      validateSuccessStatus(statusCode, method, response, results, options)
       break
     case 4: // Client error codes
-      validateClientErrorStatus(statusCode, method, response, results)
+      validateClientErrorStatus(statusCode, method, response, results, options)
       break
     case 5: // Server error codes
       validateServerErrorStatus(statusCode, method, response, results)
@@ -87,16 +117,112 @@ export function validateHttpStatus(
  * @param method - The HTTP method
  * @param response - The response body
  * @param results - Results object to update
+ * @param options - Validation options
  */
 function validateSuccessStatus(
   statusCode: number,
   method: string,
   response: JsonApiDocument | null,
-  results: HttpStatusValidationResult
+  results: HttpStatusValidationResult,
+  options: HttpStatusValidationOptions = {}
 ): void {
   const hasData = response && Object.prototype.hasOwnProperty.call(response, 'data')
   const hasErrors = response && Object.prototype.hasOwnProperty.call(response, 'errors')
 
+  // Atomic Operations requests are POSTed and answer 200 with results or 204 without
+  if (options.atomic && method === 'POST' && (statusCode === 200 || statusCode === 204)) {
+    const hasResults = response && Object.prototype.hasOwnProperty.call(response, 'atomic:results')
+
+    results.details.push({
+      test: 'HTTP Status Code Appropriateness',
+      status: 'passed',
+      message: `${statusCode} is appropriate for Atomic Operations requests`
+    })
+
+    if (statusCode === 200 && !hasResults) {
+      results.warnings.push({
+        test: 'HTTP Status Code Consistency',
+        location: { jsonPointer: '' },
+        message: '200 OK for Atomic Operations should include "atomic:results". Use 204 No Content when there are no results.'
+      })
+    }
+    if (statusCode === 204 && (hasResults || hasData || hasErrors)) {
+      results.valid = false
+      results.errors.push({
+        test: 'HTTP Status Code Consistency',
+        context: getBodyMember(response, ['atomic:results', 'data', 'errors']),
+        message: '204 No Content must not include response body with results, data or errors'
+      })
+    }
+    return
+  }
+
+  // Relationship endpoints answer updates with 200 (updated linkage or meta), 202 or 204
+  if (options.relationship && RELATIONSHIP_MUTATION_METHODS.includes(method) &&
+      (statusCode === 200 || statusCode === 202 || statusCode === 204)) {
+    const hasMeta = response && Object.prototype.hasOwnProperty.call(response, 'meta')
+
+    results.details.push({
+      test: 'HTTP Status Code Appropriateness',
+      status: 'passed',
+      message: `${statusCode} is appropriate for ${method} requests to a relationship endpoint`
+    })
+
+    if (statusCode === 200 && !hasData && !hasMeta) {
+      results.warnings.push({
+        test: 'HTTP Status Code Consistency',
+        location: { jsonPointer: '' },
+        message: '200 OK for a relationship update should include the resulting linkage in data or top-level meta. Use 204 No Content otherwise.'
+      })
+    }
+    if (statusCode === 204 && (hasData || hasErrors)) {
+      results.valid = false
+      results.errors.push({
+        test: 'HTTP Status Code Consistency',
+        context: getBodyMember(response, ['data', 'errors']),
+        message: '204 No Content must not include response body with data or errors'
+      })
+    }
+    return
+  }
+
+  if (options.relationship && method === 'POST' && statusCode === 201) {
+    results.warnings.push({
+      test: 'HTTP Status Code Appropriateness',
+      message: '201 Created is not expected for relationship endpoints - adding members to a relationship creates no resource. Use 200, 202 or 204.'
+    })
+    return
+  }
+
+  // A server that accepts a client-generated ID must create the resource with that ID
+  const clientId = method === 'POST' ? options.clientGeneratedId : undefined
+  if (clientId !== undefined) {
+    const data = response?.data
+    const returnedId = data && typeof data === 'object' && !Array.isArray(data) ? (data as { id?: unknown }).id : undefined
+
+    if (statusCode === 201 && returnedId !== clientId) {
+      results.valid = false
+      results.errors.push({
+        test: 'Client-Generated ID',
+        context: returnedId === undefined ? 'data' : 'data.id',
+        message: `201 Created must return the resource with the client-generated ID "${clientId}", got ${returnedId === undefined ? 'no ID' : `"${String(returnedId)}"`}. A server that does not support client-generated IDs must answer 403 Forbidden.`
+      })
+    } else if (statusCode === 201 || statusCode === 204 || statusCode === 202) {
+      results.details.push({
+        test: 'Client-Generated ID',
+        status: 'passed',
+        message: statusCode === 202
+          ? `Server accepted the resource with client-generated ID "${clientId}" for processing (202 Accepted)`
+          : `Server created the resource with its client-generated ID "${clientId}" (${statusCode})`
+      })
+    } else {
+      results.warnings.push({
+        test: 'Client-Generated ID',
+        message: `${statusCode} is not expected for a resource created with a client-generated ID. Use 201 Created or 204 No Content.`
+      })
+    }
+  }
+
   switch (statusCode) {
     case 200: // OK
       if (method === 'GET' || method === 'PATCH') {
@@ -109,6 +235,7 @@ function validateSuccessStatus(
         if (hasErrors) {
           results.warnings.push({
             test: 'HTTP Status Code Consistency',
+            context: 'errors',
             message: '200 OK status with errors array may be confusing. Consider using 4xx status for client errors.'
           })
         }
@@ -131,6 +258,7 @@ function validateSuccessStatus(
         if (!hasData) {
           results.warnings.push({
             test: 'HTTP Status Code Consistency',
+            location: { jsonPointer: '' },
             message: '201 Created typically includes the created resource in the data member'
           })
         }
@@ -151,17 +279,20 @@ function validateSuccessStatus(
       break
 
     case 204: // No Content
-      if (method === 'DELETE' || method === 'PUT' || method === 'PATCH') {
+      if (method === 'DELETE' || method === 'PUT' || method === 'PATCH' || clientId !== undefined) {
         results.details.push({
           test: 'HTTP Status Code Appropriateness',
           status: 'passed',
-          message: `204 No Content is appropriate for ${method} requests`
+          message: clientId !== undefined
+            ? '204 No Content is appropriate for POST requests with a client-generated ID the server accepted unchanged'
+            : `204 No Content is appropriate for ${method} requests`
         })
 
         if (hasData || hasErrors) {
           results.valid = false
           results.errors.push({
             test: 'HTTP Status Code Consistency',
+            context: getBodyMember(response, ['data', 'errors']),
             message: '204 No Content must not include response body with data or errors'
           })
         }
@@ -187,12 +318,14 @@ function validateSuccessStatus(
  * @param method - The HTTP method
  * @param response - The response body
  * @param results - Results object to update
+ * @param options - Validation options
  */
 function validateClientErrorStatus(
   statusCode: number,
   method: string,
   response: JsonApiDocument | null,
-  results: HttpStatusValidationResult
+  results: HttpStatusValidationResult,
+  options: HttpStatusValidationOptions = {}
 ): void {
   const hasErrors = response && Object.prototype.hasOwnProperty.call(response, 'errors')
   const hasData = response && Object.prototype.hasOwnProperty.call(response, 'data')
@@ -201,10 +334,63 @@ function validateClientErrorStatus(
   if (hasData && !hasErrors) {
     results.warnings.push({
       test: 'HTTP Status Code Consistency',
+      context: 'data',
       message: `${statusCode} client error status typically includes errors array instead of data`
     })
   }
 
+  // A server that does not support client-generated IDs must reject them with 403 Forbidden
+  const clientId = method === 'POST' ? options.clientGeneratedId : undefined
+  if (clientId !== undefined) {
+    if (statusCode === 403 && hasErrors) {
+      results.details.push({
+        test: 'Client-Generated ID',
+        status: 'passed',
+        message: `Server rejected the client-generated ID "${clientId}" with 403 Forbidden and an error document`
+      })
+    } else if (statusCode === 403) {
+      results.warnings.push({
+        test: 'Client-Generated ID',
+        location: { jsonPointer: '' },
+        message: '403 Forbidden for an unsupported client-generated ID should include an error document explaining the rejection'
+      })
+    } else if (statusCode === 409) {
+      results.details.push({
+        test: 'Client-Generated ID',
+        status: 'passed',
+        message: `Server reports the client-generated ID "${clientId}" already exists (409 Conflict)`
+      })
+    } else {
+      results.warnings.push({
+        test: 'Client-Generated ID',
+        message: `${statusCode} does not show whether the client-generated ID is supported; a server that does not support client-generated IDs must answer 403 Forbidden`
+      })
+    }
+  }
+
+  // A resource object whose type or id does not match the endpoint must be rejected with 409 Conflict
+  if (options.conflict) {
+    if (statusCode !== 409) {
+      results.valid = false
+      results.errors.push({
+        test: 'Endpoint Conflict',
+        message: `A ${method} request whose resource ${options.conflict} does not match the endpoint must be answered with 409 Conflict, got ${statusCode}`
+      })
+    } else if (!hasErrors) {
+      results.warnings.push({
+        test: 'Endpoint Conflict',
+        location: { jsonPointer: '' },
+        message: '409 Conflict should include an error document explaining the mismatch'
+      })
+    } else {
+      results.details.push({
+        test: 'Endpoint Conflict',
+        status: 'passed',
+        message: `Server rejected the mismatched resource ${options.conflict} with 409 Conflict`
+      })
+    }
+  }
+
   switch (statusCode) {
     case 400: // Bad Request
       results.details.push({
@@ -226,7 +412,11 @@ function validateClientErrorStatus(
       results.details.push({
         test: 'HTTP Status Code Appropriateness',
         status: 'passed',
-        message: '403 Forbidden is appropriate for authorization failures'
+        message: options.relationship && RELATIONSHIP_MUTATION_METHODS.includes(method)
+          ? '403 Forbidden is appropriate when the relationship update is not allowed (e.g. full replacement of a to-many relationship)'
+          : clientId !== undefined
+            ? '403 Forbidden is appropriate when client-generated IDs are not supported'
+            : '403 Forbidden is appropriate for authorization failures'
       })
       break
 
@@ -255,7 +445,13 @@ function validateClientErrorStatus(
       break
 
     case 409: // Conflict
-      if (method === 'POST') {
+      if (options.conflict) {
+        results.details.push({
+          test: 'HTTP Status Code Appropriateness',
+          status: 'passed',
+          message: `409 Conflict is appropriate when the resource ${options.conflict} does not match the endpoint`
+        })
+      } else if (method === 'POST') {
         results.details.push({
           test: 'HTTP Status Code Appropriateness',
           status: 'passed',
@@ -313,6 +509,7 @@ function validateServerErrorStatus(
   if (!hasErrors && response !== null) {
     results.warnings.push({
       test: 'HTTP Status Code Consistency',
+      location: { jsonPointer: '' },
       message: `${statusCode} server error status should typically include errors array`
     })
   }
@@ -344,3 +541,13 @@ function validateServerErrorStatus(
       })
   }
 }
+
+/**
+ * Gets the first of the given top-level members a response has, for pointing a finding at it
+ * @param response - The response body
+ * @param members - Member names in order of preference
+ * @returns Member name, or undefined if the response has none of them
+ */
+function getBodyMember(response: JsonApiDocument | null, members: string[]): string | undefined {
+  return members.find(member => response && Object.prototype.hasOwnProperty.call(response, member))
+}
@@ -7,6 +7,9 @@
 
 import { validateMemberName } from './ResourceValidator.js'
 import { isValidUrl } from '../utils/UrlValidator.js'
+import { getRegisteredDefinition } from './ExtensionRegistry.js'
+import { isValidMemberName } from './MemberNames.js'
+import type { SpecVersion } from '../types/validation'
 
 interface ValidationError {
   test: string
@@ -34,12 +37,18 @@ interface ValidationResult {
   details: ValidationDetail[]
 }
 
+interface JsonApiObjectValidationOptions {
+  specVersion?: SpecVersion
+}
+
 /**
  * Validates JSON:API object with extension and profile support
  * @param jsonapi - The jsonapi object to validate
+ * @param options - Validation options (specVersion defaults to 1.1)
  * @returns Validation result with success/failure and details
  */
-export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResult {
+export function validateJsonApiObjectExtended(jsonapi: unknown, options: JsonApiObjectValidationOptions = {}): ValidationResult {
+  const { specVersion = '1.1' } = options
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -51,6 +60,7 @@ export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResul
     results.valid = false
     results.errors.push({
       test: 'JSON:API Object Structure',
+      context: 'jsonapi',
       message: 'JSON:API object must be an object'
     })
     return results
@@ -58,8 +68,8 @@ export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResul
 
   const jsonapiObj = jsonapi as Record<string, unknown>
 
-  // Check for known members
-  const knownMembers = ['version', 'meta', 'ext', 'profile']
+  // Check for known members ("ext" and "profile" were introduced in JSON:API 1.1)
+  const knownMembers = specVersion === '1.1' ? ['version', 'meta', 'ext', 'profile'] : ['version', 'meta']
   const presentMembers = Object.keys(jsonapiObj)
   const unknownMembers = presentMembers.filter(member => !knownMembers.includes(member))
 
@@ -84,7 +94,7 @@ export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResul
   }
 
   // Validate ext member (extensions)
-  if (Object.prototype.hasOwnProperty.call(jsonapiObj, 'ext')) {
+  if (knownMembers.includes('ext') && Object.prototype.hasOwnProperty.call(jsonapiObj, 'ext')) {
     const extValidation = validateExtensionsMember(jsonapiObj.ext)
     results.details.push(...extValidation.details)
     if (!extValidation.valid) {
@@ -97,7 +107,7 @@ export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResul
   }
 
   // Validate profile member
-  if (Object.prototype.hasOwnProperty.call(jsonapiObj, 'profile')) {
+  if (knownMembers.includes('profile') && Object.prototype.hasOwnProperty.call(jsonapiObj, 'profile')) {
     const profileValidation = validateProfileMember(jsonapiObj.profile)
     results.details.push(...profileValidation.details)
     if (!profileValidation.valid) {
@@ -110,6 +120,7 @@ export function validateJsonApiObjectExtended(jsonapi: unknown): ValidationResul
   if (unknownMembers.length > 0) {
     results.warnings.push({
       test: 'JSON:API Object Extensions',
+      context: 'jsonapi',
       message: `JSON:API object contains unknown members: ${unknownMembers.join(', ')}. These may be custom extensions.`
     })
 
@@ -154,6 +165,7 @@ function validateVersionMember(version: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Version Member',
+      context: 'jsonapi.version',
       message: 'JSON:API version must be a string'
     })
     return results
@@ -163,6 +175,7 @@ function validateVersionMember(version: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Version Member',
+      context: 'jsonapi.version',
       message: 'JSON:API version cannot be empty string'
     })
     return results
@@ -174,6 +187,7 @@ function validateVersionMember(version: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Version Value',
+      context: 'jsonapi.version',
       message: `JSON:API version "${version}" is not supported. Supported versions: ${supportedVersions.join(', ')}`
     })
   } else {
@@ -204,6 +218,7 @@ function validateJsonApiMeta(meta: unknown): ValidationResult {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Meta Member',
+      context: 'jsonapi.meta',
       message: 'JSON:API meta must be an object'
     })
     return results
@@ -244,11 +259,17 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
     details: []
   }
 
-  if (typeof ext !== 'object' || ext === null || Array.isArray(ext)) {
+  // JSON:API 1.1 lists the applied extensions as an array of URIs
+  if (Array.isArray(ext)) {
+    return validateExtensionUriList(ext)
+  }
+
+  if (typeof ext !== 'object' || ext === null) {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Extensions Member',
-      message: 'JSON:API ext must be an object'
+      context: 'jsonapi.ext',
+      message: 'JSON:API ext must be an array of URIs or an object'
     })
     return results
   }
@@ -259,6 +280,7 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
   if (extensionNames.length === 0) {
     results.warnings.push({
       test: 'JSON:API Extensions Member',
+      context: 'jsonapi.ext',
       message: 'JSON:API ext object is empty'
     })
     return results
@@ -273,6 +295,7 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'JSON:API Extension Name',
+        context: 'jsonapi.ext',
         message: `Invalid extension name "${extensionName}". Extension names should be URLs or follow naming conventions.`
       })
       continue
@@ -283,6 +306,7 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'JSON:API Extension Value',
+        context: 'jsonapi.ext',
         message: `Extension "${extensionName}" must have a string or object value`
       })
       continue
@@ -292,6 +316,7 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
     if (typeof extensionValue === 'string' && !isValidUrl(extensionValue)) {
       results.warnings.push({
         test: 'JSON:API Extension Value',
+        context: 'jsonapi.ext',
         message: `Extension "${extensionName}" value appears to be a malformed URL`
       })
     }
@@ -312,6 +337,54 @@ function validateExtensionsMember(ext: unknown): ValidationResult {
   return results
 }
 
+/**
+ * Validates an ext member given as an array of extension URIs, and checks each
+ * extension has registered rules
+ * @param ext - The ext array to validate
+ * @returns Validation result
+ */
+function validateExtensionUriList(ext: unknown[]): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const uris: string[] = []
+  ext.forEach((uri, index) => {
+    if (typeof uri !== 'string' || !isValidUrl(uri)) {
+      results.valid = false
+      results.errors.push({
+        test: 'JSON:API Extensions Member',
+        context: `jsonapi.ext[${index}]`,
+        message: `JSON:API ext[${index}] must be a valid URI`
+      })
+    } else {
+      uris.push(uri)
+    }
+  })
+
+  const unregistered = uris.filter(uri => !getRegisteredDefinition(uri))
+  if (unregistered.length > 0) {
+    results.warnings.push({
+      test: 'Extension Registry',
+      context: 'jsonapi.ext',
+      message: `JSON:API object applies extension(s) with no registered rules: ${unregistered.join(', ')}. Their members and rules are not checked`
+    })
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test: 'JSON:API Extensions Member',
+      status: 'passed',
+      message: `JSON:API ext array contains ${uris.length} valid URI(s)`
+    })
+  }
+
+  return results
+}
+
 /**
  * Validates the profile member of a JSON:API object
  * @param profile - The profile value to validate
@@ -331,6 +404,7 @@ function validateProfileMember(profile: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'JSON:API Profile Member',
+        context: 'jsonapi.profile',
         message: 'JSON:API profile must be a valid URL'
       })
     } else {
@@ -346,6 +420,7 @@ function validateProfileMember(profile: unknown): ValidationResult {
       results.valid = false
       results.errors.push({
         test: 'JSON:API Profile Member',
+        context: 'jsonapi.profile',
         message: 'JSON:API profile array cannot be empty'
       })
       return results
@@ -358,6 +433,7 @@ function validateProfileMember(profile: unknown): ValidationResult {
         results.valid = false
         results.errors.push({
           test: 'JSON:API Profile Member',
+          context: `jsonapi.profile[${index}]`,
           message: `JSON:API profile[${index}] must be a valid URL`
         })
       }
@@ -369,11 +445,22 @@ function validateProfileMember(profile: unknown): ValidationResult {
         status: 'passed',
         message: `JSON:API profile array contains ${profile.length} valid URL(s)`
       })
+
+      // Profiles the registry has no rules for are listed as unchecked rather than reported
+      const unregistered = (profile as string[]).filter(profileUrl => !getRegisteredDefinition(profileUrl))
+      if (unregistered.length > 0) {
+        results.details.push({
+          test: 'Profile Registry',
+          status: 'passed',
+          message: `Profile(s) without registered rules are not checked: ${unregistered.join(', ')}`
+        })
+      }
     }
   } else {
     results.valid = false
     results.errors.push({
       test: 'JSON:API Profile Member',
+      context: 'jsonapi.profile',
       message: 'JSON:API profile must be a string URL or array of URLs'
     })
   }
@@ -407,6 +494,5 @@ function isValidExtensionName(name: string): boolean {
   }
 
   // Check if it follows JSON:API member naming rules
-  const memberNamePattern = /^[a-z0-9][a-z0-9_-]*[a-z0-9]$|^[a-z0-9]$/
-  return memberNamePattern.test(name)
+  return isValidMemberName(name)
 }
@@ -0,0 +1,63 @@
+/**
+ * MediaTypes.ts
+ *
+ * Media type parsing and the extension and profile URIs known to the validator.
+ * Kept free of validator imports so any validator can depend on it.
+ * Based on specification: https://jsonapi.org/format/1.1/#content-negotiation
+ */
+
+export interface ParsedMediaType {
+  type: string
+  parameters: Record<string, string>
+}
+
+/**
+ * URI of the official Atomic Operations extension
+ */
+export const ATOMIC_EXTENSION_URI = 'https://jsonapi.org/ext/atomic'
+
+/**
+ * URI of the Cursor Pagination profile
+ */
+export const CURSOR_PAGINATION_PROFILE_URI = 'https://jsonapi.org/profiles/ethanresnick/cursor-pagination/'
+
+/**
+ * Parses a media type string into type and parameters
+ * @param mediaType - Media type string to parse
+ * @returns Parsed media type or null if invalid
+ */
+export function parseMediaType(mediaType: string): ParsedMediaType | null {
+  if (!mediaType || typeof mediaType !== 'string') {
+    return null
+  }
+
+  const parts = mediaType.trim().split(';')
+  const type = parts[0]?.trim()
+
+  if (!type) {
+    return null
+  }
+
+  const parameters: Record<string, string> = {}
+
+  for (let i = 1; i < parts.length; i++) {
+    const param = parts[i]?.trim()
+    if (!param) continue
+
+    const equalIndex = param.indexOf('=')
+
+    if (equalIndex === -1) {
+      continue // Invalid parameter format, skip
+    }
+
+    const key = param.substring(0, equalIndex).trim()
+    const value = param.substring(equalIndex + 1).trim()
+
+    if (key && value) {
+      // Remove quotes if present
+      parameters[key] = value.replace(/^"(.*)"$/, '$1')
+    }
+  }
+
+  return { type, parameters }
+}
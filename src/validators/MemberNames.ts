@@ -0,0 +1,163 @@
+/**
+ * MemberNames.ts
+ *
+ * JSON:API member name grammar shared by all validators, plus the naming
+ * recommendations layered on top of it (reported as warnings only).
+ * Based on specification: https://jsonapi.org/format/1.1/#document-member-names
+ * and https://jsonapi.org/recommendations/#naming
+ */
+
+import type { SpecVersion, NamingConvention, NamingPolicy } from '../types/validation'
+
+export type MemberNameKind = 'member' | 'at-member' | 'extension-member'
+
+export interface MemberNameCheck {
+  valid: boolean
+  kind: MemberNameKind
+  /** Why the name breaks the grammar, phrased to follow 'Member name "x"' */
+  problem?: string
+}
+
+// Globally allowed characters: a-z, A-Z, 0-9 and everything from U+0080 up;
+// hyphen, underscore and space are allowed everywhere except the first and last character
+const GLOBALLY_ALLOWED = 'a-zA-Z0-9\\u{80}-\\u{10FFFF}'
+const MEMBER_NAME_PATTERN = new RegExp(`^[${GLOBALLY_ALLOWED}](?:[${GLOBALLY_ALLOWED} _-]*[${GLOBALLY_ALLOWED}])?$`, 'u')
+const ALLOWED_CHARACTER = new RegExp(`^[${GLOBALLY_ALLOWED} _-]$`, 'u')
+const NAMESPACE_PATTERN = /^[a-zA-Z0-9]+$/
+
+const NAMING_CONVENTIONS: Record<NamingConvention, RegExp> = {
+  camelCase: /^[a-z][a-zA-Z0-9]*$/,
+  PascalCase: /^[A-Z][a-zA-Z0-9]*$/,
+  'kebab-case': /^[a-z][a-z0-9]*(?:-[a-z0-9]+)*$/,
+  snake_case: /^[a-z][a-z0-9]*(?:_[a-z0-9]+)*$/
+}
+
+const NAMING_POLICY_TARGETS: readonly (keyof NamingPolicy)[] = ['types', 'attributes', 'relationships', 'meta', 'queryParameters']
+
+/**
+ * Checks a plain member name against the member name grammar (no "@" or extension namespace)
+ * @param name - Member name to check
+ * @returns True if the name only uses allowed characters and starts and ends with a globally allowed one
+ */
+export function isValidMemberName(name: string): boolean {
+  return typeof name === 'string' && MEMBER_NAME_PATTERN.test(name)
+}
+
+/**
+ * Checks a member name against the grammar of a JSON:API version. JSON:API 1.1 also
+ * accepts @-members and extension members ("namespace:member")
+ * @param name - Member name to check
+ * @param specVersion - JSON:API version whose grammar applies
+ * @returns Kind of member and, when invalid, the problem found
+ */
+export function checkMemberName(name: string, specVersion: SpecVersion = '1.1'): MemberNameCheck {
+  if (specVersion === '1.1' && name.startsWith('@')) {
+    const problem = describeProblem(name.slice(1))
+    return problem
+      ? { valid: false, kind: 'at-member', problem: `is an @-member whose name after "@" ${problem}` }
+      : { valid: true, kind: 'at-member' }
+  }
+
+  const separator = name.indexOf(':')
+  if (specVersion === '1.1' && separator >= 0) {
+    const namespace = name.slice(0, separator)
+    if (!NAMESPACE_PATTERN.test(namespace)) {
+      return { valid: false, kind: 'extension-member', problem: `has an extension namespace "${namespace}" that must contain only a-z, A-Z and 0-9` }
+    }
+    const problem = describeProblem(name.slice(separator + 1))
+    return problem
+      ? { valid: false, kind: 'extension-member', problem: `is an extension member whose name after "${namespace}:" ${problem}` }
+      : { valid: true, kind: 'extension-member' }
+  }
+
+  const problem = describeProblem(name)
+  return problem ? { valid: false, kind: 'member', problem } : { valid: true, kind: 'member' }
+}
+
+/**
+ * Checks a valid member name against the naming recommendations of a JSON:API version:
+ * camelCase for 1.1, lowercase words joined by hyphens for 1.0. The "@" prefix and
+ * extension namespace are not part of the recommendation
+ * @param name - Member name that passed {@link checkMemberName}
+ * @param specVersion - JSON:API version whose recommendations apply
+ * @returns Why the name departs from the recommendation, or undefined if it follows it
+ */
+export function getNamingRecommendation(name: string, specVersion: SpecVersion = '1.1'): string | undefined {
+  const { kind } = checkMemberName(name, specVersion)
+  const baseName = kind === 'at-member'
+    ? name.slice(1)
+    : kind === 'extension-member' ? name.slice(name.indexOf(':') + 1) : name
+
+  if (specVersion === '1.0') {
+    return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(baseName)
+      ? undefined
+      : 'should contain only lowercase letters and digits, with single hyphens between words'
+  }
+
+  return /^[a-z](?:[a-zA-Z0-9]*[a-z])?$/.test(baseName)
+    ? undefined
+    : 'should be camelCase: start and end with a lowercase letter and contain only ASCII letters and digits'
+}
+
+/**
+ * Checks a name against a naming convention. @-members and extension members are
+ * governed by the specification and their extension, so they always pass
+ * @param name - Name to check
+ * @param convention - Naming convention the name should follow
+ * @returns True if the name follows the convention
+ */
+export function matchesNamingConvention(name: string, convention: NamingConvention): boolean {
+  if (checkMemberName(name).kind !== 'member') {
+    return true
+  }
+  return NAMING_CONVENTIONS[convention].test(name)
+}
+
+/**
+ * Parses a naming policy such as "camelCase, types=kebab-case". A bare convention
+ * applies to every kind of name; "target=convention" entries override it for one kind
+ * @param source - Comma-separated conventions and target=convention pairs
+ * @returns Naming policy
+ * @throws Error if a convention or target is unknown
+ */
+export function parseNamingPolicy(source: string): NamingPolicy {
+  const policy: NamingPolicy = {}
+  const overrides: NamingPolicy = {}
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [target, convention] = entry.includes('=')
+      ? entry.split('=').map(part => part.trim())
+      : [undefined, entry]
+    if (!(convention && convention in NAMING_CONVENTIONS)) {
+      throw new Error(`Unknown naming convention "${convention ?? ''}"; use ${Object.keys(NAMING_CONVENTIONS).join(', ')}`)
+    }
+    if (target === undefined) {
+      NAMING_POLICY_TARGETS.forEach(name => { policy[name] = convention as NamingConvention })
+    } else if (NAMING_POLICY_TARGETS.includes(target as keyof NamingPolicy)) {
+      overrides[target as keyof NamingPolicy] = convention as NamingConvention
+    } else {
+      throw new Error(`Unknown naming policy target "${target}"; use ${NAMING_POLICY_TARGETS.join(', ')}`)
+    }
+  })
+  return { ...policy, ...overrides }
+}
+
+/**
+ * Describes how a plain member name breaks the grammar
+ * @param name - Member name without "@" or namespace
+ * @returns Problem description, or undefined if the name is valid
+ */
+function describeProblem(name: string): string | undefined {
+  if (name.length === 0) {
+    return 'must contain at least one character'
+  }
+  if (MEMBER_NAME_PATTERN.test(name)) {
+    return undefined
+  }
+
+  const characters = Array.from(name)
+  const disallowed = Array.from(new Set(characters.filter(character => !ALLOWED_CHARACTER.test(character))))
+  if (disallowed.length > 0) {
+    return `contains characters that are not allowed in member names: ${disallowed.map(character => JSON.stringify(character)).join(', ')}`
+  }
+  return 'must start and end with a letter, digit or non-ASCII character (hyphen, underscore and space are only allowed in between)'
+}
@@ -5,20 +5,26 @@
  * Based on specification: https://jsonapi.org/format/1.1/#fetching-pagination
  */
 
+import { getPaginationLink, normalizeUrl } from '../utils/UrlValidator.js'
+import type { CrawledPage, PaginationCrawl } from '../types/validation'
+
 interface ValidationError {
   test: string
   message: string
+  context?: string
 }
 
 interface ValidationWarning {
   test: string
   message: string
+  context?: string
 }
 
 interface ValidationDetail {
   test: string
   status: 'passed' | 'failed' | 'warning' | 'skipped'
   message: string
+  context?: string
 }
 
 interface ValidationResult {
@@ -54,6 +60,12 @@ interface JsonApiMeta {
   [key: string]: unknown
 }
 
+interface PageResource {
+  type?: unknown
+  id?: unknown
+  attributes?: Record<string, unknown>
+}
+
 interface JsonApiResponse {
   data?: unknown[] | unknown | null
   links?: JsonApiLinks
@@ -172,6 +184,7 @@ function validatePaginationLinksPresence(
     if (pageParams.length > 0) {
       results.warnings.push({
         test: 'Pagination Links Presence',
+        context: 'links',
         message: 'Page parameters provided but no pagination links found in response'
       })
     } else {
@@ -220,6 +233,7 @@ function validatePaginationLinkUrls(
       results.valid = false
       results.errors.push({
         test: 'Pagination Link URL Format',
+        context: `links.${linkName}`,
         message: `${linkName} link must be a string`
       })
       continue
@@ -237,6 +251,7 @@ function validatePaginationLinkUrls(
       results.valid = false
       results.errors.push({
         test: 'Pagination Link URL Format',
+        context: `links.${linkName}`,
         message: `${linkName} link is not a valid URL: "${linkUrl}"`
       })
       continue
@@ -254,6 +269,7 @@ function validatePaginationLinkUrls(
         if (originalBase !== linkBase) {
           results.warnings.push({
             test: 'Pagination Link Base URL',
+            context: `links.${linkName}`,
             message: `${linkName} link uses different base URL: expected "${originalBase}", got "${linkBase}"`
           })
         }
@@ -332,6 +348,7 @@ function validateQueryParameterPreservation(
         results.valid = false
         results.errors.push({
           test: 'Query Parameter Preservation',
+          context: `links.${linkName}`,
           message: `${linkName} link missing query parameters: ${missingParams.join(', ')}`
         })
       }
@@ -339,6 +356,7 @@ function validateQueryParameterPreservation(
       if (modifiedParams.length > 0) {
         results.warnings.push({
           test: 'Query Parameter Preservation',
+          context: `links.${linkName}`,
           message: `${linkName} link has modified parameters: ${modifiedParams.map(p => `${p.name}="${p.original}" -> "${p.inLink}"`).join(', ')}`
         })
       }
@@ -387,6 +405,7 @@ function validatePaginationBoundaries(
     if (links.prev) {
       results.warnings.push({
         test: 'Pagination Boundaries',
+        context: 'links.prev',
         message: 'First page should not have a "prev" link'
       })
     } else {
@@ -403,6 +422,7 @@ function validatePaginationBoundaries(
     if (links.next) {
       results.warnings.push({
         test: 'Pagination Boundaries',
+        context: 'links.next',
         message: `Received ${dataLength} items (less than page size ${pageSize}) but "next" link is present - may indicate last page`
       })
     } else {
@@ -420,12 +440,14 @@ function validatePaginationBoundaries(
     if (!links.first) {
       results.warnings.push({
         test: 'Pagination Boundaries',
+        context: 'links',
         message: 'Pagination links present but missing "first" link'
       })
     }
     if (!links.last) {
       results.warnings.push({
         test: 'Pagination Boundaries',
+        context: 'links',
         message: 'Pagination links present but missing "last" link'
       })
     }
@@ -471,6 +493,7 @@ function validatePaginationConsistency(
     results.valid = false
     results.errors.push({
       test: 'Pagination Consistency',
+      context: 'data',
       message: `Response contains ${data.length} items, exceeds page size of ${pageSize}`
     })
   } else if (data.length <= pageSize) {
@@ -487,6 +510,7 @@ function validatePaginationConsistency(
       results.valid = false
       results.errors.push({
         test: 'Pagination Consistency',
+        context: 'meta.page.number',
         message: `Meta page number ${meta.page.number} does not match requested page number ${pageNumber}`
       })
     }
@@ -495,6 +519,7 @@ function validatePaginationConsistency(
       results.valid = false
       results.errors.push({
         test: 'Pagination Consistency',
+        context: 'meta.page.size',
         message: `Meta page size ${meta.page.size} does not match requested page size ${pageSize}`
       })
     }
@@ -523,6 +548,7 @@ function validatePaginationConsistency(
       if (selfPageNumber !== pageNumber || selfPageSize !== pageSize) {
         results.warnings.push({
           test: 'Pagination Consistency',
+          context: 'links.self',
           message: `Self link parameters (page[number]=${selfPageNumber}, page[size]=${selfPageSize}) don't match request (page[number]=${pageNumber}, page[size]=${pageSize})`
         })
       }
@@ -579,12 +605,14 @@ function validatePaginationMeta(
     } else {
       results.warnings.push({
         test: 'Pagination Meta',
+        context: `meta.${totalField}`,
         message: `meta.${totalField} should be a non-negative number, got: ${typeof totalValue} ${totalValue}`
       })
     }
   } else {
     results.warnings.push({
       test: 'Pagination Meta',
+      context: 'meta',
       message: 'No total count found in meta (recommended for paginated responses)'
     })
   }
@@ -616,6 +644,7 @@ function validatePaginationMeta(
       } else {
         results.warnings.push({
           test: 'Pagination Meta',
+          context: 'meta.page.total',
           message: `meta.page.total should be a positive number, got: ${typeof pageTotal} ${pageTotal}`
         })
       }
@@ -692,6 +721,7 @@ function validateCursorPagination(
       } else if (linkName === 'prev' || linkName === 'next') {
         results.warnings.push({
           test: 'Cursor Pagination',
+          context: `links.${linkName}`,
           message: `${linkName} link missing cursor parameters for cursor-based pagination`
         })
       }
@@ -712,6 +742,359 @@ function validateCursorPagination(
   return results
 }
 
+/**
+ * Validates a collection across all pages reached by following its pagination links
+ * @param crawl - Pages collected by the pagination crawler
+ * @param originalUrl - The original request URL (used for the sort parameter)
+ * @returns Validation result with success/failure and details
+ */
+export function validatePaginationCrawl(crawl: PaginationCrawl, originalUrl: unknown): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  crawl.errors.forEach(message => {
+    results.valid = false
+    results.errors.push({
+      test: 'Pagination Crawl',
+      message
+    })
+  })
+
+  if (crawl.truncated) {
+    results.warnings.push({
+      test: 'Pagination Crawl',
+      message: `Crawl stopped at the page cap after ${crawl.pages.length} pages - cross-page checks only cover the crawled pages`
+    })
+  }
+
+  const resourceCount = crawl.pages.reduce((count, page) => count + getPageResources(page).length, 0)
+  results.details.push({
+    test: 'Pagination Crawl',
+    status: 'passed',
+    message: `Crawled ${crawl.pages.length} page(s) containing ${resourceCount} resource(s)`
+  })
+
+  mergeValidationResults(results, validateCrawlDuplicates(crawl.pages))
+  mergeValidationResults(results, validateCrawlBoundaryLinks(crawl))
+  mergeValidationResults(results, validateCrawlTotals(crawl, resourceCount))
+  mergeValidationResults(results, validateCrawlSortOrder(crawl.pages, originalUrl))
+
+  return results
+}
+
+/**
+ * Reports resources that appear on more than one crawled page
+ * @param pages - Crawled pages in page order
+ * @returns Validation result
+ */
+function validateCrawlDuplicates(pages: CrawledPage[]): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const occurrences = new Map<string, number[]>()
+  pages.forEach((page, index) => {
+    getPageResources(page).forEach(resource => {
+      if (typeof resource.type !== 'string' || typeof resource.id !== 'string') return
+      const key = `${resource.type}:${resource.id}`
+      occurrences.set(key, [...(occurrences.get(key) || []), index + 1])
+    })
+  })
+
+  const duplicates = Array.from(occurrences.entries()).filter(([, pageNumbers]) => pageNumbers.length > 1)
+  duplicates.forEach(([key, pageNumbers]) => {
+    results.valid = false
+    results.errors.push({
+      test: 'Pagination Duplicate Resources',
+      message: `Resource ${key} appears on multiple crawled pages: ${pageNumbers.join(', ')}`
+    })
+  })
+
+  if (duplicates.length === 0) {
+    results.details.push({
+      test: 'Pagination Duplicate Resources',
+      status: 'passed',
+      message: `No resource appears on more than one of the ${pages.length} crawled page(s)`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Checks that every page agrees on "first"/"last" and that those links lead to the
+ * pages where the crawl actually started and terminated
+ * @param crawl - Pages collected by the pagination crawler
+ * @returns Validation result
+ */
+function validateCrawlBoundaryLinks(crawl: PaginationCrawl): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const firstCrawled = crawl.pages[0]
+  const lastCrawled = crawl.pages[crawl.pages.length - 1]
+
+  for (const boundary of ['first', 'last'] as const) {
+    const links = new Set(crawl.pages
+      .map(page => getPaginationLink(page, boundary))
+      .filter((link): link is string => link !== null)
+      .map(normalizeUrl))
+
+    if (links.size > 1) {
+      results.warnings.push({
+        test: 'Pagination Boundary Links',
+        message: `Crawled pages disagree on the "${boundary}" link: ${Array.from(links).join(', ')}`
+      })
+    }
+  }
+
+  // Only compare once the crawl has reached that end of the collection
+  if (crawl.firstPage && firstCrawled && !getPaginationLink(firstCrawled, 'prev')) {
+    if (!samePageContents(crawl.firstPage, firstCrawled)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Pagination Boundary Links',
+        message: `"first" link (${crawl.firstPage.url}) does not return the same resources as the first crawled page (${firstCrawled.url})`
+      })
+    } else {
+      results.details.push({
+        test: 'Pagination Boundary Links',
+        status: 'passed',
+        message: '"first" link returns the first page of the collection'
+      })
+    }
+  }
+
+  if (crawl.lastPage && lastCrawled && !getPaginationLink(lastCrawled, 'next')) {
+    if (!samePageContents(crawl.lastPage, lastCrawled)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Pagination Boundary Links',
+        message: `"last" link (${crawl.lastPage.url}) does not return the same resources as the page where "next" links end (${lastCrawled.url})`
+      })
+    } else {
+      results.details.push({
+        test: 'Pagination Boundary Links',
+        status: 'passed',
+        message: '"last" link returns the page where "next" links end'
+      })
+    }
+  }
+
+  if (crawl.lastPage && getPaginationLink(crawl.lastPage, 'next')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Pagination Boundary Links',
+      message: `The page returned by the "last" link (${crawl.lastPage.url}) still has a "next" link`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Compares total counts advertised in meta with the crawled collection
+ * @param crawl - Pages collected by the pagination crawler
+ * @param resourceCount - Number of resources crawled
+ * @returns Validation result
+ */
+function validateCrawlTotals(crawl: PaginationCrawl, resourceCount: number): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const firstCrawled = crawl.pages[0]
+  const lastCrawled = crawl.pages[crawl.pages.length - 1]
+  const complete = firstCrawled && lastCrawled && crawl.errors.length === 0 &&
+    !getPaginationLink(firstCrawled, 'prev') && !getPaginationLink(lastCrawled, 'next')
+
+  const advertised = crawl.pages.map(page => {
+    const meta = (page.document as JsonApiResponse | null)?.meta || {}
+    const totalField = ['totalResources', 'total', 'totalCount', 'count'].find(field => typeof meta[field] === 'number')
+    return {
+      resources: totalField ? meta[totalField] as number : undefined,
+      pages: typeof meta.page?.total === 'number' ? meta.page.total
+        : typeof meta.page?.totalPages === 'number' ? meta.page.totalPages : undefined
+    }
+  })
+
+  const resourceTotals = new Set(advertised.map(entry => entry.resources).filter(total => total !== undefined))
+  const pageTotals = new Set(advertised.map(entry => entry.pages).filter(total => total !== undefined))
+
+  if (resourceTotals.size > 1 || pageTotals.size > 1) {
+    results.warnings.push({
+      test: 'Pagination Totals',
+      message: 'Total counts in meta change between crawled pages - the collection may have been modified during the crawl'
+    })
+  }
+
+  if (!complete) {
+    return results
+  }
+
+  const [resourceTotal] = Array.from(resourceTotals)
+  if (resourceTotal !== undefined) {
+    if (resourceTotal !== resourceCount) {
+      results.valid = false
+      results.errors.push({
+        test: 'Pagination Totals',
+        message: `meta reports ${resourceTotal} total resources but crawling all pages returned ${resourceCount}`
+      })
+    } else {
+      results.details.push({
+        test: 'Pagination Totals',
+        status: 'passed',
+        message: `meta total (${resourceTotal}) matches the number of crawled resources`
+      })
+    }
+  }
+
+  const [pageTotal] = Array.from(pageTotals)
+  if (pageTotal !== undefined) {
+    if (pageTotal !== crawl.pages.length) {
+      results.valid = false
+      results.errors.push({
+        test: 'Pagination Totals',
+        message: `meta.page reports ${pageTotal} total pages but the crawl found ${crawl.pages.length}`
+      })
+    } else {
+      results.details.push({
+        test: 'Pagination Totals',
+        status: 'passed',
+        message: `meta.page total (${pageTotal}) matches the number of crawled pages`
+      })
+    }
+  }
+
+  return results
+}
+
+/**
+ * Checks the requested sort order holds across page boundaries
+ * (last resource of each page against the first resource of the next)
+ * @param pages - Crawled pages in page order
+ * @param originalUrl - The original request URL
+ * @returns Validation result
+ */
+function validateCrawlSortOrder(pages: CrawledPage[], originalUrl: unknown): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  let sort: string | null = null
+  try {
+    sort = typeof originalUrl === 'string' ? new URL(originalUrl).searchParams.get('sort') : null
+  } catch {
+    sort = null
+  }
+
+  if (!sort || pages.length < 2) {
+    return results
+  }
+
+  const sortFields = sort.split(',').map(field => field.trim()).filter(field => field.length > 0)
+  let boundariesChecked = 0
+
+  for (let i = 0; i < pages.length - 1; i++) {
+    const before = getPageResources(pages[i]!).at(-1)
+    const after = getPageResources(pages[i + 1]!)[0]
+    if (!before || !after) continue
+
+    const order = compareBySortFields(before, after, sortFields)
+    if (order === null) continue
+
+    boundariesChecked++
+    if (order > 0) {
+      results.valid = false
+      results.errors.push({
+        test: 'Pagination Sort Order',
+        message: `sort=${sort} is violated between crawled pages ${i + 1} and ${i + 2}: ${before.type}:${before.id} is ordered before ${after.type}:${after.id}`
+      })
+    }
+  }
+
+  if (results.valid && boundariesChecked > 0) {
+    results.details.push({
+      test: 'Pagination Sort Order',
+      status: 'passed',
+      message: `sort=${sort} holds across ${boundariesChecked} page boundar${boundariesChecked === 1 ? 'y' : 'ies'}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Compares two resources by JSON:API sort fields ("-" prefix for descending)
+ * @param a - First resource
+ * @param b - Second resource
+ * @param sortFields - Sort fields from the sort parameter
+ * @returns Negative/zero/positive like a comparator, or null when values are not comparable
+ */
+function compareBySortFields(a: PageResource, b: PageResource, sortFields: string[]): number | null {
+  for (const sortField of sortFields) {
+    const descending = sortField.startsWith('-')
+    const field = descending ? sortField.slice(1) : sortField
+    const valueA = field === 'id' ? a.id : a.attributes?.[field]
+    const valueB = field === 'id' ? b.id : b.attributes?.[field]
+
+    if (valueA === valueB) continue
+
+    let order: number
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      order = valueA - valueB
+    } else if (typeof valueA === 'string' && typeof valueB === 'string') {
+      order = valueA < valueB ? -1 : 1
+    } else {
+      return null
+    }
+
+    return descending ? -order : order
+  }
+
+  return 0
+}
+
+/**
+ * Returns the primary resources of a crawled page
+ * @param page - Crawled page
+ * @returns Resource objects (empty when the page is not a collection)
+ */
+function getPageResources(page: CrawledPage): PageResource[] {
+  const data = (page.document as JsonApiResponse | null)?.data
+  return Array.isArray(data)
+    ? data.filter((resource): resource is PageResource => typeof resource === 'object' && resource !== null)
+    : []
+}
+
+/**
+ * Checks whether two pages contain the same resources in the same order
+ * @param a - First page
+ * @param b - Second page
+ * @returns True if both pages list the same type:id sequence
+ */
+function samePageContents(a: CrawledPage, b: CrawledPage): boolean {
+  const keys = (page: CrawledPage): string => getPageResources(page).map(resource => `${resource.type}:${resource.id}`).join(',')
+  return keys(a) === keys(b)
+}
+
 /**
  * Helper function to merge validation results
  * @param target - Target results object to merge into
@@ -5,16 +5,20 @@
  * Based on specification: https://jsonapi.org/format/1.1/#query-parameters
  */
 
-import type { JsonApiDocument, JsonApiResource } from '../types/validation'
+import { isRegisteredQueryParameter } from './ExtensionRegistry.js'
+import { isValidMemberName, matchesNamingConvention } from './MemberNames.js'
+import type { JsonApiDocument, JsonApiResource, NamingConvention, NamingPolicy } from '../types/validation'
 
 interface ValidationError {
   test: string
   message: string
+  context?: string
 }
 
 interface ValidationWarning {
   test: string
   message: string
+  context?: string
 }
 
 interface ValidationDetail {
@@ -30,13 +34,63 @@ interface ValidationResult {
   details: ValidationDetail[]
 }
 
+/**
+ * How a filter value is compared with a resource's field: exact match, case-insensitive
+ * substring or case-insensitive prefix
+ */
+export type FilterMatchMode = 'equals' | 'contains' | 'prefix'
+
+/**
+ * Filters whose results are verified, keyed by filter field ("title" for filter[title])
+ */
+export type FilterChecks = Record<string, FilterMatchMode>
+
+/**
+ * Options for query parameter validation
+ */
+export interface QueryParameterOptions {
+  /** Opt-in: check that every returned primary resource matches these filters */
+  filterChecks?: FilterChecks
+  /** Naming conventions the names inside include, fields, sort and filter and custom parameter families must follow */
+  namingPolicy?: NamingPolicy
+}
+
+/**
+ * A resource object of the response with its path in the document, e.g. "included[2]"
+ */
+interface LocatedResource {
+  resource: JsonApiResource
+  context: string
+}
+
+const FILTER_MATCH_MODES: readonly FilterMatchMode[] = ['equals', 'contains', 'prefix']
+
+/**
+ * Parses a filter check list such as "title:contains, author, slug:prefix"
+ * @param source - Comma-separated filter fields, each optionally followed by ":mode" (default: equals)
+ * @returns Filter checks keyed by filter field
+ * @throws Error if a match mode is unknown
+ */
+export function parseFilterChecks(source: string): FilterChecks {
+  const checks: FilterChecks = {}
+  source.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [field = '', mode = 'equals'] = entry.split(':').map(part => part.trim())
+    if (!FILTER_MATCH_MODES.includes(mode as FilterMatchMode)) {
+      throw new Error(`Unknown filter match mode "${mode}" for "${field}"; use ${FILTER_MATCH_MODES.join(', ')}`)
+    }
+    checks[field] = mode as FilterMatchMode
+  })
+  return checks
+}
+
 /**
  * Validates JSON:API query parameters from a URL
  * @param url - The URL to parse and validate query parameters from
  * @param response - The API response to validate parameter effects (optional)
+ * @param options - Filters to verify against the response and naming policy to enforce
  * @returns Validation result with success/failure and details
  */
-export function validateQueryParameters(url: unknown, response: unknown = null): ValidationResult {
+export function validateQueryParameters(url: unknown, response: unknown = null, options: QueryParameterOptions = {}): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -92,12 +146,17 @@ export function validateQueryParameters(url: unknown, response: unknown = null):
     const pageResult = validatePageParameter(allParams, response)
     mergeValidationResults(results, pageResult)
 
-    const filterResult = validateFilterParameter(allParams, response)
+    const filterResult = validateFilterParameter(allParams, response, options.filterChecks ?? {})
     mergeValidationResults(results, filterResult)
 
     const customResult = validateCustomParameters(allParams)
     mergeValidationResults(results, customResult)
 
+    if (options.namingPolicy) {
+      const namingResult = validateParameterNamingPolicy(allParams, options.namingPolicy)
+      mergeValidationResults(results, namingResult)
+    }
+
   } catch (error) {
     results.valid = false
     results.errors.push({
@@ -173,18 +232,176 @@ function validateIncludeParameter(params: Record<string, string>, response: unkn
           status: 'passed',
           message: `Response includes ${doc.included.length} related resource(s)`
         })
-      } else {
+      } else if (doc.data === undefined) {
         results.warnings.push({
           test: 'Include Parameter Effect',
           message: 'Include parameter provided but response has no included array. Server may not support compound documents or no related resources exist.'
         })
       }
+      // Without an included member the paths must still lead nowhere: empty or null linkage only
+      if (doc.data !== undefined && (doc.included === undefined || Array.isArray(doc.included))) {
+        mergeValidationResults(results, validateIncludePaths(includeFields, doc, getSparseFieldsets(params)))
+      }
     }
   }
 
   return results
 }
 
+/**
+ * Walks each requested relationship path hop by hop from the primary data: every resource
+ * linked along a path must be in the document, and every included resource must be reached
+ * by some path. A hop whose relationships all lack linkage fails. Relationships a fields[TYPE]
+ * parameter leaves out are not followed, and when a path cannot be followed, resources not
+ * reached are only reported as a warning
+ * @param paths - Requested relationship paths, e.g. ["comments.author"]
+ * @param doc - Compound document
+ * @param fieldsets - Requested sparse fieldsets by resource type
+ * @returns Validation result
+ */
+function validateIncludePaths(paths: string[], doc: JsonApiDocument, fieldsets: Record<string, string[]> = {}): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const primaryEntries = getPrimaryResources(doc)
+  const includedEntries = ((doc.included ?? []) as JsonApiResource[])
+    .map((resource, index) => ({ resource, context: `included[${index}]` }))
+    .filter(entry => entry.resource && typeof entry.resource === 'object')
+  const contexts = new Map(primaryEntries.concat(includedEntries).map(({ resource, context }) => [resource, context]))
+  const primary = primaryEntries.map(({ resource }) => resource)
+  const included = includedEntries.map(({ resource }) => resource)
+  const resourceKey = (resource: { type?: unknown, id?: unknown, lid?: unknown }): string =>
+    `${String(resource.type)}:${String(resource.id ?? resource.lid)}`
+  const documentResources = new Map(primary.concat(included).map(resource => [resourceKey(resource), resource]))
+  const reached = new Set<string>()
+  const missing: string[] = []
+  // Findings covering several resources point at the first one they list
+  let missingContext: string | undefined
+  // Whether some linkage along the paths is absent, so reachability cannot be established
+  let incomplete = false
+
+  paths.filter(Boolean).forEach(path => {
+    let frontier = primary
+    const segments = path.split('.')
+
+    segments.forEach((segment, depth) => {
+      const hop = segments.slice(0, depth + 1).join('.')
+      const next = new Map<string, JsonApiResource>()
+      let linked = 0
+      let excluded = 0
+      let unlinkedContext: string | undefined
+
+      frontier.forEach(resource => {
+        // Sparse fieldsets may leave the relationship, and with it the linkage, out of the response
+        const fieldset = fieldsets[resource.type]
+        if (fieldset && !fieldset.includes(segment)) {
+          excluded++
+          return
+        }
+        const relationshipContext = `${contexts.get(resource)}.relationships.${segment}`
+        const relationship = resource.relationships?.[segment] as { data?: unknown } | undefined
+        if (!relationship || typeof relationship !== 'object' || !Object.prototype.hasOwnProperty.call(relationship, 'data')) {
+          unlinkedContext ??= relationshipContext
+          return
+        }
+        linked++
+        const linkage = (Array.isArray(relationship.data) ? relationship.data : [relationship.data])
+          .filter(identifier => identifier && typeof identifier === 'object') as JsonApiResource[]
+
+        linkage.forEach(identifier => {
+          const key = resourceKey(identifier)
+          const target = documentResources.get(key)
+          if (target) {
+            reached.add(key)
+            next.set(key, target)
+          } else {
+            missing.push(`${hop}: ${identifier.type} "${identifier.id ?? identifier.lid}" linked from ${resource.type} "${resource.id ?? resource.lid}"`)
+            missingContext ??= relationshipContext
+          }
+        })
+      })
+
+      if (excluded > 0) {
+        incomplete = true
+      }
+      if (frontier.length > excluded && linked === 0) {
+        incomplete = true
+        results.valid = false
+        results.errors.push({
+          test: 'Include Path Completeness',
+          context: unlinkedContext,
+          message: `Cannot follow "${hop}" of include path "${path}": none of the ${frontier.length} ${frontier.length === 1 ? 'resource has' : 'resources have'} "${segment}" relationship data`
+        })
+      }
+      frontier = Array.from(next.values())
+    })
+  })
+
+  if (missing.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Include Path Completeness',
+      context: missingContext,
+      message: `${missing.length} resource(s) linked along requested include paths are missing from included: ` +
+        `${missing.slice(0, 5).join('; ')}${missing.length > 5 ? '; ...' : ''}`
+    })
+  } else {
+    results.details.push({
+      test: 'Include Path Completeness',
+      status: 'passed',
+      message: `Every resource linked along include paths ${paths.join(', ')} is in the document`
+    })
+  }
+
+  const unreachable = included.filter(resource => !reached.has(resourceKey(resource)))
+  const unreachableContext = unreachable[0] ? contexts.get(unreachable[0]) : undefined
+  const unreachableList = `${unreachable.slice(0, 5).map(resource => `${resource.type} "${resource.id ?? resource.lid}"`).join(', ')}` +
+    `${unreachable.length > 5 ? ', ...' : ''}`
+  if (unreachable.length > 0 && incomplete) {
+    results.warnings.push({
+      test: 'Included Resource Reachability',
+      context: unreachableContext,
+      message: `${unreachable.length} included resource(s) are not reached by the requested include paths: ${unreachableList}. ` +
+        'Some linkage along the paths is not in the response (e.g. excluded by sparse fieldsets), so they may still have been requested'
+    })
+  } else if (unreachable.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Included Resource Reachability',
+      context: unreachableContext,
+      message: `${unreachable.length} included resource(s) are not reachable by any requested include path: ` +
+        `${unreachableList}. Servers MUST NOT include unrequested resources`
+    })
+  } else {
+    results.details.push({
+      test: 'Included Resource Reachability',
+      status: 'passed',
+      message: `All ${included.length} included resources are reachable by requested include paths`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Gets the requested sparse fieldsets
+ * @param params - All query parameters
+ * @returns Field names by resource type, for each fields[TYPE] parameter
+ */
+function getSparseFieldsets(params: Record<string, string>): Record<string, string[]> {
+  const fieldsets: Record<string, string[]> = {}
+  Object.entries(params)
+    .filter(([key]) => key.startsWith('fields[') && key.endsWith(']'))
+    .forEach(([key, value]) => {
+      fieldsets[key.slice(7, -1)] = value.split(',').map(field => field.trim()).filter(Boolean)
+    })
+  return fieldsets
+}
+
 /**
  * Validates fields[TYPE] parameters for sparse fieldsets
  * @param params - All query parameters
@@ -444,6 +661,7 @@ function validatePageParameter(params: Record<string, string>, response: unknown
       } else {
         results.warnings.push({
           test: 'Page Parameter Effect',
+          context: 'links',
           message: 'Page parameters provided but response has no pagination links'
         })
       }
@@ -457,9 +675,10 @@ function validatePageParameter(params: Record<string, string>, response: unknown
  * Validates filter[*] parameters
  * @param params - All query parameters
  * @param response - API response (optional)
+ * @param filterChecks - Filters whose results are verified against the response
  * @returns Validation result
  */
-function validateFilterParameter(params: Record<string, string>, _response: unknown): ValidationResult {
+function validateFilterParameter(params: Record<string, string>, response: unknown, filterChecks: FilterChecks): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -507,6 +726,12 @@ function validateFilterParameter(params: Record<string, string>, _response: unkn
       status: 'passed',
       message: `Valid filter[${filterField}] = "${filterValue}"`
     })
+
+    const mode = filterChecks[filterField]
+    const doc = response as JsonApiDocument | null
+    if (mode && doc && typeof doc === 'object' && doc.data !== undefined) {
+      mergeValidationResults(results, validateFilterResults(filterField, filterValue ?? '', mode, getPrimaryResources(doc)))
+    }
   })
 
   if (filterParams.length > 0) {
@@ -520,6 +745,133 @@ function validateFilterParameter(params: Record<string, string>, _response: unkn
   return results
 }
 
+/**
+ * Verifies that every returned primary resource matches a filter; comma-separated values
+ * match if any of them does
+ * @param field - Filter field, an attribute or relationship name (or "id")
+ * @param filterValue - Value of the filter parameter
+ * @param mode - How values are compared
+ * @param resources - Primary resources of the response with their paths
+ * @returns Validation result
+ */
+function validateFilterResults(field: string, filterValue: string, mode: FilterMatchMode, resources: LocatedResource[]): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const values = filterValue.split(',').map(value => value.trim())
+  const label = `filter[${field}]=${filterValue} (${mode})`
+  const mismatched: string[] = []
+  const unverifiable: string[] = []
+  // Findings covering several resources point at the first one they list
+  let mismatchContext: string | undefined
+  let unverifiableContext: string | undefined
+
+  resources.forEach(({ resource, context }) => {
+    const name = `${resource.type} "${resource.id ?? resource.lid}"`
+    const candidates = getFilterFieldValues(resource, field)
+    if (candidates === undefined) {
+      unverifiable.push(name)
+      unverifiableContext ??= context
+    } else if (!candidates.some(candidate => values.some(value => matchesFilterValue(candidate, value, mode)))) {
+      mismatched.push(`${name} (${field}: ${JSON.stringify(candidates.length === 1 ? candidates[0] : candidates)})`)
+      mismatchContext ??= `${context}.${getFilterFieldMember(resource, field)}`
+    }
+  })
+
+  if (mismatched.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Filter Results',
+      context: mismatchContext,
+      message: `${mismatched.length} of ${resources.length} resources do not match ${label}: ${mismatched.slice(0, 5).join(', ')}` +
+        `${mismatched.length > 5 ? ', ...' : ''}. The server may be ignoring the filter`
+    })
+  }
+  if (unverifiable.length > 0) {
+    results.warnings.push({
+      test: 'Filter Results',
+      context: unverifiableContext,
+      message: `Cannot verify ${label} for ${unverifiable.length} resource(s) without a "${field}" attribute or relationship data: ${unverifiable.slice(0, 5).join(', ')}`
+    })
+  }
+  if (mismatched.length === 0 && unverifiable.length === 0) {
+    results.details.push({
+      test: 'Filter Results',
+      status: 'passed',
+      message: resources.length === 0
+        ? `No resources returned for ${label}`
+        : `All ${resources.length} resources match ${label}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Gets the member of a resource a filter field is read from, as a path relative to the resource
+ * @param resource - Primary resource that has the field
+ * @param field - Filter field
+ * @returns Path such as "attributes.title", "id" or "relationships.author"
+ */
+function getFilterFieldMember(resource: JsonApiResource, field: string): string {
+  if (resource.attributes && Object.prototype.hasOwnProperty.call(resource.attributes, field)) {
+    return `attributes.${field}`
+  }
+  return field === 'id' ? 'id' : `relationships.${field}`
+}
+
+/**
+ * Collects the values a filter field has on a resource: an attribute (each element of an
+ * array), the resource's id, or the ids of a relationship's resource linkage
+ * @param resource - Primary resource
+ * @param field - Filter field
+ * @returns The values, or undefined if the resource does not have the field
+ */
+function getFilterFieldValues(resource: JsonApiResource, field: string): unknown[] | undefined {
+  if (resource.attributes && Object.prototype.hasOwnProperty.call(resource.attributes, field)) {
+    const value = resource.attributes[field]
+    return Array.isArray(value) && value.length > 0 ? value : [value]
+  }
+  if (field === 'id') {
+    return [resource.id]
+  }
+
+  const relationship = resource.relationships?.[field] as { data?: unknown } | undefined
+  if (relationship && typeof relationship === 'object' && Object.prototype.hasOwnProperty.call(relationship, 'data')) {
+    const linkage = Array.isArray(relationship.data) ? relationship.data : [relationship.data]
+    return linkage.length > 0
+      ? linkage.map(identifier => identifier && typeof identifier === 'object' ? (identifier as { id?: unknown }).id : null)
+      : [null]
+  }
+  return undefined
+}
+
+/**
+ * Compares one field value with one filter value; null matches an empty filter value
+ * @param candidate - Field value
+ * @param value - Filter value
+ * @param mode - How values are compared
+ * @returns True if the value matches
+ */
+function matchesFilterValue(candidate: unknown, value: string, mode: FilterMatchMode): boolean {
+  if (candidate === null || candidate === undefined) {
+    return value === ''
+  }
+  const text = typeof candidate === 'object' ? JSON.stringify(candidate) : String(candidate)
+  switch (mode) {
+    case 'contains':
+      return text.toLowerCase().includes(value.toLowerCase())
+    case 'prefix':
+      return text.toLowerCase().startsWith(value.toLowerCase())
+    default:
+      return text === value
+  }
+}
+
 /**
  * Validates that the response order matches the requested sort fields
  * @param sortFields - Array of sort fields (including '-' prefix for descending)
@@ -610,6 +962,7 @@ function validateSortFieldsExist(sortFields: string[], resources: JsonApiResourc
   if (missingFields.length > 0) {
     results.warnings.push({
       test: 'Sort Field Existence',
+      context: 'data[0]',
       message: `Sort field(s) not found in response resources: ${missingFields.join(', ')}. This may indicate the API doesn't support sorting by these fields.`
     })
   }
@@ -653,6 +1006,7 @@ function validateResponseOrder(sortFields: string[], resources: JsonApiResource[
       results.valid = false
       results.errors.push({
         test: 'Sort Response Order',
+        context: `data[${i + 1}]`,
         message: `Resources at positions ${i + 1} and ${i + 2} are not correctly ordered according to sort criteria: ${sortFields.join(', ')}`
       })
     }
@@ -833,11 +1187,21 @@ function validateCustomParameters(params: Record<string, string>): ValidationRes
   const reservedParams = ['include', 'sort']
   const reservedPrefixes = ['fields[', 'page[', 'filter[']
 
-  const customParams = Object.keys(params).filter(param => {
+  const nonReservedParams = Object.keys(params).filter(param => {
     if (reservedParams.includes(param)) return false
     if (reservedPrefixes.some(prefix => param.startsWith(prefix) && param.endsWith(']'))) return false
     return true
   })
+  const extensionParams = nonReservedParams.filter(param => isRegisteredQueryParameter(param))
+  const customParams = nonReservedParams.filter(param => !extensionParams.includes(param))
+
+  if (extensionParams.length > 0) {
+    results.details.push({
+      test: 'Extension Query Parameters',
+      status: 'passed',
+      message: `Parameters defined by registered extensions or profiles: ${extensionParams.join(', ')}`
+    })
+  }
 
   if (customParams.length === 0) {
     results.details.push({
@@ -854,7 +1218,7 @@ function validateCustomParameters(params: Record<string, string>): ValidationRes
       results.valid = false
       results.errors.push({
         test: 'Custom Parameter Names',
-        message: `Custom parameter "${param}" does not follow JSON:API member naming conventions. Parameter names must contain only lowercase letters, numbers, hyphens, and underscores, and cannot start/end with hyphens or underscores.`
+        message: `Custom parameter "${param}" does not follow JSON:API member naming conventions. Parameter names must start and end with a letter, digit or non-ASCII character and may only contain hyphens, underscores and spaces in between.`
       })
     } else {
       results.details.push({
@@ -876,6 +1240,73 @@ function validateCustomParameters(params: Record<string, string>): ValidationRes
   return results
 }
 
+/**
+ * Validates the names used by query parameters against the naming policy: relationship
+ * paths in include, types and fields in fields[TYPE], sort and filter fields, and the
+ * family names of custom parameters ("myParam" for myParam[x])
+ * @param params - All query parameters
+ * @param namingPolicy - Naming conventions to enforce
+ * @returns Validation result
+ */
+function validateParameterNamingPolicy(params: Record<string, string>, namingPolicy: NamingPolicy): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const fieldConventions = [namingPolicy.attributes, namingPolicy.relationships]
+  const names: Array<{ label: string, name: string, conventions: Array<NamingConvention | undefined> }> = []
+  const addPath = (label: string, path: string, conventions: Array<NamingConvention | undefined>): void => {
+    path.split('.').filter(Boolean).forEach(name => names.push({ label, name, conventions }))
+  }
+
+  Object.entries(params).forEach(([param, value]) => {
+    const fieldsType = param.match(/^fields\[(.+)\]$/)?.[1]
+    const filterField = param.match(/^filter\[(.+)\]$/)?.[1]
+    if (param === 'include') {
+      value.split(',').forEach(path => addPath('Include path segment', path.trim(), [namingPolicy.relationships]))
+    } else if (param === 'sort') {
+      value.split(',').forEach(field => addPath('Sort field', field.trim().replace(/^-/, ''), fieldConventions))
+    } else if (fieldsType !== undefined) {
+      names.push({ label: 'Sparse fieldset type', name: fieldsType, conventions: [namingPolicy.types] })
+      value.split(',').map(field => field.trim()).filter(Boolean)
+        .forEach(field => names.push({ label: `Field in ${param}`, name: field, conventions: fieldConventions }))
+    } else if (filterField !== undefined) {
+      addPath('Filter field', filterField, fieldConventions)
+    } else if (!param.startsWith('page[') && !isRegisteredQueryParameter(param)) {
+      names.push({ label: 'Query parameter family', name: param.split('[')[0] ?? param, conventions: [namingPolicy.queryParameters] })
+    }
+  })
+
+  let checked = 0
+  names.forEach(({ label, name, conventions }) => {
+    const configured = Array.from(new Set(conventions.filter((convention): convention is NamingConvention => convention !== undefined)))
+    if (configured.length === 0) {
+      return
+    }
+    checked++
+    if (!configured.some(convention => matchesNamingConvention(name, convention))) {
+      results.valid = false
+      results.errors.push({
+        test: 'Naming Policy',
+        message: `${label} "${name}" does not follow the ${configured.join(' or ')} naming policy`
+      })
+    }
+  })
+
+  if (checked > 0 && results.valid) {
+    results.details.push({
+      test: 'Naming Policy',
+      status: 'passed',
+      message: `${checked} query parameter name(s) follow the naming policy`
+    })
+  }
+
+  return results
+}
+
 /**
  * Helper function to validate relationship path format (for include parameter)
  * @param path - Relationship path to validate
@@ -907,21 +1338,15 @@ function isValidSortFieldName(fieldName: string): boolean {
 }
 
 /**
- * Helper function to validate JSON:API member names
- * @param name - Member name to validate
- * @returns True if valid member name
+ * Lists the primary resources of a document with their paths in it
+ * @param doc - Response document
+ * @returns Resource objects of the primary data, e.g. at "data[2]", or at "data" for a single resource
  */
-function isValidMemberName(name: string): boolean {
-  if (!name || typeof name !== 'string' || name.length === 0) return false
-
-  // JSON:API member names must:
-  // - Contain only lowercase letters, numbers, hyphens, and underscores
-  // - Start and end with a letter or number
-  // - Not have consecutive hyphens or underscores
-  const validMemberRegex = /^[a-z0-9]([a-z0-9\-_]*[a-z0-9])?$/
-  const hasConsecutive = /--+|__+/.test(name)
-
-  return validMemberRegex.test(name) && !hasConsecutive
+function getPrimaryResources(doc: JsonApiDocument): LocatedResource[] {
+  const entries = Array.isArray(doc.data)
+    ? doc.data.map((resource, index) => ({ resource, context: `data[${index}]` }))
+    : [{ resource: doc.data, context: 'data' }]
+  return entries.filter(entry => entry.resource && typeof entry.resource === 'object') as LocatedResource[]
 }
 
 /**
@@ -109,6 +109,7 @@ export function validateResourceFieldset(resource: unknown, fieldsets: ParsedFie
     results.valid = false
     results.errors.push({
       test: 'Sparse Fieldset Required Fields',
+      context: 'id',
       message: 'Resource "id" field must always be present regardless of fieldset restrictions'
     })
   }
@@ -117,6 +118,7 @@ export function validateResourceFieldset(resource: unknown, fieldsets: ParsedFie
     results.valid = false
     results.errors.push({
       test: 'Sparse Fieldset Required Fields',
+      context: 'type',
       message: 'Resource "type" field must always be present regardless of fieldset restrictions'
     })
   }
@@ -137,6 +139,7 @@ export function validateResourceFieldset(resource: unknown, fieldsets: ParsedFie
       results.valid = false
       results.errors.push({
         test: 'Sparse Fieldset Compliance',
+        context: 'attributes',
         message: `Resource contains unrequested attribute fields: ${extraAttributes.join(', ')}`
       })
     }
@@ -154,6 +157,7 @@ export function validateResourceFieldset(resource: unknown, fieldsets: ParsedFie
     if (missingAttributes.length > 0) {
       results.warnings.push({
         test: 'Sparse Fieldset Completeness',
+        context: 'attributes',
         message: `Some requested fields not present in resource: ${missingAttributes.join(', ')}`
       })
     }
@@ -161,6 +165,7 @@ export function validateResourceFieldset(resource: unknown, fieldsets: ParsedFie
     // Only warn if requested fields would normally be in attributes
     results.warnings.push({
       test: 'Sparse Fieldset Completeness',
+      context: 'attributes',
       message: 'Resource has no attributes object but fieldset includes attribute fields'
     })
   }
@@ -235,16 +240,7 @@ export function validateSparseFieldsets(response: unknown, queryParams: unknown)
         const resourceValidation = validateResourceFieldset(resource, fieldsets)
 
         // Add context to results
-        const contextSuffix = Array.isArray(doc.data) ? ` (resource ${index})` : ''
-        resourceValidation.details.forEach(detail => {
-          detail.context = `Primary data${contextSuffix}`
-        })
-        resourceValidation.errors.forEach(error => {
-          error.context = `Primary data${contextSuffix}`
-        })
-        resourceValidation.warnings.forEach(warning => {
-          warning.context = `Primary data${contextSuffix}`
-        })
+        addResourceContext(resourceValidation, Array.isArray(doc.data) ? `data[${index}]` : 'data')
 
         results.details.push(...resourceValidation.details)
         results.errors.push(...resourceValidation.errors)
@@ -263,16 +259,7 @@ export function validateSparseFieldsets(response: unknown, queryParams: unknown)
       const resourceValidation = validateResourceFieldset(resource, fieldsets)
 
       // Add context to results
-      const typedResource = resource as JsonApiResource
-      resourceValidation.details.forEach(detail => {
-        detail.context = `Included resource ${index} (${typedResource.type}:${typedResource.id})`
-      })
-      resourceValidation.errors.forEach(error => {
-        error.context = `Included resource ${index} (${typedResource.type}:${typedResource.id})`
-      })
-      resourceValidation.warnings.forEach(warning => {
-        warning.context = `Included resource ${index} (${typedResource.type}:${typedResource.id})`
-      })
+      addResourceContext(resourceValidation, `included[${index}]`)
 
       results.details.push(...resourceValidation.details)
       results.errors.push(...resourceValidation.errors)
@@ -287,6 +274,18 @@ export function validateSparseFieldsets(response: unknown, queryParams: unknown)
   return results
 }
 
+/**
+ * Prefixes the context of a resource's findings with the resource's path in the
+ * document, e.g. "attributes" becomes "included[2].attributes"
+ * @param result - Validation result of a single resource
+ * @param resourceContext - Path of the resource in the document
+ */
+function addResourceContext(result: ValidationResult, resourceContext: string): void {
+  [...result.details, ...result.errors, ...result.warnings].forEach(entry => {
+    entry.context = entry.context ? `${resourceContext}.${entry.context}` : resourceContext
+  })
+}
+
 /**
  * Validates query parameter syntax for sparse fieldsets
  * @param queryParams - The query parameters to validate
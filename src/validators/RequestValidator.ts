@@ -5,8 +5,8 @@
  * Based on specification: https://jsonapi.org/format/1.1/#crud
  */
 
-import { validateResourceObject, validateMemberName } from './ResourceValidator.js'
-import type { JsonApiResource } from '../types/validation'
+import { validateResourceObject, validateMemberName, validateLocalIdentifiers } from './ResourceValidator.js'
+import type { JsonApiResource, SpecVersion } from '../types/validation'
 
 interface ValidationError {
   test: string
@@ -38,6 +38,13 @@ interface RequestValidationOptions {
   allowMissingId?: boolean
   context?: string
   readOnlyFields?: string[]
+  specVersion?: SpecVersion
+}
+
+interface RelationshipRequestOptions {
+  relationshipName?: string
+  cardinality?: 'to-one' | 'to-many'
+  specVersion?: SpecVersion
 }
 
 interface RequestDocument {
@@ -46,6 +53,18 @@ interface RequestDocument {
   errors?: unknown[]
 }
 
+export interface ConflictProbe {
+  name: string
+  /** Member of the resource object that no longer matches the endpoint */
+  mismatch: 'type' | 'id'
+  document: Record<string, unknown>
+}
+
+/**
+ * Suffix turning the request's type or id into one the endpoint cannot serve, used to provoke 409 responses
+ */
+export const CONFLICT_PROBE_SUFFIX = '-jsonapi-validator-mismatch'
+
 /**
  * Validates a JSON:API request document for creating or updating resources
  * @param requestBody - The request body to validate
@@ -153,6 +172,269 @@ export function validateRequestDocument(
   return results
 }
 
+/**
+ * Validates a request document sent to a relationship endpoint
+ * (e.g. PATCH/POST/DELETE /articles/1/relationships/tags)
+ * @param requestBody - The request body to validate
+ * @param method - The HTTP method (PATCH, POST, DELETE)
+ * @param options - Relationship name and cardinality, when known
+ * @returns Validation result with success/failure and details
+ */
+export function validateRelationshipRequestDocument(
+  requestBody: unknown,
+  method: string,
+  options: RelationshipRequestOptions = {}
+): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const { relationshipName, cardinality, specVersion = '1.1' } = options
+  const target = relationshipName ? `relationship "${relationshipName}"` : 'relationship'
+
+  if (typeof requestBody !== 'object' || requestBody === null || Array.isArray(requestBody)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Structure',
+      message: 'Relationship request document must be a JSON object'
+    })
+    return results
+  }
+
+  const doc = requestBody as Record<string, unknown>
+
+  if (!Object.prototype.hasOwnProperty.call(doc, 'data')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Structure',
+      message: 'Relationship request document must contain a "data" member with resource linkage'
+    })
+    return results
+  }
+
+  if (Object.prototype.hasOwnProperty.call(doc, 'errors')) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Structure',
+      message: 'Relationship request document must not contain an "errors" member'
+    })
+  }
+
+  const allowedMembers = ['data', 'meta']
+  const additionalMembers = Object.keys(doc).filter(member => !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.warnings.push({
+      test: 'Relationship Request Structure',
+      message: `Relationship request document contains additional top-level members: ${additionalMembers.join(', ')}. Only "data" and "meta" are typically allowed.`
+    })
+  }
+
+  const data = doc.data
+
+  if (method === 'POST' || method === 'DELETE') {
+    // Adding to and removing from a relationship is only defined for to-many relationships
+    if (cardinality === 'to-one') {
+      results.valid = false
+      results.errors.push({
+        test: 'Relationship Request Data',
+        message: `${method} is not defined for to-one ${target}. Use PATCH to replace or clear it.`
+      })
+    }
+    if (!Array.isArray(data)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Relationship Request Data',
+        message: `${method} to a ${target} endpoint must contain an array of resource identifiers in "data"`
+      })
+      return results
+    }
+    if (data.length === 0) {
+      results.warnings.push({
+        test: 'Relationship Request Data',
+        message: `${method} to a ${target} endpoint with an empty array has no effect`
+      })
+    }
+  } else if (method === 'PATCH') {
+    if (Array.isArray(data) && cardinality === 'to-one') {
+      results.valid = false
+      results.errors.push({
+        test: 'Relationship Request Data',
+        message: `PATCH to to-one ${target} must contain a single resource identifier or null, not an array`
+      })
+      return results
+    }
+    if (!Array.isArray(data) && cardinality === 'to-many') {
+      results.valid = false
+      results.errors.push({
+        test: 'Relationship Request Data',
+        message: `PATCH to to-many ${target} must contain an array of resource identifiers (use [] to clear it)`
+      })
+      return results
+    }
+  } else {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Structure',
+      message: `${method} is not a valid method for modifying a relationship. Use PATCH, POST or DELETE.`
+    })
+    return results
+  }
+
+  if (data !== null) {
+    const identifiers = Array.isArray(data) ? data : [data]
+    const seen = new Set<string>()
+
+    identifiers.forEach((identifier, index) => {
+      const context = Array.isArray(data) ? `data[${index}]` : 'data'
+      const identifierValidation = validateLinkageIdentifier(identifier, context, specVersion)
+      results.details.push(...identifierValidation.details)
+      if (!identifierValidation.valid) {
+        results.valid = false
+        results.errors.push(...identifierValidation.errors)
+        return
+      }
+
+      const identifierObj = identifier as Record<string, unknown>
+      const key = `${identifierObj.type}:${identifierObj.id}`
+      if (seen.has(key)) {
+        results.warnings.push({
+          test: 'Relationship Request Data',
+          context,
+          message: `Resource identifier (type: "${identifierObj.type}", id: "${identifierObj.id}") appears more than once`
+        })
+      }
+      seen.add(key)
+    })
+  }
+
+  if (doc.meta !== undefined) {
+    const metaValidation = validateRequestMeta(doc.meta as Record<string, unknown>)
+    results.details.push(...metaValidation.details)
+    if (!metaValidation.valid) {
+      results.valid = false
+      results.errors.push(...metaValidation.errors)
+    }
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Relationship Request Structure',
+      status: 'passed',
+      message: data === null
+        ? `Valid PATCH request clearing to-one ${target}`
+        : `Valid ${method} request document for ${target}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Derives from a valid request document the mismatched documents a server must answer with 409 Conflict:
+ * a POST whose type is not the collection's, and a PATCH whose type or id is not the endpoint's
+ * @param requestBody - The request document the endpoint accepts
+ * @param method - The HTTP method (POST or PATCH)
+ * @returns Probe definitions, empty if the document is not a valid single-resource request
+ */
+export function getConflictProbes(requestBody: unknown, method: string): ConflictProbe[] {
+  if (method !== 'POST' && method !== 'PATCH') {
+    return []
+  }
+
+  // The probes must only differ from a valid request in the mismatched member
+  const validation = validateRequestDocument(requestBody, method)
+  const data = validation.valid ? (requestBody as RequestDocument).data : null
+  if (!data || Array.isArray(data) || typeof data.type !== 'string') {
+    return []
+  }
+
+  const withData = (changes: Partial<JsonApiResource>): Record<string, unknown> => ({
+    ...(requestBody as Record<string, unknown>),
+    data: { ...data, ...changes }
+  })
+
+  const probes: ConflictProbe[] = [{
+    name: method === 'POST' ? 'POST of a type the collection does not hold' : 'PATCH with a type other than the endpoint\'s',
+    mismatch: 'type',
+    document: withData({ type: `${data.type}${CONFLICT_PROBE_SUFFIX}` })
+  }]
+
+  if (method === 'PATCH' && typeof data.id === 'string') {
+    probes.push({
+      name: 'PATCH with an id other than the endpoint\'s',
+      mismatch: 'id',
+      document: withData({ id: `${data.id}${CONFLICT_PROBE_SUFFIX}` })
+    })
+  }
+
+  return probes
+}
+
+/**
+ * Validates a resource identifier sent as relationship linkage
+ * @param identifier - The resource identifier to validate
+ * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply ('lid' exists only in 1.1)
+ * @returns Validation result
+ */
+function validateLinkageIdentifier(identifier: unknown, context: string, specVersion: SpecVersion): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  if (typeof identifier !== 'object' || identifier === null || Array.isArray(identifier)) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Identifier',
+      context,
+      message: 'Relationship linkage must be a resource identifier object'
+    })
+    return results
+  }
+
+  const identifierObj = identifier as Record<string, unknown>
+  const hasLid = specVersion === '1.1' && Object.prototype.hasOwnProperty.call(identifierObj, 'lid')
+
+  if (typeof identifierObj.type !== 'string' || identifierObj.type.length === 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Identifier',
+      context,
+      message: 'Resource identifier must have a non-empty "type" member'
+    })
+  }
+
+  if (typeof identifierObj.id !== 'string' || identifierObj.id.length === 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Identifier',
+      context,
+      message: hasLid
+        ? 'Relationship endpoints link existing resources - resource identifier must use "id", not "lid"'
+        : 'Resource identifier must have a non-empty "id" member'
+    })
+  }
+
+  const allowedMembers = ['type', 'id', 'meta']
+  const additionalMembers = Object.keys(identifierObj).filter(member => !(hasLid && member === 'lid') && !allowedMembers.includes(member))
+  if (additionalMembers.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Relationship Request Identifier',
+      context,
+      message: `Relationship linkage must contain only resource identifiers, found members: ${additionalMembers.join(', ')}`
+    })
+  }
+
+  return results
+}
+
 /**
  * Validates the data member of a request document
  * @param data - The data value to validate
@@ -171,6 +453,7 @@ function validateRequestData(
     warnings: [],
     details: []
   }
+  const specVersion = options.specVersion ?? '1.1'
 
   // For resource creation/update, data must be a resource object (not array or null)
   if (data === null || data === undefined) {
@@ -239,6 +522,16 @@ function validateRequestData(
           message: 'PATCH request resource must include "type" member'
         })
       }
+
+      // Local identifiers only identify resources that do not exist on the server yet
+      if (specVersion === '1.1' && Object.prototype.hasOwnProperty.call(data, 'lid')) {
+        results.valid = false
+        results.errors.push({
+          test: 'Resource Update Validation',
+          context: 'data',
+          message: 'PATCH request resource must not include "lid" - existing resources are identified by "id"'
+        })
+      }
     }
 
     const resourceValidation = validateResourceObject(data, resourceOptions as any) as ValidationResult
@@ -252,6 +545,16 @@ function validateRequestData(
     }
   }
 
+  // Local identifiers must be unique and every lid reference must resolve within the request
+  if (specVersion === '1.1') {
+    const localIdValidation = validateLocalIdentifiers(Array.isArray(data) ? data : [data], 'data')
+    results.details.push(...localIdValidation.details)
+    if (!localIdValidation.valid) {
+      results.valid = false
+      results.errors.push(...localIdValidation.errors)
+    }
+  }
+
   // Additional validation for resource creation
   if (method === 'POST') {
     const creationValidation = validateResourceCreation(data, options)
@@ -312,6 +615,13 @@ function validateResourceCreation(
           message: 'Client-generated ID must be a non-empty string'
         })
       }
+    } else if (options.specVersion !== '1.0' && Object.prototype.hasOwnProperty.call(resource, 'lid')) {
+      results.details.push({
+        test: 'Resource Creation Validation',
+        status: 'passed',
+        context,
+        message: `Resource creation with local identifier "${resource.lid}" (server will assign ID)`
+      })
     } else {
       results.details.push({
         test: 'Resource Creation Validation',
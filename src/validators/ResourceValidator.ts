@@ -6,17 +6,22 @@
  */
 
 import { isValidUrl, getUrlValidationError } from '../utils/UrlValidator.js'
+import { isRegisteredExtensionMember } from './ExtensionRegistry.js'
+import { checkMemberName, getNamingRecommendation, matchesNamingConvention } from './MemberNames.js'
+import type { SpecVersion, AttributeType, ResourceSchema, ResourceSchemas, NamingConvention, NamingPolicy } from '../types/validation'
 
 interface ValidationError {
   test: string
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationWarning {
   test: string
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationDetail {
@@ -24,6 +29,7 @@ interface ValidationDetail {
   status: 'passed' | 'failed' | 'warning'
   message: string
   context?: string
+  location?: { jsonPointer: string }
 }
 
 interface ValidationResult {
@@ -36,6 +42,25 @@ interface ValidationResult {
 interface ResourceValidationOptions {
   allowMissingId?: boolean
   context?: string
+  specVersion?: SpecVersion
+  /** Per-type schemas the resource's attributes and relationships are checked against */
+  schemas?: ResourceSchemas
+  /** Requested sparse fieldsets; required fields outside a type's fieldset are not expected */
+  sparseFieldsets?: Record<string, string[]>
+  /** JSON Pointer of the resource in its document, used to locate schema and naming policy violations */
+  pointer?: string
+  /** Naming conventions the resource's type, attributes, relationships and meta keys must follow */
+  namingPolicy?: NamingPolicy
+}
+
+/**
+ * Schema a resource is checked against, with what is needed to report violations
+ */
+interface SchemaCheck {
+  schema: ResourceSchema
+  label: string
+  pointer?: string
+  fieldset?: string[]
 }
 
 /**
@@ -45,7 +70,7 @@ interface ResourceValidationOptions {
  * @returns Validation result with success/failure and details
  */
 export function validateResourceObject(resource: unknown, options: ResourceValidationOptions = {}): ValidationResult {
-  const { allowMissingId = false, context = 'resource' } = options
+  const { allowMissingId = false, context = 'resource', specVersion = '1.1', schemas, sparseFieldsets, pointer, namingPolicy } = options
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -77,15 +102,16 @@ export function validateResourceObject(resource: unknown, options: ResourceValid
   const resourceObj = resource as Record<string, unknown>
 
   // Step 2: Validate required 'type' member
-  const typeValidation = validateTypeMember(resourceObj.type, context)
+  const typeValidation = validateTypeMember(resourceObj.type, context, specVersion)
   results.details.push(...typeValidation.details)
   if (!typeValidation.valid) {
     results.valid = false
     results.errors.push(...typeValidation.errors)
   }
 
-  // Step 3: Validate required 'id' member (unless allowMissingId is true)
-  const idValidation = validateIdMember(resourceObj.id, context, allowMissingId)
+  // Step 3: Validate required 'id' member (unless allowMissingId is true) and optional 'lid' (JSON:API 1.1 only)
+  const lid = specVersion === '1.1' ? resourceObj.lid : undefined
+  const idValidation = validateIdMember(resourceObj.id, context, allowMissingId, lid)
   results.details.push(...idValidation.details)
   if (!idValidation.valid) {
     results.valid = false
@@ -95,9 +121,18 @@ export function validateResourceObject(resource: unknown, options: ResourceValid
     results.warnings.push(...idValidation.warnings)
   }
 
+  // The schema registered for the resource's type, if any
+  const schema = typeof resourceObj.type === 'string' ? schemas?.[resourceObj.type] : undefined
+  const schemaCheck: SchemaCheck | undefined = schema && {
+    schema,
+    label: `${resourceObj.type} "${String(resourceObj.id ?? resourceObj.lid ?? '')}"`,
+    pointer,
+    fieldset: sparseFieldsets?.[resourceObj.type as string]
+  }
+
   // Step 4: Validate optional 'attributes' member
   if (Object.prototype.hasOwnProperty.call(resourceObj, 'attributes')) {
-    const attributesValidation = validateAttributesMember(resourceObj.attributes, context)
+    const attributesValidation = validateAttributesMember(resourceObj.attributes, context, specVersion, schemaCheck)
     results.details.push(...attributesValidation.details)
     if (!attributesValidation.valid) {
       results.valid = false
@@ -106,16 +141,31 @@ export function validateResourceObject(resource: unknown, options: ResourceValid
     if (attributesValidation.warnings.length > 0) {
       results.warnings.push(...attributesValidation.warnings)
     }
+  } else if (schemaCheck) {
+    // Without an attributes member, only the schema's required attributes can be checked
+    const schemaValidation = validateAttributesAgainstSchema({}, context, schemaCheck)
+    results.details.push(...schemaValidation.details)
+    if (!schemaValidation.valid) {
+      results.valid = false
+      results.errors.push(...schemaValidation.errors)
+    }
   }
 
   // Step 5: Validate optional 'relationships' member
   if (Object.prototype.hasOwnProperty.call(resourceObj, 'relationships')) {
-    const relationshipsValidation = validateRelationshipsMember(resourceObj.relationships, context)
+    const relationshipsValidation = validateRelationshipsMember(resourceObj.relationships, context, specVersion, schemaCheck)
     results.details.push(...relationshipsValidation.details)
     if (!relationshipsValidation.valid) {
       results.valid = false
       results.errors.push(...relationshipsValidation.errors)
     }
+  } else if (schemaCheck) {
+    const schemaValidation = validateRelationshipsAgainstSchema({}, context, schemaCheck)
+    results.details.push(...schemaValidation.details)
+    if (!schemaValidation.valid) {
+      results.valid = false
+      results.errors.push(...schemaValidation.errors)
+    }
   }
 
   // Step 6: Validate optional 'links' member
@@ -138,8 +188,8 @@ export function validateResourceObject(resource: unknown, options: ResourceValid
     }
   }
 
-  // Step 8: Check for reserved/forbidden member names
-  const memberValidation = validateMemberNames(resourceObj, context)
+  // Step 8: Check for reserved/forbidden member names and the naming policy
+  const memberValidation = validateMemberNames(resourceObj, context, specVersion, namingPolicy, pointer)
   results.details.push(...memberValidation.details)
   if (!memberValidation.valid) {
     results.valid = false
@@ -156,9 +206,10 @@ export function validateResourceObject(resource: unknown, options: ResourceValid
  * Validates the 'type' member of a resource object
  * @param type - The type value to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose member name rules apply
  * @returns Validation result
  */
-function validateTypeMember(type: unknown, context: string): ValidationResult {
+function validateTypeMember(type: unknown, context: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -198,7 +249,7 @@ function validateTypeMember(type: unknown, context: string): ValidationResult {
 
   // Validate type naming conventions (should follow recommended patterns)
   // JSON:API recommends using plural, kebab-case names
-  const typeValidation = validateMemberName(type, `${context}.type`)
+  const typeValidation = validateMemberName(type, `${context}.type`, specVersion)
   results.details.push(...typeValidation.details)
   if (!typeValidation.valid) {
     results.valid = false
@@ -216,13 +267,14 @@ function validateTypeMember(type: unknown, context: string): ValidationResult {
 }
 
 /**
- * Validates the 'id' member of a resource object
+ * Validates the 'id' member (and 'lid' local identifier, if present) of a resource object
  * @param id - The id value to validate
  * @param context - Context for error messages
  * @param allowMissingId - Whether missing id is allowed
+ * @param lid - The lid value to validate (undefined if absent)
  * @returns Validation result
  */
-function validateIdMember(id: unknown, context: string, allowMissingId: boolean): ValidationResult {
+function validateIdMember(id: unknown, context: string, allowMissingId: boolean, lid?: unknown): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -230,6 +282,40 @@ function validateIdMember(id: unknown, context: string, allowMissingId: boolean)
     details: []
   }
 
+  if (lid !== undefined) {
+    if (typeof lid !== 'string' || lid.length === 0) {
+      results.valid = false
+      results.errors.push({
+        test: 'Resource Local ID Member',
+        context,
+        message: 'Resource "lid" must be a non-empty string'
+      })
+      return results
+    }
+
+    // A local identifier only stands in for "id" on resources that originate at the client
+    if (id === undefined && !allowMissingId) {
+      results.valid = false
+      results.errors.push({
+        test: 'Resource Local ID Member',
+        context,
+        message: `Resource has "lid" "${lid}" but no "id" - "lid" can only replace "id" for new resources created by the client`
+      })
+      return results
+    }
+
+    results.details.push({
+      test: 'Resource Local ID Member',
+      status: 'passed',
+      context,
+      message: `Resource lid "${lid}" is valid`
+    })
+
+    if (id === undefined) {
+      return results
+    }
+  }
+
   if (id === undefined) {
     if (!allowMissingId) {
       results.valid = false
@@ -282,9 +368,11 @@ function validateIdMember(id: unknown, context: string, allowMissingId: boolean)
  * Validates the 'attributes' member of a resource object
  * @param attributes - The attributes object to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose member name rules apply
+ * @param schemaCheck - Schema of the resource's type, if one is registered
  * @returns Validation result
  */
-function validateAttributesMember(attributes: unknown, context: string): ValidationResult {
+function validateAttributesMember(attributes: unknown, context: string, specVersion: SpecVersion, schemaCheck?: SchemaCheck): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -315,7 +403,7 @@ function validateAttributesMember(attributes: unknown, context: string): Validat
 
   // Validate each attribute name follows JSON:API naming conventions
   for (const attributeName of attributeKeys) {
-    const nameValidation = validateMemberName(attributeName, `${context}.attributes.${attributeName}`)
+    const nameValidation = validateMemberName(attributeName, `${context}.attributes.${attributeName}`, specVersion)
     results.details.push(...nameValidation.details)
     if (!nameValidation.valid) {
       results.valid = false
@@ -363,6 +451,85 @@ function validateAttributesMember(attributes: unknown, context: string): Validat
     })
   }
 
+  if (schemaCheck) {
+    const schemaValidation = validateAttributesAgainstSchema(attributesObj, context, schemaCheck)
+    results.details.push(...schemaValidation.details)
+    if (!schemaValidation.valid) {
+      results.valid = false
+      results.errors.push(...schemaValidation.errors)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Checks attributes against the schema of the resource's type: required attributes must be
+ * present (unless a sparse fieldset leaves them out) and values must have the declared types
+ * @param attributes - The attributes object
+ * @param context - Context for error messages
+ * @param schemaCheck - Schema of the resource's type
+ * @returns Validation result
+ */
+function validateAttributesAgainstSchema(attributes: Record<string, unknown>, context: string, schemaCheck: SchemaCheck): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const { schema, label, fieldset } = schemaCheck
+  const declared = schema.attributes || {}
+
+  for (const [name, attributeSchema] of Object.entries(declared)) {
+    if (!Object.prototype.hasOwnProperty.call(attributes, name)) {
+      if (attributeSchema.required && (!fieldset || fieldset.includes(name))) {
+        results.valid = false
+        results.errors.push({
+          test: 'Schema Attributes',
+          context,
+          message: `${label} is missing required attribute "${name}"`,
+          ...schemaLocation(schemaCheck, 'attributes')
+        })
+      }
+      continue
+    }
+
+    const expected = Array.isArray(attributeSchema.type) ? attributeSchema.type : [attributeSchema.type]
+    const actual = getAttributeType(attributes[name])
+    if (!expected.includes(actual) && !(actual === 'integer' && expected.includes('number'))) {
+      results.valid = false
+      results.errors.push({
+        test: 'Schema Attributes',
+        context,
+        message: `${label} attribute "${name}" must be ${expected.join(' or ')}, got ${actual}`,
+        ...schemaLocation(schemaCheck, 'attributes', name)
+      })
+    }
+  }
+
+  if (schema.additionalAttributes === false) {
+    Object.keys(attributes).filter(name => !Object.prototype.hasOwnProperty.call(declared, name)).forEach(name => {
+      results.valid = false
+      results.errors.push({
+        test: 'Schema Attributes',
+        context,
+        message: `${label} has attribute "${name}", which its schema does not declare`,
+        ...schemaLocation(schemaCheck, 'attributes', name)
+      })
+    })
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Schema Attributes',
+      status: 'passed',
+      context,
+      message: `${label} attributes match the schema`
+    })
+  }
+
   return results
 }
 
@@ -370,9 +537,11 @@ function validateAttributesMember(attributes: unknown, context: string): Validat
  * Validates the 'relationships' member of a resource object
  * @param relationships - The relationships object to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply
+ * @param schemaCheck - Schema of the resource's type, if one is registered
  * @returns Validation result
  */
-function validateRelationshipsMember(relationships: unknown, context: string): ValidationResult {
+function validateRelationshipsMember(relationships: unknown, context: string, specVersion: SpecVersion, schemaCheck?: SchemaCheck): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -406,7 +575,7 @@ function validateRelationshipsMember(relationships: unknown, context: string): V
   let allRelationshipsValid = true
   for (const relationshipName of relationshipKeys) {
     // Validate relationship name follows JSON:API member naming rules
-    const nameValidation = validateMemberName(relationshipName, `${context}.relationships.${relationshipName}`)
+    const nameValidation = validateMemberName(relationshipName, `${context}.relationships.${relationshipName}`, specVersion)
     results.details.push(...nameValidation.details)
     if (!nameValidation.valid) {
       allRelationshipsValid = false
@@ -414,7 +583,7 @@ function validateRelationshipsMember(relationships: unknown, context: string): V
     }
 
     const relationship = relationshipsObj[relationshipName]
-    const relationshipValidation = validateRelationshipObject(relationship, `${context}.relationships.${relationshipName}`)
+    const relationshipValidation = validateRelationshipObject(relationship, `${context}.relationships.${relationshipName}`, specVersion)
 
     results.details.push(...relationshipValidation.details)
     if (!relationshipValidation.valid) {
@@ -435,16 +604,172 @@ function validateRelationshipsMember(relationships: unknown, context: string): V
     results.valid = false
   }
 
+  if (schemaCheck) {
+    const schemaValidation = validateRelationshipsAgainstSchema(relationshipsObj, context, schemaCheck)
+    results.details.push(...schemaValidation.details)
+    if (!schemaValidation.valid) {
+      results.valid = false
+      results.errors.push(...schemaValidation.errors)
+    }
+  }
+
   return results
 }
 
+/**
+ * Checks relationships against the schema of the resource's type: required relationships
+ * must be present, and resource linkage must match the declared cardinality and target types
+ * @param relationships - The relationships object
+ * @param context - Context for error messages
+ * @param schemaCheck - Schema of the resource's type
+ * @returns Validation result
+ */
+function validateRelationshipsAgainstSchema(relationships: Record<string, unknown>, context: string, schemaCheck: SchemaCheck): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const { schema, label, fieldset } = schemaCheck
+  const declared = schema.relationships || {}
+
+  for (const [name, relationshipSchema] of Object.entries(declared)) {
+    if (!Object.prototype.hasOwnProperty.call(relationships, name)) {
+      if (relationshipSchema.required && (!fieldset || fieldset.includes(name))) {
+        results.valid = false
+        results.errors.push({
+          test: 'Schema Relationships',
+          context,
+          message: `${label} is missing required relationship "${name}"`,
+          ...schemaLocation(schemaCheck, 'relationships')
+        })
+      }
+      continue
+    }
+
+    // Linkage is optional in a relationship object; only links or meta may be present
+    const relationship = relationships[name]
+    if (typeof relationship !== 'object' || relationship === null || !Object.prototype.hasOwnProperty.call(relationship, 'data')) {
+      continue
+    }
+    const data = (relationship as Record<string, unknown>).data
+
+    if (relationshipSchema.cardinality === 'many' && !Array.isArray(data)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Schema Relationships',
+        context,
+        message: `${label} relationship "${name}" is to-many, so its data must be an array`,
+        ...schemaLocation(schemaCheck, 'relationships', name, 'data')
+      })
+      continue
+    }
+    if (relationshipSchema.cardinality === 'one' && Array.isArray(data)) {
+      results.valid = false
+      results.errors.push({
+        test: 'Schema Relationships',
+        context,
+        message: `${label} relationship "${name}" is to-one, so its data must be a resource identifier or null`,
+        ...schemaLocation(schemaCheck, 'relationships', name, 'data')
+      })
+      continue
+    }
+
+    const targetTypes = relationshipSchema.types
+    if (targetTypes && targetTypes.length > 0) {
+      const identifiers = Array.isArray(data) ? data : [data]
+      identifiers.forEach((identifier, index) => {
+        const type = typeof identifier === 'object' && identifier !== null ? (identifier as Record<string, unknown>).type : undefined
+        if (typeof type === 'string' && !targetTypes.includes(type)) {
+          results.valid = false
+          results.errors.push({
+            test: 'Schema Relationships',
+            context,
+            message: `${label} relationship "${name}" links to type "${type}"; expected ${targetTypes.map(target => `"${target}"`).join(' or ')}`,
+            ...(Array.isArray(data)
+              ? schemaLocation(schemaCheck, 'relationships', name, 'data', String(index))
+              : schemaLocation(schemaCheck, 'relationships', name, 'data'))
+          })
+        }
+      })
+    }
+  }
+
+  if (schema.additionalRelationships === false) {
+    Object.keys(relationships).filter(name => !Object.prototype.hasOwnProperty.call(declared, name)).forEach(name => {
+      results.valid = false
+      results.errors.push({
+        test: 'Schema Relationships',
+        context,
+        message: `${label} has relationship "${name}", which its schema does not declare`,
+        ...schemaLocation(schemaCheck, 'relationships', name)
+      })
+    })
+  }
+
+  if (results.valid) {
+    results.details.push({
+      test: 'Schema Relationships',
+      status: 'passed',
+      context,
+      message: `${label} relationships match the schema`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Gets the JSON Schema type of an attribute value
+ * @param value - Attribute value
+ * @returns JSON Schema type name; whole numbers are "integer"
+ */
+function getAttributeType(value: unknown): AttributeType {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  switch (typeof value) {
+    case 'number': return Number.isInteger(value) ? 'integer' : 'number'
+    case 'string': return 'string'
+    case 'boolean': return 'boolean'
+    case 'object': return 'object'
+    default: return 'null'
+  }
+}
+
+/**
+ * Builds the location of a schema violation below the resource, when its pointer is known
+ * @param schemaCheck - Schema check carrying the resource's JSON Pointer
+ * @param segments - Member names below the resource
+ * @returns Object with a location to spread into an error, or an empty object
+ */
+function schemaLocation(schemaCheck: SchemaCheck, ...segments: string[]): { location?: { jsonPointer: string } } {
+  return memberLocation(schemaCheck.pointer, ...segments)
+}
+
+/**
+ * Builds the location of a member below the resource, when the resource's pointer is known
+ * @param pointer - JSON Pointer of the resource
+ * @param segments - Member names below the resource
+ * @returns Object with a location to spread into an error, or an empty object
+ */
+function memberLocation(pointer: string | undefined, ...segments: string[]): { location?: { jsonPointer: string } } {
+  if (pointer === undefined) {
+    return {}
+  }
+  const escaped = segments.map(segment => segment.replace(/~/g, '~0').replace(/\//g, '~1'))
+  return { location: { jsonPointer: [pointer, ...escaped].join('/') } }
+}
+
 /**
  * Validates a single relationship object
  * @param relationship - The relationship object to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply
  * @returns Validation result
  */
-function validateRelationshipObject(relationship: unknown, context: string): ValidationResult {
+function validateRelationshipObject(relationship: unknown, context: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -481,7 +806,7 @@ function validateRelationshipObject(relationship: unknown, context: string): Val
 
   // Validate data member if present
   if (hasData) {
-    const dataValidation = validateRelationshipData(relationshipObj.data, context)
+    const dataValidation = validateRelationshipData(relationshipObj.data, context, specVersion)
     results.details.push(...dataValidation.details)
     if (!dataValidation.valid) {
       results.valid = false
@@ -527,9 +852,10 @@ function validateRelationshipObject(relationship: unknown, context: string): Val
  * Validates relationship data (resource identifiers)
  * @param data - The relationship data to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply
  * @returns Validation result
  */
-function validateRelationshipData(data: unknown, context: string): ValidationResult {
+function validateRelationshipData(data: unknown, context: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -552,7 +878,7 @@ function validateRelationshipData(data: unknown, context: string): ValidationRes
     // Array of resource identifier objects (to-many relationship)
     for (let i = 0; i < data.length; i++) {
       const identifier = data[i]
-      const identifierValidation = validateResourceIdentifier(identifier, `${context}.data[${i}]`)
+      const identifierValidation = validateResourceIdentifier(identifier, `${context}.data[${i}]`, specVersion)
       results.details.push(...identifierValidation.details)
       if (!identifierValidation.valid) {
         results.valid = false
@@ -570,7 +896,7 @@ function validateRelationshipData(data: unknown, context: string): ValidationRes
     }
   } else {
     // Single resource identifier object (to-one relationship)
-    const identifierValidation = validateResourceIdentifier(data, `${context}.data`)
+    const identifierValidation = validateResourceIdentifier(data, `${context}.data`, specVersion)
     results.details.push(...identifierValidation.details)
     if (!identifierValidation.valid) {
       results.valid = false
@@ -585,9 +911,10 @@ function validateRelationshipData(data: unknown, context: string): ValidationRes
  * Validates a resource identifier object
  * @param identifier - The resource identifier to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose rules apply ('lid' exists only in 1.1)
  * @returns Validation result
  */
-function validateResourceIdentifier(identifier: unknown, context: string): ValidationResult {
+function validateResourceIdentifier(identifier: unknown, context: string, specVersion: SpecVersion): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -606,8 +933,10 @@ function validateResourceIdentifier(identifier: unknown, context: string): Valid
   }
 
   const identifierObj = identifier as Record<string, unknown>
+  // 'lid' was introduced in JSON:API 1.1
+  const hasLid = specVersion === '1.1' && Object.prototype.hasOwnProperty.call(identifierObj, 'lid')
 
-  // Resource identifier must have type and id
+  // Resource identifier must have type and id (or lid for a resource created in the same document)
   if (!Object.prototype.hasOwnProperty.call(identifierObj, 'type')) {
     results.valid = false
     results.errors.push({
@@ -624,13 +953,26 @@ function validateResourceIdentifier(identifier: unknown, context: string): Valid
     })
   }
 
-  if (!Object.prototype.hasOwnProperty.call(identifierObj, 'id')) {
+  if (hasLid && (typeof identifierObj.lid !== 'string' || identifierObj.lid.length === 0)) {
     results.valid = false
     results.errors.push({
-      test: 'Resource Identifier ID',
+      test: 'Resource Identifier Local ID',
       context,
-      message: 'Resource identifier must have an "id" member'
+      message: 'Resource identifier "lid" must be a non-empty string'
     })
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(identifierObj, 'id')) {
+    if (!hasLid) {
+      results.valid = false
+      results.errors.push({
+        test: 'Resource Identifier ID',
+        context,
+        message: specVersion === '1.1'
+          ? 'Resource identifier must have an "id" member (or "lid" for a resource created in the same document)'
+          : 'Resource identifier must have an "id" member (JSON:API 1.0 has no "lid")'
+      })
+    }
   } else if (typeof identifierObj.id !== 'string' || identifierObj.id.length === 0) {
     results.valid = false
     results.errors.push({
@@ -645,7 +987,9 @@ function validateResourceIdentifier(identifier: unknown, context: string): Valid
       test: 'Resource Identifier Structure',
       status: 'passed',
       context,
-      message: `Resource identifier (type: "${identifierObj.type}", id: "${identifierObj.id}") is valid`
+      message: identifierObj.id !== undefined
+        ? `Resource identifier (type: "${identifierObj.type}", id: "${identifierObj.id}") is valid`
+        : `Resource identifier (type: "${identifierObj.type}", lid: "${identifierObj.lid}") is valid`
     })
   }
 
@@ -882,9 +1226,10 @@ function validateLinkValue(link: unknown, context: string): ValidationResult {
  * Validates a member name follows JSON:API naming conventions
  * @param memberName - The member name to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose naming rules apply
  * @returns Validation result
  */
-export function validateMemberName(memberName: unknown, context: string): ValidationResult {
+export function validateMemberName(memberName: unknown, context: string, specVersion: SpecVersion = '1.1'): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -912,28 +1257,15 @@ export function validateMemberName(memberName: unknown, context: string): Valida
     return results
   }
 
-  // JSON:API v1.1 spec: Member names MUST contain only lowercase letters (a-z),
-  // digits (0-9), hyphen (-), and underscore (_) characters.
-  // Member names MUST start and end with a "globally allowed character" (a-z, 0-9).
-  const memberNamePattern = /^[a-z0-9][a-z0-9_-]*[a-z0-9]$|^[a-z0-9]$/
-
-  if (!memberNamePattern.test(memberName)) {
-    results.valid = false
-    results.errors.push({
-      test: 'Member Name Format',
-      context,
-      message: `Member name "${memberName}" must start and end with lowercase letters or digits and contain only lowercase letters, digits, hyphens, and underscores`
-    })
-    return results
-  }
-
-  // Check for consecutive dashes or underscores (not allowed by JSON:API spec)
-  if (/--/.test(memberName) || /__/.test(memberName) || /-_/.test(memberName) || /_-/.test(memberName)) {
+  // Member names MUST use the allowed characters and start and end with a globally allowed one;
+  // JSON:API 1.1 adds @-members and extension members ("namespace:member")
+  const nameCheck = checkMemberName(memberName, specVersion)
+  if (!nameCheck.valid) {
     results.valid = false
     results.errors.push({
       test: 'Member Name Format',
       context,
-      message: `Member name "${memberName}" cannot contain consecutive dashes, underscores, or mixed consecutive separators`
+      message: `Member name "${memberName}" ${nameCheck.problem} (JSON:API ${specVersion})`
     })
     return results
   }
@@ -950,11 +1282,21 @@ export function validateMemberName(memberName: unknown, context: string): Valida
     return results
   }
 
+  // The naming recommendations are advisory, so departures are only warnings
+  const recommendation = getNamingRecommendation(memberName, specVersion)
+  if (recommendation) {
+    results.warnings.push({
+      test: 'Member Name Recommendation',
+      context,
+      message: `Member name "${memberName}" ${recommendation} (JSON:API ${specVersion} recommendations)`
+    })
+  }
+
   results.details.push({
     test: 'Member Name Format',
     status: 'passed',
     context,
-    message: `Member name "${memberName}" follows JSON:API naming conventions`
+    message: `Member name "${memberName}" follows the JSON:API member name rules`
   })
 
   return results
@@ -1081,11 +1423,21 @@ function validateMetaMember(meta: unknown, context: string): ValidationResult {
 
 /**
  * Validates that resource object doesn't use reserved member names inappropriately
+ * and, when a naming policy is configured, that its names follow the policy
  * @param resource - The resource object to validate
  * @param context - Context for error messages
+ * @param specVersion - JSON:API version whose standard members apply
+ * @param namingPolicy - Naming conventions to enforce, if any
+ * @param pointer - JSON Pointer of the resource, used to locate policy violations
  * @returns Validation result
  */
-function validateMemberNames(resource: Record<string, unknown>, context: string): ValidationResult {
+function validateMemberNames(
+  resource: Record<string, unknown>,
+  context: string,
+  specVersion: SpecVersion,
+  namingPolicy?: NamingPolicy,
+  pointer?: string
+): ValidationResult {
   const results: ValidationResult = {
     valid: true,
     errors: [],
@@ -1094,10 +1446,12 @@ function validateMemberNames(resource: Record<string, unknown>, context: string)
   }
 
   const resourceKeys = Object.keys(resource)
-  const allowedMembers = ['type', 'id', 'attributes', 'relationships', 'links', 'meta']
+  const allowedMembers = specVersion === '1.1'
+    ? ['type', 'id', 'lid', 'attributes', 'relationships', 'links', 'meta']
+    : ['type', 'id', 'attributes', 'relationships', 'links', 'meta']
 
-  // Check for additional members beyond the standard ones
-  const additionalMembers = resourceKeys.filter(key => !allowedMembers.includes(key))
+  // Check for additional members beyond the standard ones and those of registered extensions
+  const additionalMembers = resourceKeys.filter(key => !allowedMembers.includes(key) && !isRegisteredExtensionMember(key))
 
   if (additionalMembers.length > 0) {
     results.warnings.push({
@@ -1114,6 +1468,170 @@ function validateMemberNames(resource: Record<string, unknown>, context: string)
     message: 'Resource object member names are valid'
   })
 
+  if (namingPolicy) {
+    const policyValidation = validateNamingPolicy(resource, context, namingPolicy, pointer)
+    results.details.push(...policyValidation.details)
+    if (!policyValidation.valid) {
+      results.valid = false
+      results.errors.push(...policyValidation.errors)
+    }
+  }
+
+  return results
+}
+
+/**
+ * Validates a resource's type, attribute names, relationship names and meta keys
+ * against the configured naming policy
+ * @param resource - The resource object to validate
+ * @param context - Context for error messages
+ * @param namingPolicy - Naming conventions to enforce
+ * @param pointer - JSON Pointer of the resource
+ * @returns Validation result
+ */
+function validateNamingPolicy(resource: Record<string, unknown>, context: string, namingPolicy: NamingPolicy, pointer?: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const memberKeys = (member: string): string[] => {
+    const value = resource[member]
+    return value && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : []
+  }
+  const checks: Array<{ label: string, convention?: NamingConvention, names: string[], path: (name: string) => string[] }> = [
+    { label: 'Resource type', convention: namingPolicy.types, names: typeof resource.type === 'string' ? [resource.type] : [], path: () => ['type'] },
+    { label: 'Attribute name', convention: namingPolicy.attributes, names: memberKeys('attributes'), path: name => ['attributes', name] },
+    { label: 'Relationship name', convention: namingPolicy.relationships, names: memberKeys('relationships'), path: name => ['relationships', name] },
+    { label: 'Meta key', convention: namingPolicy.meta, names: memberKeys('meta'), path: name => ['meta', name] }
+  ]
+
+  let checked = 0
+  checks.forEach(({ label, convention, names, path }) => {
+    if (!convention) {
+      return
+    }
+    names.forEach(name => {
+      checked++
+      if (!matchesNamingConvention(name, convention)) {
+        results.valid = false
+        results.errors.push({
+          test: 'Naming Policy',
+          context: [context, ...path(name)].join('.'),
+          message: `${label} "${name}" does not follow the ${convention} naming policy`,
+          ...memberLocation(pointer, ...path(name))
+        })
+      }
+    })
+  })
+
+  if (checked > 0 && results.valid) {
+    results.details.push({
+      test: 'Naming Policy',
+      status: 'passed',
+      context,
+      message: `${checked} resource name(s) follow the naming policy`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates local identifiers ('lid') across all resource objects in a document:
+ * each type/lid pair must identify a single resource, and every resource identifier
+ * that uses "lid" without "id" must resolve to a resource in the same document
+ * @param resources - All resource objects in the document (primary data and included)
+ * @param context - Context for error messages
+ * @returns Validation result
+ */
+export function validateLocalIdentifiers(resources: unknown[], context: string = 'document'): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  // Collect the lid of every resource object, reporting type/lid pairs used more than once
+  const definedLids = new Set<string>()
+  const duplicateLids = new Set<string>()
+  resources.forEach(resource => {
+    if (resource && typeof resource === 'object' && !Array.isArray(resource)) {
+      const resourceObj = resource as Record<string, unknown>
+      if (typeof resourceObj.type === 'string' && typeof resourceObj.lid === 'string') {
+        const key = `${resourceObj.type}:${resourceObj.lid}`
+        if (definedLids.has(key)) {
+          duplicateLids.add(key)
+        }
+        definedLids.add(key)
+      }
+    }
+  })
+
+  duplicateLids.forEach(key => {
+    const [type, ...lidParts] = key.split(':')
+    results.valid = false
+    results.errors.push({
+      test: 'Local Identifier Uniqueness',
+      context,
+      message: `Local identifier "${lidParts.join(':')}" is used by more than one "${type}" resource in the document`
+    })
+  })
+
+  // Every lid-only resource identifier must point at a resource defined in this document
+  const unresolved = new Set<string>()
+  let lidReferenceCount = 0
+  resources.forEach(resource => {
+    if (!resource || typeof resource !== 'object' || Array.isArray(resource)) {
+      return
+    }
+    const relationships = (resource as Record<string, unknown>).relationships
+    if (!relationships || typeof relationships !== 'object') {
+      return
+    }
+    Object.values(relationships as Record<string, unknown>).forEach(relationship => {
+      const linkage = relationship && typeof relationship === 'object'
+        ? (relationship as Record<string, unknown>).data
+        : undefined
+      const identifiers = Array.isArray(linkage) ? linkage : [linkage]
+      identifiers.forEach(identifier => {
+        if (!identifier || typeof identifier !== 'object') {
+          return
+        }
+        const identifierObj = identifier as Record<string, unknown>
+        if (identifierObj.id === undefined && typeof identifierObj.lid === 'string' && typeof identifierObj.type === 'string') {
+          lidReferenceCount++
+          const key = `${identifierObj.type}:${identifierObj.lid}`
+          if (!definedLids.has(key)) {
+            unresolved.add(key)
+          }
+        }
+      })
+    })
+  })
+
+  unresolved.forEach(key => {
+    const [type, ...lidParts] = key.split(':')
+    results.valid = false
+    results.errors.push({
+      test: 'Local Identifier Resolution',
+      context,
+      message: `Resource identifier with lid "${lidParts.join(':')}" (type "${type}") does not match any resource in the document`
+    })
+  })
+
+  if (results.valid && (definedLids.size > 0 || lidReferenceCount > 0)) {
+    results.details.push({
+      test: 'Local Identifier Resolution',
+      status: 'passed',
+      context,
+      message: `${definedLids.size} local identifier(s) are unique and ${lidReferenceCount} lid reference(s) resolve within the document`
+    })
+  }
+
   return results
 }
 
@@ -1180,7 +1698,8 @@ export function validateResourceCollection(resources: unknown, options: Resource
   for (let i = 0; i < resources.length; i++) {
     const resourceValidation = validateResourceObject(resources[i], {
       ...options,
-      context: `resource[${i}]`
+      context: `${options.context ?? 'resource'}[${i}]`,
+      pointer: options.pointer === undefined ? undefined : `${options.pointer}/${i}`
     })
 
     results.details.push(...resourceValidation.details)
@@ -5,6 +5,8 @@
  * Based on specification: https://jsonapi.org/format/1.1/#url-based-json-api
  */
 
+import { isValidMemberName } from './MemberNames.js'
+
 interface ValidationError {
   test: string
   message: string
@@ -37,6 +39,12 @@ interface PathAnalysis {
   relationshipName: string | null
 }
 
+export interface RelationshipEndpoint {
+  resourceType: string
+  resourceId: string
+  relationshipName: string
+}
+
 /**
  * Validates JSON:API URL structure and patterns
  * @param url - The URL to validate
@@ -96,6 +104,38 @@ export function validateUrlStructure(url: unknown): ValidationResult {
   return results
 }
 
+/**
+ * Identifies a relationship endpoint URL (e.g. /articles/1/relationships/tags),
+ * allowing for a base path such as /api/v1 in front of the resource type
+ * @param url - The URL to inspect
+ * @returns The resource type, id and relationship name, or null for other URLs
+ */
+export function parseRelationshipUrl(url: unknown): RelationshipEndpoint | null {
+  if (!url || typeof url !== 'string') {
+    return null
+  }
+
+  let parsedUrl: URL
+  try {
+    parsedUrl = new URL(url)
+  } catch {
+    return null
+  }
+
+  const pathSegments = parsedUrl.pathname.split('/').filter(segment => segment.length > 0)
+  const keywordIndex = pathSegments.length - 2
+
+  if (keywordIndex < 2 || pathSegments[keywordIndex] !== 'relationships') {
+    return null
+  }
+
+  return {
+    resourceType: pathSegments[keywordIndex - 2] ?? '',
+    resourceId: pathSegments[keywordIndex - 1] ?? '',
+    relationshipName: pathSegments[keywordIndex + 1] ?? ''
+  }
+}
+
 /**
  * Validates JSON:API URL path structure
  * @param pathname - URL pathname to validate
@@ -232,7 +272,7 @@ function validateResourceCollectionUrl(pathSegments: string[]): ValidationResult
   // Check if resource type appears plural
   if (resourceType && !resourceType.endsWith('s') && !isKnownPluralForm(resourceType)) {
     results.warnings.push({
-      test: 'Resource Collection URL',
+      test: 'Resource Type Plural Form',
       message: `Resource type "${resourceType}" may not be plural. JSON:API recommends plural resource types for collections.`
     })
   }
@@ -503,22 +543,6 @@ function isValidRelationshipName(relationshipName: string): boolean {
   return isValidMemberName(relationshipName)
 }
 
-/**
- * Validates if a string is a valid JSON:API member name
- * @param name - Member name to validate
- * @returns True if valid member name
- */
-function isValidMemberName(name: string): boolean {
-  if (!name || typeof name !== 'string' || name.length === 0) return false
-
-  // JSON:API member names: lowercase letters, numbers, hyphens, underscores
-  // Must start and end with letter or number
-  const validMemberRegex = /^[a-z0-9]([a-z0-9\-_]*[a-z0-9])?$/
-  const hasConsecutive = /--+|__+/.test(name)
-
-  return validMemberRegex.test(name) && !hasConsecutive
-}
-
 /**
  * Checks if a resource type is a known plural form
  * @param resourceType - Resource type to check
@@ -0,0 +1,642 @@
+/**
+ * WorkflowValidator.ts
+ *
+ * Validates the responses of a create → read → update → read → delete → read
+ * workflow against one resource: each step must answer as the specification
+ * requires and leave the resource in the state the previous step asked for.
+ * A partial update must in addition leave the members it does not send untouched.
+ * Based on specification: https://jsonapi.org/format/1.1/#crud
+ */
+
+import { normalizeUrl } from '../utils/UrlValidator.js'
+import type { ApiResponse } from '../types/validation'
+
+interface ValidationError {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationWarning {
+  test: string
+  message: string
+  context?: string
+}
+
+interface ValidationDetail {
+  test: string
+  status: 'passed' | 'failed' | 'warning'
+  message: string
+}
+
+interface ValidationResult {
+  valid: boolean
+  errors: ValidationError[]
+  warnings: ValidationWarning[]
+  details: ValidationDetail[]
+}
+
+/**
+ * Resource a step expects the server to return
+ */
+export interface ExpectedResource {
+  type: string
+  id?: string
+  /** Attribute values sent by the workflow, compared with the returned ones */
+  attributes?: Record<string, unknown>
+}
+
+/**
+ * Validates the response to creating a resource without a client-generated ID
+ * @param response - Response to the POST request
+ * @param expected - Resource that was sent (an ID makes it client-generated)
+ * @param requestUrl - Collection URL the resource was posted to
+ * @returns Validation result
+ */
+export function validateCreateResponse(response: ApiResponse, expected: ExpectedResource, requestUrl: string): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Resource Creation'
+  const resource = getPrimaryResource(response.data)
+
+  if (response.status === 202) {
+    results.warnings.push({
+      test,
+      message: 'Server accepted the resource for later processing (202 Accepted); the workflow cannot read, update or delete it'
+    })
+    return results
+  }
+
+  if (response.status === 204) {
+    if (expected.id === undefined) {
+      results.valid = false
+      results.errors.push({
+        test,
+        message: '204 No Content is only allowed when the request includes a client-generated ID; the server must answer 201 Created with the resource'
+      })
+    } else {
+      results.details.push({
+        test,
+        status: 'passed',
+        message: `Created ${expected.type} "${expected.id}" with its client-generated ID (204 No Content)`
+      })
+    }
+    return results
+  }
+
+  if (response.status !== 201) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `Expected 201 Created for the new resource, got ${response.status}`
+    })
+    return results
+  }
+
+  if (!resource || resource.type !== expected.type || typeof resource.id !== 'string') {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data',
+      message: `201 Created must include the created ${expected.type} resource, with its ID, as primary data`
+    })
+    return results
+  }
+
+  results.details.push({
+    test,
+    status: 'passed',
+    message: `Created ${expected.type} "${resource.id}" (201 Created)`
+  })
+
+  // The Location header should identify the resource, and must agree with links.self when both are given
+  const location = response.headers.location
+  const selfLink = getSelfLink(resource)
+  if (!location) {
+    results.warnings.push({
+      test: 'Workflow Resource Location',
+      message: '201 Created response should include a Location header identifying the created resource'
+    })
+  } else if (selfLink && normalizeUrl(resolveUrl(location, requestUrl)) !== normalizeUrl(resolveUrl(selfLink, requestUrl))) {
+    results.valid = false
+    results.errors.push({
+      test: 'Workflow Resource Location',
+      context: 'data.links.self',
+      message: `Location header "${location}" does not match the created resource's links.self "${selfLink}"`
+    })
+  } else {
+    results.details.push({
+      test: 'Workflow Resource Location',
+      status: 'passed',
+      message: `Location header identifies the created resource: ${location}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates that fetching the resource returns what the workflow last wrote. Values the server
+ * changed after creation are warnings (servers may normalize input); after an update they are failures
+ * @param response - Response to the GET request
+ * @param expected - Resource and attribute values the workflow wrote
+ * @param stage - Step that wrote the values
+ * @returns Validation result
+ */
+export function validateResourceReadBack(response: ApiResponse, expected: ExpectedResource, stage: 'create' | 'update'): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = stage === 'create' ? 'Workflow Read After Create' : 'Workflow Read After Update'
+  const resource = getPrimaryResource(response.data)
+
+  if (response.status !== 200) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `Expected 200 OK when fetching ${expected.type} "${expected.id}" after the ${stage}, got ${response.status}`
+    })
+    return results
+  }
+
+  if (!resource || resource.type !== expected.type || resource.id !== expected.id) {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data',
+      message: `Expected ${expected.type} "${expected.id}" as primary data, got ${resource ? `${String(resource.type)} "${String(resource.id)}"` : 'no resource object'}`
+    })
+    return results
+  }
+
+  const attributes = resource.attributes && typeof resource.attributes === 'object'
+    ? resource.attributes as Record<string, unknown>
+    : {}
+  const differences = Object.entries(expected.attributes ?? {})
+    .filter(([name, value]) => !isSameValue(attributes[name], value))
+    .map(([name, value]) => `${name} (sent ${JSON.stringify(value)}, got ${name in attributes ? JSON.stringify(attributes[name]) : 'nothing'})`)
+
+  if (differences.length === 0) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `${expected.type} "${expected.id}" has every attribute value sent with the ${stage}`
+    })
+  } else if (stage === 'create') {
+    results.warnings.push({
+      test,
+      context: 'data.attributes',
+      message: `${expected.type} "${expected.id}" differs from what was created: ${differences.join(', ')}`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data.attributes',
+      message: `${expected.type} "${expected.id}" does not reflect the update: ${differences.join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates the response to updating a resource
+ * @param response - Response to the PATCH request
+ * @param expected - Resource that was updated
+ * @returns Validation result
+ */
+export function validateUpdateResponse(response: ApiResponse, expected: ExpectedResource): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Resource Update'
+  const resource = getPrimaryResource(response.data)
+
+  if (response.status === 200 && !(resource && resource.type === expected.type && resource.id === expected.id)) {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data',
+      message: `200 OK for an update must include the updated ${expected.type} "${expected.id}" as primary data; use 204 No Content otherwise`
+    })
+  } else if ([200, 202, 204].includes(response.status)) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `Updated ${expected.type} "${expected.id}" (${response.status})`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `Expected 200 OK, 202 Accepted or 204 No Content for the update, got ${response.status}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates that a 200 OK answer to an update represents the resource with the values sent
+ * @param response - Response to the PATCH request
+ * @param expected - Resource and attribute values the update sent
+ * @returns Validation result; empty for other statuses, whose bodies need not describe the resource
+ */
+export function validateUpdateResponseBody(response: ApiResponse, expected: ExpectedResource): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Update Response Body'
+  const resource = getPrimaryResource(response.data)
+  // A 200 without the resource is already reported as a Workflow Resource Update failure
+  if (response.status !== 200 || !resource || resource.type !== expected.type || resource.id !== expected.id) {
+    return results
+  }
+
+  const attributes = getMembers(resource, 'attributes')
+  const differences = Object.entries(expected.attributes ?? {})
+    .filter(([name, value]) => !isSameValue(attributes[name], value))
+    .map(([name, value]) => `${name} (sent ${JSON.stringify(value)}, got ${name in attributes ? JSON.stringify(attributes[name]) : 'nothing'})`)
+
+  if (differences.length === 0) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `200 OK represents ${expected.type} "${expected.id}" with the updated values`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data.attributes',
+      message: `200 OK must represent the updated ${expected.type} "${expected.id}", but it does not reflect the update: ${differences.join(', ')}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates that an update changed only the members it sent, by comparing the resource fetched
+ * before and after it. Members the request left out must keep their current values: clearing
+ * them fails, and so does any other change after 204 No Content, which promises none. After
+ * 200 OK the server may change further members (e.g. timestamps) if its response shows them
+ * @param response - Response to the GET request after the update
+ * @param before - Resource object fetched before the update
+ * @param sent - Names of the attributes and relationships the update sent
+ * @param update - Response to the PATCH request, if it succeeded
+ * @returns Validation result
+ */
+export function validatePartialUpdate(
+  response: ApiResponse,
+  before: Record<string, unknown>,
+  sent: { attributes: string[]; relationships: string[] },
+  update?: ApiResponse
+): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Partial Update'
+  const after = getPrimaryResource(response.data)
+  // A missing or different resource is already reported by the read-back check
+  if (response.status !== 200 || !after || after.type !== before.type || after.id !== before.id) {
+    return results
+  }
+
+  const label = `${String(before.type)} "${String(before.id)}"`
+  const updated = update ? getPrimaryResource(update.data) : undefined
+  const changes = [
+    ...getUnsentChanges(before, after, 'attributes', sent.attributes),
+    ...getUnsentChanges(before, after, 'relationships', sent.relationships)
+  ]
+
+  if (changes.length === 0) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `Only the members sent with the update changed on ${label}`
+    })
+    return results
+  }
+
+  const describe = (change: UnsentChange): string =>
+    `${change.kind === 'attributes' ? 'attribute' : 'relationship'} "${change.name}" (was ${JSON.stringify(change.before) ?? 'absent'}, now ${JSON.stringify(change.after) ?? 'absent'})`
+
+  const cleared = changes.filter(change => change.cleared)
+  if (cleared.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data',
+      message: `Members left out of the update must keep their values, not be cleared, on ${label}: ${cleared.map(describe).join(', ')}`
+    })
+  }
+
+  const changed = changes.filter(change => !change.cleared)
+  if (changed.length === 0) {
+    return results
+  }
+
+  if (update?.status === 204) {
+    results.valid = false
+    results.errors.push({
+      test,
+      context: 'data',
+      message: `204 No Content means the server changed nothing besides the update, but ${label} changed: ${changed.map(describe).join(', ')}`
+    })
+    return results
+  }
+
+  // After 200 OK the response must already have shown every other change
+  const unreported = update?.status === 200 && updated
+    ? changed.filter(change => !isSameValue(getMemberValue(updated, change), change.after))
+    : []
+  if (unreported.length > 0) {
+    results.valid = false
+    results.errors.push({
+      test: 'Workflow Update Response Body',
+      context: 'data',
+      message: `200 OK must represent ${label} as a fetch would, but it did not show: ${unreported.map(describe).join(', ')}`
+    })
+  }
+
+  results.warnings.push({
+    test,
+    context: 'data',
+    message: `The server also changed members the update did not send on ${label}; make sure this is intended: ${changed.map(describe).join(', ')}`
+  })
+
+  return results
+}
+
+/**
+ * Validates the response to deleting a resource
+ * @param response - Response to the DELETE request
+ * @param expected - Resource that was deleted
+ * @returns Validation result
+ */
+export function validateDeleteResponse(response: ApiResponse, expected: ExpectedResource): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Resource Deletion'
+  const document = response.data && typeof response.data === 'object' ? response.data as Record<string, unknown> : {}
+
+  if (response.status === 200 && Object.keys(document).some(member => member !== 'meta' && member !== 'jsonapi')) {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: '200 OK for a deletion must respond with only top-level meta; use 204 No Content otherwise'
+    })
+  } else if ([200, 202, 204].includes(response.status)) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `Deleted ${expected.type} "${expected.id}" (${response.status})`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `Expected 204 No Content, 200 OK or 202 Accepted for the deletion, got ${response.status}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates that a deleted resource can no longer be fetched
+ * @param response - Response to the GET request
+ * @param expected - Resource that was deleted
+ * @returns Validation result
+ */
+export function validateReadAfterDelete(response: ApiResponse, expected: ExpectedResource): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Workflow Read After Delete'
+
+  if (response.status === 404) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `Deleted ${expected.type} "${expected.id}" is no longer found (404 Not Found)`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: response.status >= 200 && response.status < 300
+        ? `Deleted ${expected.type} "${expected.id}" can still be fetched (${response.status})`
+        : `Expected 404 Not Found for the deleted ${expected.type} "${expected.id}", got ${response.status}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Validates that a response has one of the status codes a scenario step expects
+ * @param response - Response to the step's request
+ * @param expected - Allowed status codes
+ * @returns Validation result
+ */
+export function validateExpectedStatus(response: ApiResponse, expected: number[]): ValidationResult {
+  const results: ValidationResult = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    details: []
+  }
+
+  const test = 'Scenario Expected Status'
+  const allowed = expected.join(' or ')
+
+  if (expected.includes(response.status)) {
+    results.details.push({
+      test,
+      status: 'passed',
+      message: `Response has the expected status ${response.status}`
+    })
+  } else {
+    results.valid = false
+    results.errors.push({
+      test,
+      message: `Expected status ${allowed}, got ${response.status}`
+    })
+  }
+
+  return results
+}
+
+/**
+ * Finds where a created resource can be fetched: the Location header, else its links.self
+ * @param response - Response to the POST request
+ * @param requestUrl - Collection URL the resource was posted to, for resolving relative URLs
+ * @returns Absolute URL, or undefined if the response names none
+ */
+export function getCreatedResourceUrl(response: ApiResponse, requestUrl: string): string | undefined {
+  const location = response.headers.location
+  const resource = getPrimaryResource(response.data)
+  const url = location || (resource ? getSelfLink(resource) : undefined)
+  return url ? resolveUrl(url, requestUrl) : undefined
+}
+
+/**
+ * Gets the single resource object of a document
+ * @param document - Response document
+ * @returns Primary resource, or undefined if the primary data is not a single resource object
+ */
+function getPrimaryResource(document: unknown): Record<string, unknown> | undefined {
+  const data = document && typeof document === 'object' ? (document as Record<string, unknown>).data : undefined
+  return data && typeof data === 'object' && !Array.isArray(data) ? data as Record<string, unknown> : undefined
+}
+
+/**
+ * A member of a resource that changed although the update did not send it
+ */
+interface UnsentChange {
+  kind: 'attributes' | 'relationships'
+  name: string
+  before: unknown
+  after: unknown
+  /** Whether a value was replaced by null, an empty to-many linkage or nothing */
+  cleared: boolean
+}
+
+/**
+ * Lists the attributes or relationship linkages that differ between two representations of a resource,
+ * leaving out those the update sent. Relationships are compared by their data; links alone are not
+ * @param before - Resource object fetched before the update
+ * @param after - Resource object fetched after the update
+ * @param kind - Which members to compare
+ * @param sent - Names of the members the update sent
+ * @returns Changed members
+ */
+function getUnsentChanges(
+  before: Record<string, unknown>,
+  after: Record<string, unknown>,
+  kind: 'attributes' | 'relationships',
+  sent: string[]
+): UnsentChange[] {
+  const names = new Set([...Object.keys(getMembers(before, kind)), ...Object.keys(getMembers(after, kind))])
+  return [...names]
+    .filter(name => !sent.includes(name))
+    .map(name => ({ kind, name, before: getMemberValue(before, { kind, name }), after: getMemberValue(after, { kind, name }) }))
+    .filter(change => !(kind === 'relationships' && change.before === undefined && change.after === undefined))
+    .filter(change => !isSameValue(change.after, change.before))
+    .map(change => ({ ...change, cleared: isEmptyValue(change.after) && !isEmptyValue(change.before) }))
+}
+
+/**
+ * Gets the attributes or relationships object of a resource
+ * @param resource - Resource object
+ * @param kind - Which members to get
+ * @returns The members, or an empty object if the resource has none
+ */
+function getMembers(resource: Record<string, unknown>, kind: 'attributes' | 'relationships'): Record<string, unknown> {
+  const members = resource[kind]
+  return members && typeof members === 'object' && !Array.isArray(members) ? members as Record<string, unknown> : {}
+}
+
+/**
+ * Gets the value of an attribute, or the linkage of a relationship
+ * @param resource - Resource object
+ * @param member - Kind and name of the member
+ * @returns The value, or undefined if the resource lacks it (or the relationship has no data)
+ */
+function getMemberValue(resource: Record<string, unknown>, member: { kind: 'attributes' | 'relationships'; name: string }): unknown {
+  const value = getMembers(resource, member.kind)[member.name]
+  if (member.kind === 'attributes') {
+    return value
+  }
+  return value && typeof value === 'object' ? (value as Record<string, unknown>).data : undefined
+}
+
+/**
+ * Tells whether a value is absent, null or an empty to-many linkage
+ * @param value - Attribute value or relationship linkage
+ * @returns True if the value is empty
+ */
+function isEmptyValue(value: unknown): boolean {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0)
+}
+
+/**
+ * Gets the self link of a resource object, whether a string or a link object
+ * @param resource - Resource object
+ * @returns Link URL, or undefined if the resource has none
+ */
+function getSelfLink(resource: Record<string, unknown>): string | undefined {
+  const links = resource.links as Record<string, unknown> | undefined
+  const self = links && typeof links === 'object' ? links.self : undefined
+  const href = self && typeof self === 'object' ? (self as { href?: unknown }).href : self
+  return typeof href === 'string' && href.length > 0 ? href : undefined
+}
+
+/**
+ * Resolves a possibly relative URL against the request URL
+ * @param url - URL from the response
+ * @param base - Request URL
+ * @returns Absolute URL, or the URL unchanged if it cannot be resolved
+ */
+function resolveUrl(url: string, base: string): string {
+  try {
+    return new URL(url, base).toString()
+  } catch {
+    return url
+  }
+}
+
+/**
+ * Compares a returned attribute value with the one sent, ignoring object member order
+ * @param actual - Returned value
+ * @param expected - Sent value
+ * @returns True if both are the same JSON value
+ */
+function isSameValue(actual: unknown, expected: unknown): boolean {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && actual.length === expected.length && expected.every((item, i) => isSameValue(actual[i], item))
+  }
+  if (expected && typeof expected === 'object') {
+    if (!actual || typeof actual !== 'object' || Array.isArray(actual)) {
+      return false
+    }
+    const actualObject = actual as Record<string, unknown>
+    const expectedObject = expected as Record<string, unknown>
+    return Object.keys(actualObject).length === Object.keys(expectedObject).length &&
+      Object.keys(expectedObject).every(key => isSameValue(actualObject[key], expectedObject[key]))
+  }
+  return actual === expected
+}
@@ -0,0 +1,280 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  isAtomicOperationsMediaType,
+  validateAtomicOperationsDocument,
+  validateAtomicResultsDocument
+} from '../AtomicOperationsValidator.js'
+
+describe('AtomicOperationsValidator', () => {
+  describe('isAtomicOperationsMediaType', () => {
+    it('should detect the atomic extension in the ext parameter', () => {
+      expect(isAtomicOperationsMediaType('application/vnd.api+json; ext="https://jsonapi.org/ext/atomic"')).toBe(true)
+    })
+
+    it('should detect the atomic extension among several extensions', () => {
+      expect(isAtomicOperationsMediaType('application/vnd.api+json; ext="https://example.com/ext https://jsonapi.org/ext/atomic"')).toBe(true)
+    })
+
+    it('should not detect the extension without an ext parameter', () => {
+      expect(isAtomicOperationsMediaType('application/vnd.api+json')).toBe(false)
+      expect(isAtomicOperationsMediaType(undefined)).toBe(false)
+    })
+
+    it('should not detect the extension on other media types', () => {
+      expect(isAtomicOperationsMediaType('application/json; ext="https://jsonapi.org/ext/atomic"')).toBe(false)
+    })
+  })
+
+  describe('validateAtomicOperationsDocument', () => {
+    describe('Valid operations', () => {
+      it('should validate an add operation creating a resource', () => {
+        const request = {
+          'atomic:operations': [{
+            op: 'add',
+            href: '/articles',
+            data: { type: 'articles', lid: 'a1', attributes: { title: 'Hello' } }
+          }]
+        }
+
+        const result = validateAtomicOperationsDocument(request)
+
+        expect(result.valid).toBe(true)
+        expect(result.errors).toHaveLength(0)
+      })
+
+      it('should validate an update operation with matching ref', () => {
+        const request = {
+          'atomic:operations': [{
+            op: 'update',
+            ref: { type: 'articles', id: '1' },
+            data: { type: 'articles', id: '1', attributes: { title: 'Updated' } }
+          }]
+        }
+
+        const result = validateAtomicOperationsDocument(request)
+
+        expect(result.valid).toBe(true)
+      })
+
+      it('should validate a remove operation', () => {
+        const request = {
+          'atomic:operations': [{ op: 'remove', ref: { type: 'articles', id: '1' } }]
+        }
+
+        const result = validateAtomicOperationsDocument(request)
+
+        expect(result.valid).toBe(true)
+      })
+
+      it('should validate relationship operations', () => {
+        const request = {
+          'atomic:operations': [
+            {
+              op: 'add',
+              href: '/tags',
+              data: { type: 'tags', lid: 't1', attributes: { name: 'news' } }
+            },
+            {
+              op: 'update',
+              ref: { type: 'articles', id: '1', relationship: 'author' },
+              data: null
+            },
+            {
+              op: 'add',
+              ref: { type: 'articles', id: '1', relationship: 'tags' },
+              data: [{ type: 'tags', id: '2' }, { type: 'tags', lid: 't1' }]
+            }
+          ]
+        }
+
+        const result = validateAtomicOperationsDocument(request)
+
+        expect(result.valid).toBe(true)
+      })
+    })
+
+    describe('Invalid operations', () => {
+      it('should reject a document without atomic:operations', () => {
+        const result = validateAtomicOperationsDocument({ data: { type: 'articles' } })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].message).toContain('atomic:operations')
+      })
+
+      it('should reject atomic:operations that is not an array', () => {
+        const result = validateAtomicOperationsDocument({ 'atomic:operations': {} })
+
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject a missing or unknown op code', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ ref: { type: 'articles', id: '1' } }, { op: 'delete', ref: { type: 'articles', id: '1' } }]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors.filter(e => e.test === 'Atomic Operation Code')).toHaveLength(2)
+      })
+
+      it('should reject operations with both ref and href', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ op: 'remove', ref: { type: 'articles', id: '1' }, href: '/articles/1' }]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].message).toContain('both "ref" and "href"')
+      })
+
+      it('should reject a ref with both id and lid', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ op: 'remove', ref: { type: 'articles', id: '1', lid: 'a1' } }]
+        })
+
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject a remove operation without a target', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ op: 'remove' }]
+        })
+
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject an add operation without data', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ op: 'add', href: '/articles' }]
+        })
+
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject an update whose data does not match ref', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{
+            op: 'update',
+            ref: { type: 'articles', id: '1' },
+            data: { type: 'articles', id: '2', attributes: { title: 'x' } }
+          }]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].message).toContain('does not match')
+      })
+
+      it('should reject non-array data when adding to a relationship', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{
+            op: 'add',
+            ref: { type: 'articles', id: '1', relationship: 'tags' },
+            data: { type: 'tags', id: '2' }
+          }]
+        })
+
+        expect(result.valid).toBe(false)
+      })
+
+      it('should reject full resource objects as relationship linkage', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{
+            op: 'update',
+            ref: { type: 'articles', id: '1', relationship: 'author' },
+            data: { type: 'people', id: '9', attributes: { name: 'x' } }
+          }]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].message).toContain('attributes')
+      })
+
+      it('should reject duplicate local identifiers across add operations', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [
+            { op: 'add', href: '/articles', data: { type: 'articles', lid: 'a1' } },
+            { op: 'add', href: '/articles', data: { type: 'articles', lid: 'a1' } }
+          ]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].test).toBe('Local Identifier Uniqueness')
+      })
+
+      it('should reject a ref whose lid was not introduced by an add operation', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [{ op: 'remove', ref: { type: 'articles', lid: 'missing' } }]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].test).toBe('Local Identifier Resolution')
+      })
+
+      it('should reject a lid referenced before the operation that adds it', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [
+            { op: 'add', ref: { type: 'articles', id: '1', relationship: 'comments' }, data: [{ type: 'comments', lid: 'c1' }] },
+            { op: 'add', href: '/comments', data: { type: 'comments', lid: 'c1', attributes: { body: 'First' } } }
+          ]
+        })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].test).toBe('Local Identifier Resolution')
+        expect(result.errors[0].context).toBe('atomic:operations[0]')
+      })
+
+      it('should accept a lid referenced after the operation that adds it', () => {
+        const result = validateAtomicOperationsDocument({
+          'atomic:operations': [
+            { op: 'add', href: '/comments', data: { type: 'comments', lid: 'c1', attributes: { body: 'First' } } },
+            { op: 'add', ref: { type: 'articles', id: '1', relationship: 'comments' }, data: [{ type: 'comments', lid: 'c1' }] }
+          ]
+        })
+
+        expect(result.valid).toBe(true)
+      })
+    })
+  })
+
+  describe('validateAtomicResultsDocument', () => {
+    it('should validate results matching the operation count', () => {
+      const response = {
+        'atomic:results': [
+          { data: { type: 'articles', id: '13', attributes: { title: 'Hello' } } },
+          {}
+        ]
+      }
+
+      const result = validateAtomicResultsDocument(response, { operationCount: 2 })
+
+      expect(result.valid).toBe(true)
+    })
+
+    it('should reject results that do not match the operation count', () => {
+      const result = validateAtomicResultsDocument({ 'atomic:results': [{}] }, { operationCount: 2 })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Atomic Results Count')
+    })
+
+    it('should reject a document without atomic:results', () => {
+      const result = validateAtomicResultsDocument({ meta: {} })
+
+      expect(result.valid).toBe(false)
+    })
+
+    it('should reject atomic:results alongside data', () => {
+      const result = validateAtomicResultsDocument({ 'atomic:results': [], data: null })
+
+      expect(result.valid).toBe(false)
+    })
+
+    it('should reject non-object result entries', () => {
+      const result = validateAtomicResultsDocument({ 'atomic:results': [null] })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Atomic Result Object')
+    })
+  })
+})
@@ -5,7 +5,9 @@ import { describe, it, expect } from 'vitest'
 import {
   validateContentNegotiation,
   validateContentTypeHeader,
-  validateAcceptHeader
+  validateAcceptHeader,
+  getNegotiationProbes,
+  validateNegotiationProbeResponse
 } from '../ContentNegotiationValidator.js'
 
 describe('ContentNegotiationValidator', () => {
@@ -443,6 +445,18 @@ describe('ContentNegotiationValidator', () => {
         expect(result.errors.length).toBe(1)
       })
 
+      it('should reject every media type parameter when targeting JSON:API 1.0', () => {
+        const headers = {
+          'content-type': 'application/vnd.api+json; profile="https://example.com/profile"'
+        }
+
+        expect(validateContentNegotiation(headers, { validateAccept: false }).valid).toBe(true)
+
+        const result = validateContentNegotiation(headers, { validateAccept: false, specVersion: '1.0' })
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].test).toBe('Media Type Parameters')
+      })
+
       it('should validate only Accept when Content-Type is disabled', () => {
         const headers = {
           'content-type': 'application/json',
@@ -543,4 +557,43 @@ describe('ContentNegotiationValidator', () => {
       })
     })
   })
+
+  describe('Negotiation probes', () => {
+    const [acceptProbe] = getNegotiationProbes()
+
+    it('should only include Content-Type probes for requests with a body', () => {
+      expect(getNegotiationProbes().every(probe => probe.header === 'Accept')).toBe(true)
+      expect(getNegotiationProbes({ includeContentType: true }).map(probe => probe.expectedStatus)).toContain(415)
+    })
+
+    it('should pass when the server answers with the expected status and error document', () => {
+      const result = validateNegotiationProbeResponse(acceptProbe, 406, {
+        errors: [{ status: '406', title: 'Not Acceptable' }]
+      })
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toHaveLength(0)
+    })
+
+    it('should fail when the server ignores the invalid header', () => {
+      const result = validateNegotiationProbeResponse(acceptProbe, 200, { data: [] })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Accept Negotiation Probe')
+      expect(result.errors[0].message).toContain('expected 406')
+    })
+
+    it('should warn when the rejection has no error document', () => {
+      const result = validateNegotiationProbeResponse(acceptProbe, 406, null)
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toHaveLength(1)
+    })
+
+    it('should fail when the error document is invalid', () => {
+      const result = validateNegotiationProbeResponse(acceptProbe, 406, { errors: {} })
+
+      expect(result.valid).toBe(false)
+    })
+  })
 })
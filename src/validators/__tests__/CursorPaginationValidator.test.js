@@ -0,0 +1,131 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  isCursorPaginationProfileActive,
+  validateCursorPaginationProfile,
+  getCursorPaginationProbes,
+  validateCursorPaginationProbeResponse
+} from '../CursorPaginationValidator.js'
+import { CURSOR_PAGINATION_PROFILE_URI } from '../MediaTypes.js'
+
+const BASE = 'https://api.example.com/articles'
+
+/**
+ * Builds a cursor-paginated collection document
+ */
+function cursorPage(ids, { links, meta } = {}) {
+  return {
+    jsonapi: { version: '1.1', profile: [CURSOR_PAGINATION_PROFILE_URI] },
+    data: ids.map(id => ({ type: 'articles', id, meta: { page: { cursor: `c${id}` } } })),
+    links: links || { prev: null, next: `${BASE}?page[size]=2&page[after]=c${ids[ids.length - 1]}` },
+    meta
+  }
+}
+
+describe('CursorPaginationValidator', () => {
+  describe('isCursorPaginationProfileActive', () => {
+    it('should detect the profile in jsonapi.profile', () => {
+      expect(isCursorPaginationProfileActive(cursorPage(['1']))).toBe(true)
+    })
+
+    it('should detect the profile in the Content-Type profile parameter', () => {
+      const contentType = 'application/vnd.api+json; profile="https://jsonapi.org/profiles/ethanresnick/cursor-pagination"'
+      expect(isCursorPaginationProfileActive({ data: [] }, contentType)).toBe(true)
+    })
+
+    it('should not detect the profile when it is not applied', () => {
+      expect(isCursorPaginationProfileActive({ data: [] }, 'application/vnd.api+json')).toBe(false)
+    })
+  })
+
+  describe('validateCursorPaginationProfile', () => {
+    it('should validate a conforming page', () => {
+      const result = validateCursorPaginationProfile(cursorPage(['1', '2']), `${BASE}?page[size]=2`)
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toHaveLength(0)
+    })
+
+    it('should require a cursor on every resource', () => {
+      const document = cursorPage(['1', '2'])
+      delete document.data[1].meta
+
+      const result = validateCursorPaginationProfile(document, `${BASE}?page[size]=2`)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Cursor Pagination Item Cursor')
+    })
+
+    it('should require prev and next links', () => {
+      const result = validateCursorPaginationProfile(cursorPage(['1'], { links: { self: BASE } }), BASE)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.filter(error => error.test === 'Cursor Pagination Links')).toHaveLength(2)
+    })
+
+    it('should reject pages larger than page[size]', () => {
+      const result = validateCursorPaginationProfile(cursorPage(['1', '2', '3']), `${BASE}?page[size]=2`)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Cursor Pagination Page Size')
+    })
+
+    it('should validate rangeTruncated and warn about page-number parameters', () => {
+      const document = cursorPage(['1'], { meta: { page: { rangeTruncated: 'yes' } } })
+
+      const result = validateCursorPaginationProfile(document, `${BASE}?page[number]=2`)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].message).toContain('rangeTruncated')
+      expect(result.warnings[0].message).toContain('page[number]')
+    })
+  })
+
+  describe('Probes', () => {
+    const [maxSizeProbe, invalidSizeProbe, rangeProbe] = getCursorPaginationProbes(cursorPage(['1', '2']), `${BASE}?page[size]=2`)
+
+    it('should derive probes from the request URL and cursors', () => {
+      expect(maxSizeProbe.url).toContain('page%5Bsize%5D=1000000')
+      expect(rangeProbe.url).toContain('page%5Bafter%5D=c1')
+      expect(rangeProbe.url).toContain('page%5Bbefore%5D=c2')
+    })
+
+    it('should accept a max-size-exceeded error with maxSize', () => {
+      const result = validateCursorPaginationProbeResponse(maxSizeProbe, 400, {
+        errors: [{
+          status: '400',
+          links: { type: `${CURSOR_PAGINATION_PROFILE_URI}max-size-exceeded` },
+          source: { parameter: 'page[size]' },
+          meta: { page: { maxSize: 100 } }
+        }]
+      })
+
+      expect(result.valid).toBe(true)
+    })
+
+    it('should reject a max-size-exceeded error without type or maxSize', () => {
+      const result = validateCursorPaginationProbeResponse(maxSizeProbe, 400, {
+        errors: [{ status: '400', source: { parameter: 'page[size]' } }]
+      })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors).toHaveLength(2)
+    })
+
+    it('should reject invalid page sizes that are accepted', () => {
+      const result = validateCursorPaginationProbeResponse(invalidSizeProbe, 200, { data: [] })
+
+      expect(result.valid).toBe(false)
+    })
+
+    it('should accept range-pagination-not-supported errors', () => {
+      const result = validateCursorPaginationProbeResponse(rangeProbe, 400, {
+        errors: [{ status: '400', links: { type: `${CURSOR_PAGINATION_PROFILE_URI}range-pagination-not-supported` } }]
+      })
+
+      expect(result.valid).toBe(true)
+    })
+  })
+})
@@ -173,5 +173,130 @@ describe('DocumentValidator', () => {
         error.message && error.message.toLowerCase().includes('included')
       )).toBe(true)
     })
+
+    it('should link included resources referenced by lid', () => {
+      const documentWithLids = {
+        jsonapi: { version: '1.1' },
+        data: {
+          id: '1',
+          type: 'articles',
+          relationships: {
+            author: { data: { type: 'people', lid: 'p1' } }
+          }
+        },
+        included: [
+          { type: 'people', id: '9', lid: 'p1', attributes: { name: 'Jane' } }
+        ]
+      }
+
+      const result = validateDocument(documentWithLids)
+      expect(result.valid).toBe(true)
+      expect(result.warnings.some(warning => warning.message.includes('not referenced'))).toBe(false)
+    })
+
+    it('should reject duplicate lids across primary and included resources', () => {
+      const documentWithDuplicateLids = {
+        jsonapi: { version: '1.1' },
+        data: { id: '1', type: 'people', lid: 'p1', relationships: { friend: { data: { type: 'people', id: '2' } } } },
+        included: [
+          { id: '2', type: 'people', lid: 'p1' }
+        ]
+      }
+
+      const result = validateDocument(documentWithDuplicateLids)
+      expect(result.valid).toBe(false)
+      expect(result.errors.some(error => error.test === 'Local Identifier Uniqueness')).toBe(true)
+    })
+  })
+
+  describe('Specification version', () => {
+    it('should reject 1.1-only jsonapi members and link object members when targeting 1.0', () => {
+      const document = {
+        jsonapi: { version: '1.0', ext: ['https://example.com/ext'] },
+        data: null,
+        links: { self: { href: 'https://api.example.com/articles/1', title: 'Article' } }
+      }
+
+      expect(validateDocument(document).valid).toBe(true)
+
+      const result = validateDocument(document, { specVersion: '1.0' })
+      expect(result.valid).toBe(false)
+      expect(result.errors.map(error => error.test)).toEqual(expect.arrayContaining([
+        'JSON:API Version Object Additional Members',
+        'Document Link Object Additional Members'
+      ]))
+    })
+
+    it('should skip local identifier checks when targeting 1.0', () => {
+      const document = {
+        data: { id: '1', type: 'people', lid: 'p1' },
+        included: [{ id: '2', type: 'people', lid: 'p1' }]
+      }
+
+      expect(validateDocument(document).errors.some(error => error.test === 'Local Identifier Uniqueness')).toBe(true)
+      expect(validateDocument(document, { specVersion: '1.0' }).errors.some(error => error.test === 'Local Identifier Uniqueness')).toBe(false)
+    })
+  })
+
+  describe('Resource schemas', () => {
+    const schemas = {
+      articles: { attributes: { title: { type: 'string', required: true } } },
+      people: { attributes: { name: { type: 'string', required: true } } }
+    }
+
+    it('should check primary and included resources and locate violations', () => {
+      const document = {
+        data: [{ type: 'articles', id: '1', attributes: { title: 42 } }],
+        included: [{ type: 'people', id: '9', attributes: {} }]
+      }
+
+      const result = validateDocument(document, { schemas })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.filter(error => error.test === 'Schema Attributes').map(error => error.location.jsonPointer)).toEqual([
+        '/data/0/attributes/title',
+        '/included/0/attributes'
+      ])
+    })
+
+    it('should skip types without a schema', () => {
+      const document = { data: { type: 'tags', id: '1', attributes: { label: 1 } } }
+
+      expect(validateDocument(document, { schemas }).valid).toBe(true)
+    })
+  })
+
+  describe('Naming policy', () => {
+    const namingPolicy = { types: 'kebab-case', attributes: 'camelCase', relationships: 'camelCase', meta: 'camelCase' }
+
+    it('should report every name that breaks the policy with its JSON pointer', () => {
+      const document = {
+        data: [{
+          type: 'blog-posts',
+          id: '1',
+          attributes: { title: 'Hi', published_at: '2024-01-01', '@context': 'x' },
+          relationships: { 'co-author': { data: null } },
+          meta: { viewCount: 3 }
+        }],
+        included: [{ type: 'BlogAuthors', id: '9' }],
+        meta: { total_count: 1 }
+      }
+
+      const result = validateDocument(document, { namingPolicy })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.filter(error => error.test === 'Naming Policy').map(error => [error.location.jsonPointer, error.message])).toEqual([
+        ['/data/0/attributes/published_at', 'Attribute name "published_at" does not follow the camelCase naming policy'],
+        ['/data/0/relationships/co-author', 'Relationship name "co-author" does not follow the camelCase naming policy'],
+        ['/included/0/type', 'Resource type "BlogAuthors" does not follow the kebab-case naming policy'],
+        ['/meta/total_count', 'Meta key "total_count" does not follow the camelCase naming policy']
+      ])
+    })
+
+    it('should only check the kinds of names the policy covers', () => {
+      const document = { data: { type: 'BlogPosts', id: '1', attributes: { published_at: 'x' } } }
+
+      expect(validateDocument(document, { namingPolicy: { meta: 'camelCase' } }).valid).toBe(true)
+    })
   })
 })
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { validateErrorObject, validateErrorSourceTargets } from '../ErrorValidator.js'
+
+const REQUEST = {
+  document: {
+    data: {
+      type: 'articles',
+      attributes: { title: '', 'a/b': 1, 'c~d': 2, tags: ['x'] }
+    }
+  },
+  queryParameters: ['include', 'filter[title]'],
+  headers: ['Content-Type', 'Accept', 'Authorization']
+}
+
+describe('ErrorValidator', () => {
+  describe('validateErrorObject', () => {
+    it('should accept a source header', () => {
+      const result = validateErrorObject({ status: '400', source: { header: 'Authorization' } })
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Error Source Header', status: 'passed' }))
+    })
+
+    it('should reject a source header under JSON:API 1.0', () => {
+      const result = validateErrorObject({ status: '400', source: { header: 'Authorization' } }, 'errors[0]', '1.0')
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.map(error => error.test)).toEqual(['Error Source Additional Members', 'Error Source Structure'])
+      expect(result.errors[0].message).toContain('"header" was added in JSON:API 1.1')
+    })
+  })
+
+  describe('validateErrorSourceTargets', () => {
+    it('should resolve pointers against the request document', () => {
+      const pointers = ['', '/data', '/data/attributes/title', '/data/attributes/a~1b', '/data/attributes/c~0d', '/data/attributes/tags/0']
+      const result = validateErrorSourceTargets(pointers.map(pointer => ({ source: { pointer } })), REQUEST)
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toHaveLength(pointers.length)
+    })
+
+    it('should flag pointers to values the request did not contain', () => {
+      const pointers = ['/data/attributes/body', '/data/attributes/tags/1', '/data/attributes/tags/01', '/data/id']
+      const result = validateErrorSourceTargets(pointers.map(pointer => ({ source: { pointer } })), REQUEST)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.map(error => error.context)).toEqual([
+        'errors[0].source',
+        'errors[1].source',
+        'errors[2].source',
+        'errors[3].source'
+      ])
+      expect(result.errors[0]).toMatchObject({ test: 'Error Source Pointer Target' })
+    })
+
+    it('should warn about pointers when the request had no body', () => {
+      const result = validateErrorSourceTargets([{ source: { pointer: '/data' } }], { ...REQUEST, document: undefined })
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toEqual([expect.objectContaining({ test: 'Error Source Pointer Target' })])
+      expect(result.warnings[0].message).toContain('the request had no body')
+
+      const unparsed = validateErrorSourceTargets([{ source: { pointer: '/data' } }], { ...REQUEST, document: undefined, hasBody: true })
+      expect(unparsed.warnings[0].message).toContain('the request body is not valid JSON')
+    })
+
+    it('should check parameters and headers against the request', () => {
+      const result = validateErrorSourceTargets([
+        { source: { parameter: 'include' } },
+        { source: { parameter: 'filter' } },
+        { source: { parameter: 'sort' } },
+        { source: { header: 'authorization' } },
+        { source: { header: 'If-Match' } },
+        { source: { header: 'Content-Length' } }
+      ], REQUEST)
+
+      expect(result.details.map(detail => detail.test)).toEqual([
+        'Error Source Parameter Target',
+        'Error Source Parameter Target',
+        'Error Source Header Target',
+        'Error Source Header Target'
+      ])
+      expect(result.errors.map(error => error.message)).toEqual([
+        'Error source parameter "sort" is not a query parameter of the request URL (sent: include, filter[title])',
+        'Error source header "If-Match" was not sent with the request (sent: Content-Type, Accept, Authorization)'
+      ])
+    })
+  })
+})
@@ -0,0 +1,153 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect, afterEach } from 'vitest'
+import {
+  registerExtension,
+  registerProfile,
+  unregisterDefinition,
+  resetRegistry,
+  getRegisteredDefinition,
+  isRegisteredExtensionMember,
+  isRegisteredQueryParameter,
+  getAppliedUris,
+  validateAppliedExtensions
+} from '../ExtensionRegistry.js'
+import { validateDocument } from '../DocumentValidator.js'
+import { validateQueryParameters } from '../QueryParameterValidator.js'
+import { validateJsonApiObjectExtended } from '../JsonApiObjectValidator.js'
+import { validateContentTypeHeader } from '../ContentNegotiationValidator.js'
+
+const VERSION_EXTENSION = 'https://example.com/ext/version'
+const SOFT_DELETE_PROFILE = 'https://example.com/profiles/soft-delete'
+
+/**
+ * Soft-delete profile used as an in-house example: deleted resources carry meta["deleted-at"]
+ */
+const softDeleteProfile = {
+  uri: SOFT_DELETE_PROFILE,
+  name: 'Soft Delete',
+  queryParameters: ['filter[with-deleted]'],
+  validate: document => {
+    const data = Array.isArray(document.data) ? document.data : [document.data]
+    const invalid = data.filter(resource => resource?.meta && 'deleted-at' in resource.meta && typeof resource.meta['deleted-at'] !== 'string')
+    return {
+      valid: invalid.length === 0,
+      errors: invalid.map(resource => ({ test: 'Soft Delete Timestamp', message: `${resource.type}/${resource.id} has a non-string deleted-at` })),
+      warnings: [],
+      details: []
+    }
+  }
+}
+
+describe('ExtensionRegistry', () => {
+  afterEach(() => {
+    resetRegistry()
+  })
+
+  describe('registration', () => {
+    it('should include the built-in atomic extension and cursor pagination profile', () => {
+      expect(getRegisteredDefinition('https://jsonapi.org/ext/atomic')).toEqual(expect.objectContaining({ kind: 'extension', namespace: 'atomic' }))
+      expect(getRegisteredDefinition('https://jsonapi.org/profiles/ethanresnick/cursor-pagination')).toEqual(expect.objectContaining({ kind: 'profile' }))
+    })
+
+    it('should register and unregister definitions', () => {
+      registerProfile(softDeleteProfile)
+
+      expect(getRegisteredDefinition(SOFT_DELETE_PROFILE).name).toBe('Soft Delete')
+      expect(unregisterDefinition(SOFT_DELETE_PROFILE)).toBe(true)
+      expect(getRegisteredDefinition(SOFT_DELETE_PROFILE)).toBeUndefined()
+    })
+
+    it('should reject invalid definitions', () => {
+      expect(() => registerExtension({ uri: 'not a uri', name: 'Broken' })).toThrow('valid "uri"')
+      expect(() => registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'v-1' })).toThrow('alphanumeric')
+      expect(() => registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'version', members: ['id'] })).toThrow('prefixed')
+      expect(() => registerProfile({ uri: SOFT_DELETE_PROFILE, name: 'Soft Delete', namespace: 'soft' })).toThrow('namespace')
+    })
+  })
+
+  describe('members and query parameters', () => {
+    it('should allow only the listed members of a registered namespace', () => {
+      registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'version', members: ['version:id'] })
+
+      expect(isRegisteredExtensionMember('version:id')).toBe(true)
+      expect(isRegisteredExtensionMember('version:other')).toBe(false)
+      expect(isRegisteredExtensionMember('unknown:id')).toBe(false)
+    })
+
+    it('should stop flagging top-level members of registered extensions', () => {
+      const document = { data: null, 'version:id': '42' }
+
+      expect(validateDocument(document).valid).toBe(false)
+
+      registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'version' })
+      const result = validateDocument(document)
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Extension Members', status: 'passed' }))
+    })
+
+    it('should accept query parameters declared by registered definitions', () => {
+      registerProfile(softDeleteProfile)
+      registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'version' })
+
+      expect(isRegisteredQueryParameter('filter[with-deleted]')).toBe(true)
+      expect(isRegisteredQueryParameter('version:at')).toBe(true)
+
+      const result = validateQueryParameters('https://api.example.com/articles?version:at=3')
+      expect(result.valid).toBe(true)
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Extension Query Parameters' }))
+    })
+  })
+
+  describe('applied extensions and profiles', () => {
+    it('should collect URIs from the Content-Type and the jsonapi object', () => {
+      const applied = getAppliedUris(
+        { jsonapi: { ext: [VERSION_EXTENSION], profile: [SOFT_DELETE_PROFILE] } },
+        `application/vnd.api+json; ext="${VERSION_EXTENSION}"`
+      )
+
+      expect(applied).toEqual({ extensions: [VERSION_EXTENSION], profiles: [SOFT_DELETE_PROFILE] })
+    })
+
+    it('should run the rules of applied registered profiles', () => {
+      registerProfile(softDeleteProfile)
+      const document = {
+        jsonapi: { version: '1.1', profile: [SOFT_DELETE_PROFILE] },
+        data: [{ type: 'articles', id: '1', meta: { 'deleted-at': 1700000000 } }]
+      }
+
+      const result = validateAppliedExtensions(document, { requestUrl: 'https://api.example.com/articles', method: 'GET' })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Soft Delete Timestamp')
+    })
+
+    it('should report rule sets that throw', () => {
+      registerProfile({ uri: SOFT_DELETE_PROFILE, name: 'Soft Delete', validate: () => { throw new Error('boom') } })
+
+      const result = validateAppliedExtensions(
+        { data: null },
+        { requestUrl: 'https://api.example.com/articles', method: 'GET', contentType: `application/vnd.api+json; profile="${SOFT_DELETE_PROFILE}"` }
+      )
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].message).toContain('boom')
+    })
+
+    it('should warn about applied extensions without registered rules', () => {
+      const header = validateContentTypeHeader(`application/vnd.api+json; ext="${VERSION_EXTENSION}"`)
+      const jsonapi = validateJsonApiObjectExtended({ version: '1.1', ext: [VERSION_EXTENSION] })
+
+      expect(header.warnings).toContainEqual(expect.objectContaining({ test: 'Extension Registry' }))
+      expect(jsonapi.valid).toBe(true)
+      expect(jsonapi.warnings).toContainEqual(expect.objectContaining({ test: 'Extension Registry' }))
+
+      registerExtension({ uri: VERSION_EXTENSION, name: 'Version', namespace: 'version' })
+
+      expect(validateContentTypeHeader(`application/vnd.api+json; ext="${VERSION_EXTENSION}"`).warnings).toHaveLength(0)
+      expect(validateJsonApiObjectExtended({ version: '1.1', ext: [VERSION_EXTENSION] }).warnings).toHaveLength(0)
+    })
+  })
+})
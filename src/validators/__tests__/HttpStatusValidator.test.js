@@ -52,6 +52,120 @@ describe('HttpStatusValidator', () => {
       })
     })
 
+    describe('Atomic Operations', () => {
+      it('should accept 200 OK with atomic:results for atomic POST requests', () => {
+        const result = validateHttpStatus(200, 'POST', { 'atomic:results': [{}] }, { atomic: true })
+
+        expect(result.valid).toBe(true)
+        expect(result.warnings).toHaveLength(0)
+      })
+
+      it('should warn when 200 OK omits atomic:results', () => {
+        const result = validateHttpStatus(200, 'POST', { meta: {} }, { atomic: true })
+
+        expect(result.warnings).toContainEqual(
+          expect.objectContaining({ test: 'HTTP Status Code Consistency' })
+        )
+      })
+
+      it('should reject 204 No Content with atomic:results', () => {
+        const result = validateHttpStatus(204, 'POST', { 'atomic:results': [] }, { atomic: true })
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0].context).toBe('atomic:results')
+      })
+    })
+
+    describe('Relationship endpoints', () => {
+      it('should accept 204 No Content for relationship updates', () => {
+        const result = validateHttpStatus(204, 'DELETE', null, { relationship: true })
+
+        expect(result.valid).toBe(true)
+        expect(result.warnings).toHaveLength(0)
+      })
+
+      it('should warn when 200 OK omits the updated linkage and meta', () => {
+        const result = validateHttpStatus(200, 'POST', {}, { relationship: true })
+
+        expect(result.valid).toBe(true)
+        expect(result.warnings).toContainEqual(
+          expect.objectContaining({ test: 'HTTP Status Code Consistency' })
+        )
+      })
+
+      it('should warn on 201 Created for relationship POST requests', () => {
+        const result = validateHttpStatus(201, 'POST', null, { relationship: true })
+
+        expect(result.warnings).toContainEqual(
+          expect.objectContaining({ test: 'HTTP Status Code Appropriateness' })
+        )
+      })
+
+      it('should accept 403 Forbidden for disallowed full replacement', () => {
+        const result = validateHttpStatus(403, 'PATCH', { errors: [{ status: '403' }] }, { relationship: true })
+
+        expect(result.valid).toBe(true)
+        expect(result.details[0].message).toContain('relationship update is not allowed')
+      })
+    })
+
+    describe('Client-generated IDs', () => {
+      const options = { clientGeneratedId: 'a1b2' }
+
+      it('should accept 201 Created with the client-generated ID and 204 No Content', () => {
+        const created = validateHttpStatus(201, 'POST', { data: { type: 'articles', id: 'a1b2' } }, options)
+        const noContent = validateHttpStatus(204, 'POST', null, options)
+
+        expect(created.valid).toBe(true)
+        expect(created.details).toContainEqual(expect.objectContaining({ test: 'Client-Generated ID', status: 'passed' }))
+        expect(noContent.valid).toBe(true)
+        expect(noContent.warnings).toHaveLength(0)
+      })
+
+      it('should fail when the server replaces the client-generated ID', () => {
+        const result = validateHttpStatus(201, 'POST', { data: { type: 'articles', id: '7' } }, options)
+
+        expect(result.valid).toBe(false)
+        expect(result.errors[0]).toMatchObject({ test: 'Client-Generated ID', context: 'data.id' })
+        expect(result.errors[0].message).toContain('got "7"')
+      })
+
+      it('should expect 403 Forbidden with an error document when client-generated IDs are not supported', () => {
+        const rejected = validateHttpStatus(403, 'POST', { errors: [{ status: '403' }] }, options)
+        const bare = validateHttpStatus(403, 'POST', null, options)
+        const unclear = validateHttpStatus(422, 'POST', { errors: [{ status: '422' }] }, options)
+
+        expect(rejected.details).toContainEqual(expect.objectContaining({ test: 'Client-Generated ID', status: 'passed' }))
+        expect(rejected.details[rejected.details.length - 1].message).toContain('client-generated IDs are not supported')
+        expect(bare.warnings).toContainEqual(expect.objectContaining({ test: 'Client-Generated ID' }))
+        expect(unclear.warnings[0].message).toContain('must answer 403 Forbidden')
+      })
+    })
+
+    describe('Endpoint conflicts', () => {
+      it('should expect 409 Conflict with an error document for a mismatched type or id', () => {
+        const conflict = validateHttpStatus(409, 'PATCH', { errors: [{ status: '409' }] }, { conflict: 'id' })
+        const bare = validateHttpStatus(409, 'POST', null, { conflict: 'type' })
+
+        expect(conflict.valid).toBe(true)
+        expect(conflict.details).toContainEqual(expect.objectContaining({ test: 'Endpoint Conflict', status: 'passed' }))
+        expect(conflict.details[conflict.details.length - 1].message).toContain('resource id does not match the endpoint')
+        expect(bare.valid).toBe(true)
+        expect(bare.warnings).toContainEqual(expect.objectContaining({ test: 'Endpoint Conflict' }))
+      })
+
+      it('should fail other answers to a mismatched resource', () => {
+        const unprocessable = validateHttpStatus(422, 'PATCH', { errors: [{ status: '422' }] }, { conflict: 'type' })
+        const accepted = validateHttpStatus(200, 'PATCH', { data: { type: 'people', id: '1' } }, { conflict: 'type' })
+
+        expect(unprocessable.valid).toBe(false)
+        expect(unprocessable.errors[0]).toMatchObject({ test: 'Endpoint Conflict' })
+        expect(unprocessable.errors[0].message).toContain('got 422')
+        expect(accepted.valid).toBe(false)
+        expect(accepted.errors[0].message).toContain('got 200')
+      })
+    })
+
     describe('4xx Client Error Status Codes', () => {
       it('should validate 400 Bad Request with error document', () => {
         const errorDocument = {
@@ -0,0 +1,42 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { matchesNamingConvention, parseNamingPolicy } from '../MemberNames.js'
+
+describe('MemberNames', () => {
+  describe('matchesNamingConvention', () => {
+    it('should tell the conventions apart', () => {
+      expect(matchesNamingConvention('publishedAt', 'camelCase')).toBe(true)
+      expect(matchesNamingConvention('PublishedAt', 'PascalCase')).toBe(true)
+      expect(matchesNamingConvention('published-at', 'kebab-case')).toBe(true)
+      expect(matchesNamingConvention('published_at', 'snake_case')).toBe(true)
+      expect(matchesNamingConvention('published-at', 'camelCase')).toBe(false)
+      expect(matchesNamingConvention('published__at', 'snake_case')).toBe(false)
+      expect(matchesNamingConvention('title', 'kebab-case')).toBe(true)
+    })
+
+    it('should leave @-members and extension members alone', () => {
+      expect(matchesNamingConvention('@context', 'kebab-case')).toBe(true)
+      expect(matchesNamingConvention('atomic:operations', 'PascalCase')).toBe(true)
+    })
+  })
+
+  describe('parseNamingPolicy', () => {
+    it('should apply a bare convention to every kind of name, with overrides', () => {
+      expect(parseNamingPolicy('types=kebab-case, camelCase')).toEqual({
+        types: 'kebab-case',
+        attributes: 'camelCase',
+        relationships: 'camelCase',
+        meta: 'camelCase',
+        queryParameters: 'camelCase'
+      })
+      expect(parseNamingPolicy('meta=snake_case')).toEqual({ meta: 'snake_case' })
+    })
+
+    it('should reject unknown conventions and targets', () => {
+      expect(() => parseNamingPolicy('lowercase')).toThrow('Unknown naming convention "lowercase"')
+      expect(() => parseNamingPolicy('ids=camelCase')).toThrow('Unknown naming policy target "ids"')
+    })
+  })
+})
@@ -0,0 +1,121 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { validatePaginationCrawl } from '../PaginationValidator.js'
+
+const BASE = 'https://api.example.com/articles'
+
+/**
+ * Builds a crawled page of articles with pagination links
+ */
+function page(number, ids, { pageCount = 3, meta, titles } = {}) {
+  const links = {
+    first: `${BASE}?page[number]=1`,
+    last: `${BASE}?page[number]=${pageCount}`
+  }
+  if (number > 1) links.prev = `${BASE}?page[number]=${number - 1}`
+  if (number < pageCount) links.next = `${BASE}?page[number]=${number + 1}`
+
+  return {
+    url: `${BASE}?page[number]=${number}`,
+    document: {
+      data: ids.map((id, index) => ({
+        type: 'articles',
+        id,
+        attributes: { title: titles ? titles[index] : `Article ${id}` }
+      })),
+      links,
+      meta
+    }
+  }
+}
+
+/**
+ * Builds a complete crawl whose first/last links resolve to its boundary pages
+ */
+function crawlOf(pages) {
+  return {
+    pages,
+    firstPage: pages[0],
+    lastPage: pages[pages.length - 1],
+    truncated: false,
+    errors: []
+  }
+}
+
+describe('PaginationValidator', () => {
+  describe('validatePaginationCrawl', () => {
+    it('should pass a consistent collection', () => {
+      const meta = { totalResources: 5, page: { total: 3 } }
+      const crawl = crawlOf([
+        page(1, ['1', '2'], { meta }),
+        page(2, ['3', '4'], { meta }),
+        page(3, ['5'], { meta })
+      ])
+
+      const result = validatePaginationCrawl(crawl, BASE)
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toHaveLength(0)
+      expect(result.details.filter(detail => detail.test === 'Pagination Totals')).toHaveLength(2)
+    })
+
+    it('should report resources repeated across pages', () => {
+      const crawl = crawlOf([page(1, ['1', '2']), page(2, ['2', '3']), page(3, ['4'])])
+
+      const result = validatePaginationCrawl(crawl, BASE)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Pagination Duplicate Resources')
+      expect(result.errors[0].message).toContain('articles:2')
+    })
+
+    it('should report a "last" link that does not match where the crawl ended', () => {
+      const crawl = crawlOf([page(1, ['1']), page(2, ['2']), page(3, ['3'])])
+      crawl.lastPage = page(2, ['2'])
+
+      const result = validatePaginationCrawl(crawl, BASE)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.some(error => error.message.includes('"last" link'))).toBe(true)
+    })
+
+    it('should report totals that do not match the crawled collection', () => {
+      const meta = { total: 10 }
+      const crawl = crawlOf([page(1, ['1'], { meta }), page(2, ['2'], { meta }), page(3, ['3'], { meta })])
+
+      const result = validatePaginationCrawl(crawl, BASE)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Pagination Totals')
+    })
+
+    it('should report sort order violations across page boundaries', () => {
+      const crawl = crawlOf([
+        page(1, ['1', '2'], { titles: ['Alpha', 'Delta'] }),
+        page(2, ['3', '4'], { titles: ['Bravo', 'Echo'] }),
+        page(3, ['5'], { titles: ['Foxtrot'] })
+      ])
+
+      const result = validatePaginationCrawl(crawl, `${BASE}?sort=title`)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Pagination Sort Order')
+      expect(result.errors[0].message).toContain('pages 1 and 2')
+    })
+
+    it('should skip totals and warn when the crawl hits the page cap', () => {
+      const crawl = {
+        pages: [page(1, ['1'], { meta: { total: 10 } }), page(2, ['2'], { meta: { total: 10 } })],
+        truncated: true,
+        errors: []
+      }
+
+      const result = validatePaginationCrawl(crawl, BASE)
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings[0].test).toBe('Pagination Crawl')
+    })
+  })
+})
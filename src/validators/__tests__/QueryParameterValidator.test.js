@@ -0,0 +1,212 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import { validateQueryParameters, parseFilterChecks } from '../QueryParameterValidator.js'
+
+const ARTICLES = {
+  data: [
+    {
+      type: 'articles',
+      id: '1',
+      attributes: { status: 'published', title: 'JSON:API in practice', tags: ['api', 'json'] },
+      relationships: { author: { data: { type: 'people', id: '9' } } }
+    },
+    {
+      type: 'articles',
+      id: '2',
+      attributes: { status: 'draft', title: 'Writing JSON by hand', tags: [] },
+      relationships: { author: { data: { type: 'people', id: '7' } } }
+    }
+  ]
+}
+
+const filterResults = result => [
+  ...result.details.filter(detail => detail.test === 'Filter Results'),
+  ...result.errors.filter(error => error.test === 'Filter Results'),
+  ...result.warnings.filter(warning => warning.test === 'Filter Results')
+]
+
+describe('QueryParameterValidator', () => {
+  describe('filter result verification', () => {
+    it('should only verify the configured filters', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?filter[status]=published', ARTICLES)
+
+      expect(result.valid).toBe(true)
+      expect(filterResults(result)).toHaveLength(0)
+    })
+
+    it('should match comma-separated values with the configured mode', () => {
+      const result = validateQueryParameters(
+        'https://api.example.com/articles?filter[status]=published,draft&filter[title]=json&filter[author]=9,7&filter[tags]=API',
+        ARTICLES,
+        { filterChecks: { status: 'equals', title: 'contains', author: 'equals', tags: 'prefix' } }
+      )
+
+      expect(result.valid).toBe(false)
+      expect(filterResults(result).map(entry => entry.message)).toEqual([
+        'All 2 resources match filter[status]=published,draft (equals)',
+        'All 2 resources match filter[title]=json (contains)',
+        'All 2 resources match filter[author]=9,7 (equals)',
+        '1 of 2 resources do not match filter[tags]=API (prefix): articles "2" (tags: []). The server may be ignoring the filter'
+      ])
+    })
+
+    it('should catch a server that ignores a filter', () => {
+      const result = validateQueryParameters(
+        'https://api.example.com/articles?filter[status]=published&filter[category]=news',
+        ARTICLES,
+        { filterChecks: { status: 'equals', category: 'equals' } }
+      )
+
+      expect(result.valid).toBe(false)
+      expect(result.errors).toEqual([expect.objectContaining({
+        test: 'Filter Results',
+        message: expect.stringContaining('1 of 2 resources do not match filter[status]=published (equals): articles "2" (status: "draft")')
+      })])
+      expect(result.warnings).toEqual([expect.objectContaining({
+        test: 'Filter Results',
+        message: expect.stringContaining('Cannot verify filter[category]=news (equals) for 2 resource(s)')
+      })])
+    })
+  })
+
+  describe('include path completeness', () => {
+    const COMPOUND = {
+      data: [{
+        type: 'articles',
+        id: '1',
+        relationships: {
+          author: { data: { type: 'people', id: '9' } },
+          comments: { data: [{ type: 'comments', id: '5' }, { type: 'comments', id: '12' }] }
+        }
+      }],
+      included: [
+        { type: 'comments', id: '5', relationships: { author: { data: { type: 'people', id: '2' } } } },
+        { type: 'comments', id: '12', relationships: { author: { data: { type: 'people', id: '9' } } } },
+        { type: 'people', id: '2' },
+        { type: 'people', id: '9' }
+      ]
+    }
+
+    it('should follow multi-hop paths through included resources', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?include=author,comments.author', COMPOUND)
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Include Path Completeness', status: 'passed' }))
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Included Resource Reachability', status: 'passed' }))
+    })
+
+    it('should report linked resources missing from included', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?include=author,comments.author', {
+        ...COMPOUND,
+        included: COMPOUND.included.filter(resource => !(resource.type === 'people' && resource.id === '2'))
+      })
+
+      expect(result.errors).toEqual([expect.objectContaining({
+        test: 'Include Path Completeness',
+        message: expect.stringContaining('comments.author: people "2" linked from comments "5"')
+      })])
+    })
+
+    it('should report included resources no requested path reaches', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?include=comments', COMPOUND)
+
+      expect(result.errors).toEqual([expect.objectContaining({
+        test: 'Included Resource Reachability',
+        message: expect.stringContaining('2 included resource(s) are not reachable by any requested include path: people "2", people "9"')
+      })])
+    })
+
+    it('should report a path that cannot be followed', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?include=comments.likes', COMPOUND)
+
+      expect(result.errors).toContainEqual(expect.objectContaining({
+        test: 'Include Path Completeness',
+        message: 'Cannot follow "comments.likes" of include path "comments.likes": none of the 2 resources have "likes" relationship data'
+      }))
+    })
+
+    it('should not follow relationships a sparse fieldset excludes', () => {
+      const { relationships, ...article } = COMPOUND.data[0]
+      const result = validateQueryParameters('https://api.example.com/articles?include=author&fields[articles]=title', {
+        data: [{ ...article, attributes: { title: 'JSON:API' }, relationships: { comments: relationships.comments } }],
+        included: [{ type: 'people', id: '9' }]
+      })
+
+      expect(result.errors).toEqual([])
+      expect(result.warnings).toEqual([expect.objectContaining({
+        test: 'Included Resource Reachability',
+        message: expect.stringContaining('may still have been requested')
+      })])
+    })
+
+    it('should only warn about unreached resources when a path cannot be followed', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?include=author', {
+        data: [{ type: 'articles', id: '1', relationships: { author: { links: { related: '/articles/1/author' } } } }],
+        included: [{ type: 'people', id: '9' }]
+      })
+
+      expect(result.errors.map(error => error.test)).toEqual(['Include Path Completeness'])
+      expect(result.warnings.map(warning => warning.test)).toEqual(['Included Resource Reachability'])
+    })
+
+    it('should follow include paths when the response has no included member', () => {
+      const ignored = validateQueryParameters('https://api.example.com/articles?include=comments.author', {
+        data: [{ type: 'articles', id: '1', relationships: { comments: { data: [{ type: 'comments', id: '5' }] } } }]
+      })
+      const empty = validateQueryParameters('https://api.example.com/articles?include=comments.author', {
+        data: [{ type: 'articles', id: '1', relationships: { comments: { data: [] } } }]
+      })
+
+      expect(ignored.valid).toBe(false)
+      expect(ignored.errors).toEqual([expect.objectContaining({
+        test: 'Include Path Completeness',
+        message: expect.stringContaining('comments: comments "5" linked from articles "1"')
+      })])
+      expect(empty.valid).toBe(true)
+      expect(empty.warnings).toEqual([])
+    })
+  })
+
+  describe('member names in parameters', () => {
+    it('should accept any name the member name grammar allows', () => {
+      const result = validateQueryParameters(
+        'https://api.example.com/blogPosts?fields[blogPosts]=publishedAt,title&sort=-publishedAt&include=coAuthors&filter[café]=x&myParam=1',
+        { data: [] }
+      )
+
+      expect(result.valid).toBe(true)
+    })
+
+    it('should reject names with characters outside the grammar', () => {
+      const result = validateQueryParameters('https://api.example.com/articles?fields[articles]=title,-body&filter[first.name]=x', { data: [] })
+
+      expect(result.errors.map(error => error.test)).toEqual(['Fields Parameter Format', 'Filter Parameter Format'])
+    })
+  })
+
+  describe('naming policy', () => {
+    it('should check the names inside parameter families', () => {
+      const result = validateQueryParameters(
+        'https://api.example.com/articles?include=author,comments.post_author&fields[blog-posts]=title,published_at&sort=-createdAt&filter[authorName]=x&page[size]=5&debug_mode=1',
+        null,
+        { namingPolicy: { types: 'camelCase', attributes: 'camelCase', relationships: 'camelCase', queryParameters: 'camelCase' } }
+      )
+
+      expect(result.errors.filter(error => error.test === 'Naming Policy').map(error => error.message)).toEqual([
+        'Include path segment "post_author" does not follow the camelCase naming policy',
+        'Sparse fieldset type "blog-posts" does not follow the camelCase naming policy',
+        'Field in fields[blog-posts] "published_at" does not follow the camelCase naming policy',
+        'Query parameter family "debug_mode" does not follow the camelCase naming policy'
+      ])
+    })
+  })
+
+  describe('parseFilterChecks', () => {
+    it('should default to equality and reject unknown modes', () => {
+      expect(parseFilterChecks('status, title:contains,slug:prefix')).toEqual({ status: 'equals', title: 'contains', slug: 'prefix' })
+      expect(() => parseFilterChecks('title:regex')).toThrow('Unknown filter match mode "regex" for "title"')
+    })
+  })
+})
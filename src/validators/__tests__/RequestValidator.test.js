@@ -2,7 +2,7 @@
  * @vitest-environment jsdom
  */
 import { describe, it, expect } from 'vitest'
-import { validateRequestDocument } from '../RequestValidator.js'
+import { validateRequestDocument, validateRelationshipRequestDocument, getConflictProbes, CONFLICT_PROBE_SUFFIX } from '../RequestValidator.js'
 
 describe('RequestValidator', () => {
   describe('validateRequestDocument', () => {
@@ -463,6 +463,53 @@ describe('RequestValidator', () => {
       })
     })
 
+    describe('Local identifiers', () => {
+      it('should validate POST request with a local identifier', () => {
+        const request = {
+          data: {
+            type: 'people',
+            lid: 'p1',
+            attributes: { name: 'Jane' },
+            relationships: {
+              manager: { data: { type: 'people', lid: 'p1' } }
+            }
+          }
+        }
+
+        const result = validateRequestDocument(request, 'POST')
+
+        expect(result.valid).toBe(true)
+        expect(result.details.some(detail => detail.message.includes('local identifier "p1"'))).toBe(true)
+      })
+
+      it('should reject relationship lids that do not match any resource in the request', () => {
+        const request = {
+          data: {
+            type: 'articles',
+            attributes: { title: 'Test' },
+            relationships: {
+              author: { data: { type: 'people', lid: 'p1' } }
+            }
+          }
+        }
+
+        const result = validateRequestDocument(request, 'POST')
+
+        expect(result.valid).toBe(false)
+        expect(result.errors.some(error => error.test === 'Local Identifier Resolution')).toBe(true)
+      })
+
+      it('should reject PATCH request that uses a lid', () => {
+        const request = {
+          data: { id: '1', type: 'articles', lid: 'a1', attributes: { title: 'Test' } }
+        }
+
+        const result = validateRequestDocument(request, 'PATCH')
+
+        expect(result.valid).toBe(false)
+      })
+    })
+
     describe('Edge cases', () => {
       it('should validate request with only type', () => {
         const request = {
@@ -581,4 +628,71 @@ describe('RequestValidator', () => {
       })
     })
   })
+
+  describe('validateRelationshipRequestDocument', () => {
+    it('should validate PATCH replacing a to-one relationship', () => {
+      const result = validateRelationshipRequestDocument({ data: { type: 'people', id: '12' } }, 'PATCH')
+
+      expect(result.valid).toBe(true)
+    })
+
+    it('should validate PATCH clearing a to-one relationship with null', () => {
+      const result = validateRelationshipRequestDocument({ data: null }, 'PATCH', { cardinality: 'to-one' })
+
+      expect(result.valid).toBe(true)
+    })
+
+    it('should validate POST and DELETE with arrays of identifiers', () => {
+      const body = { data: [{ type: 'tags', id: '2' }, { type: 'tags', id: '3' }] }
+
+      expect(validateRelationshipRequestDocument(body, 'POST', { relationshipName: 'tags' }).valid).toBe(true)
+      expect(validateRelationshipRequestDocument(body, 'DELETE', { relationshipName: 'tags' }).valid).toBe(true)
+    })
+
+    it('should reject POST with a single identifier', () => {
+      const result = validateRelationshipRequestDocument({ data: { type: 'tags', id: '2' } }, 'POST')
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Relationship Request Data')
+    })
+
+    it('should reject full resource objects as linkage', () => {
+      const result = validateRelationshipRequestDocument({
+        data: [{ type: 'tags', id: '2', attributes: { name: 'news' } }]
+      }, 'PATCH')
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].message).toContain('attributes')
+    })
+
+    it('should reject linkage that does not match the relationship cardinality', () => {
+      expect(validateRelationshipRequestDocument({ data: [] }, 'PATCH', { cardinality: 'to-one' }).valid).toBe(false)
+      expect(validateRelationshipRequestDocument({ data: null }, 'PATCH', { cardinality: 'to-many' }).valid).toBe(false)
+      expect(validateRelationshipRequestDocument({ data: [] }, 'DELETE', { cardinality: 'to-one' }).valid).toBe(false)
+    })
+
+    it('should reject a document without data', () => {
+      const result = validateRelationshipRequestDocument({ meta: {} }, 'PATCH')
+
+      expect(result.valid).toBe(false)
+    })
+  })
+
+  describe('getConflictProbes', () => {
+    it('should mismatch the type of a POST and the type or id of a PATCH', () => {
+      const post = getConflictProbes({ data: { type: 'articles', attributes: { title: 'T' } } }, 'POST')
+      const patch = getConflictProbes({ data: { type: 'articles', id: '1', attributes: { title: 'T' } }, meta: { reason: 'edit' } }, 'PATCH')
+
+      expect(post.map(probe => probe.mismatch)).toEqual(['type'])
+      expect(post[0].document.data).toEqual({ type: `articles${CONFLICT_PROBE_SUFFIX}`, attributes: { title: 'T' } })
+      expect(patch.map(probe => probe.mismatch)).toEqual(['type', 'id'])
+      expect(patch[1].document).toEqual({ data: { type: 'articles', id: `1${CONFLICT_PROBE_SUFFIX}`, attributes: { title: 'T' } }, meta: { reason: 'edit' } })
+    })
+
+    it('should not derive probes from invalid or multi-resource documents', () => {
+      expect(getConflictProbes({ data: { type: 'articles', attributes: {} } }, 'PATCH')).toEqual([])
+      expect(getConflictProbes({ data: [{ type: 'articles', attributes: {} }] }, 'POST')).toEqual([])
+      expect(getConflictProbes({ data: { type: 'articles', id: '1' } }, 'DELETE')).toEqual([])
+    })
+  })
 })
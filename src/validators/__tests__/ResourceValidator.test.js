@@ -2,7 +2,7 @@
  * @vitest-environment jsdom
  */
 import { describe, it, expect } from 'vitest'
-import { validateResourceObject, validateResourceCollection, validateMemberName } from '../ResourceValidator.js'
+import { validateResourceObject, validateResourceCollection, validateMemberName, validateLocalIdentifiers } from '../ResourceValidator.js'
 
 describe('ResourceValidator', () => {
   describe('validateResourceObject', () => {
@@ -212,20 +212,91 @@ describe('ResourceValidator', () => {
     })
   })
 
+  describe('Local identifiers', () => {
+    it('should accept a lid in place of id when a missing id is allowed', () => {
+      const result = validateResourceObject({ type: 'articles', lid: 'a1', attributes: { title: 'New' } }, { allowMissingId: true })
+      expect(result.valid).toBe(true)
+    })
+
+    it('should reject a lid-only resource when an id is required', () => {
+      const result = validateResourceObject({ type: 'articles', lid: 'a1' })
+      expect(result.valid).toBe(false)
+    })
+
+    it('should reject an empty lid', () => {
+      const result = validateResourceObject({ type: 'articles', lid: '' }, { allowMissingId: true })
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Resource Local ID Member')
+    })
+
+    it('should accept lid-only resource identifiers in relationships', () => {
+      const result = validateResourceObject({
+        id: '1',
+        type: 'articles',
+        relationships: { author: { data: { type: 'people', lid: 'p1' } } }
+      })
+      expect(result.valid).toBe(true)
+    })
+
+    it('should reject duplicate local identifiers of the same type', () => {
+      const result = validateLocalIdentifiers([
+        { type: 'articles', lid: 'a1' },
+        { type: 'articles', lid: 'a1' }
+      ])
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Local Identifier Uniqueness')
+    })
+
+    it('should reject relationship lids that do not resolve', () => {
+      const result = validateLocalIdentifiers([
+        { type: 'articles', lid: 'a1', relationships: { author: { data: { type: 'people', lid: 'p1' } } } }
+      ])
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Local Identifier Resolution')
+    })
+
+    it('should resolve relationship lids defined in the same document', () => {
+      const result = validateLocalIdentifiers([
+        { type: 'articles', lid: 'a1', relationships: { author: { data: { type: 'people', lid: 'p1' } } } },
+        { type: 'people', lid: 'p1' }
+      ])
+      expect(result.valid).toBe(true)
+    })
+  })
+
   describe('validateMemberName', () => {
     it('should validate valid member names', () => {
       expect(validateMemberName('valid-name').valid).toBe(true)
       expect(validateMemberName('validname').valid).toBe(true)
       expect(validateMemberName('valid_name').valid).toBe(true)
       expect(validateMemberName('valid123').valid).toBe(true)
+      expect(validateMemberName('firstName').valid).toBe(true)
+      expect(validateMemberName('first name').valid).toBe(true)
+      expect(validateMemberName('naïve').valid).toBe(true)
+      expect(validateMemberName('名前').valid).toBe(true)
     })
 
     it('should reject invalid member names', () => {
-      expect(validateMemberName('invalid name').valid).toBe(false) // Space
-      expect(validateMemberName('invalid--name').valid).toBe(false) // Double hyphen
-      expect(validateMemberName('invalid__name').valid).toBe(false) // Double underscore
+      expect(validateMemberName(' name').valid).toBe(false) // Leading space
+      expect(validateMemberName('name-').valid).toBe(false) // Trailing hyphen
+      expect(validateMemberName('_name').valid).toBe(false) // Leading underscore
+      expect(validateMemberName('first.name').valid).toBe(false) // Reserved character
+      expect(validateMemberName('name@').valid).toBe(false) // "@" only allowed as prefix
       expect(validateMemberName('').valid).toBe(false) // Empty string
       expect(validateMemberName(null).valid).toBe(false) // Null
+      expect(validateMemberName('first+name').errors[0].message).toBe(
+        'Member name "first+name" contains characters that are not allowed in member names: "+" (JSON:API 1.1)'
+      )
+    })
+
+    it('should accept @-members and extension members in JSON:API 1.1 only', () => {
+      expect(validateMemberName('@context').valid).toBe(true)
+      expect(validateMemberName('atomic:operations').valid).toBe(true)
+      expect(validateMemberName('@').valid).toBe(false)
+      expect(validateMemberName('my-ext:member').valid).toBe(false) // Namespace must be alphanumeric
+      expect(validateMemberName('ext:-member').valid).toBe(false)
+      expect(validateMemberName('@context', 'meta', '1.0').valid).toBe(false)
+      expect(validateMemberName('atomic:operations', 'meta', '1.0').valid).toBe(false)
     })
 
     it('should reject reserved member names', () => {
@@ -234,5 +305,147 @@ describe('ResourceValidator', () => {
       expect(validateMemberName('links').valid).toBe(false)
       expect(validateMemberName('relationships').valid).toBe(false)
     })
+
+    it('should report departures from the naming recommendations as warnings', () => {
+      const recommendation = (name, specVersion) => validateMemberName(name, 'attributes', specVersion).warnings
+        .filter(warning => warning.test === 'Member Name Recommendation')
+
+      expect(recommendation('firstName', '1.1')).toHaveLength(0)
+      expect(recommendation('@context', '1.1')).toHaveLength(0)
+      expect(recommendation('first-name', '1.0')).toHaveLength(0)
+
+      const result = validateMemberName('first-name', 'attributes', '1.1')
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toEqual([expect.objectContaining({ test: 'Member Name Recommendation', context: 'attributes' })])
+      expect(recommendation('Name', '1.1')).toHaveLength(1)
+      expect(recommendation('item2', '1.1')).toHaveLength(1)
+      expect(recommendation('firstName', '1.0')).toHaveLength(1)
+      expect(recommendation('first--name', '1.0')).toHaveLength(1)
+    })
+
+    it('should apply the JSON:API 1.0 member name rules when targeting 1.0', () => {
+      expect(validateMemberName('firstName', 'attributes', '1.0').valid).toBe(true)
+      expect(validateMemberName('first name', 'attributes', '1.0').valid).toBe(true)
+      expect(validateMemberName('first--name', 'attributes', '1.0').valid).toBe(true)
+      expect(validateMemberName(' name', 'attributes', '1.0').valid).toBe(false)
+      expect(validateMemberName('name@', 'attributes', '1.0').valid).toBe(false)
+    })
+  })
+
+  describe('Specification version', () => {
+    it('should not recognize lid when targeting JSON:API 1.0', () => {
+      const resource = { type: 'articles', lid: 'a1', attributes: { title: 'Draft' } }
+
+      expect(validateResourceObject(resource, { allowMissingId: true }).warnings).toHaveLength(0)
+
+      const result = validateResourceObject(resource, { allowMissingId: true, specVersion: '1.0' })
+      expect(result.warnings.some(warning => warning.message.includes('lid'))).toBe(true)
+    })
+
+    it('should require id in relationship linkage when targeting JSON:API 1.0', () => {
+      const resource = {
+        type: 'articles',
+        id: '1',
+        relationships: { author: { data: { type: 'people', lid: 'p1' } } }
+      }
+
+      expect(validateResourceObject(resource).valid).toBe(true)
+      expect(validateResourceObject(resource, { specVersion: '1.0' }).valid).toBe(false)
+    })
+  })
+
+  describe('Resource schemas', () => {
+    const schemas = {
+      articles: {
+        attributes: {
+          title: { type: 'string', required: true },
+          'published-at': { type: ['string', 'null'] },
+          'word-count': { type: 'integer' }
+        },
+        relationships: {
+          author: { cardinality: 'one', types: ['people'], required: true },
+          tags: { cardinality: 'many', types: ['tags'] }
+        }
+      }
+    }
+
+    it('should accept resources matching their schema', () => {
+      const resource = {
+        type: 'articles',
+        id: '1',
+        attributes: { title: 'JSON:API', 'published-at': null, 'word-count': 1200 },
+        relationships: {
+          author: { data: { type: 'people', id: '9' } },
+          tags: { data: [{ type: 'tags', id: '2' }] }
+        }
+      }
+
+      const result = validateResourceObject(resource, { schemas })
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Schema Attributes', status: 'passed' }))
+      expect(result.details).toContainEqual(expect.objectContaining({ test: 'Schema Relationships', status: 'passed' }))
+    })
+
+    it('should report missing required attributes and wrong attribute types with their location', () => {
+      const resource = {
+        type: 'articles',
+        id: '1',
+        attributes: { 'published-at': 1700000000, 'word-count': 12.5 },
+        relationships: { author: { data: { type: 'people', id: '9' } } }
+      }
+
+      const result = validateResourceObject(resource, { schemas, pointer: '/data' })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors).toContainEqual(expect.objectContaining({
+        test: 'Schema Attributes',
+        message: expect.stringContaining('missing required attribute "title"'),
+        location: { jsonPointer: '/data/attributes' }
+      }))
+      expect(result.errors).toContainEqual(expect.objectContaining({
+        message: expect.stringContaining('"published-at" must be string or null, got integer'),
+        location: { jsonPointer: '/data/attributes/published-at' }
+      }))
+      expect(result.errors.some(error => error.message.includes('"word-count" must be integer, got number'))).toBe(true)
+    })
+
+    it('should check relationship cardinality and target types', () => {
+      const resource = {
+        type: 'articles',
+        id: '1',
+        attributes: { title: 'JSON:API' },
+        relationships: {
+          author: { data: [{ type: 'people', id: '9' }] },
+          tags: { data: [{ type: 'tags', id: '2' }, { type: 'categories', id: '3' }] }
+        }
+      }
+
+      const result = validateResourceObject(resource, { schemas, pointer: '/data' })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.map(error => error.location?.jsonPointer)).toEqual([
+        '/data/relationships/author/data',
+        '/data/relationships/tags/data/1'
+      ])
+    })
+
+    it('should not require fields left out by a sparse fieldset', () => {
+      const resource = { type: 'articles', id: '1', attributes: { 'word-count': 3 } }
+
+      expect(validateResourceObject(resource, { schemas }).valid).toBe(false)
+      expect(validateResourceObject(resource, { schemas, sparseFieldsets: { articles: ['word-count'] } }).valid).toBe(true)
+    })
+
+    it('should reject undeclared members when the schema is closed', () => {
+      const closed = { people: { attributes: { name: { type: 'string' } }, additionalAttributes: false } }
+      const resource = { type: 'people', id: '9', attributes: { name: 'Dan', age: 40 } }
+
+      const result = validateResourceObject(resource, { schemas: closed })
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].message).toContain('"age"')
+      expect(validateResourceObject({ type: 'tags', id: '1', attributes: { age: 1 } }, { schemas: closed }).valid).toBe(true)
+    })
   })
 })
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * @vitest-environment jsdom
+ */
+import { describe, it, expect } from 'vitest'
+import {
+  validateCreateResponse,
+  validateResourceReadBack,
+  validateUpdateResponse,
+  validateUpdateResponseBody,
+  validatePartialUpdate,
+  validateDeleteResponse,
+  validateReadAfterDelete,
+  getCreatedResourceUrl
+} from '../WorkflowValidator.js'
+
+const COLLECTION = 'https://api.example.com/articles'
+
+const created = (headers = {}, links = { self: '/articles/7' }) => ({
+  status: 201,
+  headers,
+  data: { data: { type: 'articles', id: '7', attributes: { title: 'Draft' }, links } }
+})
+
+describe('WorkflowValidator', () => {
+  describe('validateCreateResponse', () => {
+    it('should accept 201 Created with a Location matching links.self', () => {
+      const result = validateCreateResponse(created({ location: 'https://api.example.com/articles/7' }), { type: 'articles' }, COLLECTION)
+
+      expect(result.valid).toBe(true)
+      expect(result.warnings).toHaveLength(0)
+      expect(result.details.map(detail => detail.test)).toEqual(['Workflow Resource Creation', 'Workflow Resource Location'])
+    })
+
+    it('should report a missing or mismatched Location header', () => {
+      expect(validateCreateResponse(created(), { type: 'articles' }, COLLECTION).warnings[0].test).toBe('Workflow Resource Location')
+
+      const mismatch = validateCreateResponse(created({ location: '/articles/8' }), { type: 'articles' }, COLLECTION)
+      expect(mismatch.valid).toBe(false)
+      expect(mismatch.errors[0]).toMatchObject({ test: 'Workflow Resource Location', context: 'data.links.self' })
+    })
+
+    it('should only allow 204 No Content for client-generated IDs', () => {
+      const response = { status: 204, headers: {}, data: null }
+
+      expect(validateCreateResponse(response, { type: 'articles' }, COLLECTION).valid).toBe(false)
+      expect(validateCreateResponse(response, { type: 'articles', id: 'a1' }, COLLECTION).valid).toBe(true)
+    })
+  })
+
+  describe('validateResourceReadBack', () => {
+    const fetched = { status: 200, headers: {}, data: { data: { type: 'articles', id: '7', attributes: { title: 'draft', tags: { b: 2, a: 1 } } } } }
+
+    it('should warn when created values were changed but fail when an update was not applied', () => {
+      const expected = { type: 'articles', id: '7', attributes: { title: 'Draft', tags: { a: 1, b: 2 } } }
+
+      const afterCreate = validateResourceReadBack(fetched, expected, 'create')
+      expect(afterCreate.valid).toBe(true)
+      expect(afterCreate.warnings[0].message).toContain('title (sent "Draft", got "draft")')
+      expect(afterCreate.warnings[0].message).not.toContain('tags')
+
+      const afterUpdate = validateResourceReadBack(fetched, expected, 'update')
+      expect(afterUpdate.valid).toBe(false)
+      expect(afterUpdate.errors[0]).toMatchObject({ test: 'Workflow Read After Update', context: 'data.attributes' })
+    })
+
+    it('should fail when another resource is returned', () => {
+      const result = validateResourceReadBack(fetched, { type: 'articles', id: '8' }, 'create')
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].message).toContain('got articles "7"')
+    })
+  })
+
+  describe('validateUpdateResponse and validateDeleteResponse', () => {
+    const expected = { type: 'articles', id: '7' }
+
+    it('should require the resource in a 200 update response and only meta in a 200 delete response', () => {
+      expect(validateUpdateResponse({ status: 204, headers: {}, data: null }, expected).valid).toBe(true)
+      expect(validateUpdateResponse({ status: 200, headers: {}, data: { meta: {} } }, expected).valid).toBe(false)
+      expect(validateDeleteResponse({ status: 200, headers: {}, data: { meta: { deleted: true } } }, expected).valid).toBe(true)
+      expect(validateDeleteResponse({ status: 200, headers: {}, data: { data: null } }, expected).valid).toBe(false)
+      expect(validateDeleteResponse({ status: 405, headers: {}, data: null }, expected).valid).toBe(false)
+    })
+  })
+
+  describe('validatePartialUpdate and validateUpdateResponseBody', () => {
+    const before = {
+      type: 'articles',
+      id: '7',
+      attributes: { title: 'Draft', body: 'Text', updatedAt: '2026-01-01' },
+      relationships: { author: { data: { type: 'people', id: '9' } }, comments: { links: { related: '/articles/7/comments' } } }
+    }
+    const sent = { attributes: ['title'], relationships: [] }
+    const fetched = (attributes, relationships = before.relationships) => ({
+      status: 200,
+      headers: {},
+      data: { data: { ...before, attributes: { ...before.attributes, title: 'Draft (updated)', ...attributes }, relationships } }
+    })
+
+    it('should pass when only the sent members changed', () => {
+      const result = validatePartialUpdate(fetched({}), before, sent, { status: 204, headers: {}, data: null })
+
+      expect(result.valid).toBe(true)
+      expect(result.details).toEqual([expect.objectContaining({ test: 'Workflow Partial Update', status: 'passed' })])
+    })
+
+    it('should fail members that were cleared although the update left them out', () => {
+      const result = validatePartialUpdate(fetched({ body: null }, { author: { data: null } }), before, sent, fetched({ body: null }, { author: { data: null } }))
+
+      expect(result.valid).toBe(false)
+      expect(result.errors[0].test).toBe('Workflow Partial Update')
+      expect(result.errors[0].message).toContain('attribute "body" (was "Text", now null)')
+      expect(result.errors[0].message).toContain('relationship "author" (was {"type":"people","id":"9"}, now null)')
+    })
+
+    it('should allow other changes after 200 OK only if the response showed them', () => {
+      const after = fetched({ updatedAt: '2026-01-02' })
+      const afterNoContent = validatePartialUpdate(after, before, sent, { status: 204, headers: {}, data: null })
+      const afterReported = validatePartialUpdate(after, before, sent, fetched({ updatedAt: '2026-01-02' }))
+      const afterStale = validatePartialUpdate(after, before, sent, fetched({}))
+
+      expect(afterNoContent.errors[0].message).toContain('204 No Content')
+      expect(afterReported.valid).toBe(true)
+      expect(afterReported.warnings[0].message).toContain('attribute "updatedAt"')
+      expect(afterStale.errors[0]).toMatchObject({ test: 'Workflow Update Response Body' })
+    })
+
+    it('should fail a 200 OK update response that does not reflect the update', () => {
+      const expected = { type: 'articles', id: '7', attributes: { title: 'Draft (updated)' } }
+
+      expect(validateUpdateResponseBody(fetched({}), expected).valid).toBe(true)
+      expect(validateUpdateResponseBody({ status: 204, headers: {}, data: null }, expected).details).toHaveLength(0)
+
+      const stale = validateUpdateResponseBody(fetched({ title: 'Draft' }), expected)
+      expect(stale.valid).toBe(false)
+      expect(stale.errors[0].message).toContain('title (sent "Draft (updated)", got "Draft")')
+    })
+  })
+
+  describe('validateReadAfterDelete', () => {
+    it('should expect 404 Not Found', () => {
+      expect(validateReadAfterDelete({ status: 404, headers: {}, data: null }, { type: 'articles', id: '7' }).valid).toBe(true)
+
+      const stillThere = validateReadAfterDelete({ status: 200, headers: {}, data: null }, { type: 'articles', id: '7' })
+      expect(stillThere.valid).toBe(false)
+      expect(stillThere.errors[0].message).toContain('can still be fetched')
+    })
+  })
+
+  describe('getCreatedResourceUrl', () => {
+    it('should prefer the Location header and resolve relative URLs', () => {
+      expect(getCreatedResourceUrl(created({ location: '/articles/7?x=1' }), COLLECTION)).toBe('https://api.example.com/articles/7?x=1')
+      expect(getCreatedResourceUrl(created({}, { self: { href: '/articles/7' } }), COLLECTION)).toBe('https://api.example.com/articles/7')
+      expect(getCreatedResourceUrl(created({}, null), COLLECTION)).toBeUndefined()
+    })
+  })
+})